@@ -0,0 +1,48 @@
+/**
+ * Move the wallet balances users had before the ledger onto the ledger.
+ *
+ *   npm run ledger:opening-balances -- --dry-run
+ *   npm run ledger:opening-balances
+ *
+ * Run once while upgrading, before the new release serves requests (see
+ * LedgerService.postOpeningBalances). Exits with 0 when done and 2 on errors.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ledgerService = require('../src/services/ledger.service');
+const logger = require('../src/utils/logger');
+
+const main = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const { currency, posted, skipped } = await ledgerService.postOpeningBalances({ dryRun });
+
+    posted.forEach(({ userId, username, amount }) => {
+      logger.info(
+        `${dryRun ? 'Would post' : 'Posted'} opening balance of ${amount} ${currency} for ${username} (${userId})`
+      );
+    });
+    skipped.forEach(({ userId, username, amount }) => {
+      logger.warn(
+        `Skipped ${username} (${userId}): walletBalance differs from the ledger by ${amount} ${currency}; see reconciliation`
+      );
+    });
+    logger.info(
+      `${posted.length} opening balances ${dryRun ? 'to post' : 'posted'}, ${skipped.length} skipped`
+    );
+
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error(`Posting opening balances failed: ${error.message}`);
+    process.exit(2);
+  });
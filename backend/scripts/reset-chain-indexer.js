@@ -0,0 +1,47 @@
+/**
+ * Undo the on-chain transfers indexed after a block and index again from
+ * the block after it.
+ *
+ *   npm run indexer:reset -- --to-block <number>
+ *
+ * Needed when a reorg replaced blocks older than those the chain indexer
+ * remembers, which stops indexing with an error; pick a block from before
+ * the reorg. Exits with 0 when done and 2 on errors.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const chainIndexer = require('../src/services/chainIndexer.service');
+const logger = require('../src/utils/logger');
+
+const parseBlock = (args) => {
+  const index = args.indexOf('--to-block');
+  const value = index === -1 ? '' : args[index + 1] || '';
+  if (!/^\d+$/.test(value)) {
+    throw new Error('--to-block <number> is required');
+  }
+  return parseInt(value, 10);
+};
+
+const main = async () => {
+  const blockNumber = parseBlock(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const { reverted } = await chainIndexer.resetTo(blockNumber);
+    logger.info(
+      `Undid ${reverted} transfer logs; indexing continues from block ${blockNumber + 1}`
+    );
+
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error(`Resetting the chain indexer failed: ${error.message}`);
+    process.exit(2);
+  });
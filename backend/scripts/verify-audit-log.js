@@ -0,0 +1,61 @@
+/**
+ * Verify the audit log hash chain and report any tampering.
+ *
+ *   npm run audit:verify
+ *   npm run audit:verify -- --anchor <sequence>:<hash>
+ *
+ * Pass the head printed by an earlier run (kept outside the database) as
+ * the anchor to also detect a chain rewritten from some entry onwards.
+ * Exits with 0 if the chain is intact, 1 if it is not and 2 on errors.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const auditService = require('../src/services/audit.service');
+const logger = require('../src/utils/logger');
+
+const parseAnchor = (args) => {
+  const index = args.indexOf('--anchor');
+  if (index === -1) {
+    return null;
+  }
+
+  const match = /^(\d+):([0-9a-f]{64})$/.exec(args[index + 1] || '');
+  if (!match) {
+    throw new Error('--anchor must be <sequence>:<sha256 hex>');
+  }
+  return { sequence: parseInt(match[1], 10), hash: match[2] };
+};
+
+const main = async () => {
+  const anchor = parseAnchor(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const { valid, checked, head, problems } = await auditService.verify({ anchor });
+
+    logger.info(`Checked ${checked} audit log entries`);
+    problems.forEach(({ sequence, problem, message }) => {
+      logger.warn(`#${sequence} ${problem}: ${message}`);
+    });
+    if (head) {
+      logger.info(`Head: ${head.sequence}:${head.hash}`);
+    }
+    if (valid) {
+      logger.info('Audit log intact');
+    } else {
+      logger.error('Audit log has been tampered with');
+    }
+
+    return valid ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error(`Audit log verification failed: ${error.message}`);
+    process.exit(2);
+  });
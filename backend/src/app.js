@@ -13,6 +13,7 @@ const path = require('path');
 
 // Import middleware
 const errorHandler = require('./middleware/error');
+const { requestContext } = require('./utils/requestContext');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -21,8 +22,21 @@ const userRoutes = require('./routes/user.routes');
 const propertyRoutes = require('./routes/property.routes');
 const nftRoutes = require('./routes/nft.routes');
 const governanceRoutes = require('./routes/governance.routes');
+const distributionRoutes = require('./routes/distribution.routes');
+const ledgerRoutes = require('./routes/ledger.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const kycRoutes = require('./routes/kyc.routes');
+const screeningRoutes = require('./routes/screening.routes');
+const auditRoutes = require('./routes/audit.routes');
 const healthRoutes = require('./routes/health.routes');
 
+// Import background jobs
+const proposalScheduler = require('./services/proposalScheduler.service');
+const reservationSweeper = require('./services/reservationSweeper.service');
+const chainIndexer = require('./services/chainIndexer.service');
+const webhookDispatcher = require('./services/webhookDispatcher.service');
+
 // Load environment variables
 require('dotenv').config();
 
@@ -69,7 +83,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id']
 };
 
 app.use(cors(corsOptions));
@@ -115,6 +130,9 @@ app.use(hpp({
   whitelist: ['sort', 'fields', 'page', 'limit', 'filter']
 }));
 
+// Request metadata for the audit log
+app.use(requestContext());
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path} - ${req.ip}`, {
@@ -152,6 +170,13 @@ app.use(`${API_VERSION}/users`, userRoutes);
 app.use(`${API_VERSION}/properties`, propertyRoutes);
 app.use(`${API_VERSION}/nfts`, nftRoutes);
 app.use(`${API_VERSION}/governance`, governanceRoutes);
+app.use(`${API_VERSION}/distributions`, distributionRoutes);
+app.use(`${API_VERSION}/ledger`, ledgerRoutes);
+app.use(`${API_VERSION}/payments`, paymentRoutes);
+app.use(`${API_VERSION}/webhooks`, webhookRoutes);
+app.use(`${API_VERSION}/kyc`, kycRoutes);
+app.use(`${API_VERSION}/screening`, screeningRoutes);
+app.use(`${API_VERSION}/audit`, auditRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -192,14 +217,52 @@ app.use('*', (req, res) => {
 // Global error handler (must be last)
 app.use(errorHandler);
 
+// Background jobs
+if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_PROPOSAL_SCHEDULER !== 'false') {
+  proposalScheduler.on('tick:error', (err) => {
+    logger.error('Proposal scheduler tick failed:', err);
+  });
+  proposalScheduler.start();
+}
+
+if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_RESERVATION_SWEEPER !== 'false') {
+  reservationSweeper.on('tick:error', (err) => {
+    logger.error('Reservation sweeper tick failed:', err);
+  });
+  reservationSweeper.start();
+}
+
+// Needs an RPC node and deployed contracts, so it only runs when enabled
+if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_CHAIN_INDEXER === 'true') {
+  chainIndexer.on('tick:error', (err) => {
+    logger.error('Chain indexer tick failed:', err);
+  });
+  chainIndexer.start();
+}
+
+if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_WEBHOOK_DISPATCHER !== 'false') {
+  webhookDispatcher.on('tick:error', (err) => {
+    logger.error('Webhook dispatcher tick failed:', err);
+  });
+  webhookDispatcher.start();
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  proposalScheduler.stop();
+  reservationSweeper.stop();
+  chainIndexer.stop();
+  webhookDispatcher.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  proposalScheduler.stop();
+  reservationSweeper.stop();
+  chainIndexer.stop();
+  webhookDispatcher.stop();
   process.exit(0);
 });
 
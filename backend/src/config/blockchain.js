@@ -0,0 +1,50 @@
+const { ethers } = require('ethers');
+
+/**
+ * Blockchain provider and platform signer.
+ *
+ * BLOCKCHAIN_RPC_URL points at any JSON-RPC node (e.g. a local Hardhat or
+ * Anvil node at http://127.0.0.1:8545); otherwise Infura is used for
+ * BLOCKCHAIN_NETWORK.
+ */
+
+let provider = null;
+let signer = null;
+
+const getRpcUrl = () => {
+  if (process.env.BLOCKCHAIN_RPC_URL) {
+    return process.env.BLOCKCHAIN_RPC_URL;
+  }
+
+  const network = process.env.BLOCKCHAIN_NETWORK || 'sepolia';
+  return `https://${network}.infura.io/v3/${process.env.INFURA_PROJECT_ID}`;
+};
+
+const getProvider = () => {
+  if (!provider) {
+    const chainId = process.env.BLOCKCHAIN_CHAIN_ID ?
+      parseInt(process.env.BLOCKCHAIN_CHAIN_ID, 10) : undefined;
+    provider = new ethers.JsonRpcProvider(getRpcUrl(), chainId);
+  }
+
+  return provider;
+};
+
+const getSigner = () => {
+  if (!signer) {
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error('Blockchain signer not configured: PRIVATE_KEY is missing');
+    }
+
+    const privateKey = process.env.PRIVATE_KEY.startsWith('0x') ?
+      process.env.PRIVATE_KEY : `0x${process.env.PRIVATE_KEY}`;
+    signer = new ethers.Wallet(privateKey, getProvider());
+  }
+
+  return signer;
+};
+
+module.exports = {
+  getProvider,
+  getSigner
+};
@@ -0,0 +1,28 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+/**
+ * Shared Redis client, or null when REDIS_URL is not set (e.g. in tests).
+ *
+ * The client connects in the background and reconnects on its own. Callers
+ * check `status === 'ready'` before using it and carry on without Redis
+ * otherwise, so an unreachable Redis never stops the API.
+ */
+const createClient = () => {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  const client = new Redis(process.env.REDIS_URL, {
+    // Fail commands quickly while disconnected instead of queueing them
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+
+  client.on('ready', () => logger.info('Redis connected'));
+  client.on('error', error => logger.error(`Redis error: ${error.message}`));
+
+  return client;
+};
+
+module.exports = createClient();
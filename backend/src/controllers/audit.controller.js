@@ -0,0 +1,162 @@
+const { validationResult } = require('express-validator');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+// Resolves once the response takes more data or the client has gone away
+const writable = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+/**
+ * @desc    Get audit log entries, newest first
+ * @route   GET /api/v1/audit/entries
+ * @access  Private (Admin)
+ */
+const getEntries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { action, actorId, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+    const result = await auditService.getEntries({
+      action,
+      actorId,
+      targetType,
+      targetId,
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getEntries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Export audit log entries in chain order as NDJSON
+ * @route   GET /api/v1/audit/export
+ * @access  Private (Admin)
+ */
+const exportEntries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { action, actorId, targetType, targetId, from, to } = req.query;
+  const cursor = auditService.exportEntries({ action, actorId, targetType, targetId, from, to });
+
+  try {
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.ndjson"`
+    });
+
+    for await (const entry of cursor) {
+      // Stop reading once the client disconnects
+      if (res.destroyed) {
+        break;
+      }
+      if (!res.write(`${JSON.stringify(entry)}\n`)) {
+        await writable(res);
+      }
+    }
+
+    if (!res.destroyed) {
+      res.end();
+    }
+
+  } catch (error) {
+    logger.error('Error in exportEntries:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    await cursor
+      .close()
+      .catch((error) => logger.warn('Failed to close the audit export cursor:', error));
+  }
+};
+
+/**
+ * @desc    Verify the audit log hash chain
+ * @route   GET /api/v1/audit/verify
+ * @access  Private (Admin)
+ */
+const verifyChain = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { anchorSequence, anchorHash } = req.query;
+    const anchor = anchorSequence ? { sequence: parseInt(anchorSequence), hash: anchorHash } : null;
+
+    const result = await auditService.verify({ anchor });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error in verifyChain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getEntries,
+  exportEntries,
+  verifyChain
+};
@@ -0,0 +1,224 @@
+const { validationResult } = require('express-validator');
+const authService = require('../services/auth.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Issue a nonce for Sign-In with Ethereum
+ * @route   GET /api/v1/auth/siwe/nonce
+ * @access  Public
+ */
+const getNonce = async (req, res) => {
+  try {
+    const result = await authService.createNonce({ ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error in getNonce:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Verify a signed SIWE message and issue a token pair
+ * @route   POST /api/v1/auth/siwe/verify
+ * @access  Public
+ */
+const verifySiwe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { message, signature } = req.body;
+
+    const session = await authService.verifySiwe({
+      message,
+      signature,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Signed in successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in verifySiwe:', error);
+
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid SIWE message')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid signature') ||
+        error.message.includes('Invalid nonce') ||
+        error.message.includes('expired')) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Rotate refresh token and issue a new token pair
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await authService.refreshSession({
+      refreshToken: req.body.refreshToken,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    logger.error('Error in refreshToken:', error);
+
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke the current refresh token
+ * @route   POST /api/v1/auth/logout
+ * @access  Public
+ */
+const logout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await authService.revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get current user
+ * @route   GET /api/v1/auth/me
+ * @access  Private
+ */
+const getMe = async (req, res) => {
+  try {
+    const user = await authService.getCurrentUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    logger.error('Error in getMe:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getNonce,
+  verifySiwe,
+  refreshToken,
+  logout,
+  getMe
+};
@@ -0,0 +1,154 @@
+const { validationResult } = require('express-validator');
+const complianceService = require('../services/compliance.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the compliance rules of a property
+ * @route   GET /api/v1/properties/:id/compliance
+ * @access  Public
+ */
+const getComplianceRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rules = await complianceService.getRules(req.params.id);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    logger.error('Error in getComplianceRules:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Set the compliance rules of a property
+ * @route   PUT /api/v1/properties/:id/compliance
+ * @access  Private (Admin)
+ */
+const updateComplianceRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { allowedCountries, blockedCountries, accreditedOnly, maxHolders, maxSharesPerInvestor } = req.body;
+
+    const rules = await complianceService.updateRules(req.params.id, {
+      allowedCountries,
+      blockedCountries,
+      accreditedOnly,
+      maxHolders,
+      maxSharesPerInvestor
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: rules,
+      message: 'Compliance rules updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in updateComplianceRules:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid compliance rules')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Dry run: whether a user could receive shares of a property, and why not
+ * @route   GET /api/v1/properties/:id/compliance/check
+ * @access  Private (Admin)
+ */
+const checkEligibility = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, shares = 1, fromUserId } = req.query;
+
+    const result = await complianceService.evaluate({
+      propertyId: req.params.id,
+      userId,
+      shares: parseInt(shares),
+      fromUserId: fromUserId || null,
+      includeQuotes: true
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error in checkEligibility:', error);
+
+    if (error.message === 'Property not found' ||
+        error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getComplianceRules,
+  updateComplianceRules,
+  checkEligibility
+};
@@ -0,0 +1,331 @@
+const { validationResult } = require('express-validator');
+const distributionService = require('../services/distribution.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get distributions of a property
+ * @route   GET /api/v1/properties/:id/distributions
+ * @access  Public
+ */
+const getPropertyDistributions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 12 } = req.query;
+
+    const result = await distributionService.getPropertyDistributions({
+      propertyId: req.params.id,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.distributions,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getPropertyDistributions:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a distribution with its claimed and unclaimed totals
+ * @route   GET /api/v1/properties/:id/distributions/:distributionId
+ * @access  Public
+ */
+const getDistribution = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const distribution = await distributionService.getDistribution(
+      req.params.id,
+      req.params.distributionId
+    );
+
+    res.json({
+      success: true,
+      data: distribution
+    });
+
+  } catch (error) {
+    logger.error('Error in getDistribution:', error);
+
+    if (error.message === 'Distribution not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the payouts of a distribution
+ * @route   GET /api/v1/properties/:id/distributions/:distributionId/payouts
+ * @access  Private (Admin)
+ */
+const getDistributionPayouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+
+    const result = await distributionService.getDistributionPayouts({
+      propertyId: req.params.id,
+      distributionId: req.params.distributionId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.payouts,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getDistributionPayouts:', error);
+
+    if (error.message === 'Distribution not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Record net income for a period and distribute it to holders
+ * @route   POST /api/v1/properties/:id/distributions
+ * @access  Private (Admin/Manager)
+ */
+const recordIncome = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { periodStart, periodEnd, netIncome, recordDate, notes } = req.body;
+
+    const distribution = await distributionService.recordIncome({
+      propertyId: req.params.id,
+      periodStart,
+      periodEnd,
+      netIncome,
+      recordDate,
+      notes
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: distribution,
+      message: 'Distribution recorded successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in recordIncome:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid') ||
+        error.message === 'No holders at record date') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Duplicate distribution') || error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Duplicate distribution: Income for an overlapping period has already been recorded'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get current user's distribution payouts
+ * @route   GET /api/v1/distributions/claims
+ * @access  Private
+ */
+const getMyClaims = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const result = await distributionService.getUserClaims({
+      userId: req.user.id,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payouts: result.payouts,
+        claimable: result.claimable
+      },
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getMyClaims:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Claim distribution payouts into the wallet balance
+ * @route   POST /api/v1/distributions/claims
+ * @access  Private
+ */
+const claimPayouts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await distributionService.claimPayouts({
+      userId: req.user.id,
+      payoutIds: req.body.payoutIds
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Payouts claimed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in claimPayouts:', error);
+
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'No unclaimed payouts') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPropertyDistributions,
+  getDistribution,
+  getDistributionPayouts,
+  recordIncome,
+  getMyClaims,
+  claimPayouts
+};
@@ -0,0 +1,110 @@
+const { validationResult } = require('express-validator');
+const feeService = require('../services/fee.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the fee schedule of a property
+ * @route   GET /api/v1/properties/:id/fees
+ * @access  Public
+ */
+const getFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const schedule = await feeService.getSchedule(req.params.id);
+
+    res.json({
+      success: true,
+      data: schedule
+    });
+
+  } catch (error) {
+    logger.error('Error in getFeeSchedule:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Set the fee schedule of a property
+ * @route   PUT /api/v1/properties/:id/fees
+ * @access  Private (Admin/Property Owner)
+ */
+const updateFeeSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { primaryFeeBps, secondaryFeeBps, royaltyBps, royaltyRecipient } = req.body;
+
+    const schedule = await feeService.updateSchedule(req.params.id, {
+      primaryFeeBps,
+      secondaryFeeBps,
+      royaltyBps,
+      royaltyRecipient
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: schedule,
+      message: 'Fee schedule updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in updateFeeSchedule:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getFeeSchedule,
+  updateFeeSchedule
+};
@@ -148,6 +148,13 @@ const createProposal = async (req, res) => {
       });
     }
 
+    if (error.message.includes('Invalid action')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -184,7 +191,7 @@ const voteOnProposal = async (req, res) => {
     res.json({
       success: true,
       data: vote,
-      message: 'Vote cast successfully'
+      message: vote.changedAt ? 'Vote changed successfully' : 'Vote cast successfully'
     });
 
   } catch (error) {
@@ -197,21 +204,136 @@ const voteOnProposal = async (req, res) => {
       });
     }
 
-    if (error.message.includes('Voting period has ended')) {
+    if (error.message.includes('KYC required')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Voting period has ended') ||
+        error.message.includes('Proposal is not active')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
 
-    if (error.message.includes('Already voted')) {
+    if (error.message.includes('Already voted') ||
+        error.message.includes('Vote changed concurrently')) {
       return res.status(409).json({
         success: false,
         message: error.message
       });
     }
 
-    if (error.message.includes('No voting power')) {
+    if (error.message.includes('No voting power') ||
+        error.message.includes('Voting power is delegated')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a pending or active proposal
+ * @route   POST /api/v1/governance/proposals/:id/cancel
+ * @access  Private (Proposer/Admin)
+ */
+const cancelProposal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const proposal = await governanceService.cancelProposal(id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      data: proposal,
+      message: 'Proposal cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in cancelProposal:', error);
+
+    if (error.message === 'Proposal not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot cancel')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Queue a succeeded proposal in the timelock
+ * @route   POST /api/v1/governance/proposals/:id/queue
+ * @access  Private (Admin/DAO)
+ */
+const queueProposal = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await governanceService.queueProposal(id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Proposal queued successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in queueProposal:', error);
+
+    if (error.message === 'Proposal not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot queue')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
       return res.status(403).json({
         success: false,
         message: error.message
@@ -226,7 +348,7 @@ const voteOnProposal = async (req, res) => {
 };
 
 /**
- * @desc    Execute a proposal
+ * @desc    Execute a queued proposal on-chain
  * @route   POST /api/v1/governance/proposals/:id/execute
  * @access  Private (Admin/DAO)
  */
@@ -236,10 +358,13 @@ const executeProposal = async (req, res) => {
     
     const result = await governanceService.executeProposal(id, req.user);
 
+    // Unfinished actions leave the proposal queued so execution can be retried
     res.json({
       success: true,
       data: result,
-      message: 'Proposal executed successfully'
+      message: result.status === 'executed' ?
+        'Proposal executed successfully' :
+        'Proposal execution incomplete; see execution results'
     });
 
   } catch (error) {
@@ -252,6 +377,13 @@ const executeProposal = async (req, res) => {
       });
     }
 
+    if (error.message.includes('Execution already in progress')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.message.includes('Cannot execute')) {
       return res.status(400).json({
         success: false,
@@ -259,6 +391,14 @@ const executeProposal = async (req, res) => {
       });
     }
 
+    if (error.message.includes('Governance contract not configured') ||
+        error.message.includes('Blockchain signer not configured')) {
+      return res.status(503).json({
+        success: false,
+        message: 'On-chain execution is not configured'
+      });
+    }
+
     if (error.message.includes('Unauthorized')) {
       return res.status(403).json({
         success: false,
@@ -359,6 +499,56 @@ const getProposalVotes = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a voter's snapshot balance for a proposal
+ * @route   GET /api/v1/governance/proposals/:id/snapshot/:address
+ * @access  Public
+ */
+const getVoterSnapshot = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id, address } = req.params;
+
+    const snapshot = await governanceService.getVoterSnapshot(id, address);
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    logger.error('Error in getVoterSnapshot:', error);
+
+    if (error.message === 'Proposal not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Invalid proposal ID format' ||
+        error.message.includes('Snapshot not available')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * @desc    Get governance analytics
  * @route   GET /api/v1/governance/analytics
@@ -420,6 +610,20 @@ const delegateVotingPower = async (req, res) => {
   } catch (error) {
     logger.error('Error in delegateVotingPower:', error);
     
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.message.includes('Invalid delegate')) {
       return res.status(400).json({
         success: false,
@@ -427,8 +631,179 @@ const delegateVotingPower = async (req, res) => {
       });
     }
 
-    if (error.message.includes('No voting power')) {
+    if (error.message.includes('No voting power') ||
+        error.message.includes('Delegation cycle')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get delegations given and received by the user
+ * @route   GET /api/v1/governance/delegations
+ * @access  Private
+ */
+const getDelegations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'active' } = req.query;
+
+    const delegations = await governanceService.getUserDelegations({
+      userId: req.user.id,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: delegations
+    });
+
+  } catch (error) {
+    logger.error('Error in getDelegations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Re-delegate an existing delegation to a new delegate
+ * @route   PUT /api/v1/governance/delegations/:id
+ * @access  Private (Delegator)
+ */
+const redelegateVotingPower = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const delegation = await governanceService.redelegateVotingPower({
+      delegationId: req.params.id,
+      delegatorId: req.user.id,
+      delegateAddress: req.body.delegateAddress
+    });
+
+    res.json({
+      success: true,
+      data: delegation,
+      message: 'Voting power re-delegated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in redelegateVotingPower:', error);
+
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Delegation not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid delegate') ||
+        error.message.includes('No voting power') ||
+        error.message.includes('Delegation cycle')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a delegation
+ * @route   DELETE /api/v1/governance/delegations/:id
+ * @access  Private (Delegator)
+ */
+const revokeDelegation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const delegation = await governanceService.revokeDelegation({
+      delegationId: req.params.id,
+      delegatorId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: delegation,
+      message: 'Delegation revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in revokeDelegation:', error);
+
+    if (error.message === 'Delegation not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
         success: false,
         message: error.message
       });
@@ -484,10 +859,16 @@ module.exports = {
   getProposal,
   createProposal,
   voteOnProposal,
+  cancelProposal,
+  queueProposal,
   executeProposal,
   getVotingPower,
   getProposalVotes,
+  getVoterSnapshot,
   getGovernanceAnalytics,
   delegateVotingPower,
+  getDelegations,
+  redelegateVotingPower,
+  revokeDelegation,
   getGovernanceHistory
 };
\ No newline at end of file
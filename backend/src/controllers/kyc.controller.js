@@ -0,0 +1,335 @@
+const { validationResult } = require('express-validator');
+const kycService = require('../services/kyc.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the current user's verification status
+ * @route   GET /api/v1/kyc/status
+ * @access  Private
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await kycService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error in getStatus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Upload an identity document
+ * @route   POST /api/v1/kyc/documents
+ * @access  Private
+ */
+const uploadDocument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document uploaded'
+      });
+    }
+
+    const { type, side } = req.body;
+
+    const document = await kycService.uploadDocument(req.user.id, req.file, { type, side });
+
+    res.status(201).json({
+      success: true,
+      data: document,
+      message: 'Document uploaded successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in uploadDocument:', error);
+
+    if (error.message.includes('Invalid document')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot upload document')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Submit personal data for verification
+ * @route   POST /api/v1/kyc/submit
+ * @access  Private
+ */
+const submitVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, dateOfBirth, nationality, documentType, documentNumber } = req.body;
+
+    const status = await kycService.submit(req.user.id, {
+      firstName,
+      lastName,
+      dateOfBirth,
+      nationality,
+      documentType,
+      documentNumber
+    });
+
+    res.json({
+      success: true,
+      data: status,
+      message: 'Verification submitted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in submitVerification:', error);
+
+    if (error.message.includes('Cannot submit verification')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('modified concurrently')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get verifications awaiting review (or with another status)
+ * @route   GET /api/v1/kyc/reviews
+ * @access  Private (Admin)
+ */
+const getReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const result = await kycService.getReviews({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.verifications,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getReviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's verification with its status history
+ * @route   GET /api/v1/kyc/reviews/:userId
+ * @access  Private (Admin)
+ */
+const getReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verification = await kycService.getReview(req.params.userId);
+
+    res.json({
+      success: true,
+      data: verification
+    });
+
+  } catch (error) {
+    logger.error('Error in getReview:', error);
+
+    if (error.message === 'KYC verification not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Approve or reject a pending verification
+ * @route   POST /api/v1/kyc/reviews/:userId
+ * @access  Private (Admin)
+ */
+const reviewVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision, reason } = req.body;
+
+    const verification = await kycService.review(req.params.userId, { decision, reason }, req.user);
+
+    res.json({
+      success: true,
+      data: verification,
+      message: `Verification ${verification.status}`
+    });
+
+  } catch (error) {
+    logger.error('Error in reviewVerification:', error);
+
+    if (error.message === 'KYC verification not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('A reason is required')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot review verification') ||
+        error.message.includes('modified concurrently')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Record whether a user is an accredited investor
+ * @route   PUT /api/v1/kyc/reviews/:userId/accreditation
+ * @access  Private (Admin)
+ */
+const setAccreditation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { accredited, expiresAt } = req.body;
+
+    const verification = await kycService.setAccreditation(req.params.userId, { accredited, expiresAt }, req.user);
+
+    res.json({
+      success: true,
+      data: verification,
+      message: 'Accreditation updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in setAccreditation:', error);
+
+    if (error.message === 'KYC verification not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  uploadDocument,
+  submitVerification,
+  getReviews,
+  getReview,
+  reviewVerification,
+  setAccreditation
+};
@@ -0,0 +1,187 @@
+const { validationResult } = require('express-validator');
+const ledgerService = require('../services/ledger.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get current user's wallet balance as derived from the ledger
+ * @route   GET /api/v1/ledger/wallet
+ * @access  Private
+ */
+const getMyWallet = async (req, res) => {
+  try {
+    const wallet = await ledgerService.getWallet(req.user.id);
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+
+  } catch (error) {
+    logger.error('Error in getMyWallet:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get ledger entries of the current user's wallet
+ * @route   GET /api/v1/ledger/wallet/entries
+ * @access  Private
+ */
+const getMyEntries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const result = await ledgerService.getEntries({
+      account: ledgerService.accounts.wallet(req.user.id),
+      type,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getMyEntries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get balances and entries of any ledger account
+ * @route   GET /api/v1/ledger/accounts/:account
+ * @access  Private (Admin)
+ */
+const getAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, page = 1, limit = 20 } = req.query;
+    const { account } = req.params;
+
+    const balances = await ledgerService.getBalances(account);
+    const result = await ledgerService.getEntries({
+      account,
+      type,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        balances,
+        entries: result.entries
+      },
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getAccount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the trial balance of all ledger accounts
+ * @route   GET /api/v1/ledger/trial-balance
+ * @access  Private (Admin)
+ */
+const getTrialBalance = async (req, res) => {
+  try {
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    res.json({
+      success: true,
+      data: trialBalance
+    });
+
+  } catch (error) {
+    logger.error('Error in getTrialBalance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Report drift between stored wallet balances and the ledger
+ * @route   GET /api/v1/ledger/reconciliation
+ * @access  Private (Admin)
+ */
+const getReconciliation = async (req, res) => {
+  try {
+    const report = await ledgerService.reconcile();
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.driftCount === 0 ?
+        'Wallet balances match the ledger' :
+        `${report.driftCount} wallet balance(s) differ from the ledger`
+    });
+
+  } catch (error) {
+    logger.error('Error in getReconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getMyEntries,
+  getAccount,
+  getTrialBalance,
+  getReconciliation
+};
@@ -0,0 +1,242 @@
+const { validationResult } = require('express-validator');
+const marketService = require('../services/market.service');
+const { TransferRestrictedError } = require('../services/transferRestriction.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the order book of an NFT
+ * @route   GET /api/v1/nfts/:id/orderbook
+ * @access  Public
+ */
+const getOrderBook = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { depth = 20 } = req.query;
+
+    const orderBook = await marketService.getOrderBook(req.params.id, {
+      depth: parseInt(depth)
+    });
+
+    res.json({
+      success: true,
+      data: orderBook
+    });
+
+  } catch (error) {
+    logger.error('Error in getOrderBook:', error);
+
+    if (error.message === 'NFT not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Place a limit order (ask or bid) for NFT shares
+ * @route   POST /api/v1/nfts/:id/orders
+ * @access  Private
+ */
+const placeOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { side, quantity, limitPrice, expiresAt } = req.body;
+
+    const result = await marketService.placeOrder({
+      nftId: req.params.id,
+      traderId: req.user.id,
+      side,
+      quantity: parseInt(quantity),
+      limitPrice: parseFloat(limitPrice),
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: result.fills.length > 0 ?
+        `Order placed and matched ${result.fills.length} time(s)` :
+        'Order placed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in placeOrder:', error);
+
+    if (error.message === 'NFT not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof TransferRestrictedError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+        errors: error.violations
+      });
+    }
+
+    if (error.message.includes('KYC required') ||
+        error.message.includes('Not eligible')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Insufficient') ||
+        error.message.includes('Invalid expiration')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Concurrent update')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get current user's orders
+ * @route   GET /api/v1/nfts/market/orders
+ * @access  Private
+ */
+const getMyOrders = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, nftId, page = 1, limit = 20 } = req.query;
+
+    const result = await marketService.getUserOrders({
+      traderId: req.user.id,
+      status,
+      nftId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.orders,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getMyOrders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an open order
+ * @route   DELETE /api/v1/nfts/market/orders/:orderId
+ * @access  Private (Order owner)
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await marketService.cancelOrder({
+      orderId: req.params.orderId,
+      traderId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: order,
+      message: 'Order cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in cancelOrder:', error);
+
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot cancel')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrderBook,
+  placeOrder,
+  getMyOrders,
+  cancelOrder
+};
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const nftService = require('../services/nft.service');
+const { TransferRestrictedError } = require('../services/transferRestriction.service');
 const propertyService = require('../services/property.service');
 const logger = require('../utils/logger');
 
@@ -107,6 +108,44 @@ const getNFT = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get ERC-1155 / OpenSea metadata of a token (resolved by the contract's token URI)
+ * @route   GET /api/v1/nfts/metadata/:tokenId.json
+ * @access  Public
+ */
+const getTokenMetadata = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const metadata = await nftService.getTokenMetadata(req.params.tokenId);
+
+    // Served as the bare metadata document that wallets and marketplaces expect
+    res.json(metadata);
+
+  } catch (error) {
+    logger.error('Error in getTokenMetadata:', error);
+
+    if (error.message === 'NFT not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * @desc    Mint NFTs for a property
  * @route   POST /api/v1/nfts/mint
@@ -165,6 +204,66 @@ const mintNFTs = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Quote the price of NFT shares, including fees, and reserve them until the quote expires
+ * @route   POST /api/v1/nfts/:id/quote
+ * @access  Private
+ */
+const createQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await nftService.createQuote({
+      nftId: req.params.id,
+      buyerId: req.user.id,
+      quantity: parseInt(req.body.quantity)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: quote,
+      message: 'Shares reserved until the quote expires'
+    });
+
+  } catch (error) {
+    logger.error('Error in createQuote:', error);
+
+    if (error.message === 'NFT not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('KYC required') ||
+        error.message.includes('Not eligible')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Insufficient shares')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * @desc    Purchase NFT shares
  * @route   POST /api/v1/nfts/:id/purchase
@@ -182,18 +281,28 @@ const purchaseNFT = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { quantity, paymentMethod } = req.body;
+    const { quoteId, paymentMethod, txHash } = req.body;
 
-    const transaction = await nftService.purchaseNFT({
+    const result = await nftService.purchaseNFT({
       nftId: id,
       buyerId: req.user.id,
-      quantity,
-      paymentMethod
+      quoteId,
+      paymentMethod,
+      txHash
     });
 
+    // Fiat and crypto purchases complete once the payment is confirmed
+    if (result.payment && result.transaction.status !== 'completed') {
+      return res.status(202).json({
+        success: true,
+        data: result,
+        message: 'Purchase pending payment'
+      });
+    }
+
     res.json({
       success: true,
-      data: transaction,
+      data: result,
       message: 'Purchase completed successfully'
     });
 
@@ -207,6 +316,14 @@ const purchaseNFT = async (req, res) => {
       });
     }
 
+    if (error.message.includes('KYC required') ||
+        error.message.includes('Not eligible')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.message.includes('Insufficient shares')) {
       return res.status(400).json({
         success: false,
@@ -214,13 +331,29 @@ const purchaseNFT = async (req, res) => {
       });
     }
 
-    if (error.message.includes('Insufficient funds')) {
+    if (error.message.includes('Insufficient funds') ||
+        error.message.includes('Invalid quote') ||
+        error.message.includes('Invalid payment')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
 
+    if (error.message.includes('Payment provider not configured')) {
+      return res.status(503).json({
+        success: false,
+        message: 'Fiat payments are not available'
+      });
+    }
+
+    if (error.message.includes('Crypto payments not configured')) {
+      return res.status(503).json({
+        success: false,
+        message: 'Crypto payments are not available'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -270,6 +403,14 @@ const transferNFT = async (req, res) => {
       });
     }
 
+    if (error instanceof TransferRestrictedError) {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+        errors: error.violations
+      });
+    }
+
     if (error.message.includes('Insufficient shares')) {
       return res.status(400).json({
         success: false,
@@ -277,6 +418,20 @@ const transferNFT = async (req, res) => {
       });
     }
 
+    if (error.message.includes('Address blocked')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Screening unavailable')) {
+      return res.status(503).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.message === 'Invalid recipient address') {
       return res.status(400).json({
         success: false,
@@ -284,6 +439,13 @@ const transferNFT = async (req, res) => {
       });
     }
 
+    if (error.message.includes('Not eligible')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -465,7 +627,9 @@ const getMarketStats = async (req, res) => {
 module.exports = {
   getNFTs,
   getNFT,
+  getTokenMetadata,
   mintNFTs,
+  createQuote,
   purchaseNFT,
   transferNFT,
   getUserPortfolio,
@@ -0,0 +1,42 @@
+const paymentService = require('../services/payment.service');
+const nftService = require('../services/nft.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Receive a signed payment provider webhook and settle or cancel its purchase
+ * @route   POST /api/v1/payments/webhook
+ * @access  Public (verified by signature)
+ */
+const handleWebhook = async (req, res) => {
+  try {
+    // The signature covers the exact bytes received, not the parsed body
+    const event = paymentService.constructEvent(req.rawBody, req.headers);
+
+    await nftService.applyPaymentEvent(event);
+
+    res.json({
+      success: true,
+      message: 'Webhook processed'
+    });
+
+  } catch (error) {
+    logger.error('Error in handleWebhook:', error);
+
+    if (error.message.includes('Invalid webhook')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Any other failure is retried by the provider
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  handleWebhook
+};
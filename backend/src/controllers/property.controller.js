@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const propertyService = require('../services/property.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 
 /**
@@ -216,9 +217,24 @@ const updateProperty = async (req, res) => {
 const deleteProperty = async (req, res) => {
   try {
     const { id } = req.params;
-    
+
+    const property = await propertyService.getPropertyById(id);
+
     await propertyService.deleteProperty(id, req.user);
 
+    await auditService.record({
+      action: auditService.AUDIT_ACTIONS.PROPERTY_DELETE,
+      actor: req.user,
+      target: { type: 'Property', id },
+      before: property && {
+        title: property.title,
+        category: property.category,
+        location: property.location,
+        createdBy: property.createdBy,
+        nft: property.nft
+      }
+    });
+
     res.json({
       success: true,
       message: 'Property deleted successfully'
@@ -0,0 +1,186 @@
+const { validationResult } = require('express-validator');
+const screeningService = require('../services/screening.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get screening hits (blocked and overridden attempts)
+ * @route   GET /api/v1/screening/events
+ * @access  Private (Admin)
+ */
+const getEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { result: outcome, action, address, page = 1, limit = 20 } = req.query;
+
+    const result = await screeningService.getEvents({
+      result: outcome,
+      action,
+      address,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.events,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getEvents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get screening overrides
+ * @route   GET /api/v1/screening/overrides
+ * @access  Private (Admin)
+ */
+const getOverrides = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const overrides = await screeningService.getOverrides({ active: req.query.active === 'true' });
+
+    res.json({
+      success: true,
+      data: overrides
+    });
+
+  } catch (error) {
+    logger.error('Error in getOverrides:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Let a listed address through screening
+ * @route   POST /api/v1/screening/overrides
+ * @access  Private (Admin)
+ */
+const createOverride = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { address, reason, eventId, expiresAt } = req.body;
+
+    const override = await screeningService.createOverride({ address, reason, eventId, expiresAt }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: override,
+      message: 'Screening override created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in createOverride:', error);
+
+    if (error.message === 'Screening event not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid override')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a screening override
+ * @route   DELETE /api/v1/screening/overrides/:id
+ * @access  Private (Admin)
+ */
+const revokeOverride = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const override = await screeningService.revokeOverride(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: override,
+      message: 'Screening override revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in revokeOverride:', error);
+
+    if (error.message === 'Screening override not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Screening override already revoked') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getEvents,
+  getOverrides,
+  createOverride,
+  revokeOverride
+};
@@ -0,0 +1,101 @@
+const { validationResult } = require('express-validator');
+const transferRestrictionService = require('../services/transferRestriction.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the transfer restrictions of a property
+ * @route   GET /api/v1/properties/:id/transfer-restrictions
+ * @access  Public
+ */
+const getTransferRestrictions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const restrictions = await transferRestrictionService.getRestrictions(req.params.id);
+
+    res.json({
+      success: true,
+      data: restrictions
+    });
+
+  } catch (error) {
+    logger.error('Error in getTransferRestrictions:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Set the lockup and transfer windows of a property
+ * @route   PUT /api/v1/properties/:id/transfer-restrictions
+ * @access  Private (Admin)
+ */
+const updateTransferRestrictions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { lockupDays, transferWindows } = req.body;
+
+    const restrictions = await transferRestrictionService.updateRestrictions(req.params.id, {
+      lockupDays,
+      transferWindows
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: restrictions,
+      message: 'Transfer restrictions updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in updateTransferRestrictions:', error);
+
+    if (error.message === 'Property not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid transfer restrictions')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTransferRestrictions,
+  updateTransferRestrictions
+};
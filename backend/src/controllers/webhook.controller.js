@@ -0,0 +1,252 @@
+const { validationResult } = require('express-validator');
+const webhookService = require('../services/webhook.service');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get webhook subscriptions
+ * @route   GET /api/v1/webhooks/subscriptions
+ * @access  Private (Admin)
+ */
+const getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await webhookService.getSubscriptions();
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+
+  } catch (error) {
+    logger.error('Error in getSubscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Register a webhook endpoint for event types
+ * @route   POST /api/v1/webhooks/subscriptions
+ * @access  Private (Admin)
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description } = req.body;
+
+    const subscription = await webhookService.createSubscription({ url, events, description }, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      message: 'Webhook subscription created; store the secret, it is not shown again'
+    });
+
+  } catch (error) {
+    logger.error('Error in createSubscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook subscription
+ * @route   PUT /api/v1/webhooks/subscriptions/:id
+ * @access  Private (Admin)
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description, active } = req.body;
+
+    const subscription = await webhookService.updateSubscription(req.params.id, {
+      url,
+      events,
+      description,
+      active
+    });
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: 'Webhook subscription updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in updateSubscription:', error);
+
+    if (error.message === 'Webhook subscription not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook subscription and its deliveries
+ * @route   DELETE /api/v1/webhooks/subscriptions/:id
+ * @access  Private (Admin)
+ */
+const deleteSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await webhookService.deleteSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in deleteSubscription:', error);
+
+    if (error.message === 'Webhook subscription not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get webhook deliveries; status=dead lists the dead letters
+ * @route   GET /api/v1/webhooks/deliveries
+ * @access  Private (Admin)
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, subscriptionId, eventType, page = 1, limit = 20 } = req.query;
+
+    const result = await webhookService.getDeliveries({
+      status,
+      subscriptionId,
+      eventType,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.deliveries,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getDeliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Send a dead or succeeded webhook delivery again
+ * @route   POST /api/v1/webhooks/deliveries/:id/replay
+ * @access  Private (Admin)
+ */
+const replayDelivery = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const delivery = await webhookService.replayDelivery(req.params.id);
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+      message: 'Delivery queued for replay'
+    });
+
+  } catch (error) {
+    logger.error('Error in replayDelivery:', error);
+
+    if (error.message === 'Webhook delivery not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Cannot replay delivery')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  getDeliveries,
+  replayDelivery
+};
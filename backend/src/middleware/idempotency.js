@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const { RedisIdempotencyStore } = require('../utils/idempotencyStore');
+const stableStringify = require('../utils/stableStringify');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const defaultStore = new RedisIdempotencyStore(redis);
+
+const fingerprint = req => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Make a route safe to retry with an `Idempotency-Key` header.
+ *
+ * The first response (any status below 500) is stored and replayed for
+ * retries with the same key and the same request. Reusing a key for a
+ * different request is rejected with 422; a retry while the first request
+ * is still running gets 409. Requests without the header are not affected.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Idempotency store (see utils/idempotencyStore)
+ * @param {number} [options.ttlMs] - How long a stored response can be replayed
+ * @param {number} [options.lockTtlMs] - How long an unfinished request holds its key
+ */
+const idempotency = ({
+  store = defaultStore,
+  ttlMs = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || 24 * 60 * 60, 10) * 1000,
+  lockTtlMs = parseInt(process.env.IDEMPOTENCY_LOCK_TTL_SECONDS || 5 * 60, 10) * 1000
+} = {}) => async (req, res, next) => {
+  const idempotencyKey = req.get(HEADER);
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be 1-255 printable ASCII characters`
+    });
+  }
+
+  // Keys are scoped per user so clients cannot collide with each other
+  const storeKey = `idempotency:${req.user ? req.user.id : 'anonymous'}:${idempotencyKey}`;
+  const requestHash = fingerprint(req);
+
+  try {
+    const claimed = await store.create(
+      storeKey,
+      { status: 'in_progress', requestHash, createdAt: new Date().toISOString() },
+      lockTtlMs
+    );
+
+    if (!claimed) {
+      const record = await store.get(storeKey);
+
+      // Expired between the two calls; let the client retry cleanly
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotent request state changed, please retry'
+        });
+      }
+
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${HEADER} has already been used for a different request`
+        });
+      }
+
+      if (record.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          message: `A request with this ${HEADER} is still being processed`
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+  } catch (error) {
+    logger.error('Error in idempotency middleware:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  // Store the response before sending it, so a retry made as soon as the client
+  // has it is replayed instead of being rejected as still in progress
+  let responded = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responded = true;
+
+    const saved = res.statusCode < 500 ?
+      store.set(storeKey, {
+        status: 'completed',
+        requestHash,
+        statusCode: res.statusCode,
+        body,
+        createdAt: new Date().toISOString()
+      }, ttlMs) :
+      // Server errors are not stored so the client can retry
+      store.delete(storeKey);
+
+    // A failed write leaves the key in progress until lockTtlMs; the response is sent regardless
+    saved
+      .catch(error => logger.error('Error storing idempotent response:', error))
+      .then(() => json(body))
+      .catch(next);
+    return res;
+  };
+
+  // Responses sent without JSON release the key; abandoned requests expire after lockTtlMs
+  res.on('finish', () => {
+    if (!responded) {
+      store.delete(storeKey)
+        .catch(error => logger.error('Error releasing idempotency key:', error));
+    }
+  });
+
+  return next();
+};
+
+module.exports = idempotency;
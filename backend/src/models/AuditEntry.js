@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry of the audit log of privileged and financial actions.
+ *
+ * Entries form a hash chain: `hash` is the SHA-256 of the entry's content
+ * including `previousHash`, the hash of the entry before it (by sequence),
+ * so editing, removing or reordering an entry breaks every hash after it
+ * (see services/audit.service verify). The model refuses updates and
+ * deletes; writes that bypass it are what verification detects.
+ * Entries recorded as a step of a retried operation carry a `key`, so the
+ * retry finds the entry instead of writing a second one.
+ */
+const actorSchema = new mongoose.Schema({
+  // Null for actions taken by the platform itself (e.g. scheduled execution)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String,
+  walletAddress: String
+}, {
+  _id: false
+});
+
+const targetSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  id: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const requestSchema = new mongoose.Schema({
+  requestId: String,
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String
+}, {
+  _id: false
+});
+
+const auditEntrySchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // Set only for entries recorded with an idempotency key
+  key: String,
+  actor: {
+    type: actorSchema,
+    required: true
+  },
+  target: {
+    type: targetSchema,
+    required: true
+  },
+  // [{ path, before, after }] for every field the action changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  // Action details that are not field changes, e.g. a rejection reason
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Null outside an HTTP request
+  request: {
+    type: requestSchema,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  // Keep empty objects so stored entries hash the same as when written
+  minimize: false
+});
+
+auditEntrySchema.index({ key: 1 }, { unique: true, sparse: true });
+auditEntrySchema.index({ action: 1, createdAt: -1 });
+auditEntrySchema.index({ 'actor.user': 1, createdAt: -1 });
+auditEntrySchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+const appendOnly = function (next) {
+  next(new Error('Audit log is append-only'));
+};
+
+auditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'deleteMany']
+  .forEach(operation => auditEntrySchema.pre(operation, appendOnly));
+auditEntrySchema.pre('deleteOne', { document: true, query: true }, appendOnly);
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use nonce issued for Sign-In with Ethereum (EIP-4361)
+ */
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ipAddress: String,
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired nonces automatically
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
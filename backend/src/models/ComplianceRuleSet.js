@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const countryCode = {
+  type: String,
+  match: /^[A-Z]{2}$/
+};
+
+/**
+ * Who may hold a property's shares. Checked whenever shares reach a new
+ * investor: primary purchases, secondary sales and transfers (see
+ * services/compliance.service). Countries are ISO 3166-1 alpha-2 codes
+ * matched against the investor's KYC-verified nationality. Properties
+ * without a rule set accept every verified investor.
+ */
+const complianceRuleSetSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    unique: true
+  },
+  // Only these countries, when not empty
+  allowedCountries: [countryCode],
+  blockedCountries: [countryCode],
+  accreditedOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Investors holding shares of the property at the same time
+  maxHolders: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Shares of the property one investor may hold, across its NFTs
+  maxSharesPerInvestor: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ComplianceRuleSet', complianceRuleSetSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named sequence, advanced atomically with $inc (e.g. NFT token IDs)
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
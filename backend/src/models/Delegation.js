@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Vote delegation from one holder to another. A delegation without a
+ * propertyId is global: it applies to global proposals and to every property
+ * for which the delegator has no property-specific delegation.
+ */
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  delegatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'redelegated', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One active delegation per delegator and scope
+delegationSchema.index(
+  { delegator: 1, propertyId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+delegationSchema.virtual('scope').get(function getScope() {
+  return this.propertyId ? 'property' : 'global';
+});
+
+module.exports = mongoose.model('Delegation', delegationSchema);
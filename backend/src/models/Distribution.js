@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Net income of a property for one period, split pro rata among the
+ * holders of its shares at the record date. Amounts are kept in minor
+ * units of the property currency (see `decimals`) so that the payouts
+ * always add up to exactly `netIncomeMinor`.
+ */
+const distributionSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  recordDate: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  decimals: {
+    type: Number,
+    required: true
+  },
+  netIncome: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  netIncomeMinor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalShares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  holderCount: {
+    type: Number,
+    default: 0
+  },
+  // Minor units assigned by the largest-remainder step after flooring each entitlement
+  remainderMinor: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+distributionSchema.index({ propertyId: 1, periodStart: 1, periodEnd: 1 }, { unique: true });
+distributionSchema.index({ propertyId: 1, recordDate: -1 });
+
+module.exports = mongoose.model('Distribution', distributionSchema);
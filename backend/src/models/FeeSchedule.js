@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fees charged on a property's share sales, in basis points (1/100 of a percent).
+ * The primary issuance fee is paid by the buyer on top of the share price;
+ * the secondary trading fee and the property-manager royalty are deducted
+ * from the seller's proceeds. Properties without a schedule use the platform
+ * defaults (see services/fee.service).
+ */
+const feeScheduleSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    unique: true
+  },
+  primaryFeeBps: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  secondaryFeeBps: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  royaltyBps: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  // Receives the royalty; the property's creator when not set
+  royaltyRecipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
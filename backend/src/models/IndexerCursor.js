@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Last block processed by a blockchain indexer, with its hash so a reorg
+ * below the confirmation depth can be detected on the next run. The last
+ * blocks processed (`checkpoints`, newest last) are kept with their hashes
+ * to find the block a reorg branched off from.
+ */
+const indexerCursorSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  checkpoints: {
+    type: [{
+      _id: false,
+      blockNumber: Number,
+      blockHash: String
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IndexerCursor', indexerCursorSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user's identity verification with the KYC provider. The user's
+ * `kycStatus` mirrors `status` so access checks need no extra lookup.
+ * Documents are kept at the provider; only their metadata is stored here.
+ *
+ * Status: not_started -> pending -> approved | rejected
+ *         rejected -> pending (resubmitted)
+ */
+const documentSchema = new mongoose.Schema({
+  providerDocumentId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['passport', 'drivers_license', 'national_id', 'proof_of_address'],
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['front', 'back', null],
+    default: null
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const transitionSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // User ID of the applicant or reviewer, or 'provider'
+  by: String,
+  reason: {
+    type: String,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const kycVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['not_started', 'pending', 'approved', 'rejected'],
+    default: 'not_started'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  applicantId: {
+    type: String,
+    default: null
+  },
+  // Only the last digits of the document number are kept
+  personal: {
+    firstName: String,
+    lastName: String,
+    dateOfBirth: Date,
+    nationality: String,
+    documentType: String,
+    documentNumberLast4: String
+  },
+  documents: [documentSchema],
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  // Accredited investor status, confirmed by an admin; expires if a date is set
+  accreditation: {
+    accredited: {
+      type: Boolean,
+      default: false
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  history: [transitionSchema]
+}, {
+  timestamps: true
+});
+
+kycVerificationSchema.index({ status: 1, submittedAt: 1 });
+
+module.exports = mongoose.model('KycVerification', kycVerificationSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * One balanced journal entry of the double-entry ledger.
+ *
+ * Accounts are identified by code:
+ *   wallet:<userId>          user wallet (owed to the user)
+ *   treasury:<propertyId>    property treasury (primary sale proceeds)
+ *   escrow                   platform escrow (funds held during settlement, unclaimed payouts)
+ *   fees                     platform fee revenue
+ *   external                 money outside the platform (payment rails, property income)
+ *
+ * Amounts are integer minor units of `currency`. Entries are append-only;
+ * a mistake is corrected by posting a reversing entry.
+ *
+ * An entry debits at most one wallet. Entries debiting a wallet are numbered
+ * per wallet (`debitSequence`), so two debits checked against the same
+ * balance cannot both be posted (see LedgerService.post).
+ */
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Unique per business event so a retried posting is never booked twice
+  postingKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['opening_balance', 'hold', 'settlement', 'refund', 'distribution', 'payout_claim'],
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  lines: {
+    type: [lineSchema],
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  distributionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    default: null
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  memo: {
+    type: String,
+    default: ''
+  },
+  // Wallet debited by the entry, if any, and the entry's place among its debits
+  debitAccount: {
+    type: String,
+    default: null
+  },
+  debitSequence: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, currency: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index(
+  { debitAccount: 1, debitSequence: 1 },
+  { unique: true, partialFilterExpression: { debitAccount: { $type: 'string' } } }
+);
+
+ledgerEntrySchema.pre('validate', function (next) {
+  if (this.lines.length < 2) {
+    return next(new Error('Unbalanced ledger entry: At least two lines are required'));
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    if (!Number.isSafeInteger(line.debit) || !Number.isSafeInteger(line.credit) ||
+        (line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('Unbalanced ledger entry: Each line must be either a debit or a credit in minor units'));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+
+  if (debits !== credits) {
+    return next(new Error('Unbalanced ledger entry: Debits must equal credits'));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
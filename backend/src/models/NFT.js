@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * The share token of a tokenized property. Shares not yet sold to investors
+ * are counted in `availableShares`; `ownership` holds one entry per holder.
+ * Ownership is only changed through NFTService.updateOwnership, which writes
+ * against `__v` so concurrent changes cannot overwrite each other. Each
+ * entry's `lots` keep the shares of every acquisition apart (see utils/shareLots);
+ * `purchaseDate` is the holder's first purchase.
+ * `pendingAllocations` lists purchases whose shares have been allocated but
+ * that are not completed yet (see NFTService.resolveStalePurchases).
+ *
+ * Status: available -> sold_out (no shares left) -> available (shares released)
+ */
+// Shares a holder acquired at one time; lockups run from each lot's date
+const lotSchema = new mongoose.Schema({
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const ownershipSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  purchaseDate: {
+    type: Date,
+    default: Date.now
+  },
+  purchasePrice: {
+    type: Number,
+    default: 0
+  },
+  lots: {
+    type: [lotSchema],
+    default: []
+  }
+}, {
+  _id: false
+});
+
+const attributeSchema = new mongoose.Schema({
+  trait_type: String,
+  value: String
+}, {
+  _id: false
+});
+
+const nftSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  metadata: {
+    name: String,
+    description: String,
+    image: String,
+    attributes: {
+      type: [attributeSchema],
+      default: []
+    }
+  },
+  totalShares: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  availableShares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pricePerShare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  ownership: {
+    type: [ownershipSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['available', 'sold_out', 'inactive'],
+    default: 'available'
+  },
+  mintedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mintedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pendingAllocations: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Transaction',
+    default: []
+  },
+  // Last on-chain transfer log applied (see services/chainIndexer)
+  chainSync: {
+    blockNumber: Number,
+    logIndex: Number,
+    transactionHash: String
+  }
+}, {
+  timestamps: true
+});
+
+nftSchema.index({ propertyId: 1 });
+nftSchema.index({ 'ownership.owner': 1 });
+nftSchema.index({ status: 1, createdAt: -1 });
+nftSchema.index({ pendingAllocations: 1 });
+
+module.exports = mongoose.model('NFT', nftSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Secondary market limit order. Asks offer a holder's shares, bids offer
+ * wallet funds; both rest in the order book until filled, cancelled or
+ * expired. `limitPrice` is per share.
+ */
+const orderSchema = new mongoose.Schema({
+  nftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFT',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['ask', 'bid'],
+    required: true
+  },
+  trader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  remainingQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  filledQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  limitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partially_filled', 'filled', 'cancelled', 'expired'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  filledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    enum: ['cancelled_by_trader', 'insufficient_shares', 'insufficient_funds', 'not_eligible', 'transfer_restricted', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Price-time priority lookups
+orderSchema.index({ nftId: 1, side: 1, status: 1, limitPrice: 1, createdAt: 1 });
+orderSchema.index({ trader: 1, status: 1, createdAt: -1 });
+orderSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Order', orderSchema);
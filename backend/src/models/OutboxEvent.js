@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * A published platform event, stored before anything is told about it so
+ * it survives the process stopping (see utils/eventBus). The webhook
+ * dispatcher relays events not yet dispatched to webhook deliveries.
+ *
+ * Events published as a step of an operation that is completed again after
+ * an interruption carry a `key`, so the operation's event is stored once.
+ */
+const outboxEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  key: String,
+  type: {
+    type: String,
+    required: true
+  },
+  // The event envelope as published
+  envelope: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  dispatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+outboxEventSchema.index({ key: 1 }, { unique: true, sparse: true });
+outboxEventSchema.index({ dispatchedAt: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OutboxEvent', outboxEventSchema);
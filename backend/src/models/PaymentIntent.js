@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * The payment of a pending purchase: a fiat payment mirrored from the payment
+ * provider, or an on-chain crypto payment (provider 'crypto', keyed by its
+ * transaction hash so a transaction pays at most one purchase).
+ * The purchase's shares stay reserved until the payment succeeds (shares
+ * allocated), or the intent is canceled (shares released).
+ * A failed attempt only records its reason; the buyer can retry until expiry.
+ *
+ * Status: requires_payment -> succeeded | canceled | requires_refund
+ *         canceled -> succeeded | requires_refund (paid after it was canceled locally)
+ */
+const paymentIntentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  providerIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    required: true
+  },
+  nftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFT',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment', 'succeeded', 'canceled', 'requires_refund'],
+    default: 'requires_payment'
+  },
+  chain: {
+    chainId: Number,
+    txHash: String,
+    payer: String,
+    asset: String,
+    assetAmount: String,
+    confirmations: Number
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  lastEventId: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+paymentIntentSchema.index({ provider: 1, status: 1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
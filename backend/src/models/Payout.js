@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * A holder's entitlement from one distribution, claimable into the
+ * holder's wallet balance.
+ */
+const payoutSchema = new mongoose.Schema({
+  distributionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  amountMinor: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['unclaimed', 'claimed'],
+    default: 'unclaimed'
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ distributionId: 1, holder: 1 }, { unique: true });
+payoutSchema.index({ holder: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
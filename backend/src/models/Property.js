@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * A real estate property offered for fractional ownership. Once its shares
+ * are minted, `nft` mirrors the share token (see NFTService.mintNFTs).
+ *
+ * Status: draft -> active -> sold | inactive
+ */
+const propertySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: ['USD', 'EUR', 'ETH', 'BTC'],
+    default: 'USD'
+  },
+  category: {
+    type: String,
+    enum: ['residential', 'commercial', 'industrial', 'land', 'mixed'],
+    required: true
+  },
+  location: {
+    address: String,
+    city: String,
+    country: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    }
+  },
+  details: {
+    bedrooms: Number,
+    bathrooms: Number,
+    area: Number,
+    yearBuilt: Number
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  nft: {
+    isTokenized: {
+      type: Boolean,
+      default: false
+    },
+    contractAddress: String,
+    tokenId: String,
+    totalShares: Number,
+    pricePerShare: Number
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'sold', 'inactive'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+propertySchema.index({ status: 1, createdAt: -1 });
+propertySchema.index({ category: 1, price: 1 });
+propertySchema.index({ 'location.city': 1, 'location.country': 1 });
+propertySchema.index({ title: 'text', description: 'text' });
+
+module.exports = mongoose.model('Property', propertySchema);
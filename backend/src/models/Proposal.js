@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * A governance proposal for one property, or for the whole platform when it
+ * has no propertyId. Voting power is frozen in a VotingSnapshot when the
+ * proposal becomes active, and the tally used for the decision is kept in
+ * `result`. Succeeded proposals are queued in the timelock; their on-chain
+ * actions are executed in order and each action's outcome is kept in
+ * `executionResults` at the same index (see GovernanceService.executeProposal).
+ *
+ * Status: pending -> active -> succeeded | defeated
+ *         succeeded -> queued -> executed
+ *         pending | active -> cancelled
+ */
+// A contract call made when the proposal is executed
+const actionSchema = new mongoose.Schema({
+  target: {
+    type: String,
+    required: true
+  },
+  // Wei as a decimal string, so amounts above 2^53 keep their precision
+  value: {
+    type: String,
+    default: '0',
+    match: /^\d+$/
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  args: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, {
+  _id: false
+});
+
+const proposalSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['property_management', 'financial', 'governance', 'technical', 'other'],
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actions: {
+    type: [actionSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'succeeded', 'defeated', 'queued', 'executed', 'cancelled'],
+    default: 'pending'
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  // Share of eligible shares that must vote, and of for/against votes that must be for
+  quorumThreshold: {
+    type: Number,
+    required: true
+  },
+  approvalThreshold: {
+    type: Number,
+    required: true
+  },
+  abstainCountsTowardQuorum: {
+    type: Boolean,
+    default: true
+  },
+  allowVoteChange: {
+    type: Boolean,
+    default: false
+  },
+  // Running tally while voting is open; the final tally once it has ended
+  votesFor: {
+    type: Number,
+    default: 0
+  },
+  votesAgainst: {
+    type: Number,
+    default: 0
+  },
+  abstainVotes: {
+    type: Number,
+    default: 0
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  snapshotTakenAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: Date,
+  // Thresholds and tally the decision was made on (see GovernanceService.computeProposalResult)
+  result: mongoose.Schema.Types.Mixed,
+  queuedAt: Date,
+  queuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // End of the timelock
+  eta: Date,
+  // Set while an execution is in progress so it is not started twice
+  executionStartedAt: {
+    type: Date,
+    default: null
+  },
+  executionResults: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  executedAt: Date,
+  executedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+proposalSchema.index({ status: 1, startTime: 1 });
+proposalSchema.index({ status: 1, endTime: 1 });
+proposalSchema.index({ propertyId: 1, createdAt: -1 });
+proposalSchema.index({ proposedBy: 1 });
+proposalSchema.index({ 'executionResults.transactionHash': 1 });
+
+module.exports = mongoose.model('Proposal', proposalSchema);
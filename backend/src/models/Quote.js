@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * A priced purchase offer that reserves NFT shares for a short time.
+ * Reserved shares are taken off `availableShares` while the quote is active;
+ * a purchase uses the quote, and an expired quote gives its shares back.
+ *
+ * Status: pending (reserving) -> active -> used | expired
+ */
+const feeLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['primary_fee', 'secondary_fee', 'royalty'],
+    required: true
+  },
+  rateBps: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  paidBy: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const quoteSchema = new mongoose.Schema({
+  nftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFT',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  pricePerShare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fees: {
+    type: [feeLineSchema],
+    default: []
+  },
+  totalFees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'used', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quoteSchema.index({ status: 1, expiresAt: 1 });
+quoteSchema.index({ buyer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Quote', quoteSchema);
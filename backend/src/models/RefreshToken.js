@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh token bound to a wallet session. Only the SHA-256 hash of the
+ * token is stored; rotated tokens point at their replacement so reuse of a
+ * revoked token can be detected.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  walletAddress: {
+    type: String,
+    required: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit trail of screening hits: an address on a sanctions / risk list was
+ * used for a wallet-bound action and was either blocked or let through by
+ * an admin override. Entries are never updated.
+ */
+const screeningEventSchema = new mongoose.Schema({
+  // Lowercase
+  address: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['login', 'transfer', 'delegation', 'payout'],
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['blocked', 'overridden'],
+    required: true
+  },
+  // User performing the action
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  match: {
+    list: String,
+    reason: String
+  },
+  overrideId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScreeningOverride',
+    default: null
+  },
+  // Action details, e.g. the NFT of a transfer or the IP of a sign-in
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+screeningEventSchema.index({ result: 1, createdAt: -1 });
+screeningEventSchema.index({ address: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScreeningEvent', screeningEventSchema);
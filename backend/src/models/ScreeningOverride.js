@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin decision to let a listed address through screening, e.g. after a
+ * false positive was investigated. Applies to every action until it expires
+ * or is revoked.
+ */
+const screeningOverrideSchema = new mongoose.Schema({
+  // Lowercase
+  address: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Blocked attempt that prompted the override
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScreeningEvent',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+screeningOverrideSchema.index({ address: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ScreeningOverride', screeningOverrideSchema);
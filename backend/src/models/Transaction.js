@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+/**
+ * A movement of NFT shares: minting, a primary purchase, a transfer between
+ * holders or a secondary-market sale. Transfers picked up from the chain
+ * (source 'chain') are keyed by transaction hash and log index.
+ *
+ * Status: pending -> completed | failed
+ */
+const feeLineSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['primary_fee', 'secondary_fee', 'royalty'],
+    required: true
+  },
+  rateBps: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  paidBy: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['mint', 'purchase', 'transfer', 'sale'],
+    required: true
+  },
+  nftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NFT',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Sender; null for mints and primary purchases
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  fees: {
+    type: [feeLineSchema],
+    default: []
+  },
+  totalFees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['wallet', 'fiat', 'crypto', null],
+    default: null
+  },
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  askOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  bidOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['platform', 'chain'],
+    default: 'platform'
+  },
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  // On-chain position of transfers picked up from the chain
+  logIndex: Number,
+  blockNumber: Number,
+  fromAddress: String,
+  toAddress: String,
+  // Sender's lots taken by a chain transfer, given back if a reorg undoes it
+  lots: {
+    type: [
+      {
+        _id: false,
+        shares: Number,
+        acquiredAt: Date
+      }
+    ],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+transactionSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+transactionSchema.index({ nftId: 1, createdAt: -1 });
+transactionSchema.index({ type: 1, status: 1, createdAt: -1 });
+transactionSchema.index({ from: 1, createdAt: -1 });
+transactionSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
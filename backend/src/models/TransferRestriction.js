@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const transferWindowSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+/**
+ * When a property's shares may change hands between investors, by transfer
+ * or secondary sale (see services/transferRestriction.service). Properties
+ * without restrictions use the platform lockup (TRANSFER_LOCKUP_DAYS) and
+ * are always open for transfers.
+ */
+const transferRestrictionSchema = new mongoose.Schema({
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    unique: true
+  },
+  // Days after a holding's purchase date before it can be transferred or sold
+  lockupDays: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Transfers are only allowed inside one of these periods, when not empty
+  transferWindows: {
+    type: [transferWindowSchema],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TransferRestriction', transferRestrictionSchema);
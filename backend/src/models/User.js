@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Platform account, identified by its wallet (Sign-In with Ethereum).
+ * `walletBalance` is the platform balance in the fiat currency that share
+ * purchases, sales and payouts settle in; `kycStatus` mirrors the user's
+ * KycVerification (see services/kyc.service).
+ */
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 50
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: undefined
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'manager', 'dao', 'admin'],
+    default: 'user'
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  kycStatus: {
+    type: String,
+    enum: ['not_started', 'pending', 'approved', 'rejected'],
+    default: 'not_started'
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ email: 1 }, { unique: true, sparse: true });
+userSchema.index({ role: 1 });
+
+module.exports = mongoose.model('User', userSchema);
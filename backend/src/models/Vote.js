@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * A holder's vote on a proposal, weighted by the voting power in the
+ * proposal's snapshot: the voter's own shares plus those delegated to them
+ * by holders who did not vote themselves. A changed vote replaces the
+ * voter's earlier one.
+ */
+const voteSchema = new mongoose.Schema({
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  voter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  support: {
+    type: String,
+    enum: ['for', 'against', 'abstain'],
+    required: true
+  },
+  votingPower: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  directVotingPower: {
+    type: Number,
+    default: 0
+  },
+  delegatedVotingPower: {
+    type: Number,
+    default: 0
+  },
+  // Holders whose delegated shares this vote carries
+  delegators: [
+    {
+      _id: false,
+      delegator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      shares: Number
+    }
+  ],
+  reason: {
+    type: String,
+    default: ''
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  previousSupport: {
+    type: String,
+    enum: ['for', 'against', 'abstain', null],
+    default: null
+  },
+  changedAt: Date,
+  changeCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One vote per voter and proposal
+voteSchema.index({ proposalId: 1, voter: 1 }, { unique: true });
+voteSchema.index({ voter: 1, createdAt: -1 });
+voteSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('Vote', voteSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Voting power of one account for one proposal, frozen when the proposal
+ * becomes active. Shares and delegations that change afterwards do not
+ * affect the weight of votes on that proposal.
+ */
+const votingSnapshotSchema = new mongoose.Schema({
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shares: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  delegatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  delegators: [{
+    _id: false,
+    delegator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    shares: Number
+  }],
+  takenAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+votingSnapshotSchema.index({ proposalId: 1, holder: 1 }, { unique: true });
+
+module.exports = mongoose.model('VotingSnapshot', votingSnapshotSchema);
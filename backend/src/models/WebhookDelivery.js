@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * One event sent to one subscription. Failed attempts are retried with
+ * exponential backoff; after the last attempt the delivery is dead and
+ * stays in the dead-letter list until an admin replays it.
+ *
+ * Status: pending -> succeeded | dead
+ *         succeeded | dead -> pending (replayed)
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // The event envelope exactly as it is sent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  replays: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// An event is queued once per subscription
+webhookDeliverySchema.index({ subscriptionId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
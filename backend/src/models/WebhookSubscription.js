@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../utils/eventBus');
+
+/**
+ * An integration's endpoint and the platform events it receives.
+ * Payloads are signed with `secret`, which is only returned when the
+ * subscription is created.
+ */
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: Object.values(EVENT_TYPES)
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A subscription needs at least one event type'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
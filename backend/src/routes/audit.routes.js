@@ -0,0 +1,73 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditController = require('../controllers/audit.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const filterValidation = [
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+\.[a-z_]+$/)
+    .withMessage('Invalid action'),
+
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID format'),
+
+  query('targetType')
+    .optional()
+    .isAlpha()
+    .withMessage('Invalid target type'),
+
+  query('targetId')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid target ID'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+];
+
+const verifyValidation = [
+  query('anchorSequence')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('anchorSequence must be a positive integer'),
+
+  query('anchorHash')
+    .if(query('anchorSequence').exists())
+    .matches(/^[0-9a-f]{64}$/)
+    .withMessage('anchorHash must be a SHA-256 hex digest')
+];
+
+router.use(protect, authorize('admin'));
+
+router.get('/entries', [...filterValidation, ...paginationValidation], auditController.getEntries);
+
+router.get('/export', filterValidation, auditController.exportEntries);
+
+router.get('/verify', verifyValidation, auditController.verifyChain);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const authController = require('../controllers/auth.controller');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Sign-in attempts are cheap to make and expensive to verify; keep them tight
+const siweLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'production' ? 30 : 300,
+  message: {
+    success: false,
+    message: 'Too many sign-in attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation rules
+const verifySiweValidation = [
+  body('message')
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage('SIWE message is required'),
+
+  body('signature')
+    .matches(/^0x[0-9a-fA-F]{130}$/)
+    .withMessage('Signature must be a 65-byte hex string')
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .matches(/^[0-9a-f]{96}$/)
+    .withMessage('Invalid refresh token format')
+];
+
+// Sign-In with Ethereum (EIP-4361)
+router.get(
+  '/siwe/nonce',
+  siweLimiter,
+  authController.getNonce
+);
+
+router.post(
+  '/siwe/verify',
+  siweLimiter,
+  verifySiweValidation,
+  authController.verifySiwe
+);
+
+// Session management
+router.post(
+  '/refresh',
+  siweLimiter,
+  refreshTokenValidation,
+  authController.refreshToken
+);
+
+router.post(
+  '/logout',
+  refreshTokenValidation,
+  authController.logout
+);
+
+// Protected routes
+router.get(
+  '/me',
+  protect,
+  authController.getMe
+);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const distributionController = require('../controllers/distribution.controller');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const claimsQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['unclaimed', 'claimed'])
+    .withMessage('Status must be unclaimed or claimed'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const claimValidation = [
+  body('payoutIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Payout IDs must be an array of at most 100 IDs'),
+  
+  body('payoutIds.*')
+    .isMongoId()
+    .withMessage('Invalid payout ID format')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.get(
+  '/claims',
+  claimsQueryValidation,
+  distributionController.getMyClaims
+);
+
+router.post(
+  '/claims',
+  claimValidation,
+  distributionController.claimPayouts
+);
+
+module.exports = router;
@@ -36,14 +36,21 @@ const createProposalValidation = [
     .withMessage('Action target must be a valid Ethereum address'),
   
   body('actions.*.value')
-    .isFloat({ min: 0 })
-    .withMessage('Action value must be non-negative'),
+    .optional()
+    .isString()
+    .matches(/^\d{1,78}$/)
+    .withMessage('Action value must be an amount in wei as a decimal string'),
   
   body('actions.*.signature')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Action signature must be between 1 and 200 characters'),
   
+  body('actions.*.args')
+    .optional()
+    .isArray()
+    .withMessage('Action args must be an array'),
+  
   body('votingDelay')
     .optional()
     .isInt({ min: 0, max: 604800 }) // Max 7 days in seconds
@@ -62,7 +69,19 @@ const createProposalValidation = [
   body('approvalThreshold')
     .optional()
     .isFloat({ min: 0.5, max: 1 })
-    .withMessage('Approval threshold must be between 0.5 and 1')
+    .withMessage('Approval threshold must be between 0.5 and 1'),
+  
+  body('abstainCountsTowardQuorum')
+    .optional()
+    .isBoolean()
+    .withMessage('abstainCountsTowardQuorum must be a boolean')
+    .toBoolean(),
+  
+  body('allowVoteChange')
+    .optional()
+    .isBoolean()
+    .withMessage('allowVoteChange must be a boolean')
+    .toBoolean()
 ];
 
 const voteValidation = [
@@ -77,16 +96,36 @@ const voteValidation = [
     .withMessage('Reason must not exceed 500 characters')
 ];
 
+const cancelProposalValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Cancellation reason must be between 5 and 500 characters')
+];
+
 const delegateValidation = [
   body('delegateAddress')
     .isEthereumAddress()
     .withMessage('Invalid delegate Ethereum address'),
   
   body('propertyId')
+    .optional({ nullable: true })
     .isMongoId()
     .withMessage('Invalid property ID format')
 ];
 
+const redelegateValidation = [
+  body('delegateAddress')
+    .isEthereumAddress()
+    .withMessage('Invalid delegate Ethereum address')
+];
+
+const delegationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid delegation ID format')
+];
+
 const queryValidation = [
   query('page')
     .optional()
@@ -168,6 +207,16 @@ router.get(
   governanceController.getProposalVotes
 );
 
+router.get(
+  '/proposals/:id/snapshot/:address',
+  proposalIdValidation,
+  param('address')
+    .isEthereumAddress()
+    .withMessage('Invalid voter Ethereum address'),
+  cache('1m'),
+  governanceController.getVoterSnapshot
+);
+
 router.get(
   '/analytics',
   query('propertyId')
@@ -203,6 +252,14 @@ router.post(
   governanceController.voteOnProposal
 );
 
+router.post(
+  '/proposals/:id/cancel',
+  authorize('user', 'manager', 'admin'),
+  proposalIdValidation,
+  cancelProposalValidation,
+  governanceController.cancelProposal
+);
+
 router.get(
   '/voting-power/:propertyId',
   authorize('user', 'manager', 'admin'),
@@ -217,6 +274,31 @@ router.post(
   governanceController.delegateVotingPower
 );
 
+router.get(
+  '/delegations',
+  authorize('user', 'manager', 'admin'),
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked', 'all'])
+    .withMessage('Status must be active, revoked, or all'),
+  governanceController.getDelegations
+);
+
+router.put(
+  '/delegations/:id',
+  authorize('user', 'manager', 'admin'),
+  delegationIdValidation,
+  redelegateValidation,
+  governanceController.redelegateVotingPower
+);
+
+router.delete(
+  '/delegations/:id',
+  authorize('user', 'manager', 'admin'),
+  delegationIdValidation,
+  governanceController.revokeDelegation
+);
+
 router.get(
   '/history',
   authorize('user', 'manager', 'admin'),
@@ -239,6 +321,13 @@ router.get(
 );
 
 // Admin/DAO execution routes
+router.post(
+  '/proposals/:id/queue',
+  authorize('admin', 'dao'),
+  proposalIdValidation,
+  governanceController.queueProposal
+);
+
 router.post(
   '/proposals/:id/execute',
   authorize('admin', 'dao'),
@@ -0,0 +1,157 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const kycController = require('../controllers/kyc.controller');
+const { protect, authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+
+const router = express.Router();
+
+// Validation rules (same as kycDataSchema in the frontend)
+const namePattern = /^[a-zA-ZÀ-ÿ\s'-]+$/;
+
+const uploadDocumentValidation = [
+  body('type')
+    .isIn(['passport', 'drivers_license', 'national_id', 'proof_of_address'])
+    .withMessage('Document type must be passport, drivers_license, national_id or proof_of_address'),
+
+  body('side')
+    .optional()
+    .isIn(['front', 'back'])
+    .withMessage('Side must be front or back')
+];
+
+const submitValidation = [
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters')
+    .matches(namePattern)
+    .withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
+
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters')
+    .matches(namePattern)
+    .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
+
+  body('dateOfBirth')
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date')
+    .custom(value => new Date(value) >= new Date('1900-01-01') && new Date(value) <= new Date())
+    .withMessage('Invalid date of birth'),
+
+  body('nationality')
+    .matches(/^[A-Z]{2}$/)
+    .withMessage('Nationality must be a valid 2-letter ISO country code'),
+
+  body('documentType')
+    .isIn(['passport', 'drivers_license', 'national_id'])
+    .withMessage('Document type must be passport, drivers_license or national_id'),
+
+  body('documentNumber')
+    .isLength({ min: 5, max: 20 })
+    .withMessage('Document number must be between 5 and 20 characters')
+    .matches(/^[A-Z0-9]+$/i)
+    .withMessage('Document number can only contain letters and numbers')
+];
+
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+const reviewsQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['not_started', 'pending', 'approved', 'rejected'])
+    .withMessage('Status must be not_started, pending, approved or rejected'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const reviewValidation = [
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters')
+];
+
+const accreditationValidation = [
+  body('accredited')
+    .isBoolean()
+    .withMessage('accredited must be a boolean')
+    .toBoolean(),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiration must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiration must be in the future')
+];
+
+router.use(protect);
+
+// Applicant routes
+router.get('/status', kycController.getStatus);
+
+router.post(
+  '/documents',
+  upload.single('document'),
+  uploadDocumentValidation,
+  kycController.uploadDocument
+);
+
+router.post(
+  '/submit',
+  submitValidation,
+  kycController.submitVerification
+);
+
+// Review routes (admins)
+router.get(
+  '/reviews',
+  authorize('admin'),
+  reviewsQueryValidation,
+  kycController.getReviews
+);
+
+router.get(
+  '/reviews/:userId',
+  authorize('admin'),
+  userIdValidation,
+  kycController.getReview
+);
+
+router.post(
+  '/reviews/:userId',
+  authorize('admin'),
+  userIdValidation,
+  reviewValidation,
+  kycController.reviewVerification
+);
+
+router.put(
+  '/reviews/:userId/accreditation',
+  authorize('admin'),
+  userIdValidation,
+  accreditationValidation,
+  kycController.setAccreditation
+);
+
+module.exports = router;
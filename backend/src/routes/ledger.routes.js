@@ -0,0 +1,63 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const ledgerController = require('../controllers/ledger.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const entriesQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(['hold', 'settlement', 'refund', 'distribution', 'payout_claim'])
+    .withMessage('Invalid entry type'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const accountValidation = [
+  param('account')
+    .matches(/^(escrow|fees|external|(wallet|treasury):[0-9a-fA-F]{24})$/)
+    .withMessage('Invalid ledger account')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/wallet', ledgerController.getMyWallet);
+
+router.get(
+  '/wallet/entries',
+  entriesQueryValidation,
+  ledgerController.getMyEntries
+);
+
+// Admin routes
+router.get(
+  '/accounts/:account',
+  authorize('admin'),
+  [...accountValidation, ...entriesQueryValidation],
+  ledgerController.getAccount
+);
+
+router.get(
+  '/trial-balance',
+  authorize('admin'),
+  ledgerController.getTrialBalance
+);
+
+router.get(
+  '/reconciliation',
+  authorize('admin'),
+  ledgerController.getReconciliation
+);
+
+module.exports = router;
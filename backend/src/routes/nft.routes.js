@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const nftController = require('../controllers/nft.controller');
+const marketController = require('../controllers/market.controller');
 const { protect, authorize } = require('../middleware/auth');
 const cache = require('../middleware/cache');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -40,14 +42,25 @@ const mintNFTValidation = [
     .withMessage('Attributes must be an array')
 ];
 
-const purchaseNFTValidation = [
+const quoteValidation = [
   body('quantity')
     .isInt({ min: 1, max: 1000000 })
-    .withMessage('Quantity must be between 1 and 1,000,000'),
+    .withMessage('Quantity must be between 1 and 1,000,000')
+];
+
+const purchaseNFTValidation = [
+  body('quoteId')
+    .isMongoId()
+    .withMessage('A valid quote ID is required'),
   
   body('paymentMethod')
     .isIn(['crypto', 'fiat', 'wallet'])
-    .withMessage('Payment method must be crypto, fiat, or wallet')
+    .withMessage('Payment method must be crypto, fiat, or wallet'),
+
+  body('txHash')
+    .if(body('paymentMethod').equals('crypto'))
+    .matches(/^0x[0-9a-fA-F]{64}$/)
+    .withMessage('A valid transaction hash is required for crypto payments')
 ];
 
 const transferNFTValidation = [
@@ -84,6 +97,47 @@ const updateMetadataValidation = [
     .withMessage('Attributes must be an array')
 ];
 
+const placeOrderValidation = [
+  body('side')
+    .isIn(['ask', 'bid'])
+    .withMessage('Side must be ask or bid'),
+  
+  body('quantity')
+    .isInt({ min: 1, max: 1000000 })
+    .withMessage('Quantity must be between 1 and 1,000,000'),
+  
+  body('limitPrice')
+    .isFloat({ min: 0.01 })
+    .withMessage('Limit price must be at least 0.01'),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiration must be a valid date')
+];
+
+const orderQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'partially_filled', 'filled', 'cancelled', 'expired'])
+    .withMessage('Invalid order status'),
+  
+  query('nftId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid NFT ID format'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
 const queryValidation = [
   query('page')
     .optional()
@@ -145,6 +199,15 @@ router.get(
   nftController.getMarketStats
 );
 
+router.get(
+  '/metadata/:tokenId.json',
+  param('tokenId')
+    .matches(/^(\d{1,78}|[0-9a-fA-F]{64})$/)
+    .withMessage('Token ID must be a decimal number or 64 hex digits'),
+  cache('5m'),
+  nftController.getTokenMetadata
+);
+
 router.get(
   '/:id',
   nftIdValidation,
@@ -152,6 +215,16 @@ router.get(
   nftController.getNFT
 );
 
+router.get(
+  '/:id/orderbook',
+  nftIdValidation,
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Depth must be between 1 and 100'),
+  marketController.getOrderBook
+);
+
 router.get(
   '/:id/transactions',
   nftIdValidation,
@@ -184,10 +257,19 @@ router.get(
   nftController.getUserPortfolio
 );
 
+router.post(
+  '/:id/quote',
+  nftIdValidation,
+  quoteValidation,
+  idempotency(),
+  nftController.createQuote
+);
+
 router.post(
   '/:id/purchase',
   nftIdValidation,
   purchaseNFTValidation,
+  idempotency(),
   nftController.purchaseNFT
 );
 
@@ -195,14 +277,38 @@ router.post(
   '/:id/transfer',
   nftIdValidation,
   transferNFTValidation,
+  idempotency(),
   nftController.transferNFT
 );
 
+// Secondary market
+router.get(
+  '/market/orders',
+  orderQueryValidation,
+  marketController.getMyOrders
+);
+
+router.delete(
+  '/market/orders/:orderId',
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID format'),
+  marketController.cancelOrder
+);
+
+router.post(
+  '/:id/orders',
+  nftIdValidation,
+  placeOrderValidation,
+  marketController.placeOrder
+);
+
 // Admin/Manager only routes
 router.post(
   '/mint',
   authorize('admin', 'manager'),
   mintNFTValidation,
+  idempotency(),
   nftController.mintNFTs
 );
 
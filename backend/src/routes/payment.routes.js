@@ -0,0 +1,9 @@
+const express = require('express');
+const paymentController = require('../controllers/payment.controller');
+
+const router = express.Router();
+
+// Payment provider callbacks; authenticated by their signature, not a user token
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
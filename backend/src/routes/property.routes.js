@@ -1,6 +1,10 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const propertyController = require('../controllers/property.controller');
+const distributionController = require('../controllers/distribution.controller');
+const feeController = require('../controllers/fee.controller');
+const complianceController = require('../controllers/compliance.controller');
+const transferRestrictionController = require('../controllers/transferRestriction.controller');
 const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const cache = require('../middleware/cache');
@@ -161,6 +165,106 @@ const propertyIdValidation = [
     .withMessage('Invalid property ID format')
 ];
 
+const distributionValidation = [
+  body('periodStart')
+    .isISO8601()
+    .withMessage('Period start must be a valid date'),
+  
+  body('periodEnd')
+    .isISO8601()
+    .withMessage('Period end must be a valid date'),
+  
+  body('recordDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Record date must be a valid date'),
+  
+  body('netIncome')
+    .isFloat({ min: 0 })
+    .withMessage('Net income must be a non-negative number'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+const feeScheduleValidation = [
+  body(['primaryFeeBps', 'secondaryFeeBps', 'royaltyBps'])
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Fees must be whole basis points between 0 and 10000')
+    .toInt(),
+  
+  body('royaltyRecipient')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid royalty recipient ID format')
+];
+
+const complianceRulesValidation = [
+  body(['allowedCountries', 'blockedCountries'])
+    .optional()
+    .isArray()
+    .withMessage('Countries must be an array'),
+
+  body(['allowedCountries.*', 'blockedCountries.*'])
+    .matches(/^[A-Z]{2}$/)
+    .withMessage('Countries must be 2-letter ISO country codes'),
+
+  body('accreditedOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('accreditedOnly must be a boolean')
+    .toBoolean(),
+
+  body(['maxHolders', 'maxSharesPerInvestor'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Limits must be positive integers, or null for no limit')
+    .toInt()
+];
+
+const transferRestrictionsValidation = [
+  body('lockupDays')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Lockup must be between 0 and 3650 days')
+    .toInt(),
+
+  body('transferWindows')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Transfer windows must be an array of at most 100 windows'),
+
+  body(['transferWindows.*.startsAt', 'transferWindows.*.endsAt'])
+    .isISO8601()
+    .withMessage('Transfer windows need valid startsAt and endsAt dates')
+];
+
+const eligibilityCheckValidation = [
+  query('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('shares')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Shares must be a positive integer'),
+
+  query('fromUserId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid sender ID format')
+];
+
+const distributionIdValidation = [
+  param('distributionId')
+    .isMongoId()
+    .withMessage('Invalid distribution ID format')
+];
+
 const searchValidation = [
   query('query')
     .trim()
@@ -192,6 +296,47 @@ router.get(
   propertyController.getProperty
 );
 
+router.get(
+  '/:id/distributions',
+  propertyIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  cache('5m'),
+  distributionController.getPropertyDistributions
+);
+
+router.get(
+  '/:id/distributions/:distributionId',
+  propertyIdValidation,
+  distributionIdValidation,
+  cache('5m'),
+  distributionController.getDistribution
+);
+
+router.get(
+  '/:id/fees',
+  propertyIdValidation,
+  feeController.getFeeSchedule
+);
+
+router.get(
+  '/:id/compliance',
+  propertyIdValidation,
+  complianceController.getComplianceRules
+);
+
+router.get(
+  '/:id/transfer-restrictions',
+  propertyIdValidation,
+  transferRestrictionController.getTransferRestrictions
+);
+
 // Protected routes
 router.use(protect);
 
@@ -218,6 +363,66 @@ router.delete(
   propertyController.deleteProperty
 );
 
+// Income distributions
+router.post(
+  '/:id/distributions',
+  authorize('admin', 'manager'),
+  propertyIdValidation,
+  distributionValidation,
+  distributionController.recordIncome
+);
+
+router.get(
+  '/:id/distributions/:distributionId/payouts',
+  authorize('admin'),
+  propertyIdValidation,
+  distributionIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  distributionController.getDistributionPayouts
+);
+
+// Fee schedule (property owners and admins)
+router.put(
+  '/:id/fees',
+  authorize('admin', 'manager'),
+  propertyIdValidation,
+  feeScheduleValidation,
+  feeController.updateFeeSchedule
+);
+
+// Compliance rules and eligibility dry run (admins)
+router.put(
+  '/:id/compliance',
+  authorize('admin'),
+  propertyIdValidation,
+  complianceRulesValidation,
+  complianceController.updateComplianceRules
+);
+
+router.get(
+  '/:id/compliance/check',
+  authorize('admin'),
+  propertyIdValidation,
+  eligibilityCheckValidation,
+  complianceController.checkEligibility
+);
+
+// Transfer restrictions (admins)
+router.put(
+  '/:id/transfer-restrictions',
+  authorize('admin'),
+  propertyIdValidation,
+  transferRestrictionsValidation,
+  transferRestrictionController.updateTransferRestrictions
+);
+
 // Analytics (property owners and admins)
 router.get(
   '/:id/analytics',
@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const screeningController = require('../controllers/screening.controller');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const eventsQueryValidation = [
+  query('result')
+    .optional()
+    .isIn(['blocked', 'overridden'])
+    .withMessage('Result must be blocked or overridden'),
+
+  query('action')
+    .optional()
+    .isIn(['login', 'transfer', 'delegation', 'payout'])
+    .withMessage('Action must be login, transfer, delegation or payout'),
+
+  query('address')
+    .optional()
+    .isEthereumAddress()
+    .withMessage('Invalid Ethereum address'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const overridesQueryValidation = [
+  query('active')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('active must be true or false')
+];
+
+const createOverrideValidation = [
+  body('address')
+    .optional()
+    .isEthereumAddress()
+    .withMessage('Invalid Ethereum address'),
+
+  body('eventId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid screening event ID format'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiration must be a valid date')
+];
+
+const overrideIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid override ID format')
+];
+
+router.use(protect, authorize('admin'));
+
+router.get('/events', eventsQueryValidation, screeningController.getEvents);
+
+router.get('/overrides', overridesQueryValidation, screeningController.getOverrides);
+
+router.post('/overrides', createOverrideValidation, screeningController.createOverride);
+
+router.delete('/overrides/:id', overrideIdValidation, screeningController.revokeOverride);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const webhookController = require('../controllers/webhook.controller');
+const { protect, authorize } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../utils/eventBus');
+
+const router = express.Router();
+
+// Plain HTTP endpoints (e.g. http://localhost) are only allowed outside production
+const urlOptions = {
+  protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+  require_protocol: true,
+  require_tld: process.env.NODE_ENV === 'production'
+};
+
+// Validation rules
+const subscriptionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid subscription ID format')
+];
+
+const createSubscriptionValidation = [
+  body('url')
+    .isURL(urlOptions)
+    .withMessage('URL must be a valid http(s) URL'),
+
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(Object.values(EVENT_TYPES))
+    .withMessage(`Event type must be one of ${Object.values(EVENT_TYPES).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+];
+
+const updateSubscriptionValidation = [
+  body('url')
+    .optional()
+    .isURL(urlOptions)
+    .withMessage('URL must be a valid http(s) URL'),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(Object.values(EVENT_TYPES))
+    .withMessage(`Event type must be one of ${Object.values(EVENT_TYPES).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+    .toBoolean()
+];
+
+const deliveriesQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'dead'])
+    .withMessage('Status must be pending, succeeded or dead'),
+
+  query('subscriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid subscription ID format'),
+
+  query('eventType')
+    .optional()
+    .isIn(Object.values(EVENT_TYPES))
+    .withMessage('Invalid event type'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// All routes are for admins
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/subscriptions', webhookController.getSubscriptions);
+
+router.post(
+  '/subscriptions',
+  createSubscriptionValidation,
+  webhookController.createSubscription
+);
+
+router.put(
+  '/subscriptions/:id',
+  subscriptionIdValidation,
+  updateSubscriptionValidation,
+  webhookController.updateSubscription
+);
+
+router.delete(
+  '/subscriptions/:id',
+  subscriptionIdValidation,
+  webhookController.deleteSubscription
+);
+
+router.get(
+  '/deliveries',
+  deliveriesQueryValidation,
+  webhookController.getDeliveries
+);
+
+router.post(
+  '/deliveries/:id/replay',
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid delivery ID format'),
+  webhookController.replayDelivery
+);
+
+module.exports = router;
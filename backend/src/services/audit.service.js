@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditEntry = require('../models/AuditEntry');
+const User = require('../models/User');
+const { getRequestContext } = require('../utils/requestContext');
+const stableStringify = require('../utils/stableStringify');
+const logger = require('../utils/logger');
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Concurrent appends race for the next sequence number; the loser retries
+const MAX_APPEND_ATTEMPTS = 5;
+
+const MAX_REPORTED_PROBLEMS = 100;
+
+/**
+ * Audited privileged and financial actions
+ */
+const AUDIT_ACTIONS = {
+  NFT_MINT: 'nft.mint',
+  NFT_METADATA_UPDATE: 'nft.metadata_update',
+  PROPERTY_DELETE: 'property.delete',
+  PROPOSAL_EXECUTE: 'proposal.execute',
+  KYC_REVIEW: 'kyc.review',
+  KYC_ACCREDITATION_UPDATE: 'kyc.accreditation_update',
+  DISTRIBUTION_INCOME_RECORD: 'distribution.income_record',
+  FEE_SCHEDULE_UPDATE: 'fee_schedule.update',
+  COMPLIANCE_RULES_UPDATE: 'compliance_rules.update',
+  TRANSFER_RESTRICTIONS_UPDATE: 'transfer_restrictions.update',
+  SCREENING_OVERRIDE_CREATE: 'screening_override.create',
+  SCREENING_OVERRIDE_REVOKE: 'screening_override.revoke',
+  PURCHASE_COMPLETE: 'purchase.complete',
+  SALE_COMPLETE: 'sale.complete',
+  TRANSFER_COMPLETE: 'transfer.complete',
+  PAYOUT_CLAIM: 'payout.claim',
+  REFUND_ISSUE: 'refund.issue'
+};
+
+// Plain JSON copy: ObjectIds become hex strings and dates ISO strings, as they hash
+const toJson = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The hashed content of an entry, as written or as read back
+const hashEntry = entry => crypto
+  .createHash('sha256')
+  .update(stableStringify(toJson({
+    sequence: entry.sequence,
+    action: entry.action,
+    key: entry.key,
+    actor: entry.actor,
+    target: entry.target,
+    changes: entry.changes,
+    metadata: entry.metadata,
+    request: entry.request,
+    createdAt: entry.createdAt,
+    previousHash: entry.previousHash
+  })))
+  .digest('hex');
+
+/**
+ * Append-only, hash-chained audit log. Services record an entry once the
+ * action has been stored, with snapshots of what it changed; the entry
+ * keeps the field-level diff, the actor and the request metadata
+ * (utils/requestContext). verify() walks the chain to detect tampering.
+ */
+class AuditService {
+  /**
+   * Append an entry. A failed write is thrown, so it cannot go unnoticed.
+   * Operations that are retried until they complete (purchases, sales,
+   * claims) record their entry as a step before the final one, with a
+   * `key`: a retry then returns the entry written the first time.
+   * @param {Object} params
+   * @param {string} params.action - One of AUDIT_ACTIONS
+   * @param {string} [params.key] - Idempotency key; an entry with the same key is returned instead
+   * @param {Object|string|null} params.actor - Acting user or user ID; null for the platform
+   * @param {Object} params.target - { type, id } of the changed record
+   * @param {Object} [params.before] - Snapshot before the action; null for creations
+   * @param {Object} [params.after] - Snapshot after the action; null for deletions
+   * @param {Object} [params.metadata] - Details that are not field changes
+   * @returns {Promise<Object>} The entry
+   */
+  async record({
+    action,
+    key = null,
+    actor = null,
+    target,
+    before = null,
+    after = null,
+    metadata = {},
+    now = new Date()
+  }) {
+    try {
+      if (key) {
+        const existing = await AuditEntry.findOne({ key }).lean();
+        if (existing) {
+          return existing;
+        }
+      }
+
+      const content = toJson({
+        action,
+        ...(key && { key }),
+        actor: await this.resolveActor(actor),
+        target: { type: target.type, id: target.id.toString() },
+        changes: this.diff(toJson(before) || {}, toJson(after) || {}),
+        metadata,
+        request: getRequestContext(),
+        createdAt: now
+      });
+
+      for (let attempt = 1; ; attempt++) {
+        const last = await AuditEntry.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+        const entry = {
+          ...content,
+          sequence: last ? last.sequence + 1 : 1,
+          previousHash: last ? last.hash : GENESIS_HASH
+        };
+        entry.hash = hashEntry(entry);
+
+        try {
+          return await AuditEntry.create(entry);
+        } catch (error) {
+          // A concurrent retry of the same operation got there first
+          if (error.code === 11000 && error.keyPattern && error.keyPattern.key) {
+            return await AuditEntry.findOne({ key }).lean();
+          }
+          if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Error in record (${action}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get entries, newest first
+   */
+  async getEntries({ page = 1, limit = 50, ...filters }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = this.buildQuery(filters);
+
+      const entries = await AuditEntry.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await AuditEntry.countDocuments(query);
+
+      return {
+        entries,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Error in getEntries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cursor over matching entries in chain order, for exports
+   */
+  exportEntries(filters = {}) {
+    return AuditEntry.find(this.buildQuery(filters))
+      .sort({ sequence: 1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Check the whole chain: every entry must match its hash, link to the
+   * previous entry's hash and follow it without a gap in sequence.
+   * Rewriting the chain from some entry onwards keeps it consistent, so
+   * operators should keep the returned head outside the database and pass
+   * it back as `anchor` later.
+   * @param {Object} [options]
+   * @param {Object} [options.anchor] - { sequence, hash } of a previously verified entry
+   * @returns {Promise<Object>} { valid, checked, head, problems: [{ sequence, problem, message }] }
+   */
+  async verify({ anchor = null } = {}) {
+    try {
+      const problems = [];
+      const report = (sequence, problem, message) => {
+        if (problems.length < MAX_REPORTED_PROBLEMS) {
+          problems.push({ sequence, problem, message });
+        }
+      };
+
+      let previous = null;
+      let checked = 0;
+      let anchorFound = false;
+
+      for await (const entry of AuditEntry.find().sort({ sequence: 1 }).lean().cursor()) {
+        checked++;
+
+        const expectedSequence = previous ? previous.sequence + 1 : 1;
+        if (entry.sequence !== expectedSequence) {
+          report(entry.sequence, 'missing_entries',
+            `Entries ${expectedSequence} to ${entry.sequence - 1} are missing`);
+        }
+
+        if (entry.previousHash !== (previous ? previous.hash : GENESIS_HASH)) {
+          report(entry.sequence, 'broken_link', 'previousHash does not match the previous entry');
+        }
+
+        if (hashEntry(entry) !== entry.hash) {
+          report(entry.sequence, 'hash_mismatch', 'Entry content does not match its hash');
+        }
+
+        if (anchor && entry.sequence === anchor.sequence) {
+          anchorFound = true;
+          if (entry.hash !== anchor.hash) {
+            report(entry.sequence, 'anchor_mismatch', 'Entry hash differs from the anchored hash');
+          }
+        }
+
+        previous = entry;
+      }
+
+      if (anchor && !anchorFound) {
+        report(anchor.sequence, 'anchor_missing', 'Anchored entry is no longer in the log');
+      }
+
+      if (problems.length > 0) {
+        logger.warn(`Audit log verification failed: ${problems.length} problem(s), first at entry ${problems[0].sequence}`);
+      }
+
+      return {
+        valid: problems.length === 0,
+        checked,
+        head: previous ? { sequence: previous.sequence, hash: previous.hash } : null,
+        problems
+      };
+    } catch (error) {
+      logger.error('Error in verify:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Field-level differences between two plain snapshots
+   * @returns {Object[]} [{ path, before, after }]
+   */
+  diff(before, after, prefix = '') {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return keys.flatMap(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = before[key];
+      const to = after[key];
+
+      if (isPlainObject(from) && isPlainObject(to)) {
+        return this.diff(from, to, path);
+      }
+      if (stableStringify(from) === stableStringify(to)) {
+        return [];
+      }
+      return [{ path, before: from === undefined ? null : from, after: to === undefined ? null : to }];
+    });
+  }
+
+  /**
+   * Helper: Snapshot the actor's role and wallet as they were when acting
+   */
+  async resolveActor(actor) {
+    if (!actor) {
+      return { user: null, role: 'system', walletAddress: null };
+    }
+
+    // An ObjectId's own `id` is its raw bytes, so IDs are told apart from users first
+    const userId = typeof actor === 'string' || actor instanceof mongoose.Types.ObjectId ?
+      actor.toString() :
+      (actor.id || actor._id).toString();
+    const user = await User.findById(userId).select('role walletAddress').lean();
+
+    return {
+      user: userId,
+      role: user ? user.role || null : null,
+      walletAddress: user ? user.walletAddress || null : null
+    };
+  }
+
+  /**
+   * Helper: Query for the entry filters
+   */
+  buildQuery({ action, actorId, targetType, targetId, from, to }) {
+    const query = {};
+    if (action) query.action = action;
+    if (actorId) query['actor.user'] = actorId;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    return query;
+  }
+}
+
+module.exports = new AuditService();
+module.exports.AuditService = AuditService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const RefreshToken = require('../models/RefreshToken');
+const screeningService = require('./screening.service');
+const { parseSiweMessage, recoverSiweSigner } = require('../utils/siwe');
+const logger = require('../utils/logger');
+
+// Tolerated clock drift between wallet and server when checking timestamps
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const parseList = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+class AuthService {
+  /**
+   * Issue a single-use nonce for a SIWE message
+   */
+  async createNonce({ ipAddress } = {}) {
+    try {
+      const ttlSeconds = parseInt(process.env.SIWE_NONCE_TTL || 300, 10);
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+      await AuthNonce.create({ nonce, ipAddress, expiresAt });
+
+      return { nonce, expiresAt };
+    } catch (error) {
+      logger.error('Error in createNonce:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session for the wallet
+   */
+  async verifySiwe({ message, signature, ipAddress }) {
+    try {
+      const fields = parseSiweMessage(message);
+      const now = Date.now();
+
+      // Domain binding prevents a message signed for another site being replayed here
+      const allowedDomains = parseList(process.env.SIWE_DOMAIN, 'localhost:3000,localhost:5173');
+      if (!allowedDomains.includes(fields.domain)) {
+        throw new Error(`Invalid SIWE message: Domain ${fields.domain} is not allowed`);
+      }
+
+      if (fields.version !== '1') {
+        throw new Error('Invalid SIWE message: Unsupported version');
+      }
+
+      const allowedChainIds = parseList(process.env.SIWE_CHAIN_IDS, '1,11155111').map(Number);
+      if (!allowedChainIds.includes(fields.chainId)) {
+        throw new Error(`Invalid SIWE message: Chain ID ${fields.chainId} is not supported`);
+      }
+
+      if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW_MS) {
+        throw new Error('Invalid SIWE message: Issued in the future');
+      }
+
+      if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+        throw new Error('SIWE message expired');
+      }
+
+      if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+        throw new Error('Invalid SIWE message: Not yet valid');
+      }
+
+      const walletAddress = ethers.getAddress(fields.address);
+      const signer = recoverSiweSigner(message, signature);
+      if (signer !== walletAddress) {
+        throw new Error('Invalid signature: Signer does not match address');
+      }
+
+      // Consume the nonce atomically so a captured signature cannot be replayed
+      const consumed = await AuthNonce.findOneAndUpdate(
+        { nonce: fields.nonce, usedAt: null, expiresAt: { $gt: new Date(now) } },
+        { usedAt: new Date(now), usedBy: walletAddress },
+        { new: true }
+      );
+      if (!consumed) {
+        throw new Error('Invalid nonce: Nonce is unknown, expired or already used');
+      }
+
+      let user = await User.findOne({ walletAddress });
+
+      await screeningService.ensureAllowed({
+        address: walletAddress,
+        action: 'login',
+        userId: user ? user._id : null,
+        context: { ipAddress }
+      });
+
+      if (!user) {
+        user = await User.create({
+          walletAddress,
+          username: `user_${walletAddress.slice(2, 10).toLowerCase()}`
+        });
+        logger.info(`Registered new wallet user ${walletAddress}`);
+      }
+
+      const tokens = await this.issueTokens(user, { chainId: fields.chainId, ipAddress });
+
+      return {
+        user: this.serializeUser(user),
+        chainId: fields.chainId,
+        ...tokens
+      };
+    } catch (error) {
+      logger.error('Error in verifySiwe:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate a refresh token and issue a new token pair
+   */
+  async refreshSession({ refreshToken, ipAddress }) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+      const now = new Date();
+
+      // Claim the token atomically so concurrent refreshes cannot both rotate it
+      const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now },
+        { new: true }
+      );
+
+      if (!stored) {
+        // A revoked token being presented again means it leaked: end every session for the user
+        const revoked = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+        if (revoked && revoked.expiresAt > now) {
+          await RefreshToken.updateMany(
+            { user: revoked.user, revokedAt: null },
+            { revokedAt: now }
+          );
+          logger.warn(`Refresh token reuse detected for user ${revoked.user}`);
+        }
+        throw new Error('Invalid refresh token');
+      }
+
+      const user = await User.findById(stored.user);
+      if (!user || user.walletAddress !== stored.walletAddress) {
+        throw new Error('Invalid refresh token');
+      }
+
+      // Lists change: a session started before the wallet was listed must not outlive it
+      await screeningService.ensureAllowed({
+        address: user.walletAddress,
+        action: 'login',
+        userId: user._id,
+        context: { ipAddress, refresh: true }
+      });
+
+      const tokens = await this.issueTokens(user, { chainId: stored.chainId, ipAddress });
+
+      await RefreshToken.updateOne(
+        { _id: stored._id },
+        { replacedBy: hashToken(tokens.refreshToken) }
+      );
+
+      return {
+        user: this.serializeUser(user),
+        chainId: stored.chainId,
+        ...tokens
+      };
+    } catch (error) {
+      logger.error('Error in refreshSession:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a refresh token
+   */
+  async revokeRefreshToken(refreshToken) {
+    try {
+      await RefreshToken.findOneAndUpdate(
+        { tokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    } catch (error) {
+      logger.error('Error in revokeRefreshToken:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the public profile of the authenticated user
+   */
+  async getCurrentUser(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return this.serializeUser(user);
+    } catch (error) {
+      logger.error('Error in getCurrentUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Issue an access token and a persisted refresh token
+   */
+  async issueTokens(user, { chainId, ipAddress }) {
+    const accessTokenExpire = process.env.JWT_ACCESS_EXPIRE || '15m';
+    const refreshTokenDays = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS || 30, 10);
+
+    const accessToken = jwt.sign(
+      { id: user._id.toString(), walletAddress: user.walletAddress, chainId },
+      process.env.JWT_SECRET,
+      { expiresIn: accessTokenExpire }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const refreshTokenExpiresAt = new Date(Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      user: user._id,
+      walletAddress: user.walletAddress,
+      chainId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: refreshTokenExpiresAt,
+      createdByIp: ipAddress
+    });
+
+    return {
+      accessToken,
+      accessTokenExpiresIn: accessTokenExpire,
+      refreshToken,
+      refreshTokenExpiresAt
+    };
+  }
+
+  /**
+   * Helper: Public user fields returned to the client
+   */
+  serializeUser(user) {
+    return {
+      id: user._id,
+      username: user.username,
+      walletAddress: user.walletAddress,
+      role: user.role,
+      kycStatus: user.kycStatus,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+module.exports = new AuthService();
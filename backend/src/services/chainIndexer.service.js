@@ -0,0 +1,280 @@
+const { ethers } = require('ethers');
+const IndexerCursor = require('../models/IndexerCursor');
+const nftService = require('./nft.service');
+const governanceService = require('./governance.service');
+const blockchain = require('../config/blockchain');
+const { IntervalWorker } = require('../utils/intervalWorker');
+const logger = require('../utils/logger');
+
+const LOCK_KEY = 'locks:chain-indexer';
+const CURSOR_ID = 'chain';
+
+// Indexed blocks remembered to roll back to after a reorg
+const MAX_CHECKPOINTS = 100;
+
+// Transfer events of ERC-721 and ERC-1155 share contracts
+const TRANSFER_EVENTS_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+];
+
+/**
+ * Follows the share contract (NFT_CONTRACT_ADDRESS) and the governance
+ * contract (DAO_CONTRACT_ADDRESS) and mirrors their events into NFT
+ * ownership, transactions and proposal execution results.
+ *
+ * Only blocks with at least `confirmations` confirmations are indexed, so
+ * shallow reorgs never reach the records. The cursor keeps the hashes of the
+ * last indexed blocks; if a deeper reorg replaces the last one, the transfers
+ * indexed after the newest block still on the chain are undone and indexing
+ * continues from there. Proposal execution results confirmed in the replaced
+ * blocks are kept. A reorg older than every remembered block stops indexing
+ * with an error until the indexer is reset (see resetTo).
+ *
+ * Events:
+ *   transfer:indexed    (transfer)
+ *   governance:indexed  (receipt)
+ *   chain:reorganized   ({ blockNumber, reverted }) after rolling back to blockNumber
+ *   tick:error          (error)
+ */
+class ChainIndexer extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - ethers Provider; defaults to the configured RPC provider
+   * @param {Object} [options.lock] - Lock with acquire(key, ttlMs) and release(key)
+   * @param {string} [options.nftAddress] - Share contract
+   * @param {string} [options.governanceAddress] - Governance contract
+   * @param {number} [options.startBlock] - First block to index when there is no cursor yet
+   * @param {number} [options.confirmations] - Confirmations before a block is indexed
+   * @param {number} [options.blockRange] - Maximum blocks indexed per tick
+   * @param {number} [options.intervalMs] - Time between ticks
+   * @param {Object} [options.nfts] - NFT service
+   * @param {Object} [options.governance] - Governance service
+   */
+  constructor({
+    provider = null,
+    lock,
+    nftAddress = process.env.NFT_CONTRACT_ADDRESS,
+    governanceAddress = process.env.DAO_CONTRACT_ADDRESS,
+    startBlock = parseInt(process.env.INDEXER_START_BLOCK || 0, 10),
+    confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || 12, 10),
+    blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE || 2000, 10),
+    intervalMs = parseInt(process.env.INDEXER_INTERVAL_MS || 15000, 10),
+    nfts = nftService,
+    governance = governanceService
+  } = {}) {
+    super({ name: 'Chain indexer', lockKey: LOCK_KEY, intervalMs, lock });
+    this.provider = provider;
+    this.nftAddress = nftAddress || null;
+    this.governanceAddress = governanceAddress || null;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.blockRange = blockRange;
+    this.nfts = nfts;
+    this.governance = governance;
+    this.transferEvents = new ethers.Interface(TRANSFER_EVENTS_ABI);
+  }
+
+  getProvider() {
+    return this.provider || blockchain.getProvider();
+  }
+
+  /**
+   * Index the blocks after the cursor, up to the last confirmed block (see IntervalWorker.tick)
+   * @returns {Promise<Object|null>} { fromBlock, toBlock, transfers, governance }, { reorganized }
+   *   after rolling back a reorg, or null if there was nothing to index
+   */
+  async run() {
+    const nftAddress = this.nftAddress && ethers.getAddress(this.nftAddress);
+    const governanceAddress = this.governanceAddress && ethers.getAddress(this.governanceAddress);
+    const addresses = [nftAddress, governanceAddress].filter(Boolean);
+    if (addresses.length === 0) {
+      throw new Error('Chain indexer not configured: NFT_CONTRACT_ADDRESS or DAO_CONTRACT_ADDRESS is required');
+    }
+
+    const provider = this.getProvider();
+    const cursor = await IndexerCursor.findById(CURSOR_ID).lean();
+
+    if (cursor) {
+      const indexed = await provider.getBlock(cursor.blockNumber);
+      if (!indexed || indexed.hash !== cursor.blockHash) {
+        return { reorganized: await this.rollBack(provider, cursor) };
+      }
+    }
+
+    // A block has head - number + 1 confirmations
+    const head = await provider.getBlockNumber();
+    const fromBlock = cursor ? cursor.blockNumber + 1 : this.startBlock;
+    const toBlock = Math.min(head - this.confirmations + 1, fromBlock + this.blockRange - 1);
+    if (toBlock < fromBlock) {
+      return null;
+    }
+
+    const logs = await provider.getLogs({ address: addresses, fromBlock, toBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    let transfers = 0;
+    const governanceTransactions = new Set();
+    for (const log of logs) {
+      const address = ethers.getAddress(log.address);
+
+      if (address === nftAddress) {
+        for (const transfer of this.parseTransfers(log)) {
+          const result = await this.nfts.applyChainTransfer(transfer);
+          if (result && result.applied) {
+            transfers += 1;
+            this.emit('transfer:indexed', transfer);
+          }
+        }
+      } else if (address === governanceAddress) {
+        governanceTransactions.add(log.transactionHash);
+      }
+    }
+
+    for (const transactionHash of governanceTransactions) {
+      const receipt = await provider.getTransactionReceipt(transactionHash);
+      const confirmed = await this.governance.recordActionReceipt(receipt);
+      if (confirmed > 0) {
+        this.emit('governance:indexed', receipt);
+      }
+    }
+
+    const block = await provider.getBlock(toBlock);
+    await IndexerCursor.updateOne(
+      { _id: CURSOR_ID },
+      {
+        blockNumber: toBlock,
+        blockHash: block.hash,
+        $push: {
+          checkpoints: { $each: [{ blockNumber: toBlock, blockHash: block.hash }], $slice: -MAX_CHECKPOINTS }
+        }
+      },
+      { upsert: true }
+    );
+
+    return { fromBlock, toBlock, transfers, governance: governanceTransactions.size };
+  }
+
+  /**
+   * Undo what was indexed after a block and index again from the block after
+   * it, e.g. after a reorg older than the remembered blocks
+   * (see scripts/reset-chain-indexer)
+   * @returns {Promise<Object>} { blockNumber, reverted } where reverted counts the logs undone
+   */
+  async resetTo(blockNumber) {
+    const acquired = await this.lock.acquire(this.lockKey, this.lockTtlMs);
+    if (!acquired) {
+      throw new Error('Cannot reset the chain indexer: Indexing is in progress, please retry');
+    }
+
+    try {
+      const block = await this.getProvider().getBlock(blockNumber);
+      if (!block) {
+        throw new Error(`Cannot reset the chain indexer: Block ${blockNumber} does not exist`);
+      }
+
+      const reverted = await this.rewind({ blockNumber, blockHash: block.hash }, []);
+      return { blockNumber, reverted };
+    } finally {
+      await this.lock.release(this.lockKey);
+    }
+  }
+
+  /**
+   * Helper: After a reorg replaced the cursor's block, roll back to the newest
+   * remembered block that is still on the chain
+   * @returns {Promise<Object>} { blockNumber, reverted }
+   */
+  async rollBack(provider, cursor) {
+    const checkpoints = (cursor.checkpoints || [])
+      .filter(checkpoint => checkpoint.blockNumber < cursor.blockNumber);
+
+    let ancestor = null;
+    for (let index = checkpoints.length - 1; index >= 0 && !ancestor; index -= 1) {
+      const block = await provider.getBlock(checkpoints[index].blockNumber);
+      if (block && block.hash === checkpoints[index].blockHash) {
+        ancestor = checkpoints[index];
+      }
+    }
+
+    if (!ancestor) {
+      // Not enough is known to find where the chains split (see resetTo)
+      throw new Error(`Chain reorganized below the confirmation depth: block ${cursor.blockNumber} was replaced`);
+    }
+
+    const kept = checkpoints.filter(checkpoint => checkpoint.blockNumber < ancestor.blockNumber);
+    const reverted = await this.rewind(ancestor, kept);
+    logger.warn(`Chain reorganized: rolled back from block ${cursor.blockNumber} to ${ancestor.blockNumber}`);
+    this.emit('chain:reorganized', { blockNumber: ancestor.blockNumber, reverted });
+
+    return { blockNumber: ancestor.blockNumber, reverted };
+  }
+
+  /**
+   * Helper: Undo the transfers indexed after a block and move the cursor back to it
+   * @param {Object} block - { blockNumber, blockHash } to continue after
+   * @param {Array} checkpoints - Remembered blocks before it
+   * @returns {Promise<number>} Number of logs undone
+   */
+  async rewind(block, checkpoints) {
+    const reverted = await this.nfts.revertChainTransfers({ afterBlock: block.blockNumber });
+    await IndexerCursor.updateOne(
+      { _id: CURSOR_ID },
+      {
+        blockNumber: block.blockNumber,
+        blockHash: block.blockHash,
+        checkpoints: [...checkpoints, block]
+      },
+      { upsert: true }
+    );
+
+    return reverted;
+  }
+
+  /**
+   * Helper: Share movements of a transfer log, one per token ID
+   */
+  parseTransfers(log) {
+    let parsed = null;
+    try {
+      parsed = this.transferEvents.parseLog(log);
+    } catch (error) {
+      // Same topic with a different layout (e.g. an ERC-20 Transfer)
+      return [];
+    }
+    if (!parsed) {
+      return [];
+    }
+
+    const base = {
+      from: ethers.getAddress(parsed.args.from),
+      to: ethers.getAddress(parsed.args.to),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber
+    };
+
+    if (parsed.name === 'Transfer') {
+      return [{ ...base, tokenId: parsed.args.tokenId.toString(), quantity: 1 }];
+    }
+    if (parsed.name === 'TransferSingle') {
+      return [{ ...base, tokenId: parsed.args.id.toString(), quantity: Number(parsed.args.value) }];
+    }
+
+    // A batch may list the same ID more than once. Read the arrays by position:
+    // `values` on a Result is Array.prototype.values
+    const [, , , ids, values] = parsed.args;
+    const quantities = new Map();
+    ids.forEach((id, index) => {
+      const tokenId = id.toString();
+      quantities.set(tokenId, (quantities.get(tokenId) || 0) + Number(values[index]));
+    });
+
+    return [...quantities].map(([tokenId, quantity]) => ({ ...base, tokenId, quantity }));
+  }
+}
+
+module.exports = new ChainIndexer();
+module.exports.ChainIndexer = ChainIndexer;
+module.exports.TRANSFER_EVENTS_ABI = TRANSFER_EVENTS_ABI;
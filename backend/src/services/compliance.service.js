@@ -0,0 +1,302 @@
+const ComplianceRuleSet = require('../models/ComplianceRuleSet');
+const KycVerification = require('../models/KycVerification');
+const NFT = require('../models/NFT');
+const Property = require('../models/Property');
+const Quote = require('../models/Quote');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+const { AUDIT_ACTIONS } = auditService;
+
+const RULE_FIELDS = ['allowedCountries', 'blockedCountries', 'accreditedOnly', 'maxHolders', 'maxSharesPerInvestor'];
+
+// Rules of properties without their own rule set
+const DEFAULT_RULES = {
+  allowedCountries: [],
+  blockedCountries: [],
+  accreditedOnly: false,
+  maxHolders: null,
+  maxSharesPerInvestor: null
+};
+
+/**
+ * Investor eligibility for a property's shares (jurisdiction, accreditation,
+ * holder count and per-investor caps). Every path that gives shares to an
+ * investor checks the receiving investor: primary purchases (quotes and
+ * purchases), secondary sales (bids and their settlement) and transfers.
+ */
+class ComplianceService {
+  /**
+   * Get the rules that apply to a property
+   */
+  async getRules(propertyId) {
+    try {
+      const property = await Property.findById(propertyId).select('_id').lean();
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      const ruleSet = await ComplianceRuleSet.findOne({ propertyId }).lean();
+      const rules = ruleSet ?
+        Object.fromEntries(RULE_FIELDS.map(field => [field, ruleSet[field]])) :
+        { ...DEFAULT_RULES };
+
+      return {
+        propertyId,
+        ...rules,
+        isDefault: !ruleSet,
+        updatedAt: ruleSet ? ruleSet.updatedAt : null
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Property not found');
+      }
+      logger.error('Error in getRules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a property's rules; fields not given keep their current value
+   */
+  async updateRules(propertyId, changes, user) {
+    try {
+      const current = await this.getRules(propertyId);
+      const rules = {};
+      RULE_FIELDS.forEach(field => {
+        rules[field] = changes[field] !== undefined ? changes[field] : current[field];
+      });
+
+      rules.allowedCountries = [...new Set(rules.allowedCountries)];
+      rules.blockedCountries = [...new Set(rules.blockedCountries)];
+
+      const overlap = rules.allowedCountries.filter(country => rules.blockedCountries.includes(country));
+      if (overlap.length > 0) {
+        throw new Error(`Invalid compliance rules: ${overlap.join(', ')} cannot be both allowed and blocked`);
+      }
+
+      await ComplianceRuleSet.findOneAndUpdate(
+        { propertyId },
+        { $set: { ...rules, updatedBy: user.id } },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      logger.info(`Compliance rules of property ${propertyId} updated by ${user.id}`);
+
+      const updated = await this.getRules(propertyId);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.COMPLIANCE_RULES_UPDATE,
+        actor: user,
+        target: { type: 'Property', id: propertyId },
+        before: current,
+        after: updated
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error in updateRules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an investor may receive shares of a property.
+   * @param {Object} params
+   * @param {string} params.propertyId
+   * @param {string} params.userId - Investor receiving the shares
+   * @param {number} params.shares - Shares received
+   * @param {string} [params.fromUserId] - Holder giving up the shares (sales and transfers)
+   * @param {boolean} [params.includeQuotes] - Count shares the investor has reserved with quotes
+   * @param {string} [params.transactionId] - Pending purchase being settled, not counted as a reservation
+   * @returns {Promise<Object>} { eligible, violations: [{ rule, message }], investor, holdings, holders, rules }
+   */
+  async evaluate({
+    propertyId,
+    userId,
+    shares,
+    fromUserId = null,
+    includeQuotes = false,
+    transactionId = null,
+    now = new Date()
+  }) {
+    try {
+      const rules = await this.getRules(propertyId);
+      const user = await User.findById(userId).select('kycStatus').lean();
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const verification = await KycVerification.findOne({ user: userId })
+        .select('personal.nationality accreditation')
+        .lean();
+
+      const country = verification && verification.personal ? verification.personal.nationality || null : null;
+      const accreditation = verification && verification.accreditation;
+      const accredited = Boolean(accreditation && accreditation.accredited &&
+        (!accreditation.expiresAt || accreditation.expiresAt > now));
+
+      const holdings = await this.getHoldings(propertyId);
+      const held = holdings.get(userId.toString()) || 0;
+
+      // Purchases waiting for their payment hold their shares until it settles
+      const pending = await this.getPendingPurchases(propertyId, transactionId);
+      let reserved = pending
+        .filter(purchase => purchase.to.toString() === userId.toString())
+        .reduce((sum, purchase) => sum + purchase.quantity, 0);
+
+      if (includeQuotes) {
+        const quotes = await Quote.find({
+          propertyId,
+          buyer: userId,
+          status: 'active',
+          expiresAt: { $gt: now }
+        }).select('quantity').lean();
+        reserved += quotes.reduce((sum, quote) => sum + quote.quantity, 0);
+      }
+
+      // Holders after the shares move, counting buyers whose payment is pending;
+      // a holder giving up all their shares leaves
+      const incoming = new Set(pending
+        .map(purchase => purchase.to.toString())
+        .filter(buyer => !holdings.has(buyer)));
+      if (held === 0) {
+        incoming.add(userId.toString());
+      }
+      let holdersAfter = holdings.size + incoming.size;
+      if (fromUserId && fromUserId.toString() !== userId.toString()) {
+        const fromHeld = holdings.get(fromUserId.toString()) || 0;
+        if (fromHeld > 0 && fromHeld <= shares) {
+          holdersAfter -= 1;
+        }
+      }
+
+      const violations = [];
+
+      if (user.kycStatus !== 'approved') {
+        violations.push({
+          rule: 'kyc',
+          message: 'Identity verification is not approved'
+        });
+      }
+
+      if (rules.allowedCountries.length > 0 || rules.blockedCountries.length > 0) {
+        if (!country) {
+          violations.push({
+            rule: 'jurisdiction',
+            message: 'Country is unknown; complete identity verification first'
+          });
+        } else if (rules.blockedCountries.includes(country)) {
+          violations.push({
+            rule: 'jurisdiction',
+            message: `Investors from ${country} cannot hold shares of this property`
+          });
+        } else if (rules.allowedCountries.length > 0 && !rules.allowedCountries.includes(country)) {
+          violations.push({
+            rule: 'jurisdiction',
+            message: `Investors from ${country} cannot hold shares of this property; allowed countries are ${rules.allowedCountries.join(', ')}`
+          });
+        }
+      }
+
+      if (rules.accreditedOnly && !accredited) {
+        violations.push({
+          rule: 'accreditation',
+          message: 'Only accredited investors can hold shares of this property'
+        });
+      }
+
+      if (rules.maxSharesPerInvestor && held + reserved + shares > rules.maxSharesPerInvestor) {
+        violations.push({
+          rule: 'maxSharesPerInvestor',
+          message: `An investor can hold at most ${rules.maxSharesPerInvestor} shares of this property; ` +
+            `${held + reserved} held or reserved, ${shares} requested`
+        });
+      }
+
+      if (rules.maxHolders && held === 0 && holdersAfter > rules.maxHolders) {
+        violations.push({
+          rule: 'maxHolders',
+          message: `This property is limited to ${rules.maxHolders} holders and has no room for another`
+        });
+      }
+
+      return {
+        eligible: violations.length === 0,
+        violations,
+        investor: {
+          userId,
+          kycStatus: user.kycStatus || 'not_started',
+          country,
+          accredited
+        },
+        holdings: {
+          held,
+          reserved,
+          requested: shares
+        },
+        holders: {
+          current: holdings.size,
+          after: holdersAfter
+        },
+        rules
+      };
+    } catch (error) {
+      logger.error('Error in evaluate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw with the reasons unless the investor may receive the shares
+   * @param {Object} params - As for evaluate
+   */
+  async ensureEligible(params) {
+    const result = await this.evaluate(params);
+
+    if (!result.eligible) {
+      throw new Error(`Not eligible: ${result.violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Helper: Shares held per investor across the property's NFTs
+   * @returns {Promise<Map<string, number>>} Holders with at least one share
+   */
+  async getHoldings(propertyId) {
+    const nfts = await NFT.find({ propertyId }).select('ownership').lean();
+    const holdings = new Map();
+
+    nfts.forEach(nft => {
+      (nft.ownership || []).forEach(({ owner, shares }) => {
+        if (shares > 0) {
+          const key = owner.toString();
+          holdings.set(key, (holdings.get(key) || 0) + shares);
+        }
+      });
+    });
+
+    return holdings;
+  }
+
+  /**
+   * Helper: Purchases of the property still waiting for their payment
+   * @param {string} [excludeId] - Purchase left out
+   * @returns {Promise<Array>} [{ to, quantity }]
+   */
+  async getPendingPurchases(propertyId, excludeId = null) {
+    const query = { type: 'purchase', status: 'pending', propertyId };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    return Transaction.find(query).select('to quantity').lean();
+  }
+}
+
+module.exports = new ComplianceService();
+module.exports.ComplianceService = ComplianceService;
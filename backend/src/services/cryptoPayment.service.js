@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const blockchain = require('../config/blockchain');
+const { decimalsFor } = require('../utils/money');
+
+const ERC20_TRANSFER_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+/**
+ * Verifies on-chain payments for crypto purchases.
+ *
+ * Buyers pay the purchase total to CRYPTO_PAYMENT_ADDRESS, either in an
+ * ERC-20 token worth one unit of the wallet currency (a stablecoin at
+ * CRYPTO_PAYMENT_TOKEN_ADDRESS) or, without a token, in the chain's native
+ * coin when the wallet currency is that coin. A payment counts once its
+ * transaction has CRYPTO_PAYMENT_CONFIRMATIONS confirmations, so payments
+ * dropped by a reorg before then are never settled.
+ */
+class CryptoPaymentVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - ethers Provider; defaults to the configured RPC provider
+   * @param {string} [options.recipient] - Platform address receiving payments
+   * @param {string} [options.token] - ERC-20 token address; native coin if unset
+   * @param {number} [options.tokenDecimals] - Decimals of the token
+   * @param {string} [options.nativeCurrency] - Wallet currency that native payments are made in
+   * @param {number} [options.chainId] - Expected chain; defaults to the provider's
+   * @param {number} [options.confirmations] - Confirmations before a payment counts
+   */
+  constructor({
+    provider = null,
+    recipient = process.env.CRYPTO_PAYMENT_ADDRESS,
+    token = process.env.CRYPTO_PAYMENT_TOKEN_ADDRESS || null,
+    tokenDecimals = parseInt(process.env.CRYPTO_PAYMENT_TOKEN_DECIMALS || 6, 10),
+    nativeCurrency = process.env.CRYPTO_PAYMENT_NATIVE_CURRENCY || 'ETH',
+    chainId = process.env.BLOCKCHAIN_CHAIN_ID ? parseInt(process.env.BLOCKCHAIN_CHAIN_ID, 10) : null,
+    confirmations = parseInt(process.env.CRYPTO_PAYMENT_CONFIRMATIONS || 12, 10)
+  } = {}) {
+    this.provider = provider;
+    this.recipient = recipient;
+    this.token = token;
+    this.tokenDecimals = tokenDecimals;
+    this.nativeCurrency = nativeCurrency;
+    this.chainId = chainId;
+    this.confirmations = confirmations;
+    this.transferEvents = new ethers.Interface(ERC20_TRANSFER_ABI);
+  }
+
+  getProvider() {
+    return this.provider || blockchain.getProvider();
+  }
+
+  /**
+   * Asset paid with: a token address, or 'native'
+   */
+  get asset() {
+    return this.token ? ethers.getAddress(this.token) : 'native';
+  }
+
+  /**
+   * Amount of the payment asset due for a total in the wallet currency
+   * @returns {bigint} Base units of the asset
+   */
+  expectedAmount(amount, currency) {
+    const decimal = amount.toFixed(decimalsFor(currency));
+
+    if (this.token) {
+      return ethers.parseUnits(decimal, this.tokenDecimals);
+    }
+    if (currency !== this.nativeCurrency) {
+      throw new Error(`Crypto payments not configured: Native payments require the wallet currency to be ${this.nativeCurrency}`);
+    }
+    return ethers.parseEther(decimal);
+  }
+
+  /**
+   * Check that a transaction pays a purchase
+   * @param {Object} params
+   * @param {string} params.txHash - Transaction submitted by the buyer
+   * @param {string} params.payer - Buyer's wallet address; the payment must come from it
+   * @param {number} params.amount - Purchase total in the wallet currency
+   * @param {string} params.currency - Wallet currency
+   * @returns {Promise<Object>} { chainId, txHash, payer, asset, assetAmount, confirmations, confirmed }
+   * @throws {Error} Invalid payment: ... if the transaction does not pay the purchase
+   */
+  async verify({ txHash, payer, amount, currency }) {
+    if (!this.recipient) {
+      throw new Error('Crypto payments not configured: CRYPTO_PAYMENT_ADDRESS is missing');
+    }
+    if (!payer) {
+      throw new Error('Invalid payment: Link a wallet address to your account before paying with crypto');
+    }
+
+    const provider = this.getProvider();
+    const recipient = ethers.getAddress(this.recipient);
+    const expected = this.expectedAmount(amount, currency);
+
+    const { chainId } = await provider.getNetwork();
+    if (this.chainId && chainId !== BigInt(this.chainId)) {
+      throw new Error(`Crypto payments not configured: RPC provider is on chain ${chainId}, expected ${this.chainId}`);
+    }
+
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) {
+      throw new Error('Invalid payment: Transaction not found');
+    }
+    // Transactions without replay protection (chainId 0) could come from any chain
+    if (tx.chainId !== chainId) {
+      throw new Error('Invalid payment: Transaction was not made on the payment chain');
+    }
+
+    const payment = {
+      chainId: Number(chainId),
+      txHash: tx.hash.toLowerCase(),
+      payer: ethers.getAddress(payer),
+      asset: this.asset,
+      assetAmount: expected.toString(),
+      confirmations: 0,
+      confirmed: false
+    };
+
+    if (ethers.getAddress(tx.from) !== payment.payer) {
+      throw new Error('Invalid payment: Transaction was not sent from your wallet');
+    }
+
+    if (!this.token) {
+      this.checkPaid({ to: tx.to, value: tx.value }, recipient, expected);
+    }
+
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      // Not mined yet; checked again until it is confirmed
+      return payment;
+    }
+    if (receipt.status !== 1) {
+      throw new Error('Invalid payment: Transaction failed on-chain');
+    }
+
+    if (this.token) {
+      this.checkPaid(this.findTokenTransfer(receipt, payment.payer, recipient), recipient, expected);
+    }
+
+    payment.confirmations = await receipt.confirmations();
+    payment.confirmed = payment.confirmations >= this.confirmations;
+
+    return payment;
+  }
+
+  /**
+   * Helper: The token Transfer from the payer to the platform in a receipt
+   */
+  findTokenTransfer(receipt, payer, recipient) {
+    const token = ethers.getAddress(this.token);
+
+    for (const log of receipt.logs) {
+      if (ethers.getAddress(log.address) !== token) continue;
+
+      const parsed = this.transferEvents.parseLog(log);
+      if (!parsed) continue;
+
+      const [from, to, value] = parsed.args;
+      if (ethers.getAddress(from) === payer && ethers.getAddress(to) === recipient) {
+        return { to, value };
+      }
+    }
+
+    throw new Error('Invalid payment: Transaction does not transfer the payment token to the platform');
+  }
+
+  /**
+   * Helper: Check the recipient and amount of a payment
+   */
+  checkPaid({ to, value }, recipient, expected) {
+    if (!to || ethers.getAddress(to) !== recipient) {
+      throw new Error('Invalid payment: Transaction does not pay the platform address');
+    }
+    if (BigInt(value) !== expected) {
+      throw new Error(`Invalid payment: Paid amount does not match the purchase total of ${expected} base units`);
+    }
+  }
+}
+
+module.exports = new CryptoPaymentVerifier();
+module.exports.CryptoPaymentVerifier = CryptoPaymentVerifier;
@@ -0,0 +1,502 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Payout = require('../models/Payout');
+const NFT = require('../models/NFT');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledger.service');
+const screeningService = require('./screening.service');
+const auditService = require('./audit.service');
+const { decimalsFor, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+const { EVENT_TYPES } = eventBus;
+const { AUDIT_ACTIONS } = auditService;
+
+// Transactions that move shares between holders after minting
+const SHARE_MOVEMENT_TYPES = ['purchase', 'transfer', 'sale'];
+
+class DistributionService {
+  /**
+   * Record a property's net income for a period and create a payout for
+   * every holder of its shares at the record date
+   */
+  async recordIncome({ propertyId, periodStart, periodEnd, netIncome, recordDate, notes }, user) {
+    try {
+      const property = await Property.findById(propertyId);
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      const start = new Date(periodStart);
+      const end = new Date(periodEnd);
+      const record = recordDate ? new Date(recordDate) : end;
+
+      if (end <= start) {
+        throw new Error('Invalid period: Period end must be after period start');
+      }
+      if (record > new Date()) {
+        throw new Error('Invalid record date: Record date cannot be in the future');
+      }
+
+      // Income for a period can only be distributed once
+      const overlapping = await Distribution.findOne({
+        propertyId,
+        periodStart: { $lt: end },
+        periodEnd: { $gt: start }
+      });
+
+      if (overlapping) {
+        throw new Error('Duplicate distribution: Income for an overlapping period has already been recorded');
+      }
+
+      const currency = property.currency || 'USD';
+      const decimals = decimalsFor(currency);
+      const netIncomeMinor = toMinorUnits(netIncome, decimals);
+
+      const holdings = await this.getHoldingsAtRecordDate(propertyId, record);
+      if (holdings.size === 0) {
+        throw new Error('No holders at record date');
+      }
+
+      const allocations = this.allocate(netIncomeMinor, holdings);
+      const totalShares = [...holdings.values()].reduce((sum, shares) => sum + shares, 0);
+
+      const distribution = await Distribution.create({
+        propertyId,
+        periodStart: start,
+        periodEnd: end,
+        recordDate: record,
+        currency,
+        decimals,
+        netIncome: fromMinorUnits(netIncomeMinor, decimals),
+        netIncomeMinor: Number(netIncomeMinor),
+        totalShares,
+        holderCount: allocations.length,
+        remainderMinor: allocations.reduce((sum, allocation) => sum + allocation.remainderMinor, 0),
+        notes: notes || '',
+        createdBy: user.id
+      });
+
+      try {
+        await Payout.insertMany(allocations.map(allocation => ({
+          distributionId: distribution._id,
+          propertyId,
+          holder: allocation.holder,
+          shares: allocation.shares,
+          currency,
+          amountMinor: Number(allocation.amountMinor),
+          amount: fromMinorUnits(allocation.amountMinor, decimals)
+        })));
+
+        // The income is held in escrow until the holders claim it
+        await ledgerService.transfer({
+          postingKey: `distribution:${distribution._id}`,
+          type: 'distribution',
+          from: ledgerService.accounts.external,
+          to: ledgerService.accounts.escrow,
+          amountMinor: Number(netIncomeMinor),
+          currency,
+          distributionId: distribution._id
+        });
+      } catch (error) {
+        // Free the period so the income can be recorded again
+        await Payout.deleteMany({ distributionId: distribution._id });
+        await Distribution.deleteOne({ _id: distribution._id });
+        throw error;
+      }
+
+      distribution.status = 'completed';
+      await distribution.save();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.DISTRIBUTION_INCOME_RECORD,
+        actor: user,
+        target: { type: 'Distribution', id: distribution._id },
+        after: {
+          propertyId,
+          periodStart: start,
+          periodEnd: end,
+          recordDate: record,
+          currency,
+          netIncomeMinor: distribution.netIncomeMinor,
+          totalShares,
+          holderCount: distribution.holderCount
+        }
+      });
+
+      return distribution;
+    } catch (error) {
+      logger.error('Error in recordIncome:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get distributions of a property
+   */
+  async getPropertyDistributions({ propertyId, page = 1, limit = 12 }) {
+    try {
+      const property = await Property.findById(propertyId).select('_id').lean();
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      const skip = (page - 1) * limit;
+      const query = { propertyId, status: 'completed' };
+
+      const distributions = await Distribution.find(query)
+        .sort({ periodEnd: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await Distribution.countDocuments(query);
+      const pages = Math.ceil(total / limit);
+
+      return {
+        distributions,
+        page,
+        limit,
+        total,
+        pages
+      };
+    } catch (error) {
+      logger.error('Error in getPropertyDistributions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a distribution with claimed and unclaimed totals of its payouts.
+   * Individual payouts are only listed for admins (see getDistributionPayouts).
+   */
+  async getDistribution(propertyId, distributionId) {
+    try {
+      const distribution = await Distribution.findOne({ _id: distributionId, propertyId }).lean();
+      if (!distribution) {
+        throw new Error('Distribution not found');
+      }
+
+      const totals = await Payout.aggregate([
+        { $match: { distributionId: distribution._id } },
+        { $group: { _id: '$status', amountMinor: { $sum: '$amountMinor' }, count: { $sum: 1 } } }
+      ]);
+
+      const claims = {};
+      ['claimed', 'unclaimed'].forEach(status => {
+        const total = totals.find(entry => entry._id === status);
+        claims[status] = {
+          count: total ? total.count : 0,
+          amount: fromMinorUnits(total ? total.amountMinor : 0, distribution.decimals)
+        };
+      });
+
+      return {
+        ...distribution,
+        claims
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Distribution not found');
+      }
+      logger.error('Error in getDistribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the payouts of a distribution, largest first
+   */
+  async getDistributionPayouts({ propertyId, distributionId, page = 1, limit = 50 }) {
+    try {
+      const distribution = await Distribution.exists({ _id: distributionId, propertyId });
+      if (!distribution) {
+        throw new Error('Distribution not found');
+      }
+
+      const skip = (page - 1) * limit;
+      const query = { distributionId };
+
+      const payouts = await Payout.find(query)
+        .populate('holder', 'username walletAddress')
+        .sort({ amountMinor: -1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await Payout.countDocuments(query);
+      const pages = Math.ceil(total / limit);
+
+      return {
+        payouts,
+        page,
+        limit,
+        total,
+        pages
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Distribution not found');
+      }
+      logger.error('Error in getDistributionPayouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's payouts with claimable totals per currency
+   */
+  async getUserClaims({ userId, status, page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { holder: userId };
+      if (status) {
+        query.status = status;
+      }
+
+      const payouts = await Payout.find(query)
+        .populate('propertyId', 'title location')
+        .populate('distributionId', 'periodStart periodEnd recordDate')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await Payout.countDocuments(query);
+
+      const unclaimed = await Payout.aggregate([
+        { $match: { holder: new mongoose.Types.ObjectId(userId.toString()), status: 'unclaimed' } },
+        { $group: { _id: '$currency', amountMinor: { $sum: '$amountMinor' }, count: { $sum: 1 } } }
+      ]);
+
+      return {
+        payouts,
+        claimable: unclaimed.map(entry => ({
+          currency: entry._id,
+          amount: fromMinorUnits(entry.amountMinor, decimalsFor(entry._id)),
+          count: entry.count
+        })),
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Error in getUserClaims:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim unclaimed payouts into the user's wallet balance
+   * @param {Object} params
+   * @param {string} params.userId - Claiming user
+   * @param {string[]} [params.payoutIds] - Payouts to claim; all unclaimed payouts when omitted
+   */
+  async claimPayouts({ userId, payoutIds }) {
+    try {
+      const query = { holder: userId, status: 'unclaimed' };
+      if (payoutIds && payoutIds.length > 0) {
+        query._id = { $in: payoutIds };
+      }
+
+      const candidates = await Payout.find(query).select('_id').lean();
+      if (candidates.length === 0) {
+        throw new Error('No unclaimed payouts');
+      }
+
+      // Payouts are credited to the claimant's wallet
+      const claimant = await User.findById(userId).select('walletAddress').lean();
+      if (claimant && claimant.walletAddress) {
+        await screeningService.ensureAllowed({
+          address: claimant.walletAddress,
+          action: 'payout',
+          userId,
+          context: { payoutIds: candidates.map(candidate => candidate._id.toString()) }
+        });
+      }
+
+      const claimed = [];
+      for (const { _id } of candidates) {
+        const payout = await this.claimPayout(userId, _id);
+        if (payout) {
+          claimed.push(payout);
+        }
+      }
+
+      return {
+        claimed,
+        totalClaimed: claimed.length
+      };
+    } catch (error) {
+      logger.error('Error in claimPayouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Credit one unclaimed payout to the holder's wallet and mark it claimed.
+   * The posting, the audit entry and the distribution.paid event are keyed, so
+   * a claim interrupted before the payout is marked claimed is credited,
+   * recorded and announced once when it is repeated.
+   * @returns {Promise<Object|null>} The claimed payout, or null if it was already claimed
+   */
+  async claimPayout(userId, payoutId) {
+    const payout = await Payout.findOne({ _id: payoutId, holder: userId, status: 'unclaimed' }).lean();
+    if (!payout) {
+      return null;
+    }
+
+    await ledgerService.transfer({
+      postingKey: `payout:${payout._id}`,
+      type: 'payout_claim',
+      from: ledgerService.accounts.escrow,
+      to: ledgerService.accounts.wallet(userId),
+      amountMinor: payout.amountMinor,
+      currency: payout.currency,
+      distributionId: payout.distributionId,
+      payoutId: payout._id
+    });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_CLAIM,
+      key: `payout_claim:${payout._id}`,
+      actor: userId,
+      target: { type: 'Payout', id: payout._id },
+      before: { status: 'unclaimed' },
+      after: { status: 'claimed' },
+      metadata: {
+        distributionId: payout.distributionId,
+        amountMinor: payout.amountMinor,
+        currency: payout.currency
+      }
+    });
+
+    // Announced before the payout is marked, in case the claim is interrupted,
+    // and after, in case the distribution's other last payout was claimed meanwhile
+    await this.publishPaidIfSettled(payout.distributionId, payout._id);
+
+    // A concurrent claim of the same payout may have marked it first
+    const claimed = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'unclaimed' },
+      { status: 'claimed', claimedAt: new Date() },
+      { new: true }
+    );
+
+    await this.publishPaidIfSettled(payout.distributionId, payout._id);
+
+    return claimed;
+  }
+
+  /**
+   * Helper: Publish distribution.paid once no payout of the distribution other
+   * than `claimingPayoutId` is left unclaimed
+   */
+  async publishPaidIfSettled(distributionId, claimingPayoutId) {
+    const unclaimed = await Payout.countDocuments({
+      distributionId,
+      _id: { $ne: claimingPayoutId },
+      status: 'unclaimed'
+    });
+    if (unclaimed > 0) {
+      return;
+    }
+
+    const distribution = await Distribution.findById(distributionId).lean();
+    await eventBus.publish(EVENT_TYPES.DISTRIBUTION_PAID, {
+      distributionId: distribution._id,
+      propertyId: distribution.propertyId,
+      periodStart: distribution.periodStart,
+      periodEnd: distribution.periodEnd,
+      recordDate: distribution.recordDate,
+      currency: distribution.currency,
+      netIncome: distribution.netIncome,
+      totalShares: distribution.totalShares,
+      holderCount: distribution.holderCount
+    }, { key: `distribution.paid:${distribution._id}` });
+  }
+
+  /**
+   * Helper: Shares held per holder at the record date.
+   * Starts from current ownership and reverses every share movement recorded after the record date.
+   */
+  async getHoldingsAtRecordDate(propertyId, recordDate) {
+    const nfts = await NFT.find({ propertyId, mintedAt: { $lte: recordDate } })
+      .select('_id ownership')
+      .lean();
+
+    const holdings = new Map();
+    const add = (holder, shares) => {
+      const id = holder.toString();
+      holdings.set(id, (holdings.get(id) || 0) + shares);
+    };
+
+    nfts.forEach(nft => {
+      nft.ownership.forEach(ownership => add(ownership.owner, ownership.shares));
+    });
+
+    const laterMovements = await Transaction.find({
+      nftId: { $in: nfts.map(nft => nft._id) },
+      type: { $in: SHARE_MOVEMENT_TYPES },
+      status: 'completed',
+      createdAt: { $gt: recordDate }
+    }).select('from to quantity').lean();
+
+    laterMovements.forEach(movement => {
+      if (movement.to) add(movement.to, -movement.quantity);
+      if (movement.from) add(movement.from, movement.quantity);
+    });
+
+    [...holdings.entries()].forEach(([holder, shares]) => {
+      if (shares <= 0) holdings.delete(holder);
+    });
+
+    return holdings;
+  }
+
+  /**
+   * Helper: Split an amount of minor units pro rata by shares.
+   * Each holder gets the floor of their exact entitlement; the units left over
+   * go one each to the largest fractional remainders (ties: more shares first,
+   * then lower holder id), so the payouts always add up to the amount.
+   */
+  allocate(amountMinor, holdings) {
+    const amount = BigInt(amountMinor);
+    const entries = [...holdings.entries()].map(([holder, shares]) => ({ holder, shares }));
+    const totalShares = BigInt(entries.reduce((sum, entry) => sum + entry.shares, 0));
+
+    let allocated = 0n;
+    const allocations = entries.map(entry => {
+      const exact = amount * BigInt(entry.shares);
+      const amountFloor = exact / totalShares;
+      allocated += amountFloor;
+
+      return {
+        holder: entry.holder,
+        shares: entry.shares,
+        amountMinor: amountFloor,
+        fraction: exact % totalShares,
+        remainderMinor: 0
+      };
+    });
+
+    const ranked = [...allocations].sort((a, b) => {
+      if (a.fraction !== b.fraction) return a.fraction > b.fraction ? -1 : 1;
+      if (a.shares !== b.shares) return b.shares - a.shares;
+      return a.holder < b.holder ? -1 : 1;
+    });
+
+    let leftover = Number(amount - allocated);
+    for (let index = 0; leftover > 0; index++, leftover--) {
+      ranked[index].amountMinor += 1n;
+      ranked[index].remainderMinor = 1;
+    }
+
+    return allocations.map(({ fraction: _fraction, ...allocation }) => allocation);
+  }
+}
+
+module.exports = new DistributionService();
@@ -0,0 +1,213 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const ledgerService = require('./ledger.service');
+const auditService = require('./audit.service');
+const { decimalsFor, roundToMinorUnits, fromMinorUnits } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const { AUDIT_ACTIONS } = auditService;
+
+const BPS_DENOMINATOR = 10000;
+
+const FEE_FIELDS = ['primaryFeeBps', 'secondaryFeeBps', 'royaltyBps'];
+
+// Platform defaults for properties without their own schedule
+const defaultSchedule = () => ({
+  primaryFeeBps: parseInt(process.env.PRIMARY_FEE_BPS || 0, 10),
+  secondaryFeeBps: parseInt(process.env.SECONDARY_FEE_BPS || 0, 10),
+  royaltyBps: parseInt(process.env.ROYALTY_BPS || 0, 10)
+});
+
+class FeeService {
+  /**
+   * Get the fee schedule that applies to a property
+   */
+  async getSchedule(propertyId) {
+    try {
+      const property = await Property.findById(propertyId).select('createdBy').lean();
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      const schedule = await FeeSchedule.findOne({ propertyId }).lean();
+      const rates = schedule ?
+        Object.fromEntries(FEE_FIELDS.map(field => [field, schedule[field]])) :
+        defaultSchedule();
+
+      return {
+        propertyId,
+        ...rates,
+        royaltyRecipient: (schedule && schedule.royaltyRecipient) || property.createdBy || null,
+        isDefault: !schedule,
+        updatedAt: schedule ? schedule.updatedAt : null
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Property not found');
+      }
+      logger.error('Error in getSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a property's fee schedule; fields not given keep their current value
+   */
+  async updateSchedule(propertyId, changes, user) {
+    try {
+      const property = await Property.findById(propertyId).select('createdBy').lean();
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      if (!user.role.includes('admin') &&
+          (!property.createdBy || property.createdBy.toString() !== user.id)) {
+        throw new Error('Unauthorized to change fees of this property');
+      }
+
+      const current = await this.getSchedule(propertyId);
+      const schedule = { ...current };
+      FEE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) {
+          schedule[field] = changes[field];
+        }
+      });
+
+      if (schedule.secondaryFeeBps + schedule.royaltyBps > BPS_DENOMINATOR) {
+        throw new Error('Invalid fee schedule: Secondary fee and royalty cannot exceed the sale price');
+      }
+
+      let royaltyRecipient = current.isDefault ? null : current.royaltyRecipient;
+      if (changes.royaltyRecipient !== undefined) {
+        royaltyRecipient = changes.royaltyRecipient;
+        if (royaltyRecipient && !await User.exists({ _id: royaltyRecipient })) {
+          throw new Error('Invalid royalty recipient: User not found');
+        }
+      }
+
+      await FeeSchedule.findOneAndUpdate(
+        { propertyId },
+        {
+          $set: {
+            primaryFeeBps: schedule.primaryFeeBps,
+            secondaryFeeBps: schedule.secondaryFeeBps,
+            royaltyBps: schedule.royaltyBps,
+            royaltyRecipient,
+            updatedBy: user.id
+          }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      const updated = await this.getSchedule(propertyId);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.FEE_SCHEDULE_UPDATE,
+        actor: user,
+        target: { type: 'Property', id: propertyId },
+        before: current,
+        after: updated
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error in updateSchedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fees of a primary purchase. The buyer pays the issuance fee on top of the subtotal.
+   * @returns {{subtotal: number, fees: Object[], totalFees: number, total: number}}
+   */
+  quotePrimary(schedule, subtotal) {
+    const subtotalMinor = this.toMinor(subtotal);
+    const fees = [
+      this.feeLine('primary_fee', schedule.primaryFeeBps, subtotalMinor, 'buyer', null)
+    ].filter(Boolean);
+    const totalFeesMinor = fees.reduce((sum, fee) => sum + fee.amountMinor, 0);
+
+    return {
+      subtotal: this.fromMinor(subtotalMinor),
+      fees: fees.map(this.withoutMinor),
+      totalFees: this.fromMinor(totalFeesMinor),
+      total: this.fromMinor(subtotalMinor + totalFeesMinor)
+    };
+  }
+
+  /**
+   * Fees of a secondary sale. The trading fee and the royalty come out of the seller's proceeds.
+   * @returns {{subtotal: number, fees: Object[], totalFees: number, sellerProceeds: number}}
+   */
+  quoteSecondary(schedule, subtotal) {
+    const subtotalMinor = this.toMinor(subtotal);
+    const fees = [
+      this.feeLine('secondary_fee', schedule.secondaryFeeBps, subtotalMinor, 'seller', null),
+      this.feeLine('royalty', schedule.royaltyBps, subtotalMinor, 'seller', schedule.royaltyRecipient)
+    ].filter(Boolean);
+    const totalFeesMinor = fees.reduce((sum, fee) => sum + fee.amountMinor, 0);
+
+    return {
+      subtotal: this.fromMinor(subtotalMinor),
+      fees: fees.map(this.withoutMinor),
+      totalFees: this.fromMinor(totalFeesMinor),
+      sellerProceeds: this.fromMinor(subtotalMinor - totalFeesMinor)
+    };
+  }
+
+  /**
+   * Ledger account credited with a fee line: platform fees go to the fee account,
+   * royalties to the recipient's wallet (or the property treasury without a recipient)
+   */
+  feeAccount(fee, propertyId) {
+    if (fee.type !== 'royalty') {
+      return ledgerService.accounts.fees;
+    }
+    return fee.recipient ?
+      ledgerService.accounts.wallet(fee.recipient) :
+      ledgerService.accounts.treasury(propertyId);
+  }
+
+  /**
+   * Helper: One fee line, rounded half up to minor units; null when nothing is charged
+   */
+  feeLine(type, rateBps, subtotalMinor, paidBy, recipient) {
+    const amountMinor = Math.round(subtotalMinor * rateBps / BPS_DENOMINATOR);
+    if (amountMinor === 0) {
+      return null;
+    }
+
+    return {
+      type,
+      rateBps,
+      amountMinor,
+      amount: this.fromMinor(amountMinor),
+      paidBy,
+      recipient
+    };
+  }
+
+  /**
+   * Helper: Drop the minor unit amount from a fee line
+   */
+  withoutMinor({ amountMinor: _amountMinor, ...fee }) {
+    return fee;
+  }
+
+  /**
+   * Helper: Amount in minor units of the wallet currency
+   */
+  toMinor(amount) {
+    return roundToMinorUnits(amount, decimalsFor(ledgerService.walletCurrency));
+  }
+
+  /**
+   * Helper: Minor units of the wallet currency back to an amount
+   */
+  fromMinor(minor) {
+    return fromMinorUnits(minor, decimalsFor(ledgerService.walletCurrency));
+  }
+}
+
+module.exports = new FeeService();
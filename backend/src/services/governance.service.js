@@ -3,8 +3,21 @@ const Vote = require('../models/Vote');
 const NFT = require('../models/NFT');
 const Property = require('../models/Property');
 const User = require('../models/User');
+const Delegation = require('../models/Delegation');
+const VotingSnapshot = require('../models/VotingSnapshot');
+const proposalExecutor = require('./proposalExecutor.service');
+const kycService = require('./kyc.service');
+const screeningService = require('./screening.service');
+const auditService = require('./audit.service');
+const eventBus = require('../utils/eventBus');
 const logger = require('../utils/logger');
 
+const { EVENT_TYPES } = eventBus;
+const { AUDIT_ACTIONS } = auditService;
+
+// An execution claim older than this is considered abandoned (e.g. the process crashed)
+const EXECUTION_CLAIM_TTL_MS = 15 * 60 * 1000;
+
 class GovernanceService {
   /**
    * Get proposals with pagination and filters
@@ -40,7 +53,7 @@ class GovernanceService {
       // Add voting statistics to each proposal
       const proposalsWithStats = await Promise.all(
         proposals.map(async (proposal) => {
-          const votingStats = await this.calculateVotingStats(proposal._id);
+          const votingStats = await this.calculateVotingStats(proposal._id, proposal);
           return {
             ...proposal,
             votingStats
@@ -79,7 +92,7 @@ class GovernanceService {
       }
 
       // Add voting statistics
-      const votingStats = await this.calculateVotingStats(id);
+      const votingStats = await this.calculateVotingStats(id, proposal);
       
       return {
         ...proposal,
@@ -108,17 +121,17 @@ class GovernanceService {
         userVotingPower = votingPower.totalVotingPower;
       } else {
         // For global proposals, check total voting power across all properties
-        const userNFTs = await NFT.find({ 'ownership.owner': user.id });
-        userVotingPower = userNFTs.reduce((total, nft) => {
-          const ownership = nft.ownership.find(o => o.owner.toString() === user.id);
-          return total + (ownership ? ownership.shares : 0);
-        }, 0);
+        const votingPower = await this.calculateVotingPower(user.id, null);
+        userVotingPower = votingPower.totalVotingPower;
       }
 
       if (userVotingPower < minVotingPower) {
         throw new Error(`Insufficient voting power. Minimum ${minVotingPower} shares required`);
       }
 
+      // Reject actions that could not be encoded for on-chain execution
+      (proposalData.actions || []).forEach(action => proposalExecutor.encodeAction(action));
+
       // Check for duplicate proposals (similar title and description)
       const existingProposal = await Proposal.findOne({
         title: { $regex: new RegExp(proposalData.title, 'i') },
@@ -141,11 +154,30 @@ class GovernanceService {
         ...proposalData,
         startTime,
         endTime,
-        quorumThreshold: proposalData.quorumThreshold || 0.1, // 10% default
-        approvalThreshold: proposalData.approvalThreshold || 0.6, // 60% default
-        status: votingDelay > 0 ? 'pending' : 'active'
+        quorumThreshold: proposalData.quorumThreshold ||
+          parseFloat(process.env.DEFAULT_QUORUM_THRESHOLD || 0.1), // 10% of eligible shares
+        approvalThreshold: proposalData.approvalThreshold ||
+          parseFloat(process.env.DEFAULT_APPROVAL_THRESHOLD || 0.6), // 60% of for/against
+        abstainCountsTowardQuorum: proposalData.abstainCountsTowardQuorum ??
+          process.env.QUORUM_COUNT_ABSTAIN !== 'false',
+        allowVoteChange: Boolean(proposalData.allowVoteChange),
+        status: 'pending'
       });
 
+      await eventBus.publish(EVENT_TYPES.PROPOSAL_CREATED, {
+        proposalId: proposal._id,
+        propertyId: proposal.propertyId || null,
+        title: proposal.title,
+        proposedBy: proposal.proposedBy,
+        startTime,
+        endTime
+      }, { key: `proposal.created:${proposal._id}` });
+
+      // Proposals without a voting delay open (and snapshot voting power) right away
+      if (votingDelay <= 0) {
+        await this.activateProposal(proposal._id);
+      }
+
       return await this.getProposalById(proposal._id);
     } catch (error) {
       logger.error('Error in createProposal:', error);
@@ -158,11 +190,17 @@ class GovernanceService {
    */
   async voteOnProposal({ proposalId, voterId, support, reason }) {
     try {
-      const proposal = await Proposal.findById(proposalId);
+      let proposal = await Proposal.findById(proposalId);
       if (!proposal) {
         throw new Error('Proposal not found');
       }
 
+      // Open the proposal if its voting delay has passed but it was not activated yet
+      if (proposal.status === 'pending' && new Date() >= proposal.startTime) {
+        await this.activateProposal(proposalId);
+        proposal = await Proposal.findById(proposalId);
+      }
+
       // Check if voting is active
       const now = new Date();
       if (now < proposal.startTime) {
@@ -175,39 +213,74 @@ class GovernanceService {
         throw new Error('Proposal is not active for voting');
       }
 
-      // Check if user already voted
-      const existingVote = await Vote.findOne({ proposalId, voter: voterId });
-      if (existingVote) {
+      await kycService.ensureApproved(voterId, 'vote');
+
+      // Check if user already voted, directly or through a delegate
+      const existingVotes = await Vote.find({ proposalId }).select('voter support delegators').lean();
+      const priorVote = existingVotes.find(vote => vote.voter.toString() === voterId);
+
+      if (priorVote && !proposal.allowVoteChange) {
         throw new Error('Already voted on this proposal');
       }
 
-      // Calculate user's voting power
-      let votingPower = 0;
-      if (proposal.propertyId) {
-        const userVotingPower = await this.getVotingPower(voterId, proposal.propertyId);
-        votingPower = userVotingPower.totalVotingPower;
-      } else {
-        // For global proposals, use total shares across all properties
-        const userNFTs = await NFT.find({ 'ownership.owner': voterId });
-        votingPower = userNFTs.reduce((total, nft) => {
-          const ownership = nft.ownership.find(o => o.owner.toString() === voterId);
-          return total + (ownership ? ownership.shares : 0);
-        }, 0);
+      // A changed vote is re-weighted as if the prior vote had not been cast
+      const otherVotes = existingVotes.filter(vote => vote !== priorVote);
+      const voterIds = otherVotes.map(vote => vote.voter.toString());
+      const countedDelegatorIds = otherVotes.flatMap(
+        vote => (vote.delegators || []).map(d => d.delegator.toString())
+      );
+
+      if (countedDelegatorIds.includes(voterId)) {
+        throw new Error('Already voted on this proposal through a delegate');
       }
 
+      // Voting power comes from the snapshot taken when the proposal became active;
+      // shares that already took part in a vote are not counted again
+      const userVotingPower = await this.getSnapshotVotingPower(proposalId, voterId, {
+        excludedDelegators: [...voterIds, ...countedDelegatorIds]
+      });
+
+      if (userVotingPower.delegatedTo) {
+        throw new Error('Cannot vote: Voting power is delegated for this proposal');
+      }
+
+      const votingPower = userVotingPower.totalVotingPower;
       if (votingPower === 0) {
         throw new Error('No voting power for this proposal');
       }
 
-      // Create vote
-      const vote = await Vote.create({
+      const voteData = {
         proposalId,
         voter: voterId,
         support,
         votingPower,
+        directVotingPower: userVotingPower.directVotingPower,
+        delegatedVotingPower: userVotingPower.delegatedVotingPower,
+        delegators: userVotingPower.delegators,
         reason: reason || '',
-        timestamp: new Date()
-      });
+        timestamp: now
+      };
+
+      let vote;
+      if (priorVote) {
+        // Replace the prior vote; the match on its support guards against concurrent changes
+        vote = await Vote.findOneAndUpdate(
+          { _id: priorVote._id, support: priorVote.support },
+          {
+            ...voteData,
+            previousSupport: priorVote.support,
+            changedAt: now,
+            $inc: { changeCount: 1 }
+          },
+          { new: true }
+        );
+
+        if (!vote) {
+          throw new Error('Vote changed concurrently, please retry');
+        }
+      } else {
+        vote = await Vote.create(voteData);
+      }
 
       // Update proposal vote counts
       await this.updateProposalVoteCounts(proposalId);
@@ -223,18 +296,117 @@ class GovernanceService {
   }
 
   /**
-   * Execute a proposal
+   * Cancel a pending or active proposal.
+   * Only the proposer (withdrawal) or an admin may cancel.
    */
-  async executeProposal(proposalId, user) {
+  async cancelProposal(proposalId, user, reason) {
+    try {
+      const proposal = await Proposal.findById(proposalId);
+      if (!proposal) {
+        throw new Error('Proposal not found');
+      }
+
+      const isProposer = proposal.proposedBy.toString() === user.id.toString();
+      if (!isProposer && !user.role.includes('admin')) {
+        throw new Error('Unauthorized to cancel this proposal');
+      }
+
+      if (!['pending', 'active'].includes(proposal.status)) {
+        throw new Error('Cannot cancel proposal: Only pending or active proposals can be cancelled');
+      }
+
+      const cancelled = await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: { $in: ['pending', 'active'] } },
+        {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: user.id,
+          cancellationReason: reason
+        },
+        { new: true }
+      );
+
+      // Lost the race against the scheduler closing the vote
+      if (!cancelled) {
+        throw new Error('Cannot cancel proposal: Only pending or active proposals can be cancelled');
+      }
+
+      return cancelled;
+    } catch (error) {
+      logger.error('Error in cancelProposal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a succeeded proposal in the timelock.
+   * Its actions become executable once the timelock delay has passed.
+   */
+  async queueProposal(proposalId, user, now = new Date()) {
     try {
       const proposal = await Proposal.findById(proposalId);
       if (!proposal) {
         throw new Error('Proposal not found');
       }
 
-      // Check if proposal can be executed
       if (proposal.status !== 'succeeded') {
-        throw new Error('Cannot execute proposal: Proposal has not succeeded');
+        throw new Error('Cannot queue proposal: Proposal has not succeeded');
+      }
+
+      // Check authorization (admin or DAO contract)
+      if (!user.role.includes('admin') && !user.role.includes('dao')) {
+        throw new Error('Unauthorized to queue proposals');
+      }
+
+      const timelockDelay = parseInt(process.env.GOVERNANCE_TIMELOCK_DELAY || 2 * 24 * 60 * 60, 10); // seconds
+      const eta = new Date(now.getTime() + timelockDelay * 1000);
+
+      const queued = await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: 'succeeded' },
+        {
+          status: 'queued',
+          queuedAt: now,
+          queuedBy: user.id,
+          eta
+        },
+        { new: true }
+      );
+
+      if (!queued) {
+        throw new Error('Cannot queue proposal: Proposal has not succeeded');
+      }
+
+      return {
+        proposalId,
+        status: 'queued',
+        queuedAt: now,
+        eta
+      };
+    } catch (error) {
+      logger.error('Error in queueProposal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a queued proposal on-chain once its timelock has expired.
+   * Actions run in order; results are persisted per action so a failed or
+   * unconfirmed execution can be retried without resubmitting confirmed actions.
+   */
+  async executeProposal(proposalId, user, now = new Date()) {
+    try {
+      const proposal = await Proposal.findById(proposalId);
+      if (!proposal) {
+        throw new Error('Proposal not found');
+      }
+
+      // Check if proposal can be executed
+      if (proposal.status !== 'queued') {
+        throw new Error('Cannot execute proposal: Proposal is not queued');
+      }
+
+      if (now < proposal.eta) {
+        throw new Error(`Cannot execute proposal: Timelock expires at ${proposal.eta.toISOString()}`);
       }
 
       // Check authorization (admin or DAO contract)
@@ -242,42 +414,167 @@ class GovernanceService {
         throw new Error('Unauthorized to execute proposals');
       }
 
-      // Execute proposal actions (simplified - in production, integrate with smart contracts)
-      const executionResults = [];
-      
-      for (const action of proposal.actions) {
-        try {
-          // This would integrate with blockchain/smart contract execution
-          const result = await this.executeAction(action, proposal);
-          executionResults.push({
-            action: action.signature,
-            status: 'success',
-            result
-          });
-        } catch (actionError) {
-          executionResults.push({
-            action: action.signature,
-            status: 'failed',
-            error: actionError.message
-          });
+      // Claim the execution so concurrent requests cannot submit the same actions twice
+      const claimExpiry = new Date(now.getTime() - EXECUTION_CLAIM_TTL_MS);
+      const claimed = await Proposal.findOneAndUpdate(
+        {
+          _id: proposalId,
+          status: 'queued',
+          $or: [
+            { executionStartedAt: null },
+            { executionStartedAt: { $lt: claimExpiry } }
+          ]
+        },
+        { executionStartedAt: now },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw new Error('Cannot execute proposal: Execution already in progress');
+      }
+
+      const executionResults = (claimed.executionResults || []).map(result =>
+        (result && result.toObject ? result.toObject() : result));
+
+      try {
+        for (let index = 0; index < claimed.actions.length; index++) {
+          const action = claimed.actions[index];
+          const base = {
+            index,
+            target: action.target,
+            signature: action.signature,
+            value: action.value
+          };
+
+          let result = await this.reconcileActionResult(executionResults[index]);
+
+          if (!result || result.status === 'failed') {
+            result = await proposalExecutor.executeAction(action, async submitted => {
+              await this.saveActionResult(proposalId, index, { ...base, ...submitted });
+            });
+          }
+
+          executionResults[index] = { ...base, ...result };
+          await this.saveActionResult(proposalId, index, executionResults[index]);
+
+          // Later actions may depend on earlier ones; stop at the first unfinished action
+          if (result.status !== 'success') {
+            break;
+          }
+        }
+
+        const executed = executionResults.length === claimed.actions.length &&
+          executionResults.every(result => result.status === 'success');
+
+        const update = executed ?
+          { status: 'executed', executedAt: new Date(), executedBy: user.id, executionStartedAt: null } :
+          { executionStartedAt: null };
+
+        await Proposal.updateOne({ _id: proposalId }, update);
+
+        // Every attempt is recorded: partial executions submit transactions too
+        await auditService.record({
+          action: AUDIT_ACTIONS.PROPOSAL_EXECUTE,
+          actor: user,
+          target: { type: 'Proposal', id: proposalId },
+          before: { status: 'queued' },
+          after: { status: executed ? 'executed' : 'queued' },
+          metadata: { executionResults }
+        });
+
+        if (executed) {
+          await eventBus.publish(EVENT_TYPES.PROPOSAL_EXECUTED, {
+            proposalId,
+            propertyId: claimed.propertyId || null,
+            executedBy: user.id,
+            executedAt: update.executedAt,
+            executionResults
+          }, { key: `proposal.executed:${proposalId}` });
         }
+
+        return {
+          proposalId,
+          status: executed ? 'executed' : 'queued',
+          executionResults
+        };
+      } catch (error) {
+        await Proposal.updateOne({ _id: proposalId }, { executionStartedAt: null });
+        throw error;
       }
+    } catch (error) {
+      logger.error('Error in executeProposal:', error);
+      throw error;
+    }
+  }
 
-      // Update proposal status
-      proposal.status = 'executed';
-      proposal.executedAt = new Date();
-      proposal.executedBy = user.id;
-      proposal.executionResults = executionResults;
+  /**
+   * Activate a pending proposal and snapshot voting power at that moment.
+   * Returns the activated proposal, or null if it was not pending anymore.
+   */
+  async activateProposal(proposalId, now = new Date()) {
+    try {
+      const proposal = await Proposal.findById(proposalId);
+      if (!proposal) {
+        throw new Error('Proposal not found');
+      }
 
-      await proposal.save();
+      if (proposal.status !== 'pending') {
+        return null;
+      }
+
+      // Snapshot first so no vote can be cast against a missing snapshot
+      await this.takeVotingSnapshot(proposal, now);
+
+      return await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: 'pending' },
+        { status: 'active', snapshotTakenAt: now },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Error in activateProposal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a voter's snapshot balance for a proposal
+   */
+  async getVoterSnapshot(proposalId, voterAddress) {
+    try {
+      const proposal = await Proposal.findById(proposalId);
+      if (!proposal) {
+        throw new Error('Proposal not found');
+      }
+
+      if (proposal.status === 'pending') {
+        throw new Error('Snapshot not available: Proposal has not started');
+      }
+
+      const voter = await User.findOne({ walletAddress: voterAddress });
+      const snapshot = voter ?
+        await VotingSnapshot.findOne({ proposalId, holder: voter._id })
+          .populate('delegatedTo', 'username walletAddress')
+          .lean() :
+        null;
+
+      const shares = snapshot ? snapshot.shares : 0;
+      const delegatedVotingPower = snapshot ?
+        snapshot.delegators.reduce((sum, d) => sum + d.shares, 0) : 0;
 
       return {
         proposalId,
-        status: 'executed',
-        executionResults
+        voterAddress,
+        takenAt: snapshot ? snapshot.takenAt : proposal.snapshotTakenAt || null,
+        shares,
+        delegatedVotingPower,
+        delegatedTo: snapshot ? snapshot.delegatedTo : null,
+        votingPower: snapshot && !snapshot.delegatedTo ? shares + delegatedVotingPower : 0
       };
     } catch (error) {
-      logger.error('Error in executeProposal:', error);
+      if (error.name === 'CastError') {
+        throw new Error('Invalid proposal ID format');
+      }
+      logger.error('Error in getVoterSnapshot:', error);
       throw error;
     }
   }
@@ -292,36 +589,18 @@ class GovernanceService {
         throw new Error('Property not found');
       }
 
-      // Find user's NFT ownership for this property
       const nft = await NFT.findOne({ propertyId });
-      if (!nft) {
-        return {
-          propertyId,
-          directVotingPower: 0,
-          delegatedVotingPower: 0,
-          totalVotingPower: 0,
-          ownershipPercentage: 0
-        };
-      }
-
-      const userOwnership = nft.ownership.find(
-        ownership => ownership.owner.toString() === userId
-      );
-
-      const directVotingPower = userOwnership ? userOwnership.shares : 0;
-      
-      // Calculate delegated voting power (simplified)
-      const delegatedVotingPower = 0; // Would implement delegation logic here
+      const votingPower = await this.calculateVotingPower(userId, propertyId);
 
-      const totalVotingPower = directVotingPower + delegatedVotingPower;
-      const ownershipPercentage = nft.totalShares > 0 ? 
-        (totalVotingPower / nft.totalShares) * 100 : 0;
+      const ownershipPercentage = nft && nft.totalShares > 0 ?
+        (votingPower.totalVotingPower / nft.totalShares) * 100 : 0;
 
       return {
         propertyId,
-        directVotingPower,
-        delegatedVotingPower,
-        totalVotingPower,
+        directVotingPower: votingPower.directVotingPower,
+        delegatedVotingPower: votingPower.delegatedVotingPower,
+        totalVotingPower: votingPower.totalVotingPower,
+        delegatedTo: votingPower.delegatedTo,
         ownershipPercentage: Math.round(ownershipPercentage * 100) / 100
       };
     } catch (error) {
@@ -454,30 +733,73 @@ class GovernanceService {
   }
 
   /**
-   * Delegate voting power
+   * Delegate voting power for a property, or globally when no property is given
    */
-  async delegateVotingPower({ delegatorId, delegateAddress, propertyId }) {
+  async delegateVotingPower({ delegatorId, delegateAddress, propertyId = null }) {
     try {
+      await screeningService.ensureAllowed({
+        address: delegateAddress,
+        action: 'delegation',
+        userId: delegatorId,
+        context: { propertyId: propertyId ? propertyId.toString() : null }
+      });
+
       // Find delegate user
       const delegate = await User.findOne({ walletAddress: delegateAddress });
       if (!delegate) {
         throw new Error('Invalid delegate address: User not found');
       }
 
-      // Check if delegator has voting power for the property
-      const votingPower = await this.getVotingPower(delegatorId, propertyId);
-      if (votingPower.directVotingPower === 0) {
-        throw new Error('No voting power to delegate for this property');
+      if (delegate._id.toString() === delegatorId) {
+        throw new Error('Invalid delegate address: Cannot delegate to yourself');
       }
 
-      // In a full implementation, this would create a delegation record
-      // For now, we'll just return the delegation info
-      return {
+      if (propertyId) {
+        const property = await Property.findById(propertyId);
+        if (!property) {
+          throw new Error('Property not found');
+        }
+      }
+
+      // Check if delegator has voting power in this scope
+      const holdings = await this.getShareHoldings(propertyId);
+      const directVotingPower = holdings.get(delegatorId) || 0;
+      if (directVotingPower === 0) {
+        throw new Error(propertyId ?
+          'No voting power to delegate for this property' :
+          'No voting power to delegate');
+      }
+
+      // Reject delegations that would route voting power back to the delegator
+      const delegations = await this.getEffectiveDelegations(propertyId);
+      delegations.set(delegatorId, delegate._id.toString());
+      if (this.resolveDelegate(delegatorId, delegations) === null) {
+        throw new Error('Delegation cycle detected: Delegate chain leads back to the delegator');
+      }
+
+      // Re-delegation replaces the active delegation for the same scope
+      const previous = await Delegation.findOneAndUpdate(
+        { delegator: delegatorId, propertyId, status: 'active' },
+        { status: 'revoked', revokedAt: new Date(), revokedReason: 'redelegated' }
+      );
+
+      const delegation = await Delegation.create({
         delegator: delegatorId,
         delegate: delegate._id,
         propertyId,
-        votingPower: votingPower.directVotingPower,
         delegatedAt: new Date()
+      });
+
+      return {
+        id: delegation._id,
+        delegator: delegatorId,
+        delegate: delegate._id,
+        delegateAddress: delegate.walletAddress,
+        propertyId,
+        scope: delegation.scope,
+        votingPower: directVotingPower,
+        delegatedAt: delegation.delegatedAt,
+        replaced: previous ? previous._id : null
       };
     } catch (error) {
       logger.error('Error in delegateVotingPower:', error);
@@ -485,6 +807,84 @@ class GovernanceService {
     }
   }
 
+  /**
+   * Move an existing delegation to a new delegate
+   */
+  async redelegateVotingPower({ delegationId, delegatorId, delegateAddress }) {
+    try {
+      const delegation = await Delegation.findOne({ _id: delegationId, status: 'active' });
+      if (!delegation) {
+        throw new Error('Delegation not found');
+      }
+
+      if (delegation.delegator.toString() !== delegatorId) {
+        throw new Error('Unauthorized to modify this delegation');
+      }
+
+      return await this.delegateVotingPower({
+        delegatorId,
+        delegateAddress,
+        propertyId: delegation.propertyId ? delegation.propertyId.toString() : null
+      });
+    } catch (error) {
+      logger.error('Error in redelegateVotingPower:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a delegation, returning voting power to the delegator
+   */
+  async revokeDelegation({ delegationId, delegatorId }) {
+    try {
+      const delegation = await Delegation.findOne({ _id: delegationId, status: 'active' });
+      if (!delegation) {
+        throw new Error('Delegation not found');
+      }
+
+      if (delegation.delegator.toString() !== delegatorId) {
+        throw new Error('Unauthorized to modify this delegation');
+      }
+
+      delegation.status = 'revoked';
+      delegation.revokedAt = new Date();
+      delegation.revokedReason = 'revoked';
+      await delegation.save();
+
+      return delegation;
+    } catch (error) {
+      logger.error('Error in revokeDelegation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get delegations given and received by a user
+   */
+  async getUserDelegations({ userId, status = 'active' }) {
+    try {
+      const query = status === 'all' ? {} : { status };
+
+      const [given, received] = await Promise.all([
+        Delegation.find({ ...query, delegator: userId })
+          .populate('delegate', 'username walletAddress')
+          .populate('propertyId', 'title')
+          .sort({ delegatedAt: -1 })
+          .lean(),
+        Delegation.find({ ...query, delegate: userId })
+          .populate('delegator', 'username walletAddress')
+          .populate('propertyId', 'title')
+          .sort({ delegatedAt: -1 })
+          .lean()
+      ]);
+
+      return { given, received };
+    } catch (error) {
+      logger.error('Error in getUserDelegations:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's governance history
    */
@@ -529,6 +929,37 @@ class GovernanceService {
         });
       }
 
+      // Get delegations given or received by the user
+      if (!type || type === 'delegation') {
+        const delegations = await Delegation.find({
+          $or: [{ delegator: userId }, { delegate: userId }]
+        })
+          .populate('delegator', 'username walletAddress')
+          .populate('delegate', 'username walletAddress')
+          .populate('propertyId', 'title')
+          .lean();
+
+        delegations.forEach(delegation => {
+          const isDelegator = delegation.delegator._id.toString() === userId;
+
+          history.push({
+            type: 'delegation',
+            action: isDelegator ? 'delegated' : 'received_delegation',
+            delegation,
+            timestamp: delegation.delegatedAt
+          });
+
+          if (delegation.revokedAt) {
+            history.push({
+              type: 'delegation',
+              action: isDelegator ? delegation.revokedReason : 'delegation_revoked',
+              delegation,
+              timestamp: delegation.revokedAt
+            });
+          }
+        });
+      }
+
       // Sort all history items by timestamp
       history.sort((a, b) => {
         const aTime = new Date(a.timestamp);
@@ -557,7 +988,7 @@ class GovernanceService {
   /**
    * Helper: Calculate voting statistics for a proposal
    */
-  async calculateVotingStats(proposalId) {
+  async calculateVotingStats(proposalId, proposal = null) {
     try {
       const votes = await Vote.find({ proposalId });
       
@@ -571,28 +1002,90 @@ class GovernanceService {
         .reduce((sum, vote) => sum + vote.votingPower, 0);
 
       const totalVotes = votesFor + votesAgainst + abstainVotes;
-      const participationRate = totalVotes > 0 ? 
-        Math.round((votes.length / totalVotes) * 100) / 100 : 0;
+
+      // Participation is the share of eligible voting power that was cast
+      const target = proposal ||
+        await Proposal.findById(proposalId).select('propertyId result snapshotTakenAt').lean();
+      const eligibleShares = target ?
+        (target.result && target.result.eligibleShares) ||
+          await this.getEligibleShares(target) :
+        0;
+      const participationRate = eligibleShares > 0 ?
+        Math.round((totalVotes / eligibleShares) * 10000) / 10000 : 0;
 
       return {
         votesFor,
         votesAgainst,
         abstainVotes,
         totalVotes,
+        eligibleShares,
         participationRate,
         voterCount: votes.length
       };
     } catch (error) {
+      // Never fall back to an empty tally: finalizing on one would defeat the proposal
       logger.error('Error calculating voting stats:', error);
-      return {
-        votesFor: 0,
-        votesAgainst: 0,
-        abstainVotes: 0,
-        totalVotes: 0,
-        participationRate: 0,
-        voterCount: 0
-      };
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Shares eligible to vote on a proposal: the shares holders hold
+   * (see getShareHoldings). Once it is active these are frozen in its voting
+   * snapshot, so quorum is measured against the same shares votes are
+   * weighted by; before that, the current holdings count.
+   */
+  async getEligibleShares(proposal) {
+    if (proposal.snapshotTakenAt) {
+      const [snapshot] = await VotingSnapshot.aggregate([
+        { $match: { proposalId: proposal._id } },
+        { $group: { _id: null, shares: { $sum: '$shares' } } }
+      ]);
+      return snapshot ? snapshot.shares : 0;
     }
+
+    // Accept a populated property as well as an id
+    const property = proposal.propertyId;
+    const propertyId = property && property._id ? property._id : property;
+    const holdings = await this.getShareHoldings(propertyId || null);
+
+    return [...holdings.values()].reduce((sum, shares) => sum + shares, 0);
+  }
+
+  /**
+   * Helper: Apply quorum and approval rules to a proposal's tally
+   */
+  computeProposalResult(proposal, stats, eligibleShares, now = new Date()) {
+    const { quorumThreshold, approvalThreshold } = proposal;
+    const abstainCountsTowardQuorum = proposal.abstainCountsTowardQuorum !== undefined ?
+      proposal.abstainCountsTowardQuorum :
+      process.env.QUORUM_COUNT_ABSTAIN !== 'false';
+
+    const quorumVotes = stats.votesFor + stats.votesAgainst +
+      (abstainCountsTowardQuorum ? stats.abstainVotes : 0);
+    const quorumRequired = Math.ceil(eligibleShares * quorumThreshold);
+    const quorumMet = eligibleShares > 0 && quorumVotes >= quorumRequired;
+
+    // Abstentions never count for or against approval
+    const decisiveVotes = stats.votesFor + stats.votesAgainst;
+    const approvalRate = decisiveVotes > 0 ? stats.votesFor / decisiveVotes : 0;
+    const approvalMet = approvalRate >= approvalThreshold;
+
+    return {
+      eligibleShares,
+      quorumThreshold,
+      approvalThreshold,
+      abstainCountsTowardQuorum,
+      quorumVotes,
+      quorumRequired,
+      quorumMet,
+      approvalRate: Math.round(approvalRate * 10000) / 10000,
+      approvalMet,
+      participationRate: eligibleShares > 0 ?
+        Math.round((stats.totalVotes / eligibleShares) * 10000) / 10000 : 0,
+      outcome: quorumMet && approvalMet ? 'succeeded' : 'defeated',
+      computedAt: now
+    };
   }
 
   /**
@@ -601,13 +1094,18 @@ class GovernanceService {
   async updateProposalVoteCounts(proposalId) {
     try {
       const stats = await this.calculateVotingStats(proposalId);
-      
-      await Proposal.findByIdAndUpdate(proposalId, {
-        votesFor: stats.votesFor,
-        votesAgainst: stats.votesAgainst,
-        abstainVotes: stats.abstainVotes,
-        totalVotes: stats.totalVotes
-      });
+
+      // Tallies are recomputed from the stored votes (one per voter, changes replace the
+      // prior vote) and only while voting is open, so the final tally is never overwritten
+      await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: 'active' },
+        {
+          votesFor: stats.votesFor,
+          votesAgainst: stats.votesAgainst,
+          abstainVotes: stats.abstainVotes,
+          totalVotes: stats.totalVotes
+        }
+      );
     } catch (error) {
       logger.error('Error updating proposal vote counts:', error);
     }
@@ -628,51 +1126,331 @@ class GovernanceService {
         return; // Voting still active
       }
 
-      const stats = await this.calculateVotingStats(proposalId);
-      
-      // Check quorum
-      const quorumMet = stats.totalVotes >= (proposal.quorumThreshold * 100); // Simplified
-      
-      // Check approval
-      const approvalRate = stats.totalVotes > 0 ? 
-        stats.votesFor / (stats.votesFor + stats.votesAgainst) : 0;
-      const approvalMet = approvalRate >= proposal.approvalThreshold;
+      await this.finalizeProposal(proposalId, now);
+    } catch (error) {
+      logger.error('Error checking proposal execution:', error);
+    }
+  }
 
-      // Update proposal status
-      let newStatus = 'defeated';
-      if (quorumMet && approvalMet) {
-        newStatus = 'succeeded';
+  /**
+   * Close voting on an active proposal and record whether it succeeded.
+   * Returns the finalized proposal, or null if it was not active anymore.
+   */
+  async finalizeProposal(proposalId, now = new Date()) {
+    try {
+      const proposal = await Proposal.findById(proposalId);
+      if (!proposal) {
+        throw new Error('Proposal not found');
       }
 
-      await Proposal.findByIdAndUpdate(proposalId, {
-        status: newStatus,
-        endedAt: now
-      });
+      if (proposal.status !== 'active') {
+        return null;
+      }
+
+      const eligibleShares = await this.getEligibleShares(proposal);
+      const stats = await this.calculateVotingStats(proposalId, proposal);
+
+      // Store the thresholds and tally used for the decision for audit
+      const result = this.computeProposalResult(proposal, stats, eligibleShares, now);
+
+      const finalized = await Proposal.findOneAndUpdate(
+        { _id: proposalId, status: 'active' },
+        {
+          status: result.outcome,
+          endedAt: now,
+          result,
+          votesFor: stats.votesFor,
+          votesAgainst: stats.votesAgainst,
+          abstainVotes: stats.abstainVotes,
+          totalVotes: stats.totalVotes
+        },
+        { new: true }
+      );
+
+      if (finalized) {
+        await eventBus.publish(EVENT_TYPES.PROPOSAL_FINALIZED, {
+          proposalId,
+          propertyId: finalized.propertyId || null,
+          status: finalized.status,
+          endedAt: now,
+          result
+        }, { key: `proposal.finalized:${proposalId}` });
+      }
+
+      return finalized;
     } catch (error) {
-      logger.error('Error checking proposal execution:', error);
+      logger.error('Error in finalizeProposal:', error);
+      throw error;
     }
   }
 
   /**
-   * Helper: Execute a single action (simplified)
+   * Confirm proposal actions submitted in a transaction the chain indexer saw
+   * mined, e.g. when the executing process stopped before the receipt arrived.
+   * The next execute call continues from the confirmed results.
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Promise<number>} Number of confirmed actions
    */
-  async executeAction(action, proposal) {
+  async recordActionReceipt(receipt) {
     try {
-      // This would integrate with smart contracts in production
-      // For now, just return a mock result
-      return {
-        target: action.target,
-        signature: action.signature,
-        value: action.value,
-        executed: true,
-        blockNumber: Math.floor(Math.random() * 1000000),
-        transactionHash: `0x${Math.random().toString(16).substr(2, 8)}`
-      };
+      const proposals = await Proposal.find({
+        status: 'queued',
+        'executionResults.transactionHash': receipt.hash
+      }).select('executionResults').lean();
+
+      let confirmed = 0;
+      for (const proposal of proposals) {
+        for (const [index, result] of proposal.executionResults.entries()) {
+          if (!result || result.transactionHash !== receipt.hash || result.status !== 'submitted') {
+            continue;
+          }
+
+          await this.saveActionResult(proposal._id, index, {
+            ...result,
+            ...proposalExecutor.toResult(receipt, result)
+          });
+          confirmed += 1;
+        }
+      }
+
+      return confirmed;
     } catch (error) {
-      logger.error('Error executing action:', error);
+      logger.error('Error in recordActionReceipt:', error);
       throw error;
     }
   }
+
+  /**
+   * Helper: Calculate voting power including shares delegated (transitively) to the user.
+   * Delegators whose identity verification is not approved lend no voting power.
+   */
+  async calculateVotingPower(userId, propertyId = null, { excludedDelegators = [] } = {}) {
+    const holdings = await this.getShareHoldings(propertyId);
+    const delegations = await this.getEffectiveDelegations(propertyId);
+    const table = this.buildVotingPowerTable(holdings, delegations);
+    const entry = table.get(userId) || { shares: 0, delegatedTo: null, delegators: [] };
+    const unapproved = await this.getUnapprovedDelegators(entry.delegators);
+
+    return this.summarizeVotingPower(entry, [...excludedDelegators, ...unapproved]);
+  }
+
+  /**
+   * Helper: Voting power of a voter from the proposal's snapshot. Delegators
+   * are checked when the vote is cast: those whose identity verification is
+   * not approved by then lend no voting power.
+   */
+  async getSnapshotVotingPower(proposalId, userId, { excludedDelegators = [] } = {}) {
+    const entry = await VotingSnapshot.findOne({ proposalId, holder: userId }).lean();
+    if (!entry) {
+      return this.summarizeVotingPower(
+        { shares: 0, delegatedTo: null, delegators: [] },
+        excludedDelegators
+      );
+    }
+
+    const delegators = entry.delegators.map(d => ({
+      delegator: d.delegator.toString(),
+      shares: d.shares
+    }));
+    const unapproved = await this.getUnapprovedDelegators(delegators);
+
+    return this.summarizeVotingPower({
+      shares: entry.shares,
+      delegatedTo: entry.delegatedTo ? entry.delegatedTo.toString() : null,
+      delegators
+    }, [...excludedDelegators, ...unapproved]);
+  }
+
+  /**
+   * Helper: Ids of delegators whose identity verification is not approved
+   */
+  async getUnapprovedDelegators(delegators) {
+    if (delegators.length === 0) {
+      return [];
+    }
+
+    const approved = await User.find({
+      _id: { $in: delegators.map(d => d.delegator) },
+      kycStatus: 'approved'
+    }).distinct('_id');
+    const approvedIds = new Set(approved.map(id => id.toString()));
+
+    return delegators
+      .map(d => d.delegator.toString())
+      .filter(id => !approvedIds.has(id));
+  }
+
+  /**
+   * Helper: Freeze every account's voting power for a proposal
+   */
+  async takeVotingSnapshot(proposal, takenAt = new Date()) {
+    const propertyId = proposal.propertyId || null;
+    const holdings = await this.getShareHoldings(propertyId);
+    const delegations = await this.getEffectiveDelegations(propertyId);
+    const table = this.buildVotingPowerTable(holdings, delegations);
+
+    if (table.size === 0) {
+      return 0;
+    }
+
+    // Upserts keep the first snapshot if two activations race
+    const operations = [...table.entries()].map(([holder, entry]) => ({
+      updateOne: {
+        filter: { proposalId: proposal._id, holder },
+        update: {
+          $setOnInsert: {
+            proposalId: proposal._id,
+            propertyId,
+            holder,
+            shares: entry.shares,
+            delegatedTo: entry.delegatedTo,
+            delegators: entry.delegators,
+            takenAt
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    await VotingSnapshot.bulkWrite(operations, { ordered: false });
+
+    return table.size;
+  }
+
+  /**
+   * Helper: Voting power entry for every holder and every final delegate
+   */
+  buildVotingPowerTable(holdings, delegations) {
+    // Holders caught in a delegation cycle keep their own voting power
+    const finalVoter = id => this.resolveDelegate(id, delegations) || id;
+    const table = new Map();
+    const entryFor = (id) => {
+      if (!table.has(id)) {
+        table.set(id, { shares: holdings.get(id) || 0, delegatedTo: null, delegators: [] });
+      }
+      return table.get(id);
+    };
+
+    holdings.forEach((shares, holderId) => {
+      if (shares === 0) return;
+
+      const entry = entryFor(holderId);
+      const voterId = finalVoter(holderId);
+      if (voterId === holderId) return;
+
+      // Shares of every holder whose delegation chain ends with the final voter
+      entry.delegatedTo = delegations.get(holderId);
+      entryFor(voterId).delegators.push({ delegator: holderId, shares });
+    });
+
+    return table;
+  }
+
+  /**
+   * Helper: Summarize a voting power entry
+   */
+  summarizeVotingPower(entry, excludedDelegators = []) {
+    const excluded = new Set(excludedDelegators.map(id => id.toString()));
+    const delegators = entry.delegatedTo ?
+      [] : entry.delegators.filter(d => !excluded.has(d.delegator));
+    const delegatedVotingPower = delegators.reduce((sum, d) => sum + d.shares, 0);
+
+    return {
+      directVotingPower: entry.shares,
+      delegatedVotingPower,
+      totalVotingPower: entry.delegatedTo ? 0 : entry.shares + delegatedVotingPower,
+      delegatedTo: entry.delegatedTo,
+      delegators
+    };
+  }
+
+  /**
+   * Helper: Map of holder id to shares for a property, or across all properties.
+   * The minter's entry starts with every minted share and stands for the unsold
+   * supply, so the minter only holds the shares it has beyond that.
+   */
+  async getShareHoldings(propertyId = null) {
+    const nfts = propertyId ?
+      await NFT.find({ propertyId }).select('ownership mintedBy totalShares').lean() :
+      await NFT.find({}).select('ownership mintedBy totalShares').lean();
+
+    const holdings = new Map();
+    nfts.forEach(nft => {
+      const minterId = nft.mintedBy ? nft.mintedBy.toString() : null;
+      nft.ownership.forEach(ownership => {
+        const ownerId = ownership.owner.toString();
+        const shares = ownerId === minterId ?
+          Math.max(ownership.shares - nft.totalShares, 0) :
+          ownership.shares;
+        holdings.set(ownerId, (holdings.get(ownerId) || 0) + shares);
+      });
+    });
+
+    return holdings;
+  }
+
+  /**
+   * Helper: Map of delegator id to delegate id effective for a scope.
+   * Property-specific delegations override global ones.
+   */
+  async getEffectiveDelegations(propertyId = null) {
+    const scopes = propertyId ? [null, propertyId] : [null];
+    const delegations = await Delegation.find({
+      status: 'active',
+      propertyId: { $in: scopes }
+    }).select('delegator delegate propertyId').lean();
+
+    const effective = new Map();
+    delegations
+      .sort((a, b) => (a.propertyId ? 1 : 0) - (b.propertyId ? 1 : 0))
+      .forEach(delegation => {
+        effective.set(delegation.delegator.toString(), delegation.delegate.toString());
+      });
+
+    return effective;
+  }
+
+  /**
+   * Helper: Follow a delegation chain to the account that finally votes.
+   * Returns null when the chain loops back on itself.
+   */
+  resolveDelegate(userId, delegations) {
+    const visited = new Set([userId]);
+    let current = userId;
+
+    while (delegations.has(current)) {
+      current = delegations.get(current);
+      if (visited.has(current)) {
+        return null;
+      }
+      visited.add(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Helper: Bring a previously submitted action result up to date with its receipt.
+   * Returns null for actions that were never submitted.
+   */
+  async reconcileActionResult(result) {
+    if (!result || result.status !== 'submitted') {
+      return result || null;
+    }
+
+    const receipt = await proposalExecutor.getReceipt(result.transactionHash);
+    return proposalExecutor.toResult(receipt, result);
+  }
+
+  /**
+   * Helper: Persist the execution result of a single action
+   */
+  async saveActionResult(proposalId, index, result) {
+    await Proposal.updateOne(
+      { _id: proposalId },
+      { $set: { [`executionResults.${index}`]: result } }
+    );
+  }
 }
 
 module.exports = new GovernanceService();
\ No newline at end of file
@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const KycVerification = require('../models/KycVerification');
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const { createKycProvider } = require('../utils/kycProviders');
+const logger = require('../utils/logger');
+
+// Same limits as the document upload in the frontend (src/config/security.js)
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+const ALLOWED_DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const MINIMUM_AGE = 18;
+
+const { AUDIT_ACTIONS } = auditService;
+
+// Allowed status changes; a rejected user may submit again
+const TRANSITIONS = {
+  not_started: ['pending'],
+  pending: ['approved', 'rejected'],
+  rejected: ['pending'],
+  approved: []
+};
+
+/**
+ * Identity verification (KYC/AML). Users upload identity documents and
+ * submit their personal data, which the KYC provider (utils/kycProviders)
+ * either decides right away or leaves pending for an admin review.
+ *
+ * The resulting status is mirrored to the user's `kycStatus`; purchases,
+ * bids and votes require it to be 'approved' (see ensureApproved).
+ */
+class KycService {
+  constructor() {
+    this.provider = null;
+  }
+
+  /**
+   * The configured provider, created on first use
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createKycProvider();
+    }
+    return this.provider;
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Get a user's verification status and uploaded documents
+   */
+  async getStatus(userId) {
+    try {
+      const verification = await KycVerification.findOne({ user: userId })
+        .select('-history')
+        .lean();
+
+      if (!verification) {
+        return {
+          status: 'not_started',
+          documents: [],
+          submittedAt: null,
+          reviewedAt: null,
+          rejectionReason: null,
+          accreditation: { accredited: false, expiresAt: null }
+        };
+      }
+
+      return {
+        status: verification.status,
+        documents: verification.documents,
+        submittedAt: verification.submittedAt,
+        reviewedAt: verification.reviewedAt,
+        rejectionReason: verification.rejectionReason,
+        accreditation: {
+          accredited: Boolean(verification.accreditation && verification.accreditation.accredited),
+          expiresAt: verification.accreditation ? verification.accreditation.expiresAt : null
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload an identity document (multer file) to the provider. Documents can
+   * only be added before submitting, or after a rejection.
+   */
+  async uploadDocument(userId, file, { type, side = null }) {
+    try {
+      if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+        throw new Error('Invalid document: File type must be JPEG, PNG or PDF');
+      }
+
+      if (file.size > MAX_DOCUMENT_SIZE) {
+        throw new Error('Invalid document: File size exceeds 10MB limit');
+      }
+
+      const verification = await this.getOrCreateVerification(userId);
+
+      if (!['not_started', 'rejected'].includes(verification.status)) {
+        throw new Error(`Cannot upload document: Verification is ${verification.status}`);
+      }
+
+      const content = file.buffer || await fs.readFile(file.path);
+      const provider = this.getProvider();
+      const applicantId = await this.ensureApplicant(verification);
+
+      const uploaded = await provider.uploadDocument(applicantId, {
+        type,
+        side,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        content
+      });
+
+      const document = {
+        providerDocumentId: uploaded.id,
+        type,
+        side,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        uploadedAt: new Date()
+      };
+
+      await KycVerification.updateOne(
+        { _id: verification._id },
+        { $push: { documents: document } }
+      );
+
+      logger.info(`KYC document uploaded: ${type} for user ${userId}`);
+
+      return document;
+    } catch (error) {
+      logger.error('Error in uploadDocument:', error);
+      throw error;
+    } finally {
+      // Disk-stored uploads are only needed until they reach the provider
+      if (file && file.path) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Submit personal data for verification. Requires an uploaded document of
+   * the given document type.
+   */
+  async submit(userId, { firstName, lastName, dateOfBirth, nationality, documentType, documentNumber }) {
+    try {
+      const verification = await this.getOrCreateVerification(userId);
+
+      if (!TRANSITIONS[verification.status].includes('pending')) {
+        throw new Error(`Cannot submit verification: Verification is ${verification.status}`);
+      }
+
+      if (!verification.documents.some(document => document.type === documentType)) {
+        throw new Error(`Cannot submit verification: Upload a ${documentType} document first`);
+      }
+
+      const birthDate = new Date(dateOfBirth);
+      if (this.ageOn(birthDate, new Date()) < MINIMUM_AGE) {
+        throw new Error(`Cannot submit verification: Applicants must be at least ${MINIMUM_AGE} years old`);
+      }
+
+      const personal = {
+        firstName,
+        lastName,
+        dateOfBirth: birthDate,
+        nationality,
+        documentType,
+        documentNumberLast4: documentNumber.slice(-4)
+      };
+
+      const provider = this.getProvider();
+      const applicantId = await this.ensureApplicant(verification);
+      const decision = await provider.submit(applicantId, { ...personal, documentNumber });
+
+      let updated = await this.transition(verification.status, 'pending', userId, {
+        by: userId.toString(),
+        set: { personal, submittedAt: new Date(), reviewedAt: null, reviewedBy: null, rejectionReason: null }
+      });
+
+      if (decision.status === 'approved' || decision.status === 'rejected') {
+        updated = await this.transition('pending', decision.status, userId, {
+          by: 'provider',
+          reason: decision.reason || null,
+          set: { reviewedAt: new Date(), rejectionReason: decision.reason || null }
+        });
+      }
+
+      logger.info(`KYC submitted for user ${userId}: ${updated.status}`);
+
+      return this.getStatus(userId);
+    } catch (error) {
+      logger.error('Error in submit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get verifications for admin review, oldest submission first
+   */
+  async getReviews({ status = 'pending', page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { status };
+
+      const verifications = await KycVerification.find(query)
+        .populate('user', 'username email walletAddress')
+        .select('-history')
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await KycVerification.countDocuments(query);
+
+      return {
+        verifications,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Error in getReviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's verification with its status history
+   */
+  async getReview(userId) {
+    try {
+      const verification = await KycVerification.findOne({ user: userId })
+        .populate('user', 'username email walletAddress')
+        .lean();
+
+      if (!verification) {
+        throw new Error('KYC verification not found');
+      }
+
+      return verification;
+    } catch (error) {
+      logger.error('Error in getReview:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a pending verification
+   */
+  async review(userId, { decision, reason }, reviewer) {
+    try {
+      const status = decision === 'approve' ? 'approved' : 'rejected';
+
+      if (status === 'rejected' && !reason) {
+        throw new Error('Cannot review verification: A reason is required to reject');
+      }
+
+      const verification = await KycVerification.findOne({ user: userId }).lean();
+
+      if (!verification) {
+        throw new Error('KYC verification not found');
+      }
+
+      if (verification.status !== 'pending') {
+        throw new Error(`Cannot review verification: Verification is ${verification.status}`);
+      }
+
+      const updated = await this.transition('pending', status, userId, {
+        by: reviewer.id.toString(),
+        reason: reason || null,
+        set: {
+          reviewedAt: new Date(),
+          reviewedBy: reviewer.id,
+          rejectionReason: status === 'rejected' ? reason : null
+        }
+      });
+
+      logger.info(`KYC ${status} for user ${userId} by ${reviewer.id}`);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.KYC_REVIEW,
+        actor: reviewer,
+        target: { type: 'User', id: userId },
+        before: { kycStatus: 'pending' },
+        after: { kycStatus: status },
+        metadata: { reason: reason || null }
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error in review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record whether a user is an accredited investor
+   */
+  async setAccreditation(userId, { accredited, expiresAt = null }, admin) {
+    try {
+      const previous = await KycVerification.findOne({ user: userId }).select('accreditation').lean();
+
+      const verification = await KycVerification.findOneAndUpdate(
+        { user: userId },
+        {
+          $set: {
+            accreditation: {
+              accredited,
+              expiresAt: accredited && expiresAt ? new Date(expiresAt) : null,
+              updatedAt: new Date(),
+              updatedBy: admin.id
+            }
+          }
+        },
+        { new: true }
+      ).select('-history').lean();
+
+      if (!verification) {
+        throw new Error('KYC verification not found');
+      }
+
+      logger.info(`Accreditation of user ${userId} set to ${accredited} by ${admin.id}`);
+
+      const snapshot = accreditation => ({
+        accredited: accreditation ? !!accreditation.accredited : false,
+        expiresAt: accreditation ? accreditation.expiresAt || null : null
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.KYC_ACCREDITATION_UPDATE,
+        actor: admin,
+        target: { type: 'User', id: userId },
+        before: snapshot(previous && previous.accreditation),
+        after: snapshot(verification.accreditation)
+      });
+
+      return verification;
+    } catch (error) {
+      logger.error('Error in setAccreditation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless the user's identity has been verified
+   * @param {string} userId
+   * @param {string} action - What the user is trying to do, for the error message
+   */
+  async ensureApproved(userId, action) {
+    const user = await User.findById(userId).select('kycStatus').lean();
+
+    if (!user || user.kycStatus !== 'approved') {
+      throw new Error(`KYC required: Identity verification must be approved to ${action}`);
+    }
+  }
+
+  /**
+   * Helper: Get the user's verification, creating it if needed
+   */
+  async getOrCreateVerification(userId) {
+    const provider = this.getProvider();
+
+    return KycVerification.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, status: 'not_started', provider: provider.name } },
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  /**
+   * Helper: Create the verification's applicant at the provider if needed
+   */
+  async ensureApplicant(verification) {
+    if (verification.applicantId) {
+      return verification.applicantId;
+    }
+
+    const applicant = await this.getProvider().createApplicant({
+      reference: verification._id.toString()
+    });
+
+    // Another request may have created one first
+    const updated = await KycVerification.findOneAndUpdate(
+      { _id: verification._id, applicantId: null },
+      { $set: { applicantId: applicant.id } },
+      { new: true }
+    ).lean();
+
+    if (updated) {
+      return applicant.id;
+    }
+
+    const current = await KycVerification.findById(verification._id).select('applicantId').lean();
+    return current.applicantId;
+  }
+
+  /**
+   * Helper: Move a verification between statuses, recording the change and
+   * mirroring it to the user. Fails if the status changed concurrently.
+   */
+  async transition(from, to, userId, { by, reason = null, set = {} }) {
+    if (!TRANSITIONS[from].includes(to)) {
+      throw new Error(`Invalid KYC transition: ${from} to ${to}`);
+    }
+
+    const updated = await KycVerification.findOneAndUpdate(
+      { user: userId, status: from },
+      {
+        $set: { ...set, status: to },
+        $push: { history: { from, to, at: new Date(), by, reason } }
+      },
+      { new: true }
+    ).lean();
+
+    if (!updated) {
+      throw new Error('Verification was modified concurrently, please retry');
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { kycStatus: to } });
+
+    return updated;
+  }
+
+  /**
+   * Helper: Age in full years on a date
+   */
+  ageOn(birthDate, date) {
+    const age = date.getUTCFullYear() - birthDate.getUTCFullYear();
+    const beforeBirthday = date.getUTCMonth() < birthDate.getUTCMonth() ||
+      (date.getUTCMonth() === birthDate.getUTCMonth() && date.getUTCDate() < birthDate.getUTCDate());
+
+    return beforeBirthday ? age - 1 : age;
+  }
+}
+
+module.exports = new KycService();
+module.exports.KycService = KycService;
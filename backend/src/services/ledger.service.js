@@ -0,0 +1,530 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const { decimalsFor, roundToMinorUnits, fromMinorUnits } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Currency of User.walletBalance
+const WALLET_CURRENCY = process.env.WALLET_CURRENCY || 'USD';
+
+const WALLET_PREFIX = 'wallet:';
+
+// Account codes (see models/LedgerEntry)
+const accounts = {
+  wallet: userId => `${WALLET_PREFIX}${userId}`,
+  treasury: propertyId => `treasury:${propertyId}`,
+  escrow: 'escrow',
+  fees: 'fees',
+  external: 'external'
+};
+
+// Balance of these accounts is debits minus credits; all others are credit-normal
+const DEBIT_NORMAL_ACCOUNTS = [accounts.external];
+
+const balanceOf = (account, debit, credit) =>
+  DEBIT_NORMAL_ACCOUNTS.includes(account) ? debit - credit : credit - debit;
+
+const isWallet = account => account.startsWith(WALLET_PREFIX);
+
+// Concurrent debits of a wallet race for its next debit sequence; the loser checks again
+const MAX_POSTING_ATTEMPTS = 5;
+
+class LedgerService {
+  constructor() {
+    this.accounts = accounts;
+    this.walletCurrency = WALLET_CURRENCY;
+  }
+
+  /**
+   * Post a balanced entry. Posting the same key again returns the existing
+   * entry, so callers can safely retry.
+   *
+   * A wallet can only be debited up to its balance on the ledger; the check
+   * and the posting are tied together by the wallet's debit sequence, so a
+   * concurrent debit makes the posting check the balance again. Once posted,
+   * the change is applied to the user's walletBalance.
+   * @param {Object} entry
+   * @param {string} entry.postingKey - Unique key of the business event
+   * @param {string} entry.type - Entry type (see models/LedgerEntry)
+   * @param {Array<{account: string, debit?: number, credit?: number}>} entry.lines - Amounts in minor units
+   * @throws {Error} 'Insufficient funds in wallet' if a debited wallet does not cover the debit
+   */
+  async post({ postingKey, type, currency = WALLET_CURRENCY, lines, transactionId = null, distributionId = null, payoutId = null, memo = '' }) {
+    try {
+      const existing = await LedgerEntry.findOne({ postingKey });
+      if (existing) {
+        return existing;
+      }
+
+      // Zero lines carry no information (e.g. a fee that rounded to nothing)
+      const postedLines = lines.filter(line => line.debit || line.credit);
+
+      const debitedWallets = [...new Set(postedLines
+        .filter(line => line.debit && isWallet(line.account))
+        .map(line => line.account))];
+      if (debitedWallets.length > 1) {
+        throw new Error('Invalid ledger entry: An entry can debit at most one wallet');
+      }
+      const [debitAccount = null] = debitedWallets;
+
+      for (let attempt = 1; ; attempt++) {
+        const debitSequence = debitAccount ?
+          await this.checkWalletDebit(debitAccount, currency, postedLines) :
+          null;
+
+        try {
+          const entry = await LedgerEntry.create({
+            postingKey,
+            type,
+            currency,
+            lines: postedLines,
+            transactionId,
+            distributionId,
+            payoutId,
+            memo,
+            debitAccount,
+            debitSequence
+          });
+
+          await this.applyToWalletBalances(entry);
+          return entry;
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+          if (error.keyPattern && error.keyPattern.postingKey) {
+            return LedgerEntry.findOne({ postingKey });
+          }
+          // Another debit of the wallet was posted since its balance was checked
+          if (attempt >= MAX_POSTING_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error in ledger post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post a two-line entry moving an amount from one account to another.
+   * Pass `amount` in major units or `amountMinor` in minor units.
+   */
+  async transfer(entry) {
+    return this.post(this.transferEntry(entry));
+  }
+
+  /**
+   * A user's wallet balance in the wallet currency, derived from the ledger
+   * @returns {Promise<number>} Balance in major units
+   */
+  async getWalletBalance(userId) {
+    try {
+      const balanceMinor = await this.balanceMinor(accounts.wallet(userId), WALLET_CURRENCY);
+      return fromMinorUnits(balanceMinor, decimalsFor(WALLET_CURRENCY));
+    } catch (error) {
+      logger.error('Error in getWalletBalance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the walletBalance users had before the ledger onto the ledger, as
+   * one opening balance entry per user (from external money). Run once,
+   * before the release that checks balances against the ledger serves
+   * requests; running it again posts nothing for users already moved.
+   *
+   * Wallets that were already debited on the ledger, or hold more there than
+   * their walletBalance, are reported instead: their difference is drift for
+   * reconciliation, not an opening balance.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would be posted
+   */
+  async postOpeningBalances({ dryRun = false } = {}) {
+    try {
+      const decimals = decimalsFor(WALLET_CURRENCY);
+      const users = await User.find({ walletBalance: { $gt: 0 } }).select('username walletBalance').lean();
+
+      const posted = [];
+      const skipped = [];
+      for (const user of users) {
+        const account = accounts.wallet(user._id);
+        const walletMinor = roundToMinorUnits(user.walletBalance, decimals);
+        const openingMinor = walletMinor - await this.balanceMinor(account, WALLET_CURRENCY);
+        if (openingMinor === 0) continue;
+
+        const opening = {
+          userId: user._id.toString(),
+          username: user.username,
+          amount: fromMinorUnits(openingMinor, decimals)
+        };
+
+        if (openingMinor < 0 || await LedgerEntry.exists({ debitAccount: account })) {
+          skipped.push(opening);
+          continue;
+        }
+
+        if (!dryRun) {
+          await this.transfer({
+            postingKey: `opening_balance:${user._id}`,
+            type: 'opening_balance',
+            from: accounts.external,
+            to: account,
+            amountMinor: openingMinor,
+            memo: 'Wallet balance before the ledger'
+          });
+        }
+        posted.push(opening);
+      }
+
+      return {
+        currency: WALLET_CURRENCY,
+        dryRun,
+        posted,
+        skipped
+      };
+    } catch (error) {
+      logger.error('Error in postOpeningBalances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The entry posted under a key, or null
+   */
+  async getEntry(postingKey) {
+    try {
+      return await LedgerEntry.findOne({ postingKey }).lean();
+    } catch (error) {
+      logger.error('Error in getEntry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert an amount in major units to minor units of the currency
+   */
+  toMinor(amount, currency = WALLET_CURRENCY) {
+    return roundToMinorUnits(amount, decimalsFor(currency));
+  }
+
+  /**
+   * Helper: Build a two-line entry from one account to another
+   */
+  transferEntry({ from, to, amount, amountMinor, currency = WALLET_CURRENCY, ...entry }) {
+    const minor = amountMinor ?? this.toMinor(amount, currency);
+
+    return {
+      ...entry,
+      currency,
+      lines: [
+        { account: from, debit: minor },
+        { account: to, credit: minor }
+      ]
+    };
+  }
+
+  /**
+   * Balances of an account per currency, derived from the ledger
+   */
+  async getBalances(account) {
+    try {
+      const totals = await LedgerEntry.aggregate([
+        { $match: { 'lines.account': account } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': account } },
+        {
+          $group: {
+            _id: '$currency',
+            debit: { $sum: '$lines.debit' },
+            credit: { $sum: '$lines.credit' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return totals.map(total => {
+        const balanceMinor = balanceOf(account, total.debit, total.credit);
+        return {
+          currency: total._id,
+          balanceMinor,
+          balance: fromMinorUnits(balanceMinor, decimalsFor(total._id))
+        };
+      });
+    } catch (error) {
+      logger.error('Error in getBalances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's wallet as derived from the ledger, next to the stored wallet balance
+   */
+  async getWallet(userId) {
+    try {
+      const user = await User.findById(userId).select('walletBalance').lean();
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const account = accounts.wallet(userId);
+      const balances = await this.getBalances(account);
+      const walletCurrency = balances.find(balance => balance.currency === WALLET_CURRENCY);
+
+      return {
+        account,
+        currency: WALLET_CURRENCY,
+        balance: walletCurrency ? walletCurrency.balance : 0,
+        balances,
+        walletBalance: user.walletBalance || 0
+      };
+    } catch (error) {
+      logger.error('Error in getWallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Entries touching an account, newest first
+   */
+  async getEntries({ account, type, page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { 'lines.account': account };
+      if (type) {
+        query.type = type;
+      }
+
+      const entries = await LedgerEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await LedgerEntry.countDocuments(query);
+      const pages = Math.ceil(total / limit);
+
+      return {
+        entries,
+        page,
+        limit,
+        total,
+        pages
+      };
+    } catch (error) {
+      logger.error('Error in getEntries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Balance of every account per currency; debits and credits must match per currency
+   */
+  async getTrialBalance() {
+    try {
+      const totals = await LedgerEntry.aggregate([
+        { $unwind: '$lines' },
+        {
+          $group: {
+            _id: { currency: '$currency', account: '$lines.account' },
+            debit: { $sum: '$lines.debit' },
+            credit: { $sum: '$lines.credit' }
+          }
+        },
+        { $sort: { '_id.currency': 1, '_id.account': 1 } }
+      ]);
+
+      const currencies = new Map();
+      totals.forEach(({ _id, debit, credit }) => {
+        if (!currencies.has(_id.currency)) {
+          currencies.set(_id.currency, { currency: _id.currency, debit: 0, credit: 0, accounts: [] });
+        }
+
+        const currency = currencies.get(_id.currency);
+        const balanceMinor = balanceOf(_id.account, debit, credit);
+        currency.debit += debit;
+        currency.credit += credit;
+        currency.accounts.push({
+          account: _id.account,
+          debitMinor: debit,
+          creditMinor: credit,
+          balanceMinor,
+          balance: fromMinorUnits(balanceMinor, decimalsFor(_id.currency))
+        });
+      });
+
+      const result = [...currencies.values()].map(({ debit, credit, ...currency }) => ({
+        ...currency,
+        debitMinor: debit,
+        creditMinor: credit,
+        balanced: debit === credit
+      }));
+
+      return {
+        currencies: result,
+        balanced: result.every(currency => currency.balanced)
+      };
+    } catch (error) {
+      logger.error('Error in getTrialBalance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare every user's stored walletBalance with the wallet balance derived
+   * from the ledger and report the users where they differ
+   */
+  async reconcile() {
+    try {
+      const decimals = decimalsFor(WALLET_CURRENCY);
+
+      const walletTotals = await LedgerEntry.aggregate([
+        { $match: { currency: WALLET_CURRENCY } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': { $regex: `^${WALLET_PREFIX}` } } },
+        {
+          $group: {
+            _id: '$lines.account',
+            debit: { $sum: '$lines.debit' },
+            credit: { $sum: '$lines.credit' }
+          }
+        }
+      ]);
+
+      const ledgerBalances = new Map(walletTotals.map(total => [
+        total._id.slice(WALLET_PREFIX.length),
+        total.credit - total.debit
+      ]));
+
+      const users = await User.find({
+        $or: [
+          { walletBalance: { $nin: [0, null] } },
+          { _id: { $in: [...ledgerBalances.keys()] } }
+        ]
+      }).select('username walletBalance').lean();
+
+      const drifts = [];
+      const checked = new Set();
+
+      users.forEach(user => {
+        const userId = user._id.toString();
+        const walletMinor = roundToMinorUnits(user.walletBalance || 0, decimals);
+        const ledgerMinor = ledgerBalances.get(userId) || 0;
+        checked.add(userId);
+
+        if (walletMinor !== ledgerMinor) {
+          drifts.push({
+            userId,
+            username: user.username,
+            walletBalance: fromMinorUnits(walletMinor, decimals),
+            ledgerBalance: fromMinorUnits(ledgerMinor, decimals),
+            drift: fromMinorUnits(walletMinor - ledgerMinor, decimals)
+          });
+        }
+      });
+
+      // Wallet accounts without a user record
+      ledgerBalances.forEach((ledgerMinor, userId) => {
+        if (checked.has(userId) || ledgerMinor === 0) return;
+        checked.add(userId);
+        drifts.push({
+          userId,
+          username: null,
+          walletBalance: null,
+          ledgerBalance: fromMinorUnits(ledgerMinor, decimals),
+          drift: fromMinorUnits(-ledgerMinor, decimals)
+        });
+      });
+
+      const trialBalance = await this.getTrialBalance();
+
+      return {
+        currency: WALLET_CURRENCY,
+        checkedWallets: checked.size,
+        driftCount: drifts.length,
+        totalDrift: fromMinorUnits(
+          drifts.reduce((sum, drift) => sum + roundToMinorUnits(drift.drift, decimals), 0),
+          decimals
+        ),
+        ledgerBalanced: trialBalance.balanced,
+        drifts,
+        generatedAt: new Date()
+      };
+    } catch (error) {
+      logger.error('Error in reconcile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Balance of an account in one currency, in minor units
+   */
+  async balanceMinor(account, currency) {
+    const [total] = await LedgerEntry.aggregate([
+      { $match: { 'lines.account': account, currency } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account } },
+      {
+        $group: {
+          _id: null,
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    return total ? balanceOf(account, total.debit, total.credit) : 0;
+  }
+
+  /**
+   * Helper: Check that a wallet covers what the lines debit from it
+   * @returns {Promise<number>} Debit sequence the entry must be posted with
+   */
+  async checkWalletDebit(account, currency, lines) {
+    // Read the sequence first: a debit posted after the balance was read takes this sequence
+    const last = await LedgerEntry.findOne({ debitAccount: account })
+      .sort({ debitSequence: -1 })
+      .select('debitSequence')
+      .lean();
+
+    const debitMinor = lines
+      .filter(line => line.account === account)
+      .reduce((sum, line) => sum + (line.debit || 0) - (line.credit || 0), 0);
+
+    if (await this.balanceMinor(account, currency) < debitMinor) {
+      throw new Error('Insufficient funds in wallet');
+    }
+
+    return last ? last.debitSequence + 1 : 1;
+  }
+
+  /**
+   * Helper: Apply a posted entry to the walletBalance of the users it touches.
+   * Opening balances are already in walletBalance. A failed update is logged
+   * and shows up in reconciliation; the ledger stays authoritative.
+   */
+  async applyToWalletBalances(entry) {
+    if (entry.currency !== WALLET_CURRENCY || entry.type === 'opening_balance') {
+      return;
+    }
+
+    const changes = new Map();
+    entry.lines.filter(line => isWallet(line.account)).forEach(line => {
+      changes.set(line.account, (changes.get(line.account) || 0) + line.credit - line.debit);
+    });
+
+    const decimals = decimalsFor(WALLET_CURRENCY);
+    for (const [account, changeMinor] of changes) {
+      try {
+        await User.updateOne(
+          { _id: account.slice(WALLET_PREFIX.length) },
+          { $inc: { walletBalance: fromMinorUnits(changeMinor, decimals) } }
+        );
+      } catch (error) {
+        logger.error(`walletBalance of ${account} not updated for ledger entry ${entry.postingKey}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new LedgerService();
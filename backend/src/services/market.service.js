@@ -0,0 +1,566 @@
+const Order = require('../models/Order');
+const NFT = require('../models/NFT');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const nftService = require('./nft.service');
+const ledgerService = require('./ledger.service');
+const feeService = require('./fee.service');
+const kycService = require('./kyc.service');
+const complianceService = require('./compliance.service');
+const transferRestrictionService = require('./transferRestriction.service');
+const auditService = require('./audit.service');
+const eventBus = require('../utils/eventBus');
+const logger = require('../utils/logger');
+
+const { EVENT_TYPES } = eventBus;
+const { AUDIT_ACTIONS } = auditService;
+
+const OPEN_STATUSES = ['open', 'partially_filled'];
+
+// Prices and amounts are rounded to cents
+const roundAmount = value => Math.round(value * 100) / 100;
+
+class MarketService {
+  /**
+   * Place a limit order and match it against the book.
+   * A bid's funds are checked against the wallet, less the bidder's other open
+   * bids, but not reserved: they are held in escrow only when a fill settles,
+   * and a bid the wallet no longer covers by then is cancelled.
+   * @returns {Promise<{order: Object, fills: Object[]}>}
+   */
+  async placeOrder({ nftId, traderId, side, quantity, limitPrice, expiresAt = null }) {
+    try {
+      const nft = await NFT.findById(nftId);
+      if (!nft) {
+        throw new Error('NFT not found');
+      }
+
+      const now = new Date();
+      if (expiresAt && new Date(expiresAt) <= now) {
+        throw new Error('Invalid expiration: Expiration must be in the future');
+      }
+
+      await this.expireOrders({ nftId, now });
+
+      // Sellers must be out of their lockup, buyers whitelisted, and transfers open
+      await transferRestrictionService.ensureTransferAllowed({
+        nftId,
+        fromUserId: side === 'ask' ? traderId : null,
+        toUserId: side === 'bid' ? traderId : null,
+        quantity,
+        now
+      });
+
+      const openOrders = await Order.find({
+        nftId,
+        trader: traderId,
+        side,
+        status: { $in: OPEN_STATUSES }
+      }).select('remainingQuantity limitPrice').lean();
+
+      if (side === 'ask') {
+        // Shares already listed cannot be listed again
+        const ownership = nft.ownership.find(entry => entry.owner.toString() === traderId.toString());
+        const listed = openOrders.reduce((sum, order) => sum + order.remainingQuantity, 0);
+
+        if (!ownership || ownership.shares - listed < quantity) {
+          throw new Error('Insufficient shares to list');
+        }
+      } else {
+        await kycService.ensureApproved(traderId, 'bid for shares');
+        await complianceService.ensureEligible({
+          propertyId: nft.propertyId,
+          userId: traderId,
+          shares: quantity,
+          now
+        });
+
+        // Funds committed to other open bids cannot be bid again
+        const trader = await User.exists({ _id: traderId });
+        if (!trader) {
+          throw new Error('User not found');
+        }
+
+        const committed = openOrders.reduce(
+          (sum, order) => sum + order.remainingQuantity * order.limitPrice, 0
+        );
+        const balance = await ledgerService.getWalletBalance(traderId);
+
+        if (balance - committed < quantity * limitPrice) {
+          throw new Error('Insufficient funds for bid');
+        }
+      }
+
+      const order = await Order.create({
+        nftId,
+        propertyId: nft.propertyId,
+        side,
+        trader: traderId,
+        quantity,
+        remainingQuantity: quantity,
+        limitPrice: roundAmount(limitPrice),
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+
+      const fills = await this.matchOrder(order, now);
+
+      return {
+        order: await Order.findById(order._id).lean(),
+        fills
+      };
+    } catch (error) {
+      logger.error('Error in placeOrder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open order
+   */
+  async cancelOrder({ orderId, traderId }) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.trader.toString() !== traderId.toString()) {
+        throw new Error('Unauthorized to cancel this order');
+      }
+
+      const cancelled = await Order.findOneAndUpdate(
+        { _id: orderId, status: { $in: OPEN_STATUSES } },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'cancelled_by_trader' },
+        { new: true }
+      );
+
+      if (!cancelled) {
+        throw new Error('Cannot cancel order: Order is no longer open');
+      }
+
+      return cancelled;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Order not found');
+      }
+      logger.error('Error in cancelOrder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark open orders past their expiration as expired
+   * @returns {Promise<number>} Number of expired orders
+   */
+  async expireOrders({ nftId = null, now = new Date() } = {}) {
+    const query = {
+      status: { $in: OPEN_STATUSES },
+      expiresAt: { $ne: null, $lte: now }
+    };
+    if (nftId) {
+      query.nftId = nftId;
+    }
+
+    const result = await Order.updateMany(query, { status: 'expired' });
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Aggregated price levels of an NFT's order book
+   */
+  async getOrderBook(nftId, { depth = 20 } = {}) {
+    try {
+      const nft = await NFT.findById(nftId).select('_id').lean();
+      if (!nft) {
+        throw new Error('NFT not found');
+      }
+
+      const now = new Date();
+      await this.expireOrders({ nftId, now });
+
+      const levels = async (side, sortOrder) => {
+        const result = await Order.aggregate([
+          { $match: { nftId: nft._id, side, status: { $in: OPEN_STATUSES } } },
+          {
+            $group: {
+              _id: '$limitPrice',
+              quantity: { $sum: '$remainingQuantity' },
+              orders: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: sortOrder } },
+          { $limit: depth }
+        ]);
+
+        return result.map(level => ({
+          price: level._id,
+          quantity: level.quantity,
+          orders: level.orders
+        }));
+      };
+
+      const asks = await levels('ask', 1);
+      const bids = await levels('bid', -1);
+
+      const lastTrade = await Transaction.findOne({ nftId, type: 'sale', status: 'completed' })
+        .sort({ createdAt: -1 })
+        .select('price quantity createdAt')
+        .lean();
+
+      return {
+        nftId,
+        asks,
+        bids,
+        bestAsk: asks[0] ? asks[0].price : null,
+        bestBid: bids[0] ? bids[0].price : null,
+        spread: asks[0] && bids[0] ? roundAmount(asks[0].price - bids[0].price) : null,
+        lastTradedPrice: lastTrade ? lastTrade.price : null,
+        lastTradedAt: lastTrade ? lastTrade.createdAt : null
+      };
+    } catch (error) {
+      logger.error('Error in getOrderBook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a trader's orders
+   */
+  async getUserOrders({ traderId, status, nftId, page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = { trader: traderId };
+
+      if (status) {
+        query.status = status;
+      }
+      if (nftId) {
+        query.nftId = nftId;
+      }
+
+      const orders = await Order.find(query)
+        .populate('nftId', 'tokenId metadata.name')
+        .populate('propertyId', 'title location')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await Order.countDocuments(query);
+      const pages = Math.ceil(total / limit);
+
+      return {
+        orders,
+        page,
+        limit,
+        total,
+        pages
+      };
+    } catch (error) {
+      logger.error('Error in getUserOrders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Match an incoming order against resting orders with price-time priority.
+   * Fills execute at the resting order's price.
+   */
+  async matchOrder(order, now = new Date()) {
+    const fills = [];
+    const isBid = order.side === 'bid';
+    let remaining = order.quantity;
+
+    while (remaining > 0) {
+      const counter = await Order.findOne({
+        nftId: order.nftId,
+        side: isBid ? 'ask' : 'bid',
+        status: { $in: OPEN_STATUSES },
+        trader: { $ne: order.trader },
+        limitPrice: isBid ? { $lte: order.limitPrice } : { $gte: order.limitPrice },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      }).sort({ limitPrice: isBid ? 1 : -1, createdAt: 1 });
+
+      if (!counter) break;
+
+      const quantity = Math.min(remaining, counter.remainingQuantity);
+      const result = await this.settleFill({
+        ask: isBid ? counter : order,
+        bid: isBid ? order : counter,
+        quantity,
+        price: counter.limitPrice,
+        now
+      });
+
+      if (result.fill) {
+        fills.push(result.fill);
+        remaining -= quantity;
+        continue;
+      }
+
+      // A failed counter order was cancelled or changed concurrently; try the next one.
+      // A failed incoming order cannot match further.
+      if (result.failedOrder.toString() === order._id.toString()) break;
+    }
+
+    return fills;
+  }
+
+  /**
+   * Settle one fill between an ask and a bid.
+   * Each step is a conditional update; a failed step undoes the earlier ones
+   * and marks the sale transaction failed, so orders, balances and ownership
+   * stay consistent.
+   * @returns {Promise<{fill?: Object, failedOrder?: ObjectId}>}
+   */
+  async settleFill({ ask, bid, quantity, price, now = new Date() }) {
+    const totalAmount = roundAmount(quantity * price);
+
+    // Trading fee and royalty come out of the seller's proceeds
+    const schedule = await feeService.getSchedule(ask.propertyId);
+    const sale = feeService.quoteSecondary(schedule, totalAmount);
+
+    // Same restrictions as a transfer: a restricted seller ends the ask, anything else the bid
+    const restrictions = await transferRestrictionService.checkTransfer({
+      nftId: ask.nftId,
+      fromUserId: ask.trader,
+      toUserId: bid.trader,
+      quantity,
+      now
+    });
+    if (restrictions.length > 0) {
+      const failedOrder = restrictions.some(violation => violation.party === 'sender') ? ask._id : bid._id;
+      await this.cancelForReason(failedOrder, 'transfer_restricted', now);
+      return { failedOrder };
+    }
+
+    // The buyer must still be allowed to hold the shares (the rules or their holdings may have changed)
+    const eligibility = await complianceService.evaluate({
+      propertyId: ask.propertyId,
+      userId: bid.trader,
+      shares: quantity,
+      fromUserId: ask.trader,
+      now
+    });
+    if (!eligibility.eligible) {
+      await this.cancelForReason(bid._id, 'not_eligible', now);
+      return { failedOrder: bid._id };
+    }
+
+    // 1. Reserve the quantity on both orders
+    if (!await this.reserveOrder(ask._id, quantity)) {
+      return { failedOrder: ask._id };
+    }
+    if (!await this.reserveOrder(bid._id, quantity)) {
+      await this.releaseOrder(ask._id, quantity);
+      return { failedOrder: bid._id };
+    }
+
+    // 2. Record the sale before anything moves so no settlement goes unrecorded
+    const transaction = await Transaction.create({
+      type: 'sale',
+      nftId: ask.nftId,
+      propertyId: ask.propertyId,
+      from: ask.trader,
+      to: bid.trader,
+      quantity,
+      price,
+      totalAmount,
+      fees: sale.fees,
+      totalFees: sale.totalFees,
+      paymentMethod: 'wallet',
+      askOrderId: ask._id,
+      bidOrderId: bid._id,
+      status: 'pending',
+      transactionHash: `sale_${ask._id}_${bid._id}_${Date.now()}`
+    });
+
+    let held = false;
+    const abort = async (failedOrder, reason) => {
+      if (held) {
+        await ledgerService.transfer({
+          postingKey: `${transaction._id}:refund`,
+          type: 'refund',
+          from: ledgerService.accounts.escrow,
+          to: ledgerService.accounts.wallet(bid.trader),
+          amount: totalAmount,
+          transactionId: transaction._id
+        });
+      }
+      await this.releaseOrder(ask._id, quantity);
+      await this.releaseOrder(bid._id, quantity);
+      await Transaction.updateOne(
+        { _id: transaction._id, status: 'pending' },
+        { status: 'failed', failureReason: reason }
+      );
+      if (failedOrder) {
+        await this.cancelForReason(failedOrder, reason, now);
+      }
+      if (held) {
+        await auditService.record({
+          action: AUDIT_ACTIONS.REFUND_ISSUE,
+          key: `refund:${transaction._id}`,
+          actor: bid.trader,
+          target: { type: 'Transaction', id: transaction._id },
+          metadata: { reason, postingKey: `${transaction._id}:refund`, amountMinor: ledgerService.toMinor(totalAmount) }
+        });
+      }
+    };
+
+    // 3. Hold the buyer's payment in escrow; posting fails if the wallet does not cover it
+    try {
+      await ledgerService.transfer({
+        postingKey: `${transaction._id}:hold`,
+        type: 'hold',
+        from: ledgerService.accounts.wallet(bid.trader),
+        to: ledgerService.accounts.escrow,
+        amount: totalAmount,
+        transactionId: transaction._id
+      });
+      held = true;
+    } catch (error) {
+      if (error.message === 'Insufficient funds in wallet') {
+        await abort(bid._id, 'insufficient_funds');
+        return { failedOrder: bid._id };
+      }
+      await abort(null, error.message);
+      throw error;
+    }
+
+    // 4. Move the shares
+    let moved = false;
+    try {
+      moved = await nftService.moveShares({
+        nftId: ask.nftId,
+        fromUserId: ask.trader,
+        toUserId: bid.trader,
+        quantity,
+        price,
+        now
+      });
+    } catch (error) {
+      await abort(null, error.message);
+      throw error;
+    }
+
+    if (!moved) {
+      await abort(ask._id, 'insufficient_shares');
+      return { failedOrder: ask._id };
+    }
+
+    // 5. Release escrow to the seller and fee recipients, and complete the sale
+    try {
+      await ledgerService.post({
+        postingKey: `${transaction._id}:settlement`,
+        type: 'settlement',
+        lines: [
+          { account: ledgerService.accounts.escrow, debit: ledgerService.toMinor(totalAmount) },
+          { account: ledgerService.accounts.wallet(ask.trader), credit: ledgerService.toMinor(sale.sellerProceeds) },
+          ...sale.fees.map(fee => ({
+            account: feeService.feeAccount(fee, ask.propertyId),
+            credit: ledgerService.toMinor(fee.amount)
+          }))
+        ],
+        transactionId: transaction._id
+      });
+    } catch (error) {
+      // Give the shares back, with their acquisition dates, before refunding;
+      // if they have moved on the sale stays pending
+      const returned = await nftService.moveShares({
+        nftId: ask.nftId,
+        fromUserId: bid.trader,
+        toUserId: ask.trader,
+        quantity,
+        price,
+        now,
+        undo: moved
+      });
+      if (returned) {
+        await abort(null, error.message);
+      } else {
+        logger.error(`Sale ${transaction._id} could not be settled or undone:`, error);
+      }
+      throw error;
+    }
+
+    await eventBus.publish(EVENT_TYPES.NFT_PURCHASED, {
+      transactionId: transaction._id,
+      nftId: ask.nftId,
+      propertyId: ask.propertyId,
+      buyer: bid.trader,
+      seller: ask.trader,
+      quantity,
+      pricePerShare: price,
+      subtotal: totalAmount,
+      totalFees: sale.totalFees,
+      total: totalAmount,
+      currency: ledgerService.walletCurrency,
+      market: 'secondary'
+    }, { key: `nft.purchased:${transaction._id}` });
+    await Transaction.updateOne({ _id: transaction._id, status: 'pending' }, { status: 'completed' });
+
+    await this.updateFillStatus(ask._id, now);
+    await this.updateFillStatus(bid._id, now);
+
+    return {
+      fill: {
+        transactionId: transaction._id,
+        askOrderId: ask._id,
+        bidOrderId: bid._id,
+        quantity,
+        price,
+        totalAmount,
+        fees: sale.fees,
+        sellerProceeds: sale.sellerProceeds
+      }
+    };
+  }
+
+  /**
+   * Helper: Take quantity off an open order's remaining quantity
+   */
+  async reserveOrder(orderId, quantity) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: { $in: OPEN_STATUSES }, remainingQuantity: { $gte: quantity } },
+      { $inc: { remainingQuantity: -quantity, filledQuantity: quantity } }
+    );
+
+    return Boolean(order);
+  }
+
+  /**
+   * Helper: Undo a reservation
+   */
+  async releaseOrder(orderId, quantity) {
+    await Order.updateOne(
+      { _id: orderId },
+      { $inc: { remainingQuantity: quantity, filledQuantity: -quantity } }
+    );
+  }
+
+  /**
+   * Helper: Cancel an order that can no longer be settled
+   */
+  async cancelForReason(orderId, reason, now) {
+    await Order.updateOne(
+      { _id: orderId, status: { $in: OPEN_STATUSES } },
+      { status: 'cancelled', cancelledAt: now, cancelReason: reason }
+    );
+  }
+
+  /**
+   * Helper: Derive order status from its remaining quantity after a fill
+   */
+  async updateFillStatus(orderId, now) {
+    await Order.updateOne(
+      { _id: orderId, status: { $in: OPEN_STATUSES }, remainingQuantity: 0 },
+      { status: 'filled', filledAt: now }
+    );
+    await Order.updateOne(
+      { _id: orderId, status: 'open', remainingQuantity: { $gt: 0 } },
+      { status: 'partially_filled' }
+    );
+  }
+}
+
+module.exports = new MarketService();
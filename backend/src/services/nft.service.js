@@ -1,8 +1,38 @@
+const { ethers } = require('ethers');
 const NFT = require('../models/NFT');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Quote = require('../models/Quote');
+const Counter = require('../models/Counter');
+const ledgerService = require('./ledger.service');
+const feeService = require('./fee.service');
+const paymentService = require('./payment.service');
+const cryptoPayments = require('./cryptoPayment.service');
+const kycService = require('./kyc.service');
+const complianceService = require('./compliance.service');
+const transferRestrictionService = require('./transferRestriction.service');
+const screeningService = require('./screening.service');
+const auditService = require('./audit.service');
+const eventBus = require('../utils/eventBus');
 const logger = require('../utils/logger');
+const { addLots, takeLots } = require('../utils/shareLots');
+
+const { EVENT_TYPES } = eventBus;
+const { AUDIT_ACTIONS } = auditService;
+
+// Attempts at an ownership update before giving up on concurrent writers
+const MAX_OWNERSHIP_RETRIES = 5;
+
+// How long a quote holds its shares
+const QUOTE_TTL_MS = parseInt(process.env.QUOTE_TTL_SECONDS || 120, 10) * 1000;
+
+// Age at which a pending purchase is no longer in progress and is resolved by the sweeper
+const PURCHASE_RECOVERY_AFTER_MS =
+  parseInt(process.env.PURCHASE_RECOVERY_AFTER_SECONDS || 600, 10) * 1000;
+
+// Sequence of on-chain token IDs; each minted collection gets the next one
+const TOKEN_ID_SEQUENCE = 'nftTokenId';
 
 class NFTService {
   /**
@@ -79,6 +109,26 @@ class NFTService {
     }
   }
 
+  /**
+   * ERC-1155 / OpenSea metadata of a token, from the NFT's metadata and its property
+   * @param {string} tokenId - Decimal token ID, or the 64 hex digit form clients substitute for {id}
+   */
+  async getTokenMetadata(tokenId) {
+    try {
+      const nft = await NFT.findOne({ tokenId: this.parseTokenId(tokenId).toString() })
+        .populate('propertyId')
+        .lean();
+      if (!nft) {
+        throw new Error('NFT not found');
+      }
+
+      return this.buildTokenMetadata(nft);
+    } catch (error) {
+      logger.error('Error in getTokenMetadata:', error);
+      throw error;
+    }
+  }
+
   /**
    * Mint NFTs for a property
    */
@@ -99,7 +149,7 @@ class NFTService {
       // Create NFT collection
       const nftData = {
         propertyId,
-        tokenId: `${propertyId}_${Date.now()}`,
+        tokenId: await this.allocateTokenId(),
         metadata: {
           name: metadata.name || `${property.title} Shares`,
           description: metadata.description || `Fractional ownership of ${property.title}`,
@@ -117,7 +167,8 @@ class NFTService {
           owner: mintedBy,
           shares: totalShares,
           purchaseDate: new Date(),
-          purchasePrice: pricePerShare
+          purchasePrice: pricePerShare,
+          lots: [{ shares: totalShares, acquiredAt: new Date() }]
         }],
         status: 'available',
         mintedBy,
@@ -151,6 +202,22 @@ class NFTService {
         transactionHash: `mint_${nft._id}_${Date.now()}`
       });
 
+      await eventBus.publish(EVENT_TYPES.NFT_MINTED, {
+        nftId: nft._id,
+        propertyId,
+        tokenId: nft.tokenId,
+        totalShares,
+        pricePerShare,
+        mintedBy
+      }, { key: `nft.minted:${nft._id}` });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.NFT_MINT,
+        actor: mintedBy,
+        target: { type: 'NFT', id: nft._id },
+        after: { propertyId, tokenId: nft.tokenId, totalShares, pricePerShare, metadata: nftData.metadata }
+      });
+
       return await this.getNFTById(nft._id);
     } catch (error) {
       logger.error('Error in mintNFTs:', error);
@@ -159,60 +226,172 @@ class NFTService {
   }
 
   /**
-   * Purchase NFT shares
+   * Price shares with their fees and reserve them for the buyer until the quote expires.
+   * The quote is stored as pending first and activated once the shares are
+   * reserved, so an interrupted reservation never releases shares it did not take.
    */
-  async purchaseNFT({ nftId, buyerId, quantity, paymentMethod }) {
+  async createQuote({ nftId, buyerId, quantity, now = new Date() }) {
     try {
       const nft = await NFT.findById(nftId);
       if (!nft) {
         throw new Error('NFT not found');
       }
 
-      if (nft.availableShares < quantity) {
-        throw new Error(`Insufficient shares available. Only ${nft.availableShares} shares remaining`);
+      await kycService.ensureApproved(buyerId, 'buy shares');
+
+      // Shares held by expired quotes are available again
+      await this.releaseExpiredQuotes({ nftId, now });
+
+      await complianceService.ensureEligible({
+        propertyId: nft.propertyId,
+        userId: buyerId,
+        shares: quantity,
+        includeQuotes: true,
+        now
+      });
+
+      const priced = await this.buildPurchaseQuote(nft, quantity);
+      const quote = await Quote.create({
+        ...priced,
+        buyer: buyerId,
+        status: 'pending',
+        expiresAt: new Date(now.getTime() + QUOTE_TTL_MS)
+      });
+
+      let remaining = 0;
+      let reserved = false;
+      try {
+        reserved = await this.updateOwnership(nftId, state => {
+          if (state.availableShares < quantity) {
+            remaining = state.availableShares;
+            return false;
+          }
+
+          state.availableShares -= quantity;
+          if (state.availableShares === 0) {
+            state.status = 'sold_out';
+          }
+          return true;
+        });
+      } finally {
+        if (!reserved) {
+          await Quote.updateOne({ _id: quote._id }, { status: 'expired' });
+        }
       }
 
-      const buyer = await User.findById(buyerId);
-      if (!buyer) {
-        throw new Error('Buyer not found');
+      if (!reserved) {
+        throw new Error(`Insufficient shares available. Only ${remaining} shares remaining`);
       }
 
-      const totalCost = quantity * nft.pricePerShare;
+      quote.status = 'active';
+      await quote.save();
 
-      // Check buyer's balance (simplified - in production, integrate with payment system)
-      if (paymentMethod === 'wallet' && buyer.walletBalance < totalCost) {
-        throw new Error('Insufficient funds in wallet');
-      }
+      return quote;
+    } catch (error) {
+      logger.error('Error in createQuote:', error);
+      throw error;
+    }
+  }
 
-      // Update NFT ownership
-      const existingOwnership = nft.ownership.find(
-        ownership => ownership.owner.toString() === buyerId
+  /**
+   * Give the shares of expired quotes back to availableShares
+   * @returns {Promise<number>} Number of released quotes
+   */
+  async releaseExpiredQuotes({ nftId = null, now = new Date(), limit = 100 } = {}) {
+    const query = { status: 'active', expiresAt: { $lte: now } };
+    if (nftId) {
+      query.nftId = nftId;
+    }
+
+    const expired = await Quote.find(query)
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .select('_id')
+      .lean();
+
+    let released = 0;
+    for (const { _id } of expired) {
+      // Expire first so a quote is never used and released at the same time
+      const quote = await Quote.findOneAndUpdate(
+        { _id, status: 'active', expiresAt: { $lte: now } },
+        { status: 'expired' },
+        { new: true }
       );
+      if (!quote) continue;
 
-      if (existingOwnership) {
-        existingOwnership.shares += quantity;
-      } else {
-        nft.ownership.push({
-          owner: buyerId,
-          shares: quantity,
-          purchaseDate: new Date(),
-          purchasePrice: nft.pricePerShare
-        });
+      try {
+        await this.releaseShares(quote.nftId, quote.quantity);
+        released += 1;
+      } catch (error) {
+        // Keep the quote releasable on the next run
+        await Quote.updateOne({ _id, status: 'expired' }, { status: 'active' });
+        logger.error(`Failed to release quote ${_id}:`, error);
       }
+    }
 
-      nft.availableShares -= quantity;
-      
-      if (nft.availableShares === 0) {
-        nft.status = 'sold_out';
+    // A reservation interrupted before activation may or may not hold shares;
+    // leave them reserved rather than risk overselling
+    const stale = await Quote.updateMany(
+      { ...query, status: 'pending' },
+      { status: 'expired' }
+    );
+    if (stale.modifiedCount > 0) {
+      logger.warn(`Expired ${stale.modifiedCount} unconfirmed quote(s) without releasing shares`);
+    }
+
+    return released;
+  }
+
+  /**
+   * Purchase NFT shares reserved by a quote, at the quote's price.
+   * The quote is used atomically so it buys at most once. The transaction is
+   * recorded as pending first; the payment is then held in escrow on the
+   * ledger and the shares allocated, and the transaction is completed once
+   * the settlement is posted, or failed with the hold refunded and the quote
+   * usable again until it expires.
+   *
+   * Fiat purchases stay pending with the shares reserved until the payment
+   * provider reports the payment (see applyPaymentEvent); crypto purchases
+   * until their transaction (txHash) is confirmed (see confirmCryptoPayments).
+   * @returns {Promise<Object>} The transaction, or { transaction, payment } for fiat and crypto
+   */
+  async purchaseNFT({ nftId, buyerId, quoteId, paymentMethod, txHash, now = new Date() }) {
+    try {
+      const nft = await NFT.findById(nftId);
+      if (!nft) {
+        throw new Error('NFT not found');
       }
 
-      await nft.save();
+      const buyer = await User.findById(buyerId);
+      if (!buyer) {
+        throw new Error('Buyer not found');
+      }
 
-      // Update buyer's wallet balance
-      if (paymentMethod === 'wallet') {
-        await User.findByIdAndUpdate(buyerId, {
-          $inc: { walletBalance: -totalCost }
-        });
+      await kycService.ensureApproved(buyerId, 'buy shares');
+
+      const quote = await this.findUsableQuote({ quoteId, nftId, buyerId, now });
+      const { quantity, total: totalCost } = quote;
+
+      // The rules may have changed since the quote was made
+      await complianceService.ensureEligible({
+        propertyId: nft.propertyId,
+        userId: buyerId,
+        shares: quantity,
+        now
+      });
+
+      // Checked again when the payment is held
+      if (paymentMethod === 'wallet' && await ledgerService.getWalletBalance(buyerId) < totalCost) {
+        throw new Error('Insufficient funds in wallet');
+      }
+
+      // Use the quote; only one purchase can claim it
+      const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, status: 'active', expiresAt: { $gt: now } },
+        { status: 'used', usedAt: now }
+      );
+      if (!claimed) {
+        throw new Error('Invalid quote: Quote is no longer valid');
       }
 
       // Create purchase transaction
@@ -223,20 +402,252 @@ class NFTService {
         from: null,
         to: buyerId,
         quantity,
-        price: nft.pricePerShare,
-        totalAmount: totalCost,
+        price: quote.pricePerShare,
+        totalAmount: quote.subtotal,
+        fees: quote.fees,
+        totalFees: quote.totalFees,
+        quoteId: quote._id,
         paymentMethod,
-        status: 'completed',
+        status: 'pending',
         transactionHash: `purchase_${nftId}_${Date.now()}`
       });
 
-      return transaction;
+      if (paymentMethod === 'fiat') {
+        return await this.startFiatPayment({ transaction, quote, buyerId, now });
+      }
+      if (paymentMethod === 'crypto') {
+        return await this.startCryptoPayment({ transaction, quote, buyer, txHash, now });
+      }
+
+      let held = false;
+      try {
+        // The payment sits in escrow until the shares are allocated; posting fails if the wallet no longer covers it
+        if (paymentMethod === 'wallet') {
+          await ledgerService.transfer({
+            postingKey: `${transaction._id}:hold`,
+            type: 'hold',
+            from: ledgerService.accounts.wallet(buyerId),
+            to: ledgerService.accounts.escrow,
+            amount: totalCost,
+            transactionId: transaction._id
+          });
+          held = true;
+        }
+
+        // The shares were taken off availableShares when the quote was created
+        await this.updateOwnership(nftId, state => {
+          this.creditShares(state.ownership, buyerId, quantity, quote.pricePerShare);
+          return true;
+        }, { allocation: transaction._id });
+      } catch (error) {
+        // If this fails too, resolveStalePurchases fails the purchase later
+        await this.failPurchase({ transaction, reason: error.message });
+        throw error;
+      }
+
+      // Payments outside the wallet arrive from external rails. If the
+      // request stops here, resolveStalePurchases completes the purchase.
+      await this.completePurchase({
+        transaction,
+        quote,
+        from: held ? ledgerService.accounts.escrow : ledgerService.accounts.external
+      });
+
+      return await Transaction.findById(transaction._id);
     } catch (error) {
       logger.error('Error in purchaseNFT:', error);
       throw error;
     }
   }
 
+  /**
+   * Apply a verified payment provider event to its pending purchase.
+   * Events are delivered at least once and in any order, so every step is a
+   * conditional update and a repeated event changes nothing.
+   * @param {Object} event - Normalized event (see utils/paymentProviders)
+   * @returns {Promise<Object|null>} The payment intent, or null if the event was ignored
+   */
+  async applyPaymentEvent(event, { now = new Date() } = {}) {
+    try {
+      if (!event.type) {
+        return null;
+      }
+
+      const intent = await paymentService.findByProviderIntentId(event.intentId);
+      if (!intent) {
+        logger.warn(`Payment event ${event.id} for unknown intent ${event.intentId}`);
+        return null;
+      }
+
+      if (event.type === 'succeeded') {
+        return await this.settlePayment(intent, event, now);
+      }
+
+      if (event.type === 'failed') {
+        // The buyer can retry with another payment method until the intent expires
+        await paymentService.transition(intent._id, ['requires_payment'], {
+          failureReason: event.failureMessage || 'Payment failed',
+          lastEventId: event.id
+        });
+        return intent;
+      }
+
+      return await this.cancelPayment(intent, {
+        fromStatuses: ['requires_payment'],
+        status: 'canceled',
+        reason: 'Payment canceled',
+        eventId: event.id
+      });
+    } catch (error) {
+      logger.error('Error in applyPaymentEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check pending crypto payments and settle those with enough confirmations.
+   * Transactions that turn out not to pay their purchase (e.g. failed after
+   * a reorg) cancel it. Payments canceled for expiring are checked for a
+   * while longer, since their transaction cannot be withdrawn: one that
+   * confirms late takes its shares again or is marked for refund (see settlePayment).
+   * @returns {Promise<number>} Number of settled payments
+   */
+  async confirmCryptoPayments({ now = new Date(), limit = 100 } = {}) {
+    const pending = await paymentService.findUnconfirmedCrypto({ now, limit });
+
+    let settled = 0;
+    for (const intent of pending) {
+      try {
+        const payment = await cryptoPayments.verify({
+          txHash: intent.chain.txHash,
+          payer: intent.chain.payer,
+          amount: intent.amount,
+          currency: intent.currency
+        });
+
+        if (!payment.confirmed) {
+          await paymentService.transition(intent._id, [intent.status], {
+            'chain.confirmations': payment.confirmations
+          });
+          continue;
+        }
+
+        const result = await this.settlePayment(intent, this.cryptoPaymentEvent(intent, payment), now);
+        if (result.status === 'succeeded') {
+          settled += 1;
+        }
+      } catch (error) {
+        // A dropped or reorged transaction may still be mined; the payment expires otherwise
+        if (error.message === 'Invalid payment: Transaction not found') {
+          continue;
+        }
+        if (error.message.includes('Invalid payment')) {
+          await this.cancelPayment(intent, {
+            fromStatuses: ['requires_payment'],
+            status: 'canceled',
+            reason: error.message
+          });
+          continue;
+        }
+        logger.error(`Failed to confirm crypto payment ${intent.providerIntentId}:`, error);
+      }
+    }
+
+    return settled;
+  }
+
+  /**
+   * Cancel payments that were not completed in time and release their shares
+   * @returns {Promise<number>} Number of canceled payments
+   */
+  async expirePendingPayments({ now = new Date(), limit = 100 } = {}) {
+    const overdue = await paymentService.findOverdue({ now, limit });
+
+    let canceled = 0;
+    for (const intent of overdue) {
+      try {
+        const closed = await this.cancelPayment(intent, {
+          fromStatuses: ['requires_payment'],
+          status: 'canceled',
+          reason: 'Payment not received in time'
+        });
+        if (!closed) continue;
+
+        await paymentService.cancelAtProvider(intent);
+        canceled += 1;
+      } catch (error) {
+        logger.error(`Failed to expire payment intent ${intent._id}:`, error);
+      }
+    }
+
+    return canceled;
+  }
+
+  /**
+   * Finish purchases left pending by an interrupted request (e.g. a crash
+   * between holding the payment and completing the purchase). A purchase
+   * whose shares were allocated is completed. A wallet purchase whose shares
+   * were not is failed, with its payment refunded and its quote usable again
+   * until it expires. Fiat and crypto purchases without allocated shares are
+   * still waiting for their payment and are left alone.
+   * @returns {Promise<{completed: number, failed: number}>}
+   */
+  async resolveStalePurchases({ now = new Date(), limit = 100 } = {}) {
+    const stale = await Transaction.find({
+      type: 'purchase',
+      status: 'pending',
+      createdAt: { $lte: new Date(now.getTime() - PURCHASE_RECOVERY_AFTER_MS) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+
+    let completed = 0;
+    let failed = 0;
+    for (const transaction of stale) {
+      try {
+        const allocated = await NFT.exists({ _id: transaction.nftId, pendingAllocations: transaction._id });
+
+        if (allocated) {
+          const quote = await Quote.findById(transaction.quoteId).lean();
+          const from = transaction.paymentMethod === 'wallet' ?
+            ledgerService.accounts.escrow :
+            ledgerService.accounts.external;
+          if (await this.completePurchase({ transaction, quote, from })) {
+            completed += 1;
+          }
+        } else if (transaction.paymentMethod === 'wallet') {
+          if (await this.failPurchase({ transaction, reason: 'Purchase interrupted before its shares were allocated' })) {
+            failed += 1;
+          }
+        }
+      } catch (error) {
+        logger.error(`Failed to resolve pending purchase ${transaction._id}:`, error);
+      }
+    }
+
+    // Markers of purchases completed just before an interruption
+    const marked = await NFT.find({ 'pendingAllocations.0': { $exists: true } })
+      .select('pendingAllocations')
+      .limit(limit)
+      .lean();
+    for (const nft of marked) {
+      const done = await Transaction.distinct('_id', {
+        _id: { $in: nft.pendingAllocations },
+        status: { $ne: 'pending' }
+      });
+      if (done.length > 0) {
+        await NFT.updateOne({ _id: nft._id }, { $pull: { pendingAllocations: { $in: done } } });
+      }
+    }
+
+    if (completed + failed > 0) {
+      logger.warn(`Resolved ${completed + failed} interrupted purchase(s): ${completed} completed, ${failed} failed`);
+    }
+
+    return { completed, failed };
+  }
+
   /**
    * Transfer NFT shares
    */
@@ -256,37 +667,32 @@ class NFTService {
         throw new Error('Insufficient shares to transfer');
       }
 
+      await screeningService.ensureAllowed({
+        address: recipientAddress,
+        action: 'transfer',
+        userId: fromUserId,
+        context: { nftId: nftId.toString(), quantity }
+      });
+
       // Find or create recipient user
-      let recipient = await User.findOne({ walletAddress: recipientAddress });
+      const recipient = await User.findOne({ walletAddress: recipientAddress });
       if (!recipient) {
         throw new Error('Invalid recipient address');
       }
 
-      // Update sender's shares
-      senderOwnership.shares -= quantity;
-      if (senderOwnership.shares === 0) {
-        nft.ownership = nft.ownership.filter(
-          ownership => ownership.owner.toString() !== fromUserId
-        );
-      }
-
-      // Update recipient's shares
-      const recipientOwnership = nft.ownership.find(
-        ownership => ownership.owner.toString() === recipient._id.toString()
-      );
-
-      if (recipientOwnership) {
-        recipientOwnership.shares += quantity;
-      } else {
-        nft.ownership.push({
-          owner: recipient._id,
-          shares: quantity,
-          purchaseDate: new Date(),
-          purchasePrice: nft.pricePerShare
-        });
-      }
+      await transferRestrictionService.ensureTransferAllowed({
+        nftId,
+        fromUserId,
+        toUserId: recipient._id,
+        quantity
+      });
 
-      await nft.save();
+      await complianceService.ensureEligible({
+        propertyId: nft.propertyId,
+        userId: recipient._id,
+        shares: quantity,
+        fromUserId
+      });
 
       // Create transfer transaction
       const transaction = await Transaction.create({
@@ -298,10 +704,53 @@ class NFTService {
         quantity,
         price: 0,
         totalAmount: 0,
-        status: 'completed',
+        status: 'pending',
         transactionHash: `transfer_${nftId}_${Date.now()}`
       });
 
+      try {
+        const moved = await this.moveShares({
+          nftId,
+          fromUserId,
+          toUserId: recipient._id,
+          quantity,
+          price: nft.pricePerShare
+        });
+
+        if (!moved) {
+          throw new Error('Insufficient shares to transfer');
+        }
+      } catch (error) {
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          { status: 'failed', failureReason: error.message }
+        );
+        throw error;
+      }
+
+      transaction.status = 'completed';
+      await transaction.save();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.TRANSFER_COMPLETE,
+        key: `transfer:${transaction._id}`,
+        actor: fromUserId,
+        target: { type: 'Transaction', id: transaction._id },
+        after: { status: 'completed' },
+        metadata: { nftId, propertyId: nft.propertyId, to: recipient._id, quantity }
+      });
+
+      await eventBus.publish(EVENT_TYPES.NFT_TRANSFERRED, {
+        transactionId: transaction._id,
+        nftId,
+        propertyId: nft.propertyId,
+        from: fromUserId,
+        to: recipient._id,
+        toAddress: recipientAddress,
+        quantity,
+        source: 'platform'
+      }, { key: `nft.transferred:${transaction._id}` });
+
       return transaction;
     } catch (error) {
       logger.error('Error in transferNFT:', error);
@@ -309,6 +758,195 @@ class NFTService {
     }
   }
 
+  /**
+   * Apply a confirmed on-chain transfer of shares (see services/chainIndexer).
+   * Each NFT remembers the last log it applied, so logs apply once and in chain
+   * order even when a batch is indexed again. Shares move between the users
+   * linked to the wallets; wallets without a user are not tracked. Mints only
+   * record a transaction, as mintNFTs already allocated the shares. When the
+   * sender holds fewer shares in the records than the chain moved (drift),
+   * only the shares it held are moved, so the records never create shares.
+   * @returns {Promise<Object|null>} { nft, applied, drift }, or null for tokens that are not ours
+   */
+  async applyChainTransfer({ tokenId, from, to, quantity, transactionHash, logIndex, blockNumber, now = new Date() }) {
+    try {
+      const nft = await NFT.findOne({ tokenId: tokenId.toString() })
+        .select('_id propertyId pricePerShare')
+        .lean();
+      if (!nft) {
+        return null;
+      }
+      if (!Number.isSafeInteger(quantity) || quantity < 0) {
+        logger.warn(`Skipping on-chain transfer ${transactionHash}:${logIndex} of token ${tokenId} with unsupported amount`);
+        return null;
+      }
+
+      const isMint = from === ethers.ZeroAddress;
+      const [sender, recipient] = await Promise.all([from, to].map(address => (
+        address === ethers.ZeroAddress ? null : User.findOne({ walletAddress: address }).select('_id').lean()
+      )));
+
+      let drift = false;
+      let taken = [];
+      const applied = await this.updateOwnership(nft._id, state => {
+        const last = state.chainSync;
+        if (last && (last.blockNumber > blockNumber ||
+            (last.blockNumber === blockNumber && last.logIndex >= logIndex))) {
+          return false;
+        }
+        state.chainSync = { blockNumber, logIndex, transactionHash };
+
+        if (isMint) {
+          return true;
+        }
+
+        // Shares from wallets without a user enter the records in full
+        let moved = quantity;
+        if (sender) {
+          const entry = state.ownership.find(item => item.owner.toString() === sender._id.toString());
+          const held = entry ? entry.shares : 0;
+          // The chain is authoritative; a shortfall means the records had already diverged
+          drift = held < quantity;
+          if (entry) {
+            const { shares, lots, taken: lotsTaken } = takeLots(entry, quantity);
+            Object.assign(entry, { shares, lots });
+            taken = lotsTaken;
+          }
+          moved = taken.reduce((sum, lot) => sum + lot.shares, 0);
+        }
+        if (recipient && moved > 0) {
+          this.creditShares(state.ownership, recipient._id, moved, nft.pricePerShare, now);
+        }
+        return true;
+      });
+
+      if (drift) {
+        logger.warn(`On-chain transfer ${transactionHash}:${logIndex} moved more shares of token ${tokenId} than ${from} held in the records`);
+      }
+
+      await Transaction.updateOne(
+        { transactionHash, logIndex },
+        {
+          $setOnInsert: {
+            type: isMint ? 'mint' : 'transfer',
+            nftId: nft._id,
+            propertyId: nft.propertyId,
+            from: sender ? sender._id : null,
+            to: recipient ? recipient._id : null,
+            fromAddress: from,
+            toAddress: to,
+            quantity,
+            price: 0,
+            totalAmount: 0,
+            status: 'completed',
+            source: 'chain',
+            transactionHash,
+            logIndex,
+            blockNumber,
+            ...(applied && sender && { lots: taken })
+          }
+        },
+        { upsert: true }
+      );
+
+      // Also when the log was already applied, in case it was applied by a run
+      // interrupted before announcing it; the key publishes it once
+      if (!isMint) {
+        await eventBus.publish(EVENT_TYPES.NFT_TRANSFERRED, {
+          nftId: nft._id,
+          propertyId: nft.propertyId,
+          from: sender ? sender._id : null,
+          to: recipient ? recipient._id : null,
+          fromAddress: from,
+          toAddress: to,
+          quantity,
+          source: 'chain',
+          transactionHash,
+          blockNumber
+        }, { key: `nft.transferred:${transactionHash}:${logIndex}` });
+      }
+
+      return { nft, applied, drift };
+    } catch (error) {
+      logger.error('Error in applyChainTransfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo the on-chain transfers applied from blocks after `afterBlock`, newest
+   * first, after a reorg replaced those blocks (see services/chainIndexer).
+   * Shares go back from the recipient to the sender with the sender's lots,
+   * the transaction is removed and the NFT's last applied log moves back, so
+   * the logs of the replacing blocks are applied afresh. An interrupted run
+   * can be repeated: a log the NFT is already behind is not undone again.
+   * @returns {Promise<number>} Number of logs undone
+   */
+  async revertChainTransfers({ afterBlock }) {
+    try {
+      const transactions = await Transaction.find({ source: 'chain', blockNumber: { $gt: afterBlock } })
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .lean();
+
+      for (const transaction of transactions) {
+        const { nftId, blockNumber, logIndex } = transaction;
+        const previous = await Transaction.findOne({
+          nftId,
+          source: 'chain',
+          $or: [{ blockNumber: { $lt: blockNumber } }, { blockNumber, logIndex: { $lt: logIndex } }]
+        })
+          .sort({ blockNumber: -1, logIndex: -1 })
+          .select('blockNumber logIndex transactionHash')
+          .lean();
+        const nft = await NFT.findById(nftId).select('pricePerShare').lean();
+
+        await this.updateOwnership(nftId, state => {
+          const last = state.chainSync;
+          if (!last || last.blockNumber < blockNumber ||
+              (last.blockNumber === blockNumber && last.logIndex < logIndex)) {
+            return false;
+          }
+          state.chainSync = previous ?
+            { blockNumber: previous.blockNumber, logIndex: previous.logIndex, transactionHash: previous.transactionHash } :
+            null;
+
+          if (transaction.type === 'mint') {
+            return true;
+          }
+
+          // Only the shares the transfer moved in the records go back (see applyChainTransfer)
+          const moved = transaction.from && transaction.lots ?
+            transaction.lots.reduce((sum, lot) => sum + lot.shares, 0) :
+            transaction.quantity;
+
+          let returned = [];
+          const entry = transaction.to &&
+            state.ownership.find(item => item.owner.toString() === transaction.to.toString());
+          if (entry && moved > 0) {
+            const { shares, lots, taken } = takeLots(entry, moved, { newestFirst: true });
+            Object.assign(entry, { shares, lots });
+            returned = taken;
+          }
+          if (transaction.from) {
+            const lots = transaction.lots || returned;
+            const quantity = lots.reduce((sum, lot) => sum + lot.shares, 0);
+            if (quantity > 0) {
+              this.creditShares(state.ownership, transaction.from, quantity, nft.pricePerShare, new Date(), lots);
+            }
+          }
+          return true;
+        });
+
+        await Transaction.deleteOne({ _id: transaction._id });
+      }
+
+      return transactions.length;
+    } catch (error) {
+      logger.error('Error in revertChainTransfers:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user's NFT portfolio
    */
@@ -436,12 +1074,23 @@ class NFTService {
         throw new Error('Unauthorized to update this NFT');
       }
 
+      // Copied, as the document is changed in place below
+      const before = { metadata: JSON.parse(JSON.stringify(nft.metadata)) };
+
       // Update metadata
       nft.metadata = { ...nft.metadata, ...metadata };
       nft.updatedAt = new Date();
 
       await nft.save();
 
+      await auditService.record({
+        action: AUDIT_ACTIONS.NFT_METADATA_UPDATE,
+        actor: updatedBy,
+        target: { type: 'NFT', id: nftId },
+        before,
+        after: { metadata: nft.metadata }
+      });
+
       return await this.getNFTById(nftId);
     } catch (error) {
       logger.error('Error in updateNFTMetadata:', error);
@@ -481,12 +1130,36 @@ class NFTService {
       // Get transaction volume
       const transactions = await Transaction.find({
         createdAt: { $gte: startDate },
-        type: { $in: ['purchase', 'sale'] }
+        type: { $in: ['purchase', 'sale'] },
+        status: 'completed'
       });
 
       const volume = transactions.reduce((sum, tx) => sum + tx.totalAmount, 0);
       const transactionCount = transactions.length;
 
+      // Primary issuance vs. secondary market trades between holders
+      const secondaryTrades = transactions.filter(tx => tx.type === 'sale');
+      const primaryVolume = transactions.filter(tx => tx.type === 'purchase')
+        .reduce((sum, tx) => sum + tx.totalAmount, 0);
+      const secondaryVolume = secondaryTrades.reduce((sum, tx) => sum + tx.totalAmount, 0);
+
+      // Fee revenue by fee type; royalties go to property managers, not the platform
+      const feeTotals = { primary_fee: 0, secondary_fee: 0, royalty: 0 };
+      transactions.forEach(tx => (tx.fees || []).forEach(fee => {
+        feeTotals[fee.type] = (feeTotals[fee.type] || 0) + feeService.toMinor(fee.amount);
+      }));
+      const feeRevenue = {
+        primary: feeService.fromMinor(feeTotals.primary_fee),
+        secondary: feeService.fromMinor(feeTotals.secondary_fee),
+        royalties: feeService.fromMinor(feeTotals.royalty),
+        platformTotal: feeService.fromMinor(feeTotals.primary_fee + feeTotals.secondary_fee)
+      };
+
+      const lastTrade = await Transaction.findOne({ type: 'sale', status: 'completed' })
+        .sort({ createdAt: -1 })
+        .select('nftId price createdAt')
+        .lean();
+
       // Get average price
       const avgPriceResult = await NFT.aggregate([
         { $group: { _id: null, avgPrice: { $avg: '$pricePerShare' } } }
@@ -498,7 +1171,8 @@ class NFTService {
         {
           $match: {
             createdAt: { $gte: startDate },
-            type: { $in: ['purchase', 'sale'] }
+            type: { $in: ['purchase', 'sale'] },
+            status: 'completed'
           }
         },
         {
@@ -526,6 +1200,13 @@ class NFTService {
         availableNFTs,
         volume,
         transactionCount,
+        primaryVolume,
+        secondaryVolume,
+        secondaryTradeCount: secondaryTrades.length,
+        feeRevenue,
+        lastTradedPrice: lastTrade ? lastTrade.price : null,
+        lastTradedAt: lastTrade ? lastTrade.createdAt : null,
+        lastTradedNftId: lastTrade ? lastTrade.nftId : null,
         averagePrice,
         topProperties: topProperties.map(item => ({
           property: item.property[0],
@@ -538,6 +1219,622 @@ class NFTService {
       throw error;
     }
   }
+
+  /**
+   * Helper: Next numeric token ID. IDs are allocated in mint order from 1
+   * and stored as decimal strings, as contracts take uint256 IDs.
+   */
+  async allocateTokenId() {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: TOKEN_ID_SEQUENCE },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+    return counter.seq.toString();
+  }
+
+  /**
+   * Helper: Numeric value of a token ID from a metadata URI. The {id} form is
+   * zero-padded hex, so 64 characters with a leading zero or a hex letter are
+   * read as hex; decimal IDs are written without leading zeros.
+   */
+  parseTokenId(tokenId) {
+    const isHex = tokenId.length === 64 && /^(0|.*[a-fA-F])/.test(tokenId);
+
+    return isHex ? BigInt(`0x${tokenId}`) : BigInt(tokenId);
+  }
+
+  /**
+   * Helper: Token metadata document. Attributes set on the NFT take
+   * precedence over the ones derived from its property.
+   */
+  buildTokenMetadata(nft) {
+    const property = nft.propertyId || {};
+    const metadata = nft.metadata || {};
+    const location = property.location ?
+      [property.location.city, property.location.country].filter(Boolean).join(', ') : null;
+
+    const derived = [
+      { trait_type: 'Property Type', value: property.category },
+      { trait_type: 'Location', value: location },
+      { trait_type: 'Total Shares', value: nft.totalShares, display_type: 'number' }
+    ].filter(attribute => attribute.value !== undefined && attribute.value !== null && attribute.value !== '');
+
+    const attributes = [...(metadata.attributes || [])];
+    derived.forEach(attribute => {
+      if (!attributes.some(existing => existing.trait_type === attribute.trait_type)) {
+        attributes.push(attribute);
+      }
+    });
+
+    return {
+      name: metadata.name || `${property.title} Shares`,
+      description: metadata.description || `Fractional ownership of ${property.title}`,
+      image: metadata.image || (property.images && property.images[0]) || null,
+      ...(process.env.NFT_EXTERNAL_URL && property._id && {
+        external_url: `${process.env.NFT_EXTERNAL_URL.replace(/\/$/, '')}/${property._id}`
+      }),
+      // Whole shares only
+      decimals: 0,
+      attributes,
+      properties: {
+        propertyId: property._id ? property._id.toString() : null,
+        totalShares: nft.totalShares
+      }
+    };
+  }
+
+  /**
+   * Helper: Purchase price of shares of an NFT with the fees of its property
+   */
+  async buildPurchaseQuote(nft, quantity) {
+    const schedule = await feeService.getSchedule(nft.propertyId);
+
+    return {
+      nftId: nft._id,
+      propertyId: nft.propertyId,
+      quantity,
+      pricePerShare: nft.pricePerShare,
+      currency: ledgerService.walletCurrency,
+      ...feeService.quotePrimary(schedule, quantity * nft.pricePerShare)
+    };
+  }
+
+  /**
+   * Helper: Create the payment intent of a pending fiat purchase. If the
+   * provider refuses, the purchase fails and the quote can be used again.
+   */
+  async startFiatPayment({ transaction, quote, buyerId, now }) {
+    let created;
+    try {
+      created = await paymentService.createIntent({
+        transactionId: transaction._id,
+        quoteId: quote._id,
+        nftId: quote.nftId,
+        buyerId,
+        amount: quote.total,
+        currency: quote.currency,
+        now
+      });
+    } catch (error) {
+      await Quote.updateOne({ _id: quote._id, status: 'used' }, { status: 'active', usedAt: null });
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { status: 'failed', failureReason: error.message }
+      );
+      throw error;
+    }
+
+    await Quote.updateOne({ _id: quote._id }, { transactionId: transaction._id });
+
+    return {
+      transaction,
+      payment: {
+        provider: created.intent.provider,
+        intentId: created.intent.providerIntentId,
+        clientSecret: created.clientSecret,
+        amount: created.intent.amount,
+        currency: created.intent.currency,
+        expiresAt: created.intent.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Helper: Verify the buyer's payment transaction and record it for the
+   * pending purchase, settling right away if it is already confirmed.
+   * An invalid or reused transaction fails the purchase and the quote can be used again.
+   */
+  async startCryptoPayment({ transaction, quote, buyer, txHash, now }) {
+    let intent;
+    let payment;
+    try {
+      if (!txHash) {
+        throw new Error('Invalid payment: A transaction hash is required for crypto payments');
+      }
+
+      payment = await cryptoPayments.verify({
+        txHash,
+        payer: buyer.walletAddress,
+        amount: quote.total,
+        currency: quote.currency
+      });
+
+      intent = await paymentService.recordCryptoPayment({
+        transactionId: transaction._id,
+        quoteId: quote._id,
+        nftId: quote.nftId,
+        buyerId: buyer._id,
+        amount: quote.total,
+        currency: quote.currency,
+        payment,
+        now
+      });
+    } catch (error) {
+      await Quote.updateOne({ _id: quote._id, status: 'used' }, { status: 'active', usedAt: null });
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { status: 'failed', failureReason: error.message }
+      );
+      throw error;
+    }
+
+    await Quote.updateOne({ _id: quote._id }, { transactionId: transaction._id });
+
+    if (payment.confirmed) {
+      const settled = await this.settlePayment(intent, this.cryptoPaymentEvent(intent, payment), now);
+      if (settled.status === 'succeeded') {
+        transaction.status = 'completed';
+      }
+    }
+
+    return {
+      transaction,
+      payment: {
+        provider: intent.provider,
+        txHash: payment.txHash,
+        chainId: payment.chainId,
+        asset: payment.asset,
+        assetAmount: payment.assetAmount,
+        confirmations: payment.confirmations,
+        requiredConfirmations: cryptoPayments.confirmations,
+        expiresAt: intent.expiresAt
+      }
+    };
+  }
+
+  /**
+   * Helper: A verified on-chain payment as a payment event
+   */
+  cryptoPaymentEvent(intent, payment) {
+    return {
+      id: payment.txHash,
+      type: 'succeeded',
+      intentId: payment.txHash,
+      amountMinor: intent.amountMinor,
+      currency: intent.currency
+    };
+  }
+
+  /**
+   * Helper: Allocate the shares of a paid purchase and complete it.
+   * A payment that arrives after the intent was canceled takes its shares
+   * again if they are still available, otherwise it is marked for refund.
+   * The buyer's eligibility is checked again, as rules or their standing may
+   * have changed while the payment was outstanding; a buyer no longer
+   * eligible gets the payment refunded and the reserved shares are released.
+   */
+  async settlePayment(intent, event, now) {
+    if (event.amountMinor !== intent.amountMinor || event.currency !== intent.currency) {
+      logger.error(`Payment ${intent.providerIntentId} paid ${event.amountMinor} ${event.currency}, expected ${intent.amountMinor} ${intent.currency}`);
+      return this.cancelPayment(intent, {
+        fromStatuses: ['requires_payment', 'canceled'],
+        status: 'requires_refund',
+        reason: 'Paid amount does not match the purchase',
+        eventId: event.id
+      });
+    }
+
+    const previous = await paymentService.transition(intent._id, ['requires_payment', 'canceled'], {
+      status: 'succeeded',
+      failureReason: null,
+      settledAt: now,
+      lastEventId: event.id
+    });
+    if (!previous) {
+      return intent;
+    }
+
+    const quote = await Quote.findById(intent.quoteId).lean();
+    const reserved = previous.status === 'requires_payment';
+
+    let eligibility;
+    let allocated = false;
+    try {
+      // The purchase of a canceled payment failed; it is pending again while it takes its shares
+      if (!reserved) {
+        await Transaction.updateOne(
+          { _id: intent.transactionId, status: 'failed' },
+          { status: 'pending', failureReason: null }
+        );
+      }
+
+      eligibility = await complianceService.evaluate({
+        propertyId: quote.propertyId,
+        userId: intent.buyer,
+        shares: quote.quantity,
+        transactionId: intent.transactionId,
+        now
+      });
+
+      if (!eligibility.eligible) {
+        if (reserved) {
+          await this.releaseShares(intent.nftId, quote.quantity);
+        }
+      } else {
+        allocated = await this.updateOwnership(intent.nftId, state => {
+          if (!reserved) {
+            if (state.availableShares < quote.quantity) {
+              return false;
+            }
+            state.availableShares -= quote.quantity;
+            if (state.availableShares === 0) {
+              state.status = 'sold_out';
+            }
+          }
+
+          this.creditShares(state.ownership, intent.buyer, quote.quantity, quote.pricePerShare, now);
+          return true;
+        }, { allocation: intent.transactionId });
+      }
+    } catch (error) {
+      // Let the redelivered event try again
+      if (!reserved) {
+        await Transaction.updateOne(
+          { _id: intent.transactionId, status: 'pending' },
+          { status: 'failed', failureReason: previous.failureReason }
+        );
+      }
+      await paymentService.transition(intent._id, ['succeeded'], {
+        status: previous.status,
+        settledAt: null
+      });
+      throw error;
+    }
+
+    if (!allocated) {
+      const reason = eligibility.eligible ?
+        'Shares were released before the payment succeeded' :
+        `Not eligible: ${eligibility.violations.map(violation => violation.message).join('; ')}`;
+      logger.error(`Payment ${intent.providerIntentId} succeeded but its shares cannot be allocated (${reason}); refund required`);
+      await Transaction.updateOne(
+        { _id: intent.transactionId, status: 'pending' },
+        { status: 'failed', failureReason: reason }
+      );
+      await paymentService.transition(intent._id, ['succeeded'], {
+        status: 'requires_refund',
+        failureReason: reason
+      });
+      return { ...intent, status: 'requires_refund' };
+    }
+
+    // If this stops on the way, resolveStalePurchases completes the purchase
+    await this.completePurchase({
+      transaction: await Transaction.findById(intent.transactionId).lean(),
+      quote,
+      from: ledgerService.accounts.external
+    });
+
+    return { ...intent, status: 'succeeded', settledAt: now };
+  }
+
+  /**
+   * Helper: Close an unpaid purchase, releasing its reserved shares
+   * @returns {Promise<Object|null>} The intent, or null if it was no longer in fromStatuses
+   */
+  async cancelPayment(intent, { fromStatuses, status, reason, eventId = null }) {
+    const previous = await paymentService.transition(intent._id, fromStatuses, {
+      status,
+      failureReason: reason,
+      ...(eventId && { lastEventId: eventId })
+    });
+    if (!previous) {
+      return null;
+    }
+
+    // Shares are only still reserved while the payment was outstanding
+    if (previous.status === 'requires_payment') {
+      const quote = await Quote.findById(intent.quoteId).lean();
+      try {
+        await this.releaseShares(intent.nftId, quote.quantity);
+      } catch (error) {
+        await paymentService.transition(intent._id, [status], {
+          status: previous.status,
+          failureReason: previous.failureReason
+        });
+        throw error;
+      }
+
+      await Quote.updateOne({ _id: intent.quoteId, status: 'used' }, { status: 'expired' });
+      await Transaction.updateOne(
+        { _id: intent.transactionId, status: 'pending' },
+        { status: 'failed', failureReason: reason }
+      );
+    }
+
+    return { ...intent, status, failureReason: reason };
+  }
+
+  /**
+   * Helper: Complete a purchase whose shares are allocated: post the
+   * settlement, record and announce it, complete the transaction and clear
+   * its allocation marker. Every step can be repeated, so an interrupted
+   * completion can run again.
+   * @returns {Promise<boolean>} false if the transaction was no longer pending
+   */
+  async completePurchase({ transaction, quote, from }) {
+    await this.postPurchaseSettlement({
+      transactionId: transaction._id,
+      propertyId: transaction.propertyId,
+      quote,
+      from
+    });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.PURCHASE_COMPLETE,
+      key: `purchase:${transaction._id}`,
+      actor: transaction.to,
+      target: { type: 'Transaction', id: transaction._id },
+      before: { status: 'pending' },
+      after: { status: 'completed' },
+      metadata: {
+        nftId: transaction.nftId,
+        propertyId: transaction.propertyId,
+        quantity: quote.quantity,
+        total: quote.total,
+        currency: quote.currency,
+        paymentMethod: transaction.paymentMethod
+      }
+    });
+
+    await this.announcePurchase({ transactionId: transaction._id, propertyId: transaction.propertyId, quote });
+
+    const completed = await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { status: 'completed', failureReason: null }
+    );
+    await Quote.updateOne({ _id: quote._id }, { status: 'used', transactionId: transaction._id });
+    await NFT.updateOne({ _id: transaction.nftId }, { $pull: { pendingAllocations: transaction._id } });
+
+    return completed.modifiedCount === 1;
+  }
+
+  /**
+   * Helper: Fail a purchase whose shares were not allocated. A held payment
+   * is refunded and the quote can be used again until it expires.
+   * @returns {Promise<boolean>} false if the transaction was no longer pending
+   */
+  async failPurchase({ transaction, reason }) {
+    const hold = await ledgerService.getEntry(`${transaction._id}:hold`);
+    if (hold) {
+      await ledgerService.post({
+        postingKey: `${transaction._id}:refund`,
+        type: 'refund',
+        currency: hold.currency,
+        lines: hold.lines.map(line => ({ account: line.account, debit: line.credit, credit: line.debit })),
+        transactionId: transaction._id
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.REFUND_ISSUE,
+        key: `refund:${transaction._id}`,
+        actor: transaction.to,
+        target: { type: 'Transaction', id: transaction._id },
+        metadata: {
+          reason,
+          postingKey: `${transaction._id}:refund`,
+          amountMinor: hold.lines.reduce((sum, line) => sum + (line.credit || 0), 0),
+          currency: hold.currency
+        }
+      });
+    }
+
+    await Quote.updateOne(
+      { _id: transaction.quoteId, status: 'used', transactionId: null },
+      { status: 'active', usedAt: null }
+    );
+    const failed = await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { status: 'failed', failureReason: reason }
+    );
+
+    return failed.modifiedCount === 1;
+  }
+
+  /**
+   * Helper: Post a purchase to the ledger.
+   * Proceeds go to the property treasury and fees to the platform.
+   */
+  async postPurchaseSettlement({ transactionId, propertyId, quote, from }) {
+    return ledgerService.post({
+      postingKey: `${transactionId}:settlement`,
+      type: 'settlement',
+      lines: [
+        {
+          account: from,
+          debit: ledgerService.toMinor(quote.total)
+        },
+        {
+          account: ledgerService.accounts.treasury(propertyId),
+          credit: ledgerService.toMinor(quote.subtotal)
+        },
+        ...quote.fees.map(fee => ({
+          account: feeService.feeAccount(fee, propertyId),
+          credit: ledgerService.toMinor(fee.amount)
+        }))
+      ],
+      transactionId
+    });
+  }
+
+  /**
+   * Helper: Announce a completed primary purchase, once per transaction
+   */
+  async announcePurchase({ transactionId, propertyId, quote }) {
+    await eventBus.publish(EVENT_TYPES.NFT_PURCHASED, {
+      transactionId,
+      nftId: quote.nftId,
+      propertyId,
+      buyer: quote.buyer,
+      quantity: quote.quantity,
+      pricePerShare: quote.pricePerShare,
+      subtotal: quote.subtotal,
+      totalFees: quote.totalFees,
+      total: quote.total,
+      currency: quote.currency,
+      market: 'primary'
+    }, { key: `nft.purchased:${transactionId}` });
+  }
+
+  /**
+   * Helper: The buyer's quote for this NFT, if it can still be used
+   */
+  async findUsableQuote({ quoteId, nftId, buyerId, now }) {
+    const quote = await Quote.findOne({ _id: quoteId, nftId, buyer: buyerId }).lean();
+
+    if (!quote) {
+      throw new Error('Invalid quote: Quote not found');
+    }
+    if (quote.status === 'used') {
+      throw new Error('Invalid quote: Quote has already been used');
+    }
+    if (quote.status !== 'active' || quote.expiresAt <= now) {
+      throw new Error('Invalid quote: Quote has expired');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Helper: Move shares between holders. The sender gives up their oldest
+   * lots and the recipient gets a new lot acquired now; undoing a move
+   * (`undo`) takes the recipient's newest lots and gives back the lots the
+   * move took.
+   * @param {Array} [undo] - Lots returned by the move being undone
+   * @returns {Promise<Array|boolean>} Lots moved, or false if the sender does not hold enough shares
+   */
+  async moveShares({ nftId, fromUserId, toUserId, quantity, price, now = new Date(), undo = null }) {
+    const fromId = fromUserId.toString();
+    let moved = null;
+
+    const applied = await this.updateOwnership(nftId, state => {
+      const sender = state.ownership.find(entry => entry.owner.toString() === fromId);
+      if (!sender || sender.shares < quantity) {
+        return false;
+      }
+
+      const { taken, shares, lots } = takeLots(sender, quantity, { newestFirst: Boolean(undo) });
+      Object.assign(sender, { shares, lots });
+      moved = taken;
+      this.creditShares(state.ownership, toUserId, quantity, price, now, undo);
+      return true;
+    });
+
+    return applied && moved;
+  }
+
+  /**
+   * Helper: Give reserved shares back to availableShares
+   */
+  async releaseShares(nftId, quantity) {
+    return this.updateOwnership(nftId, state => {
+      state.availableShares += quantity;
+      if (state.status === 'sold_out') {
+        state.status = 'available';
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Helper: Apply a change to an NFT's ownership, available shares and status.
+   * The change runs against a fresh copy and is written only if the NFT's
+   * version is unchanged; on a concurrent write it is re-applied to the new state.
+   * @param {string} nftId - NFT to update
+   * @param {Function} change - Mutates { ownership, availableShares, status, chainSync }; returns false to abort
+   * @param {Object} [options]
+   * @param {ObjectId} [options.allocation] - Purchase the change allocates shares to; it is added to
+   *   pendingAllocations with the change, and a purchase already there is not applied again
+   * @returns {Promise<boolean>} false if the change aborted
+   */
+  async updateOwnership(nftId, change, { allocation = null } = {}) {
+    for (let attempt = 0; attempt < MAX_OWNERSHIP_RETRIES; attempt++) {
+      const nft = await NFT.findById(nftId)
+        .select('ownership availableShares status chainSync pendingAllocations __v')
+        .lean();
+      if (!nft) {
+        throw new Error('NFT not found');
+      }
+
+      if (allocation && (nft.pendingAllocations || []).some(id => id.toString() === allocation.toString())) {
+        return true;
+      }
+
+      const state = {
+        ownership: nft.ownership.map(entry => ({ ...entry })),
+        availableShares: nft.availableShares,
+        status: nft.status,
+        chainSync: nft.chainSync
+      };
+
+      if (change(state) === false) {
+        return false;
+      }
+
+      const result = await NFT.updateOne(
+        { _id: nftId, __v: nft.__v },
+        {
+          $set: {
+            ownership: state.ownership.filter(entry => entry.shares > 0),
+            availableShares: state.availableShares,
+            status: state.status,
+            ...(state.chainSync && { chainSync: state.chainSync })
+          },
+          ...(state.chainSync === null && { $unset: { chainSync: 1 } }),
+          $inc: { __v: 1 },
+          ...(allocation && { $push: { pendingAllocations: allocation } })
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        return true;
+      }
+    }
+
+    throw new Error('Concurrent update: Ownership changed too often, please retry');
+  }
+
+  /**
+   * Helper: Add shares to a holder's ownership entry, creating it if needed.
+   * The shares are a new lot acquired now unless lots are given.
+   * @param {Array} [lots] - Lots to add instead
+   */
+  creditShares(ownership, ownerId, quantity, price, now = new Date(), lots = null) {
+    const received = lots || [{ shares: quantity, acquiredAt: now }];
+    const entry = ownership.find(item => item.owner.toString() === ownerId.toString());
+    if (entry) {
+      Object.assign(entry, addLots(entry, received));
+      return;
+    }
+
+    ownership.push({
+      owner: ownerId,
+      purchaseDate: now,
+      purchasePrice: price,
+      ...addLots({ shares: 0, lots: [] }, received)
+    });
+  }
 }
 
 module.exports = new NFTService();
\ No newline at end of file
@@ -0,0 +1,193 @@
+const PaymentIntent = require('../models/PaymentIntent');
+const { createPaymentProvider } = require('../utils/paymentProviders');
+const { decimalsFor, roundToMinorUnits } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// How long a buyer has to pay before the reserved shares are released
+const PAYMENT_INTENT_TTL_MS = parseInt(process.env.PAYMENT_INTENT_TTL_SECONDS || 1800, 10) * 1000;
+
+// How long an expired on-chain payment is still checked; a submitted transaction may be mined late
+const CRYPTO_RECHECK_MS = parseInt(process.env.CRYPTO_PAYMENT_RECHECK_HOURS || 72, 10) * 60 * 60 * 1000;
+
+// Provider name of on-chain payments, which are verified rather than created
+const CRYPTO_PROVIDER = 'crypto';
+
+/**
+ * Payment intents for pending purchases. Share allocation lives in the
+ * NFT service, which drives these records from provider webhooks and
+ * on-chain confirmations.
+ */
+class PaymentService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - Payment provider; created from PAYMENT_PROVIDER on first use
+   */
+  constructor({ provider = null } = {}) {
+    this.provider = provider;
+  }
+
+  /**
+   * The configured payment provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createPaymentProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Use another provider (tests)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Create a payment intent at the provider for a pending purchase
+   * @returns {Promise<Object>} Stored intent with the provider's clientSecret
+   */
+  async createIntent({ transactionId, quoteId, nftId, buyerId, amount, currency, now = new Date() }) {
+    try {
+      const provider = this.getProvider();
+      const amountMinor = roundToMinorUnits(amount, decimalsFor(currency));
+
+      const created = await provider.createIntent({
+        amountMinor,
+        currency,
+        reference: transactionId.toString(),
+        metadata: { transactionId, quoteId, nftId, buyerId }
+      });
+
+      const intent = await PaymentIntent.create({
+        provider: provider.name,
+        providerIntentId: created.id,
+        transactionId,
+        quoteId,
+        nftId,
+        buyer: buyerId,
+        amount,
+        amountMinor,
+        currency,
+        status: 'requires_payment',
+        expiresAt: new Date(now.getTime() + PAYMENT_INTENT_TTL_MS)
+      });
+
+      return { intent, clientSecret: created.clientSecret };
+    } catch (error) {
+      logger.error('Error in createIntent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an on-chain payment submitted for a pending purchase
+   * @param {Object} payment - Result of the crypto payment verification
+   * @throws {Error} Invalid payment: ... if the transaction already paid for a purchase
+   */
+  async recordCryptoPayment({ transactionId, quoteId, nftId, buyerId, amount, currency, payment, now = new Date() }) {
+    try {
+      const intent = await PaymentIntent.create({
+        provider: CRYPTO_PROVIDER,
+        providerIntentId: payment.txHash,
+        transactionId,
+        quoteId,
+        nftId,
+        buyer: buyerId,
+        amount,
+        amountMinor: roundToMinorUnits(amount, decimalsFor(currency)),
+        currency,
+        chain: {
+          chainId: payment.chainId,
+          txHash: payment.txHash,
+          payer: payment.payer,
+          asset: payment.asset,
+          assetAmount: payment.assetAmount,
+          confirmations: payment.confirmations
+        },
+        status: 'requires_payment',
+        expiresAt: new Date(now.getTime() + PAYMENT_INTENT_TTL_MS)
+      });
+
+      return intent.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Invalid payment: Transaction has already been used for a purchase');
+      }
+      logger.error('Error in recordCryptoPayment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify and normalize a webhook from the provider
+   * @throws {Error} Invalid webhook signature / Invalid webhook payload
+   */
+  constructEvent(rawBody, headers) {
+    return this.getProvider().constructEvent(rawBody, headers);
+  }
+
+  /**
+   * Find the intent a provider event refers to
+   */
+  async findByProviderIntentId(providerIntentId) {
+    if (!providerIntentId) return null;
+    return PaymentIntent.findOne({ providerIntentId: String(providerIntentId) }).lean();
+  }
+
+  /**
+   * Change an intent's status only if it is still in one of the given statuses
+   * @returns {Promise<Object|null>} The intent as it was before the change, or null if it had moved on
+   */
+  async transition(intentId, fromStatuses, changes) {
+    return PaymentIntent.findOneAndUpdate(
+      { _id: intentId, status: { $in: fromStatuses } },
+      changes
+    ).lean();
+  }
+
+  /**
+   * On-chain payments still waiting for confirmations, including payments
+   * canceled for expiring in the last CRYPTO_PAYMENT_RECHECK_HOURS
+   */
+  async findUnconfirmedCrypto({ now = new Date(), limit = 100 } = {}) {
+    return PaymentIntent.find({
+      provider: CRYPTO_PROVIDER,
+      $or: [
+        { status: 'requires_payment' },
+        { status: 'canceled', expiresAt: { $gt: new Date(now.getTime() - CRYPTO_RECHECK_MS) } }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Unpaid intents past their expiry
+   */
+  async findOverdue({ now = new Date(), limit = 100 } = {}) {
+    return PaymentIntent.find({ status: 'requires_payment', expiresAt: { $lte: now } })
+      .sort({ expiresAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Cancel an intent at the provider. Best effort: a payment that still
+   * succeeds is handled when its webhook arrives.
+   */
+  async cancelAtProvider(intent) {
+    // A submitted blockchain transaction cannot be canceled
+    if (intent.provider === CRYPTO_PROVIDER) return;
+
+    try {
+      await this.getProvider().cancelIntent(intent.providerIntentId);
+    } catch (error) {
+      logger.warn(`Failed to cancel payment intent ${intent.providerIntentId} at the provider:`, error);
+    }
+  }
+}
+
+module.exports = new PaymentService();
+module.exports.PaymentService = PaymentService;
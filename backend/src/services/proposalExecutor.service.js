@@ -0,0 +1,170 @@
+const { ethers } = require('ethers');
+const blockchain = require('../config/blockchain');
+const logger = require('../utils/logger');
+
+// Governance contract entry point that performs each timelocked call
+const GOVERNANCE_EXECUTOR_ABI = [
+  'function execute(address target, uint256 value, bytes data) payable returns (bytes)'
+];
+
+/**
+ * Submits queued proposal actions on-chain through the platform signer.
+ *
+ * Each action is ABI-encoded from its function signature and arguments and
+ * sent to the governance contract's execute(target, value, data), which
+ * forwards the call to the action target.
+ */
+class ProposalExecutor {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.signer] - ethers Signer; defaults to the configured platform signer
+   * @param {string} [options.governanceAddress] - Governance contract address
+   * @param {number} [options.confirmations] - Confirmations to wait for per action
+   * @param {number} [options.timeoutMs] - Maximum time to wait for each receipt
+   */
+  constructor({
+    signer = null,
+    governanceAddress = process.env.DAO_CONTRACT_ADDRESS,
+    confirmations = parseInt(process.env.GOVERNANCE_EXECUTION_CONFIRMATIONS || 1, 10),
+    timeoutMs = parseInt(process.env.GOVERNANCE_EXECUTION_TIMEOUT_MS || 300000, 10)
+  } = {}) {
+    this.signer = signer;
+    this.governanceAddress = governanceAddress;
+    this.confirmations = confirmations;
+    this.timeoutMs = timeoutMs;
+  }
+
+  getSigner() {
+    return this.signer || blockchain.getSigner();
+  }
+
+  getContract() {
+    if (!this.governanceAddress || !ethers.isAddress(this.governanceAddress)) {
+      throw new Error('Governance contract not configured: DAO_CONTRACT_ADDRESS is missing or invalid');
+    }
+
+    return new ethers.Contract(this.governanceAddress, GOVERNANCE_EXECUTOR_ABI, this.getSigner());
+  }
+
+  /**
+   * ABI-encode a proposal action
+   * @param {Object} action - { target, signature, value (wei, decimal string), args }
+   * @returns {{ target: string, value: bigint, data: string }}
+   */
+  encodeAction(action) {
+    try {
+      const fragment = ethers.FunctionFragment.from(`function ${action.signature.trim()}`);
+      const iface = new ethers.Interface([fragment]);
+
+      return {
+        target: ethers.getAddress(action.target),
+        value: BigInt(action.value || 0),
+        data: iface.encodeFunctionData(fragment, action.args || [])
+      };
+    } catch (error) {
+      throw new Error(`Invalid action "${action.signature}": ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Send an action to the governance contract
+   * @returns {Promise<Object>} ethers TransactionResponse
+   */
+  async submitAction(action) {
+    const { target, value, data } = this.encodeAction(action);
+    const contract = this.getContract();
+
+    return contract.execute(target, value, data, { value });
+  }
+
+  /**
+   * Wait for a submitted action to be mined with the configured confirmations.
+   * Reverted transactions resolve with status 0 instead of throwing.
+   */
+  async waitForReceipt(tx) {
+    try {
+      return await tx.wait(this.confirmations, this.timeoutMs);
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+        return error.receipt;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the receipt of a transaction submitted earlier.
+   * Returns null while it is not mined (or not sufficiently confirmed) yet.
+   */
+  async getReceipt(transactionHash) {
+    const provider = this.getSigner().provider || blockchain.getProvider();
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      return null;
+    }
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations < this.confirmations) {
+      return null;
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Submit one action and wait for its receipt
+   * @param {Object} action - Proposal action
+   * @param {Function} [onSubmitted] - Called with the transaction hash before waiting
+   * @returns {Promise<Object>} Execution result for the action
+   */
+  async executeAction(action, onSubmitted = async () => {}) {
+    const submittedAt = new Date();
+    let tx;
+
+    try {
+      tx = await this.submitAction(action);
+    } catch (error) {
+      logger.error('Error submitting proposal action:', error);
+      return {
+        status: 'failed',
+        error: error.shortMessage || error.message,
+        submittedAt
+      };
+    }
+
+    await onSubmitted({ status: 'submitted', transactionHash: tx.hash, submittedAt });
+
+    let receipt = null;
+    try {
+      receipt = await this.waitForReceipt(tx);
+    } catch (error) {
+      // Still in flight (e.g. timed out); the receipt is checked again on the next attempt
+      logger.error(`Error waiting for proposal action ${tx.hash}:`, error);
+    }
+
+    return this.toResult(receipt, { transactionHash: tx.hash, submittedAt });
+  }
+
+  /**
+   * Convert a receipt into a persisted execution result
+   */
+  toResult(receipt, { transactionHash, submittedAt }) {
+    if (!receipt) {
+      return { status: 'submitted', transactionHash, submittedAt };
+    }
+
+    return {
+      status: receipt.status === 1 ? 'success' : 'failed',
+      transactionHash: receipt.hash || transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      error: receipt.status === 1 ? undefined : 'Transaction reverted',
+      submittedAt,
+      confirmedAt: new Date()
+    };
+  }
+}
+
+module.exports = new ProposalExecutor();
+module.exports.ProposalExecutor = ProposalExecutor;
+module.exports.GOVERNANCE_EXECUTOR_ABI = GOVERNANCE_EXECUTOR_ABI;
@@ -0,0 +1,107 @@
+const Proposal = require('../models/Proposal');
+const governanceService = require('./governance.service');
+const { IntervalWorker } = require('../utils/intervalWorker');
+const logger = require('../utils/logger');
+
+const LOCK_KEY = 'locks:proposal-lifecycle';
+
+/**
+ * Moves proposals through their lifecycle on time:
+ * pending -> active once startTime is reached (snapshotting voting power),
+ * active -> succeeded/defeated once endTime has passed.
+ *
+ * Events:
+ *   proposal:activated  (proposal)
+ *   proposal:succeeded  (proposal)
+ *   proposal:defeated   (proposal)
+ *   tick:error          (error)
+ */
+class ProposalScheduler extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {Object} [options.lock] - Lock with acquire(key, ttlMs) and release(key)
+   * @param {number} [options.intervalMs] - Time between ticks
+   * @param {number} [options.batchSize] - Maximum proposals handled per transition per tick
+   * @param {Object} [options.governance] - Governance service
+   */
+  constructor({
+    clock = () => new Date(),
+    lock,
+    intervalMs = parseInt(process.env.PROPOSAL_SCHEDULER_INTERVAL_MS || 60000, 10),
+    batchSize = 100,
+    governance = governanceService
+  } = {}) {
+    super({ name: 'Proposal scheduler', lockKey: LOCK_KEY, intervalMs, lock });
+    this.clock = clock;
+    this.batchSize = batchSize;
+    this.governance = governance;
+  }
+
+  /**
+   * Process every due transition once (see IntervalWorker.tick)
+   * @returns {Promise<Object>} Summary of transitions
+   */
+  async run() {
+    const now = this.clock();
+    const activated = await this.activateDueProposals(now);
+    const finalized = await this.finalizeEndedProposals(now);
+
+    return { activated, finalized };
+  }
+
+  /**
+   * Open pending proposals whose start time has been reached
+   */
+  async activateDueProposals(now) {
+    const due = await Proposal.find({ status: 'pending', startTime: { $lte: now } })
+      .sort({ startTime: 1 })
+      .limit(this.batchSize)
+      .select('_id')
+      .lean();
+
+    let count = 0;
+    for (const { _id } of due) {
+      try {
+        const proposal = await this.governance.activateProposal(_id, now);
+        if (proposal) {
+          count += 1;
+          this.emit('proposal:activated', proposal);
+        }
+      } catch (error) {
+        logger.error(`Failed to activate proposal ${_id}:`, error);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Close and tally active proposals whose voting period has ended
+   */
+  async finalizeEndedProposals(now) {
+    const ended = await Proposal.find({ status: 'active', endTime: { $lt: now } })
+      .sort({ endTime: 1 })
+      .limit(this.batchSize)
+      .select('_id')
+      .lean();
+
+    let count = 0;
+    for (const { _id } of ended) {
+      try {
+        const proposal = await this.governance.finalizeProposal(_id, now);
+        if (proposal) {
+          count += 1;
+          this.emit(`proposal:${proposal.status}`, proposal);
+        }
+      } catch (error) {
+        logger.error(`Failed to finalize proposal ${_id}:`, error);
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new ProposalScheduler();
+module.exports.ProposalScheduler = ProposalScheduler;
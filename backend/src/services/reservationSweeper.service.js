@@ -0,0 +1,71 @@
+const nftService = require('./nft.service');
+const { IntervalWorker } = require('../utils/intervalWorker');
+
+const LOCK_KEY = 'locks:quote-expiry';
+
+/**
+ * Releases the shares reserved by expired purchase quotes and by unpaid
+ * payments back to availableShares, so abandoned checkouts do not hold shares.
+ * Crypto payments are checked for confirmations first, so a payment
+ * confirmed in time is settled rather than expired. Purchases left pending
+ * by an interrupted request are completed or failed.
+ *
+ * Events:
+ *   quotes:released     (count)
+ *   payments:confirmed  (count)
+ *   payments:expired    (count)
+ *   purchases:resolved  ({ completed, failed })
+ *   tick:error        (error)
+ */
+class ReservationSweeper extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {Object} [options.lock] - Lock with acquire(key, ttlMs) and release(key)
+   * @param {number} [options.intervalMs] - Time between ticks
+   * @param {number} [options.batchSize] - Maximum quotes and payments released per tick
+   * @param {Object} [options.nfts] - NFT service
+   */
+  constructor({
+    clock = () => new Date(),
+    lock,
+    intervalMs = parseInt(process.env.RESERVATION_SWEEPER_INTERVAL_MS || 30000, 10),
+    batchSize = 100,
+    nfts = nftService
+  } = {}) {
+    super({ name: 'Reservation sweeper', lockKey: LOCK_KEY, intervalMs, lock });
+    this.clock = clock;
+    this.batchSize = batchSize;
+    this.nfts = nfts;
+  }
+
+  /**
+   * Release expired quotes and payments and resolve interrupted purchases once (see IntervalWorker.tick)
+   * @returns {Promise<Object>} { quotes, confirmed, payments, purchases } counts
+   */
+  async run() {
+    const now = this.clock();
+    const quotes = await this.nfts.releaseExpiredQuotes({ now, limit: this.batchSize });
+    const confirmed = await this.nfts.confirmCryptoPayments({ now, limit: this.batchSize });
+    const payments = await this.nfts.expirePendingPayments({ now, limit: this.batchSize });
+    const purchases = await this.nfts.resolveStalePurchases({ now, limit: this.batchSize });
+
+    if (quotes > 0) {
+      this.emit('quotes:released', quotes);
+    }
+    if (confirmed > 0) {
+      this.emit('payments:confirmed', confirmed);
+    }
+    if (payments > 0) {
+      this.emit('payments:expired', payments);
+    }
+    if (purchases.completed + purchases.failed > 0) {
+      this.emit('purchases:resolved', purchases);
+    }
+
+    return { quotes, confirmed, payments, purchases };
+  }
+}
+
+module.exports = new ReservationSweeper();
+module.exports.ReservationSweeper = ReservationSweeper;
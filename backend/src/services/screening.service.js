@@ -0,0 +1,244 @@
+const ScreeningEvent = require('../models/ScreeningEvent');
+const ScreeningOverride = require('../models/ScreeningOverride');
+const auditService = require('./audit.service');
+const { createScreeningList } = require('../utils/screeningLists');
+const logger = require('../utils/logger');
+
+const { AUDIT_ACTIONS } = auditService;
+
+/**
+ * Sanctions and wallet-risk screening of the addresses behind wallet-bound
+ * actions (sign-in, transfers, delegation, payouts). Addresses found on the
+ * configured list (utils/screeningLists) are blocked unless an admin has
+ * overridden them; every hit is recorded as a ScreeningEvent.
+ * Screening fails closed: if the list cannot be read, the action is refused.
+ */
+class ScreeningService {
+  constructor() {
+    this.list = null;
+  }
+
+  /**
+   * The configured list, created on first use
+   */
+  getList() {
+    if (!this.list) {
+      this.list = createScreeningList();
+    }
+    return this.list;
+  }
+
+  setList(list) {
+    this.list = list;
+  }
+
+  /**
+   * Screen an address for an action
+   * @param {Object} params
+   * @param {string} params.address - Wallet address
+   * @param {string} params.action - 'login' | 'transfer' | 'delegation' | 'payout'
+   * @param {string} [params.userId] - User performing the action
+   * @param {Object} [params.context] - Action details kept with a hit
+   * @returns {Promise<Object>} { allowed, event } - event is null for clean addresses
+   */
+  async screen({ address, action, userId = null, context = {}, now = new Date() }) {
+    const normalized = address.toLowerCase();
+
+    let match;
+    try {
+      match = await this.getList().lookup(normalized);
+    } catch (error) {
+      logger.error(`Screening list lookup failed for ${normalized}:`, error);
+      throw new Error('Screening unavailable: Wallet screening could not be completed');
+    }
+
+    if (!match) {
+      return { allowed: true, event: null };
+    }
+
+    const override = await ScreeningOverride.findOne({
+      address: normalized,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).sort({ createdAt: -1 }).lean();
+
+    const event = await ScreeningEvent.create({
+      address: normalized,
+      action,
+      result: override ? 'overridden' : 'blocked',
+      user: userId,
+      match: { list: match.list, reason: match.reason },
+      overrideId: override ? override._id : null,
+      context
+    });
+
+    if (override) {
+      logger.info(`Screening hit on ${normalized} (${action}) let through by override ${override._id}`);
+    } else {
+      logger.warn(`Screening blocked ${action} for ${normalized} (${match.list})`);
+    }
+
+    return { allowed: !!override, event };
+  }
+
+  /**
+   * Throw unless the address passes screening
+   * @param {Object} params - As for screen
+   */
+  async ensureAllowed(params) {
+    const { allowed } = await this.screen(params);
+
+    if (!allowed) {
+      throw new Error('Address blocked: This wallet address cannot be used on the platform');
+    }
+  }
+
+  /**
+   * Get screening hits, newest first
+   */
+  async getEvents({ result, action, address, page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = {};
+      if (result) query.result = result;
+      if (action) query.action = action;
+      if (address) query.address = address.toLowerCase();
+
+      const events = await ScreeningEvent.find(query)
+        .populate('user', 'username email walletAddress')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await ScreeningEvent.countDocuments(query);
+
+      return {
+        events,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Error in getEvents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get overrides, newest first; `active` limits them to ones still in force
+   */
+  async getOverrides({ active = false, now = new Date() } = {}) {
+    try {
+      const query = active ?
+        { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } :
+        {};
+
+      return await ScreeningOverride.find(query)
+        .populate('createdBy', 'username')
+        .populate('revokedBy', 'username')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error in getOverrides:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Let a listed address through screening
+   * @param {Object} params
+   * @param {string} [params.address] - Defaults to the address of eventId
+   * @param {string} params.reason - Why the hit is considered safe
+   * @param {string} [params.eventId] - Blocked attempt being resolved
+   * @param {Date} [params.expiresAt] - Open-ended if not given
+   */
+  async createOverride({ address, reason, eventId = null, expiresAt = null }, admin) {
+    try {
+      let normalized = address ? address.toLowerCase() : null;
+
+      if (eventId) {
+        const event = await ScreeningEvent.findById(eventId).select('address').lean();
+        if (!event) {
+          throw new Error('Screening event not found');
+        }
+        if (normalized && normalized !== event.address) {
+          throw new Error('Invalid override: Address does not match the screening event');
+        }
+        normalized = event.address;
+      }
+
+      if (!normalized) {
+        throw new Error('Invalid override: An address or screening event is required');
+      }
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new Error('Invalid override: Expiry must be in the future');
+      }
+
+      const override = await ScreeningOverride.create({
+        address: normalized,
+        reason,
+        eventId,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        createdBy: admin.id
+      });
+
+      logger.info(`Screening override ${override._id} for ${normalized} created by ${admin.id}`);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.SCREENING_OVERRIDE_CREATE,
+        actor: admin,
+        target: { type: 'ScreeningOverride', id: override._id },
+        after: { address: normalized, reason, eventId, expiresAt: override.expiresAt }
+      });
+
+      return override;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Screening event not found');
+      }
+      logger.error('Error in createOverride:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an override; the address is screened normally again
+   */
+  async revokeOverride(overrideId, admin) {
+    try {
+      const override = await ScreeningOverride.findOneAndUpdate(
+        { _id: overrideId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: admin.id } },
+        { new: true }
+      );
+
+      if (!override) {
+        const exists = await ScreeningOverride.exists({ _id: overrideId });
+        throw new Error(exists ? 'Screening override already revoked' : 'Screening override not found');
+      }
+
+      logger.info(`Screening override ${overrideId} revoked by ${admin.id}`);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.SCREENING_OVERRIDE_REVOKE,
+        actor: admin,
+        target: { type: 'ScreeningOverride', id: override._id },
+        before: { revokedAt: null },
+        after: { revokedAt: override.revokedAt }
+      });
+
+      return override;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Screening override not found');
+      }
+      logger.error('Error in revokeOverride:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ScreeningService();
+module.exports.ScreeningService = ScreeningService;
@@ -0,0 +1,207 @@
+const TransferRestriction = require('../models/TransferRestriction');
+const NFT = require('../models/NFT');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const logger = require('../utils/logger');
+const { lotsOf, unlockedShares } = require('../utils/shareLots');
+
+const { AUDIT_ACTIONS } = auditService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Platform default for properties without their own restrictions
+const defaultLockupDays = () => parseInt(process.env.TRANSFER_LOCKUP_DAYS || 0, 10);
+
+/**
+ * A transfer or sale blocked by transfer restrictions.
+ * `violations` lists every failed restriction as
+ * { code, party: 'sender' | 'recipient' | 'property', message, details }.
+ */
+class TransferRestrictedError extends Error {
+  constructor(violations) {
+    super(`Transfer restricted: ${violations.map(violation => violation.message).join('; ')}`);
+    this.name = 'TransferRestrictedError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Restrictions on shares changing hands between investors: a lockup after
+ * each lot's acquisition date, per-property transfer windows, and a
+ * whitelist of recipients (KYC-approved users). Transfers and secondary
+ * market settlement use the same check (checkTransfer).
+ */
+class TransferRestrictionService {
+  /**
+   * Get the restrictions that apply to a property
+   */
+  async getRestrictions(propertyId) {
+    try {
+      const property = await Property.findById(propertyId).select('_id').lean();
+      if (!property) {
+        throw new Error('Property not found');
+      }
+
+      const restriction = await TransferRestriction.findOne({ propertyId }).lean();
+
+      return {
+        propertyId,
+        lockupDays: restriction ? restriction.lockupDays : defaultLockupDays(),
+        transferWindows: restriction ? restriction.transferWindows : [],
+        isDefault: !restriction,
+        updatedAt: restriction ? restriction.updatedAt : null
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Property not found');
+      }
+      logger.error('Error in getRestrictions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a property's restrictions; fields not given keep their current value
+   */
+  async updateRestrictions(propertyId, changes, user) {
+    try {
+      const current = await this.getRestrictions(propertyId);
+
+      const lockupDays = changes.lockupDays !== undefined ? changes.lockupDays : current.lockupDays;
+      const transferWindows = (changes.transferWindows !== undefined ? changes.transferWindows : current.transferWindows)
+        .map(window => ({ startsAt: new Date(window.startsAt), endsAt: new Date(window.endsAt) }))
+        .sort((a, b) => a.startsAt - b.startsAt);
+
+      if (transferWindows.some(window => window.endsAt <= window.startsAt)) {
+        throw new Error('Invalid transfer restrictions: A transfer window must end after it starts');
+      }
+
+      await TransferRestriction.findOneAndUpdate(
+        { propertyId },
+        { $set: { lockupDays, transferWindows, updatedBy: user.id } },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      logger.info(`Transfer restrictions of property ${propertyId} updated by ${user.id}`);
+
+      const updated = await this.getRestrictions(propertyId);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.TRANSFER_RESTRICTIONS_UPDATE,
+        actor: user,
+        target: { type: 'Property', id: propertyId },
+        before: current,
+        after: updated
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error in updateRestrictions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether shares of an NFT may move between two investors now.
+   * Either side may be left out to check only the other (e.g. when placing
+   * an order).
+   * @param {Object} params
+   * @param {string} params.nftId
+   * @param {string} [params.fromUserId] - Holder giving up the shares
+   * @param {string} [params.toUserId] - Investor receiving the shares
+   * @param {number} [params.quantity] - Shares moving; without it any share still locked up blocks the sender
+   * @returns {Promise<Object[]>} Violations; empty if allowed
+   */
+  async checkTransfer({ nftId, fromUserId = null, toUserId = null, quantity = null, now = new Date() }) {
+    const nft = await NFT.findById(nftId).select('propertyId ownership').lean();
+    if (!nft) {
+      throw new Error('NFT not found');
+    }
+
+    const restrictions = await this.getRestrictions(nft.propertyId);
+    const violations = [];
+
+    if (fromUserId && restrictions.lockupDays > 0) {
+      const holding = nft.ownership.find(entry => entry.owner.toString() === fromUserId.toString());
+      if (holding) {
+        const lockupMs = restrictions.lockupDays * DAY_MS;
+        const unlocked = unlockedShares(holding, lockupMs, now);
+        const needed = quantity !== null ? Math.min(quantity, holding.shares) : holding.shares;
+
+        if (unlocked < needed) {
+          // Shares unlock lot by lot; report when enough of them have
+          let unlocking = unlocked;
+          const locked = lotsOf(holding)
+            .map(lot => ({ shares: lot.shares, unlocksAt: new Date(new Date(lot.acquiredAt).getTime() + lockupMs) }))
+            .filter(lot => lot.unlocksAt > now);
+          const { unlocksAt } = locked.find(lot => {
+            unlocking += lot.shares;
+            return unlocking >= needed;
+          }) || locked[locked.length - 1];
+
+          violations.push({
+            code: 'LOCKUP_ACTIVE',
+            party: 'sender',
+            message: `Shares are locked up until ${unlocksAt.toISOString()}`,
+            details: {
+              purchaseDate: holding.purchaseDate,
+              lockupDays: restrictions.lockupDays,
+              unlockedShares: unlocked,
+              unlocksAt
+            }
+          });
+        }
+      }
+    }
+
+    if (restrictions.transferWindows.length > 0) {
+      const windows = restrictions.transferWindows.map(window => ({
+        startsAt: new Date(window.startsAt),
+        endsAt: new Date(window.endsAt)
+      }));
+
+      if (!windows.some(window => window.startsAt <= now && now < window.endsAt)) {
+        const next = windows.find(window => window.startsAt > now);
+        violations.push({
+          code: 'TRANSFER_WINDOW_CLOSED',
+          party: 'property',
+          message: next ?
+            `Transfers are closed until ${next.startsAt.toISOString()}` :
+            'Transfers are closed for this property',
+          details: { nextWindow: next || null }
+        });
+      }
+    }
+
+    if (toUserId) {
+      const recipient = await User.findById(toUserId).select('kycStatus').lean();
+      if (!recipient || recipient.kycStatus !== 'approved') {
+        violations.push({
+          code: 'RECIPIENT_NOT_WHITELISTED',
+          party: 'recipient',
+          message: 'Recipient is not whitelisted: Identity verification must be approved',
+          details: { kycStatus: recipient ? recipient.kycStatus || 'not_started' : null }
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw a TransferRestrictedError unless the transfer is allowed
+   * @param {Object} params - As for checkTransfer
+   */
+  async ensureTransferAllowed(params) {
+    const violations = await this.checkTransfer(params);
+
+    if (violations.length > 0) {
+      throw new TransferRestrictedError(violations);
+    }
+  }
+}
+
+module.exports = new TransferRestrictionService();
+module.exports.TransferRestrictionService = TransferRestrictionService;
+module.exports.TransferRestrictedError = TransferRestrictedError;
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const OutboxEvent = require('../models/OutboxEvent');
+const { signPayload } = require('../utils/webhookSignature');
+const logger = require('../utils/logger');
+
+// Attempts before a delivery is dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 8, 10);
+
+// Delay after the first failed attempt, doubled after every further failure up to the cap
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30, 10) * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || 10000, 10);
+
+/**
+ * Outbound webhooks. Platform events stored in the outbox by the event bus
+ * (utils/eventBus) are relayed as one delivery per subscribed endpoint and
+ * sent by the webhook dispatcher (services/webhookDispatcher).
+ *
+ * Each request carries the event envelope as JSON with the headers
+ *   X-CoinEstate-Event        event type
+ *   X-CoinEstate-Event-Id     event ID; the same across retries and replays
+ *   X-CoinEstate-Delivery     delivery ID
+ *   X-CoinEstate-Signature    t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body"> with the subscription secret
+ * and succeeds on any 2xx response.
+ */
+class WebhookService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.http] - axios instance used to send deliveries
+   * @param {number} [options.maxAttempts] - Attempts before a delivery is dead-lettered
+   * @param {number} [options.retryBaseMs] - Delay after the first failed attempt
+   */
+  constructor({
+    http = axios.create({ timeout: TIMEOUT_MS, maxRedirects: 0 }),
+    maxAttempts = MAX_ATTEMPTS,
+    retryBaseMs = RETRY_BASE_MS
+  } = {}) {
+    this.http = http;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+  }
+
+  /**
+   * Register an endpoint for event types
+   * @returns {Promise<Object>} The subscription, including its signing secret
+   */
+  async createSubscription({ url, events, description }, user) {
+    try {
+      const subscription = await WebhookSubscription.create({
+        url,
+        events: [...new Set(events)],
+        description: description || '',
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        createdBy: user.id
+      });
+
+      return subscription.toObject();
+    } catch (error) {
+      logger.error('Error in createSubscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all subscriptions, without their secrets
+   */
+  async getSubscriptions() {
+    try {
+      return await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    } catch (error) {
+      logger.error('Error in getSubscriptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a subscription's endpoint, event types, description or active flag
+   */
+  async updateSubscription(subscriptionId, { url, events, description, active }) {
+    try {
+      const changes = {
+        ...(url !== undefined && { url }),
+        ...(events !== undefined && { events: [...new Set(events)] }),
+        ...(description !== undefined && { description }),
+        ...(active !== undefined && { active })
+      };
+
+      const subscription = await WebhookSubscription.findByIdAndUpdate(
+        subscriptionId,
+        changes,
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!subscription) {
+        throw new Error('Webhook subscription not found');
+      }
+
+      return subscription;
+    } catch (error) {
+      logger.error('Error in updateSubscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription and its delivery history
+   */
+  async deleteSubscription(subscriptionId) {
+    try {
+      const subscription = await WebhookSubscription.findByIdAndDelete(subscriptionId).lean();
+      if (!subscription) {
+        throw new Error('Webhook subscription not found');
+      }
+
+      await WebhookDelivery.deleteMany({ subscriptionId });
+    } catch (error) {
+      logger.error('Error in deleteSubscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every active subscription to its type.
+   * Queuing the same event again adds nothing.
+   * @param {Object} event - Envelope from the event bus
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueue(event, now = new Date()) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ active: true, events: event.type })
+        .select('_id')
+        .lean();
+      if (subscriptions.length === 0) {
+        return 0;
+      }
+
+      try {
+        const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+          subscriptionId: subscription._id,
+          eventId: event.id,
+          eventType: event.type,
+          payload: event,
+          nextAttemptAt: now
+        })), { ordered: false });
+
+        return deliveries.length;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return error.insertedDocs ? error.insertedDocs.length : 0;
+      }
+    } catch (error) {
+      logger.error('Error in enqueue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the outbox events not relayed yet, oldest first. An event is only
+   * marked relayed once its deliveries are queued, so an interrupted relay
+   * queues it again (which adds nothing for deliveries already queued).
+   * @returns {Promise<number>} Number of events relayed
+   */
+  async relayOutbox({ now = new Date(), limit = 100 } = {}) {
+    try {
+      const events = await OutboxEvent.find({ dispatchedAt: null })
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean();
+
+      for (const event of events) {
+        await this.enqueue(event.envelope, now);
+        await OutboxEvent.updateOne({ _id: event._id }, { dispatchedAt: now });
+      }
+
+      return events.length;
+    } catch (error) {
+      logger.error('Error in relayOutbox:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the deliveries that are due
+   * @returns {Promise<Object>} { succeeded, retrying, dead } counts
+   */
+  async deliverDue({ now = new Date(), limit = 100 } = {}) {
+    try {
+      const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .lean();
+
+      const subscriptions = await WebhookSubscription.find({
+        _id: { $in: [...new Set(deliveries.map(delivery => delivery.subscriptionId.toString()))] }
+      }).select('+secret').lean();
+      const byId = new Map(subscriptions.map(subscription => [subscription._id.toString(), subscription]));
+
+      const counts = { succeeded: 0, retrying: 0, dead: 0 };
+      for (const delivery of deliveries) {
+        const status = await this.attemptDelivery(delivery, byId.get(delivery.subscriptionId.toString()), now);
+        counts[status === 'pending' ? 'retrying' : status] += 1;
+      }
+
+      return counts;
+    } catch (error) {
+      logger.error('Error in deliverDue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get deliveries; the dead-letter list is status 'dead'
+   */
+  async getDeliveries({ status, subscriptionId, eventType, page = 1, limit = 20 }) {
+    try {
+      const skip = (page - 1) * limit;
+      const query = {};
+      if (status) {
+        query.status = status;
+      }
+      if (subscriptionId) {
+        query.subscriptionId = subscriptionId;
+      }
+      if (eventType) {
+        query.eventType = eventType;
+      }
+
+      const deliveries = await WebhookDelivery.find(query)
+        .populate('subscriptionId', 'url description active')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const total = await WebhookDelivery.countDocuments(query);
+
+      return {
+        deliveries,
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Error in getDeliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a dead or already succeeded delivery again, with a fresh set of attempts.
+   * The dispatcher picks it up on its next tick.
+   */
+  async replayDelivery(deliveryId, now = new Date()) {
+    try {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: { $in: ['dead', 'succeeded'] } },
+        {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          lastError: null,
+          $inc: { replays: 1 }
+        },
+        { new: true }
+      ).lean();
+
+      if (!delivery) {
+        const exists = await WebhookDelivery.exists({ _id: deliveryId });
+        throw new Error(exists ?
+          'Cannot replay delivery: Delivery is still pending' :
+          'Webhook delivery not found');
+      }
+
+      return delivery;
+    } catch (error) {
+      logger.error('Error in replayDelivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Send a delivery once and record the outcome
+   * @returns {Promise<string>} The delivery's new status
+   */
+  async attemptDelivery(delivery, subscription, now) {
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let failure = null;
+
+    if (!subscription || !subscription.active) {
+      // Kept as dead so it can be replayed once the subscription is active again
+      return this.recordAttempt(delivery, {
+        status: 'dead',
+        attempts,
+        lastAttemptAt: now,
+        lastError: 'Subscription is inactive'
+      });
+    }
+
+    try {
+      const body = JSON.stringify(delivery.payload);
+      const response = await this.http.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CoinEstate-Webhooks/1.0',
+          'X-CoinEstate-Event': delivery.eventType,
+          'X-CoinEstate-Event-Id': delivery.eventId,
+          'X-CoinEstate-Delivery': delivery._id.toString(),
+          'X-CoinEstate-Signature': signPayload(body, subscription.secret, Math.floor(now.getTime() / 1000))
+        },
+        // Send the signed body byte for byte and judge the status ourselves
+        transformRequest: [data => data],
+        validateStatus: () => true
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        failure = `Endpoint responded with ${statusCode}`;
+      }
+    } catch (error) {
+      failure = error.message;
+    }
+
+    if (!failure) {
+      return this.recordAttempt(delivery, {
+        status: 'succeeded',
+        attempts,
+        lastAttemptAt: now,
+        lastStatusCode: statusCode,
+        lastError: null,
+        deliveredAt: now
+      });
+    }
+
+    const dead = attempts >= this.maxAttempts;
+    if (dead) {
+      logger.warn(`Webhook delivery ${delivery._id} of ${delivery.eventType} dead-lettered after ${attempts} attempts: ${failure}`);
+    }
+
+    return this.recordAttempt(delivery, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: statusCode,
+      lastError: failure,
+      ...(!dead && { nextAttemptAt: new Date(now.getTime() + this.retryDelay(attempts)) })
+    });
+  }
+
+  /**
+   * Helper: Store an attempt unless the delivery changed meanwhile (e.g. the subscription was deleted)
+   */
+  async recordAttempt(delivery, changes) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id, status: 'pending', attempts: delivery.attempts },
+      changes
+    );
+    return changes.status;
+  }
+
+  /**
+   * Helper: Delay before the next attempt after `attempts` failed attempts
+   */
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), RETRY_MAX_MS);
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookService = WebhookService;
@@ -0,0 +1,62 @@
+const webhookService = require('./webhook.service');
+const { IntervalWorker } = require('../utils/intervalWorker');
+
+const LOCK_KEY = 'locks:webhook-dispatch';
+
+// Covers a whole tick, which can wait on a request timeout per delivery
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Relays published events from the outbox to webhook deliveries, then sends
+ * the deliveries that are due, retrying failed ones with exponential backoff
+ * until they succeed or are dead-lettered.
+ *
+ * Events:
+ *   deliveries:succeeded  (count)
+ *   deliveries:dead       (count)
+ *   tick:error            (error)
+ */
+class WebhookDispatcher extends IntervalWorker {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {Object} [options.lock] - Lock with acquire(key, ttlMs) and release(key)
+   * @param {number} [options.intervalMs] - Time between ticks
+   * @param {number} [options.batchSize] - Maximum events relayed and deliveries sent per tick
+   * @param {Object} [options.webhooks] - Webhook service
+   */
+  constructor({
+    clock = () => new Date(),
+    lock,
+    intervalMs = parseInt(process.env.WEBHOOK_DISPATCHER_INTERVAL_MS || 5000, 10),
+    batchSize = 50,
+    webhooks = webhookService
+  } = {}) {
+    super({ name: 'Webhook dispatcher', lockKey: LOCK_KEY, intervalMs, lockTtlMs: LOCK_TTL_MS, lock });
+    this.clock = clock;
+    this.batchSize = batchSize;
+    this.webhooks = webhooks;
+  }
+
+  /**
+   * Relay the outbox and send due deliveries once (see IntervalWorker.tick)
+   * @returns {Promise<Object>} { succeeded, retrying, dead } counts
+   */
+  async run() {
+    const now = this.clock();
+    await this.webhooks.relayOutbox({ now, limit: this.batchSize });
+    const counts = await this.webhooks.deliverDue({ now, limit: this.batchSize });
+
+    if (counts.succeeded > 0) {
+      this.emit('deliveries:succeeded', counts.succeeded);
+    }
+    if (counts.dead > 0) {
+      this.emit('deliveries:dead', counts.dead);
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new WebhookDispatcher();
+module.exports.WebhookDispatcher = WebhookDispatcher;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const OutboxEvent = require('../models/OutboxEvent');
+
+/**
+ * Platform events that integrations can subscribe to (see services/webhook)
+ */
+const EVENT_TYPES = {
+  NFT_MINTED: 'nft.minted',
+  NFT_PURCHASED: 'nft.purchased',
+  NFT_TRANSFERRED: 'nft.transferred',
+  PROPOSAL_CREATED: 'proposal.created',
+  PROPOSAL_FINALIZED: 'proposal.finalized',
+  PROPOSAL_EXECUTED: 'proposal.executed',
+  DISTRIBUTION_PAID: 'distribution.paid'
+};
+
+/**
+ * Bus for platform events. Services publish as a step of the change they
+ * announce: the envelope { id, type, createdAt, data } is stored in the
+ * outbox (models/OutboxEvent) first, so it is not lost if the process stops,
+ * and is then emitted to in-process listeners under the event's type and
+ * under '*'. The webhook dispatcher relays the outbox to webhook deliveries.
+ *
+ * A step that may run again when an interrupted operation is completed
+ * passes a `key`; an event already stored under the key is returned as it
+ * was and not emitted again.
+ *
+ * The data is copied as plain JSON, so listeners see what a webhook
+ * receiver sees. Listener errors are logged and never reach the publisher.
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Publish an event
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {Object} [options]
+   * @param {string} [options.key] - Publishes the event at most once
+   * @returns {Promise<Object>} The published event
+   */
+  async publish(type, data, { key = null } = {}) {
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    if (key) {
+      const existing = await OutboxEvent.findOne({ key }).lean();
+      if (existing) {
+        return existing.envelope;
+      }
+    }
+
+    try {
+      await OutboxEvent.create({
+        eventId: event.id,
+        ...(key && { key }),
+        type,
+        envelope: event
+      });
+    } catch (error) {
+      // Published at the same time by another run of the operation
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.key) {
+        const existing = await OutboxEvent.findOne({ key }).lean();
+        return existing.envelope;
+      }
+      throw error;
+    }
+
+    for (const name of [type, '*']) {
+      try {
+        this.emit(name, event);
+      } catch (error) {
+        logger.error(`Listener for event ${type} failed:`, error);
+      }
+    }
+
+    return event;
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EventBus = EventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,104 @@
+/**
+ * Storage for idempotency records (see middleware/idempotency).
+ *
+ * Every store implements:
+ *   get(key)                    => Promise<Object|null>
+ *   create(key, record, ttlMs)  => Promise<boolean>  (only if the key is unused)
+ *   set(key, record, ttlMs)     => Promise<void>
+ *   delete(key)                 => Promise<void>
+ */
+
+/**
+ * Process-local store; sufficient for a single instance and for tests
+ */
+class MemoryIdempotencyStore {
+  constructor({ clock = () => Date.now() } = {}) {
+    this.clock = clock;
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const entry = this.records.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= this.clock()) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  async create(key, record, ttlMs) {
+    if (await this.get(key)) {
+      return false;
+    }
+
+    await this.set(key, record, ttlMs);
+    return true;
+  }
+
+  async set(key, record, ttlMs) {
+    this.records.set(key, { record, expiresAt: this.clock() + ttlMs });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+/**
+ * Redis store shared by every instance using the same Redis.
+ * Falls back to a process-local store while Redis is not connected.
+ */
+class RedisIdempotencyStore {
+  constructor(client, { fallback = new MemoryIdempotencyStore() } = {}) {
+    this.client = client;
+    this.fallback = fallback;
+  }
+
+  isAvailable() {
+    return Boolean(this.client) && this.client.status === 'ready';
+  }
+
+  async get(key) {
+    if (!this.isAvailable()) {
+      return this.fallback.get(key);
+    }
+
+    const value = await this.client.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async create(key, record, ttlMs) {
+    if (!this.isAvailable()) {
+      return this.fallback.create(key, record, ttlMs);
+    }
+
+    const result = await this.client.set(key, JSON.stringify(record), 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  }
+
+  async set(key, record, ttlMs) {
+    if (!this.isAvailable()) {
+      return this.fallback.set(key, record, ttlMs);
+    }
+
+    await this.client.set(key, JSON.stringify(record), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    if (!this.isAvailable()) {
+      return this.fallback.delete(key);
+    }
+
+    await this.client.del(key);
+  }
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore
+};
@@ -0,0 +1,92 @@
+const EventEmitter = require('events');
+const redis = require('../config/redis');
+const { RedisLock } = require('./lock');
+const logger = require('./logger');
+
+/**
+ * Base class of the background jobs. A worker ticks every `intervalMs`
+ * while started; a tick runs `run()` unless the previous tick is still
+ * running or another instance holds the job's lock. Subclasses implement
+ * `run()` and emit their own events.
+ *
+ * Events:
+ *   tick:error  (error)
+ */
+class IntervalWorker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name used in logs
+   * @param {string} options.lockKey - Lock held for the duration of a tick
+   * @param {number} options.intervalMs - Time between ticks
+   * @param {number} [options.lockTtlMs] - Lock expiry; defaults to the interval
+   * @param {Object} [options.lock] - Lock with acquire(key, ttlMs) and release(key)
+   */
+  constructor({ name, lockKey, intervalMs, lockTtlMs = intervalMs, lock = new RedisLock(redis) }) {
+    super();
+    this.name = name;
+    this.lockKey = lockKey;
+    this.intervalMs = intervalMs;
+    this.lockTtlMs = lockTtlMs;
+    this.lock = lock;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start ticking in the background
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => this.emit('tick:error', error));
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`${this.name} started (every ${this.intervalMs}ms)`);
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info(`${this.name} stopped`);
+  }
+
+  /**
+   * Run the job once
+   * @returns {Promise<*>} What run() returns, or null if a tick is still running
+   *   or another instance holds the lock
+   */
+  async tick() {
+    if (this.running) return null;
+
+    const acquired = await this.lock.acquire(this.lockKey, this.lockTtlMs);
+    if (!acquired) return null;
+
+    this.running = true;
+    try {
+      return await this.run();
+    } finally {
+      this.running = false;
+      await this.lock.release(this.lockKey);
+    }
+  }
+
+  /**
+   * The job; implemented by subclasses
+   */
+  async run() {
+    throw new Error(`${this.name} does not implement run()`);
+  }
+}
+
+module.exports = {
+  IntervalWorker,
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+/**
+ * Identity verification (KYC) providers (see services/kyc.service).
+ *
+ * Every provider implements:
+ *   name                                                  => string
+ *   createApplicant({ reference })                        => Promise<{ id }>
+ *   uploadDocument(applicantId, { type, side, fileName, mimeType, content })
+ *                                                         => Promise<{ id }>
+ *   submit(applicantId, { firstName, lastName, dateOfBirth, nationality,
+ *     documentType, documentNumber })                     => Promise<{ status, reason }>
+ *
+ * submit returns the provider's decision when it makes one right away:
+ * status 'approved' or 'rejected', or 'pending' when the application waits
+ * for review (by the provider, or by an admin through the review endpoints).
+ */
+
+/**
+ * Local provider for development and tests. Applicants only exist in memory
+ * and documents are reduced to their digest. Applications wait for an admin
+ * review, unless KYC_LOCAL_DECISION is 'approve' or 'reject'.
+ */
+class LocalKycProvider {
+  constructor({ decision = process.env.KYC_LOCAL_DECISION || 'manual' } = {}) {
+    this.name = 'local';
+    this.decision = decision;
+    this.applicants = new Map();
+  }
+
+  async createApplicant({ reference }) {
+    const id = `kyc_local_${crypto.randomBytes(12).toString('hex')}`;
+    this.applicants.set(id, { id, reference, personal: null, documents: [], status: 'created' });
+    return { id };
+  }
+
+  async uploadDocument(applicantId, { type, side, fileName, mimeType, content }) {
+    const applicant = this.getApplicant(applicantId);
+    const document = {
+      id: `doc_local_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      side,
+      fileName,
+      mimeType,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    };
+
+    applicant.documents.push(document);
+    return { id: document.id };
+  }
+
+  async submit(applicantId, personal) {
+    const applicant = this.getApplicant(applicantId);
+    applicant.personal = personal;
+
+    switch (this.decision) {
+      case 'approve':
+        applicant.status = 'approved';
+        return { status: 'approved', reason: null };
+      case 'reject':
+        applicant.status = 'rejected';
+        return { status: 'rejected', reason: 'Rejected by the local KYC provider' };
+      default:
+        applicant.status = 'pending';
+        return { status: 'pending', reason: null };
+    }
+  }
+
+  getApplicant(applicantId) {
+    // Applicants from before a restart are recreated empty
+    if (!this.applicants.has(applicantId)) {
+      this.applicants.set(applicantId, { id: applicantId, personal: null, documents: [], status: 'created' });
+    }
+    return this.applicants.get(applicantId);
+  }
+}
+
+/**
+ * Provider selected by KYC_PROVIDER (local by default outside production)
+ */
+const createKycProvider = (name = process.env.KYC_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'local')) => {
+  switch (name) {
+    case 'local':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('KYC provider not configured: The local provider cannot be used in production');
+      }
+      return new LocalKycProvider();
+    case null:
+      throw new Error('KYC provider not configured: KYC_PROVIDER is not set');
+    default:
+      throw new Error(`KYC provider not configured: Unknown provider "${name}"`);
+  }
+};
+
+module.exports = {
+  LocalKycProvider,
+  createKycProvider
+};
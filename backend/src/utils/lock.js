@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * Distributed locks used by background jobs so that only one API instance
+ * processes a given job at a time.
+ *
+ * Every lock implements:
+ *   acquire(key, ttlMs) => Promise<boolean>
+ *   release(key)        => Promise<void>
+ */
+
+/**
+ * Process-local lock; sufficient for a single instance and for tests
+ */
+class MemoryLock {
+  constructor({ clock = () => Date.now() } = {}) {
+    this.clock = clock;
+    this.locks = new Map();
+  }
+
+  async acquire(key, ttlMs) {
+    const now = this.clock();
+    const expiresAt = this.locks.get(key);
+
+    if (expiresAt && expiresAt > now) {
+      return false;
+    }
+
+    this.locks.set(key, now + ttlMs);
+    return true;
+  }
+
+  async release(key) {
+    this.locks.delete(key);
+  }
+}
+
+// Delete the key only if it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis lock (SET NX PX) shared by every instance using the same Redis.
+ * Falls back to a process-local lock while Redis is not connected.
+ */
+class RedisLock {
+  constructor(client, { fallback = new MemoryLock() } = {}) {
+    this.client = client;
+    this.fallback = fallback;
+    this.tokens = new Map();
+  }
+
+  isAvailable() {
+    return Boolean(this.client) && this.client.status === 'ready';
+  }
+
+  async acquire(key, ttlMs) {
+    if (!this.isAvailable()) {
+      return this.fallback.acquire(key, ttlMs);
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const result = await this.client.set(key, token, 'PX', ttlMs, 'NX');
+    if (result !== 'OK') {
+      return false;
+    }
+
+    this.tokens.set(key, token);
+    return true;
+  }
+
+  async release(key) {
+    const token = this.tokens.get(key);
+    if (!token) {
+      return this.fallback.release(key);
+    }
+
+    this.tokens.delete(key);
+    if (this.isAvailable()) {
+      await this.client.eval(RELEASE_SCRIPT, 1, key, token);
+    }
+  }
+}
+
+module.exports = {
+  MemoryLock,
+  RedisLock
+};
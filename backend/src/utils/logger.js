@@ -0,0 +1,58 @@
+const path = require('path');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+
+/**
+ * Application logger. Logs go to the console and, outside tests, to daily
+ * rotated files next to LOG_FILE (errors are also kept in their own file).
+ */
+const isTest = process.env.NODE_ENV === 'test';
+const logFile = path.resolve(process.env.LOG_FILE || 'logs/app.log');
+const logDir = path.dirname(logFile);
+const logName = path.basename(logFile, path.extname(logFile));
+
+const fileOptions = {
+  dirname: logDir,
+  datePattern: 'YYYY-MM-DD',
+  maxSize: process.env.LOG_MAX_SIZE || '10m',
+  maxFiles: process.env.LOG_MAX_FILES || '14d',
+  format: winston.format.json(),
+};
+
+const transports = [
+  new winston.transports.Console({
+    // Tests only need to see what went wrong
+    level: isTest ? 'error' : undefined,
+    format:
+      process.env.NODE_ENV === 'production'
+        ? winston.format.json()
+        : winston.format.combine(winston.format.colorize(), winston.format.simple()),
+  }),
+];
+
+if (!isTest) {
+  transports.push(
+    new winston.transports.DailyRotateFile({
+      ...fileOptions,
+      filename: `${logName}-%DATE%.log`,
+    }),
+    new winston.transports.DailyRotateFile({
+      ...fileOptions,
+      filename: `${logName}-error-%DATE%.log`,
+      level: 'error',
+    })
+  );
+}
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.splat()
+  ),
+  defaultMeta: { service: 'coinestate-backend' },
+  transports,
+});
+
+module.exports = logger;
@@ -0,0 +1,51 @@
+/**
+ * Money helpers. Amounts that must add up exactly (ledger entries,
+ * distributions) are kept as integer minor units of their currency.
+ */
+
+// Minor units per currency; crypto is tracked at 8 decimals to stay within safe integers
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  EUR: 2,
+  ETH: 8,
+  BTC: 8
+};
+
+const decimalsFor = currency => CURRENCY_DECIMALS[currency] ?? 2;
+
+/**
+ * Convert a decimal amount to integer minor units without floating point drift
+ * @returns {bigint}
+ */
+const toMinorUnits = (value, decimals) => {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error('Invalid amount: Expected a non-negative decimal number');
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  if (fraction.length > decimals) {
+    throw new Error(`Invalid amount: At most ${decimals} decimal places are supported`);
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+};
+
+/**
+ * Round an already computed amount (e.g. quantity * price) to minor units
+ * @returns {number}
+ */
+const roundToMinorUnits = (value, decimals) => Math.round(value * 10 ** decimals);
+
+/**
+ * Convert integer minor units back to a decimal amount
+ */
+const fromMinorUnits = (minor, decimals) => Number(minor) / 10 ** decimals;
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  decimalsFor,
+  toMinorUnits,
+  roundToMinorUnits,
+  fromMinorUnits
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { signPayload, verifySignature } = require('./webhookSignature');
+
+/**
+ * Fiat payment providers (see services/payment.service).
+ *
+ * Every provider implements:
+ *   name                                                    => string
+ *   createIntent({ amountMinor, currency, reference, metadata })
+ *                                                           => Promise<{ id, status, clientSecret }>
+ *   cancelIntent(id)                                        => Promise<void>
+ *   constructEvent(rawBody, headers)                        => normalized webhook event
+ *
+ * A normalized event is
+ *   { id, type: 'succeeded' | 'failed' | 'canceled' | null, intentId, amountMinor, currency, failureMessage }
+ * where type is null for events that do not change a payment.
+ *
+ * Webhooks are signed in the Stripe scheme (see utils/webhookSignature).
+ */
+
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'succeeded',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'canceled'
+};
+
+/**
+ * Normalize a Stripe-style payment_intent event
+ */
+const normalizeEvent = (event) => {
+  const object = (event.data && event.data.object) || {};
+
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || null,
+    intentId: object.id,
+    amountMinor: object.amount,
+    currency: object.currency ? object.currency.toUpperCase() : null,
+    failureMessage: object.last_payment_error ? object.last_payment_error.message : null
+  };
+};
+
+const parseEvent = (rawBody) => {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid webhook payload: Body is not valid JSON');
+  }
+};
+
+/**
+ * Local provider for development and tests. Intents only exist in memory;
+ * payments are completed by posting a webhook signed with the same secret
+ * (see signPayload / buildEvent).
+ */
+class FakePaymentProvider {
+  constructor({
+    // Without a configured secret only this process can sign webhooks (see buildEvent)
+    webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+    clock = () => Date.now()
+  } = {}) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.clock = clock;
+    this.intents = new Map();
+  }
+
+  async createIntent({ amountMinor, currency, reference, metadata = {} }) {
+    const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      status: 'requires_payment_method',
+      amount: amountMinor,
+      currency: currency.toLowerCase(),
+      reference,
+      metadata,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`
+    };
+
+    this.intents.set(id, intent);
+    return { id, status: intent.status, clientSecret: intent.clientSecret };
+  }
+
+  async cancelIntent(id) {
+    const intent = this.intents.get(id);
+    if (intent) {
+      intent.status = 'canceled';
+    }
+  }
+
+  constructEvent(rawBody, headers) {
+    verifySignature(rawBody, headers['x-payment-signature'], this.webhookSecret, { now: this.clock() });
+    return normalizeEvent(parseEvent(rawBody));
+  }
+
+  /**
+   * Build a signed webhook for an intent, as the provider would send it
+   * @param {string} intentId - Intent to report on
+   * @param {string} type - succeeded | failed | canceled
+   * @returns {{ body: string, headers: Object }}
+   */
+  buildEvent(intentId, type, { amountMinor, currency } = {}) {
+    const intent = this.intents.get(intentId) || {};
+    const eventType = Object.keys(EVENT_TYPES).find(key => EVENT_TYPES[key] === type);
+    const body = JSON.stringify({
+      id: `evt_fake_${crypto.randomBytes(12).toString('hex')}`,
+      type: eventType,
+      data: {
+        object: {
+          id: intentId,
+          amount: amountMinor ?? intent.amount,
+          currency: currency || intent.currency,
+          last_payment_error: type === 'failed' ? { message: 'Card declined' } : null
+        }
+      }
+    });
+
+    return {
+      body,
+      headers: {
+        'x-payment-signature': signPayload(body, this.webhookSecret, Math.floor(this.clock() / 1000))
+      }
+    };
+  }
+}
+
+/**
+ * Stripe PaymentIntents over the REST API
+ */
+class StripePaymentProvider {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+    http = axios.create({ baseURL: 'https://api.stripe.com/v1', timeout: 15000 })
+  } = {}) {
+    if (!secretKey || !webhookSecret) {
+      throw new Error('Payment provider not configured: STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET are required');
+    }
+
+    this.name = 'stripe';
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+    this.http = http;
+  }
+
+  async request(path, params = {}) {
+    const response = await this.http.post(path, new URLSearchParams(params).toString(), {
+      headers: {
+        Authorization: `Bearer ${this.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        // The same reference never creates two intents
+        ...(params['metadata[reference]'] && { 'Idempotency-Key': `intent_${params['metadata[reference]']}` })
+      }
+    });
+    return response.data;
+  }
+
+  async createIntent({ amountMinor, currency, reference, metadata = {} }) {
+    const params = {
+      amount: String(amountMinor),
+      currency: currency.toLowerCase(),
+      'automatic_payment_methods[enabled]': 'true',
+      'metadata[reference]': reference
+    };
+    Object.entries(metadata).forEach(([key, value]) => {
+      params[`metadata[${key}]`] = String(value);
+    });
+
+    const intent = await this.request('/payment_intents', params);
+    return { id: intent.id, status: intent.status, clientSecret: intent.client_secret };
+  }
+
+  async cancelIntent(id) {
+    await this.request(`/payment_intents/${id}/cancel`);
+  }
+
+  constructEvent(rawBody, headers) {
+    verifySignature(rawBody, headers['stripe-signature'], this.webhookSecret);
+    return normalizeEvent(parseEvent(rawBody));
+  }
+}
+
+/**
+ * Provider selected by PAYMENT_PROVIDER (fake by default outside production)
+ */
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'fake')) => {
+  switch (name) {
+    case 'fake':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Payment provider not configured: The fake provider cannot be used in production');
+      }
+      return new FakePaymentProvider();
+    case 'stripe':
+      return new StripePaymentProvider();
+    case null:
+      throw new Error('Payment provider not configured: PAYMENT_PROVIDER is not set');
+    default:
+      throw new Error(`Payment provider not configured: Unknown provider "${name}"`);
+  }
+};
+
+module.exports = {
+  FakePaymentProvider,
+  StripePaymentProvider,
+  createPaymentProvider
+};
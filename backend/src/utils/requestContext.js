@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Metadata of the HTTP request being handled, available anywhere in its
+ * async call chain (services record it in the audit log without every
+ * signature taking the request). Outside a request, e.g. in background
+ * jobs, there is no context.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that opens a context for each request. The request ID is
+ * taken from X-Request-Id when the client (or a proxy) sends one.
+ */
+const requestContext = () => (req, res, next) => {
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  storage.run(
+    {
+      requestId,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      method: req.method,
+      path: req.originalUrl,
+    },
+    next
+  );
+};
+
+/**
+ * The current request's metadata, or null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+};
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Sanctions / wallet-risk lists for address screening (see services/screening.service).
+ *
+ * Every list implements:
+ *   name                 => string
+ *   lookup(address)      => Promise<{ address, list, reason } | null>
+ *
+ * Addresses are compared case-insensitively.
+ */
+
+/**
+ * List that never matches; for development without a list (not allowed in production)
+ */
+const emptyScreeningList = {
+  name: 'none',
+  lookup: async () => null,
+};
+
+/**
+ * JSON: an array of addresses, or of { address, list, reason } objects
+ */
+const parseJson = (content) =>
+  JSON.parse(content).map((entry) => (typeof entry === 'string' ? { address: entry } : entry));
+
+/**
+ * CSV: a header row with an `address` column and optional `list` and
+ * `reason` columns, one entry per line
+ */
+const parseCsv = (content) => {
+  const [header, ...rows] = content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.startsWith('#'));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.split(',').map((column) => column.trim().toLowerCase());
+  if (!columns.includes('address')) {
+    throw new Error('Invalid screening list: CSV needs an address column');
+  }
+
+  return rows.map((row) => {
+    const values = row.split(',').map((value) => value.trim());
+    return Object.fromEntries(columns.map((column, index) => [column, values[index] || null]));
+  });
+};
+
+/**
+ * List read from a local CSV or JSON file (by extension), reloaded when the
+ * file changes
+ */
+class FileScreeningList {
+  constructor({ filePath = process.env.SCREENING_LIST_PATH } = {}) {
+    if (!filePath) {
+      throw new Error('Screening list not configured: SCREENING_LIST_PATH is not set');
+    }
+
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.entries = new Map();
+    this.loadedMtimeMs = null;
+  }
+
+  async lookup(address) {
+    await this.load();
+    return this.entries.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Read the file if it changed since it was last read
+   */
+  async load() {
+    const { mtimeMs } = await fs.promises.stat(this.filePath);
+    if (mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+
+    const content = await fs.promises.readFile(this.filePath, 'utf8');
+    const entries = this.filePath.endsWith('.json') ? parseJson(content) : parseCsv(content);
+    const source = path.basename(this.filePath);
+
+    this.entries = new Map(
+      entries
+        .filter((entry) => entry.address)
+        .map((entry) => [
+          entry.address.toLowerCase(),
+          {
+            address: entry.address,
+            list: entry.list || source,
+            reason: entry.reason || null,
+          },
+        ])
+    );
+    this.loadedMtimeMs = mtimeMs;
+  }
+}
+
+/**
+ * List selected by SCREENING_LIST_SOURCE (none by default outside production)
+ */
+const createScreeningList = (
+  name = process.env.SCREENING_LIST_SOURCE ||
+    (process.env.NODE_ENV === 'production' ? null : 'none')
+) => {
+  switch (name) {
+    case 'file':
+      return new FileScreeningList();
+    case 'none':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(
+          'Screening list not configured: Screening cannot be disabled in production'
+        );
+      }
+      return emptyScreeningList;
+    case null:
+      throw new Error('Screening list not configured: SCREENING_LIST_SOURCE is not set');
+    default:
+      throw new Error(`Screening list not configured: Unknown source "${name}"`);
+  }
+};
+
+module.exports = {
+  emptyScreeningList,
+  FileScreeningList,
+  createScreeningList,
+};
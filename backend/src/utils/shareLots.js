@@ -0,0 +1,86 @@
+/**
+ * Share lot helpers. An ownership entry keeps one lot per acquisition
+ * ({ shares, acquiredAt }), so shares received later are locked up from
+ * their own date rather than the holder's first purchase. Entries written
+ * before lots existed count as a single lot acquired at their purchaseDate.
+ */
+
+const byAcquisition = (a, b) => new Date(a.acquiredAt || 0) - new Date(b.acquiredAt || 0);
+
+const sumShares = (lots) => lots.reduce((sum, lot) => sum + lot.shares, 0);
+
+/**
+ * Lots of an ownership entry, oldest first
+ * @returns {Array<{shares: number, acquiredAt: Date}>}
+ */
+const lotsOf = (entry) => {
+  if (!entry.lots || entry.lots.length === 0) {
+    return entry.shares > 0
+      ? [{ shares: entry.shares, acquiredAt: entry.purchaseDate || null }]
+      : [];
+  }
+
+  return entry.lots
+    .map((lot) => ({ shares: lot.shares, acquiredAt: lot.acquiredAt }))
+    .sort(byAcquisition);
+};
+
+/**
+ * An ownership entry's shares and lots after adding lots
+ * @returns {{shares: number, lots: Array}}
+ */
+const addLots = (entry, lots) => ({
+  shares: entry.shares + sumShares(lots),
+  lots: lotsOf(entry)
+    .concat(lots.map((lot) => ({ shares: lot.shares, acquiredAt: lot.acquiredAt })))
+    .sort(byAcquisition),
+});
+
+/**
+ * Take shares from an ownership entry, oldest lots first so unlocked shares
+ * leave before locked ones (newest first to undo a move). Takes fewer shares
+ * than asked if the entry runs out.
+ * @returns {{taken: Array, shares: number, lots: Array}} Lots taken, and the entry's shares and lots left
+ */
+const takeLots = (entry, quantity, { newestFirst = false } = {}) => {
+  const lots = lotsOf(entry);
+  const ordered = newestFirst ? [...lots].reverse() : lots;
+
+  let remaining = quantity;
+  const split = ordered.map((lot) => {
+    const take = Math.min(lot.shares, remaining);
+    remaining -= take;
+    return {
+      taken: { shares: take, acquiredAt: lot.acquiredAt },
+      left: { shares: lot.shares - take, acquiredAt: lot.acquiredAt },
+    };
+  });
+
+  const taken = split.map((lot) => lot.taken).filter((lot) => lot.shares > 0);
+  return {
+    taken,
+    shares: entry.shares - sumShares(taken),
+    lots: split
+      .map((lot) => lot.left)
+      .filter((lot) => lot.shares > 0)
+      .sort(byAcquisition),
+  };
+};
+
+/**
+ * Shares of an ownership entry out of their lockup
+ * @param {number} lockupMs - Lockup after each lot's acquisition
+ */
+const unlockedShares = (entry, lockupMs, now = new Date()) =>
+  sumShares(
+    lotsOf(entry).filter(
+      (lot) => !lot.acquiredAt || new Date(lot.acquiredAt).getTime() + lockupMs <= now.getTime()
+    )
+  );
+
+module.exports = {
+  lotsOf,
+  addLots,
+  takeLots,
+  unlockedShares,
+};
@@ -0,0 +1,166 @@
+const { ethers } = require('ethers');
+
+/**
+ * Sign-In with Ethereum (EIP-4361) message helpers
+ * @see https://eips.ethereum.org/EIPS/eip-4361
+ */
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_MAP = {
+  URI: 'uri',
+  Version: 'version',
+  'Chain ID': 'chainId',
+  Nonce: 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+/**
+ * Build an EIP-4361 message string from its fields
+ * @param {Object} fields - Message fields
+ * @returns {string} Message ready to be signed with personal_sign
+ */
+const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  notBefore,
+  requestId,
+  resources = [],
+}) => {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ''];
+
+  if (statement) {
+    lines.push(statement, '');
+  } else {
+    lines.push('');
+  }
+
+  lines.push(`URI: ${uri}`);
+  lines.push(`Version: ${version}`);
+  lines.push(`Chain ID: ${chainId}`);
+  lines.push(`Nonce: ${nonce}`);
+  lines.push(`Issued At: ${issuedAt}`);
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+  if (resources.length > 0) {
+    lines.push('Resources:');
+    resources.forEach((resource) => lines.push(`- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse an EIP-4361 message string into its fields
+ * @param {string} message - Raw message that was signed
+ * @returns {Object} Parsed fields
+ * @throws {Error} If the message is not a well-formed SIWE message
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string' || message.length === 0) {
+    throw new Error('Invalid SIWE message: Message is empty');
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message: Missing header');
+  }
+
+  // The domain may be prefixed by an optional scheme (e.g. https://app.coinestate.com)
+  const origin = lines[0].slice(0, -HEADER_SUFFIX.length);
+  const schemeMatch = origin.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):\/\/(.+)$/);
+  const parsed = {
+    scheme: schemeMatch ? schemeMatch[1] : undefined,
+    domain: schemeMatch ? schemeMatch[2] : origin,
+    address: lines[1],
+    statement: undefined,
+    resources: [],
+  };
+
+  if (!parsed.domain || /\s/.test(parsed.domain)) {
+    throw new Error('Invalid SIWE message: Invalid domain');
+  }
+
+  if (!ethers.isAddress(parsed.address)) {
+    throw new Error('Invalid SIWE message: Invalid address');
+  }
+
+  let inResources = false;
+  for (let i = 2; i < lines.length; i += 1) {
+    const line = lines[i];
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? line.slice(0, separator) : null;
+
+    if (inResources) {
+      if (!line.startsWith('- ')) {
+        throw new Error('Invalid SIWE message: Malformed resources list');
+      }
+      parsed.resources.push(line.slice(2));
+    } else if (line === 'Resources:') {
+      inResources = true;
+    } else if (key && FIELD_MAP[key]) {
+      parsed[FIELD_MAP[key]] = line.slice(separator + 2);
+    } else if (line !== '') {
+      // Only the statement may appear before the URI field
+      if (parsed.uri || parsed.statement !== undefined) {
+        throw new Error('Invalid SIWE message: Unexpected line');
+      }
+      parsed.statement = line;
+    }
+  }
+
+  const required = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+  const missing = required.filter((field) => !parsed[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid SIWE message: Missing ${missing.join(', ')}`);
+  }
+
+  if (!/^[a-zA-Z0-9]{8,}$/.test(parsed.nonce)) {
+    throw new Error('Invalid SIWE message: Nonce must be at least 8 alphanumeric characters');
+  }
+
+  parsed.chainId = parseInt(parsed.chainId, 10);
+  if (!Number.isInteger(parsed.chainId) || parsed.chainId <= 0) {
+    throw new Error('Invalid SIWE message: Invalid chain ID');
+  }
+
+  ['issuedAt', 'expirationTime', 'notBefore'].forEach((field) => {
+    if (parsed[field] && Number.isNaN(Date.parse(parsed[field]))) {
+      throw new Error(`Invalid SIWE message: Invalid ${field}`);
+    }
+  });
+
+  return parsed;
+};
+
+/**
+ * Recover the signer of a SIWE message (EIP-191 personal_sign)
+ * @param {string} message - Raw message that was signed
+ * @param {string} signature - Hex encoded signature
+ * @returns {string} Checksummed signer address
+ */
+const recoverSiweSigner = (message, signature) => {
+  try {
+    return ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw new Error('Invalid signature: Unable to recover signer');
+  }
+};
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage,
+  recoverSiweSigner,
+};
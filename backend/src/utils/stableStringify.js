@@ -0,0 +1,18 @@
+/**
+ * JSON with sorted object keys, so equal values always serialize (and hash)
+ * the same regardless of key order. Expects plain JSON values.
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+module.exports = stableStringify;
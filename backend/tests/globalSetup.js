@@ -0,0 +1,22 @@
+const ganache = require('ganache');
+
+/**
+ * Starts a local dev chain for the on-chain suites, unless
+ * BLOCKCHAIN_TEST_RPC_URL already points at one (e.g. Anvil in CI).
+ * Its funded accounts are unlocked, and it mines a block per transaction.
+ */
+module.exports = async () => {
+  if (process.env.BLOCKCHAIN_TEST_RPC_URL) {
+    return;
+  }
+
+  const server = ganache.server({
+    logging: { quiet: true },
+    wallet: { deterministic: true },
+  });
+  await server.listen(0, '127.0.0.1');
+
+  // Test workers are started after this and inherit the environment
+  process.env.BLOCKCHAIN_TEST_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+  global.testChain = server;
+};
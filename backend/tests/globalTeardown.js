@@ -0,0 +1,8 @@
+/**
+ * Stops the dev chain started by globalSetup
+ */
+module.exports = async () => {
+  if (global.testChain) {
+    await global.testChain.close();
+  }
+};
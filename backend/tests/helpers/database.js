@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * Run the enclosing suite against its own in-memory MongoDB. Every test
+ * starts with an empty database; indexes are dropped with it, so suites
+ * relying on one create it again.
+ */
+const useTestDatabase = () => {
+  let mongo;
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+  });
+
+  afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongo) {
+      await mongo.stop();
+    }
+  });
+};
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const NFT = require('../../src/models/NFT');
+const Property = require('../../src/models/Property');
+const User = require('../../src/models/User');
+const ledgerService = require('../../src/services/ledger.service');
+
+/**
+ * Records written straight to their collections, so tests control every
+ * field (including ones the services never set directly).
+ */
+
+// Distinct, valid wallet address per index
+const walletAddress = (index) => `0x${(index + 1).toString(16).padStart(40, '0')}`;
+
+/**
+ * A KYC-approved user with an empty wallet unless overridden. A wallet
+ * balance is also posted to the ledger as the user's opening balance.
+ */
+const insertUser = async (fields = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    username: `user_${new mongoose.Types.ObjectId()}`,
+    walletAddress: walletAddress(0),
+    walletBalance: 0,
+    role: 'user',
+    kycStatus: 'approved',
+    ...fields,
+  };
+
+  await User.collection.insertOne(user);
+  if (user.walletBalance > 0) {
+    await ledgerService.transfer({
+      postingKey: `opening_balance:${user._id}`,
+      type: 'opening_balance',
+      from: ledgerService.accounts.external,
+      to: ledgerService.accounts.wallet(user._id),
+      amount: user.walletBalance,
+    });
+  }
+  return user;
+};
+
+/**
+ * A property without a fee schedule, rule set or restrictions
+ */
+const insertProperty = async (fields = {}) => {
+  const property = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Test Property',
+    ...fields,
+  };
+
+  await Property.collection.insertOne(property);
+  return property;
+};
+
+/**
+ * An NFT of 100 shares at 10 each, with a new property unless one is given
+ */
+const insertNFT = async (fields = {}) => {
+  const nft = {
+    _id: new mongoose.Types.ObjectId(),
+    propertyId: fields.propertyId || (await insertProperty())._id,
+    tokenId: '1',
+    totalShares: 100,
+    availableShares: 90,
+    pricePerShare: 10,
+    ownership: [],
+    status: 'available',
+    __v: 0,
+    ...fields,
+  };
+
+  await NFT.collection.insertOne(nft);
+  return nft;
+};
+
+module.exports = {
+  walletAddress,
+  insertUser,
+  insertProperty,
+  insertNFT,
+};
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../../src/models/AuditEntry');
+const auditService = require('../../src/services/audit.service');
+const complianceService = require('../../src/services/compliance.service');
+const transferRestrictionService = require('../../src/services/transferRestriction.service');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser, insertProperty } = require('../helpers/fixtures');
+
+const { AUDIT_ACTIONS } = auditService;
+
+describe('Audit log', () => {
+  let propertyId;
+  const admin = { id: new mongoose.Types.ObjectId().toString() };
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    await insertUser({
+      _id: new mongoose.Types.ObjectId(admin.id),
+      username: 'admin',
+      role: 'admin'
+    });
+
+    propertyId = (await insertProperty())._id;
+  });
+
+  const recordChanges = async () => {
+    await complianceService.updateRules(propertyId, { maxHolders: 50 }, admin);
+    await transferRestrictionService.updateRestrictions(propertyId, { lockupDays: 30 }, admin);
+    await complianceService.updateRules(propertyId, { maxHolders: 75 }, admin);
+  };
+
+  it('records privileged changes with actor and field-level diff', async () => {
+    await recordChanges();
+
+    const { entries, total } = await auditService.getEntries({ action: AUDIT_ACTIONS.COMPLIANCE_RULES_UPDATE });
+
+    expect(total).toBe(2);
+    expect(entries[0]).toMatchObject({
+      sequence: 3,
+      actor: { role: 'admin', walletAddress: '0x0000000000000000000000000000000000000001' },
+      target: { type: 'Property', id: propertyId.toString() }
+    });
+    expect(entries[0].actor.user.toString()).toBe(admin.id);
+    expect(entries[0].changes.find(change => change.path === 'maxHolders'))
+      .toEqual({ path: 'maxHolders', before: 50, after: 75 });
+  });
+
+  it('chains entries and detects edited and removed entries', async () => {
+    await recordChanges();
+
+    const intact = await auditService.verify();
+    expect(intact).toMatchObject({ valid: true, checked: 3, problems: [] });
+
+    await AuditEntry.collection.updateOne({ sequence: 2 }, { $set: { 'changes.0.after': 0 } });
+    const edited = await auditService.verify();
+    expect(edited.valid).toBe(false);
+    expect(edited.problems.map(({ sequence, problem }) => [sequence, problem])).toEqual([[2, 'hash_mismatch']]);
+
+    await AuditEntry.collection.deleteOne({ sequence: 2 });
+    const removed = await auditService.verify();
+    expect(removed.problems.map(({ sequence, problem }) => [sequence, problem]))
+      .toEqual([[3, 'missing_entries'], [3, 'broken_link']]);
+  });
+
+  it('detects a truncated chain against an anchored head', async () => {
+    await recordChanges();
+    const { head } = await auditService.verify();
+
+    await AuditEntry.collection.deleteOne({ sequence: 3 });
+
+    expect((await auditService.verify()).valid).toBe(true);
+    const result = await auditService.verify({ anchor: head });
+    expect(result.problems.map(problem => problem.problem)).toEqual(['anchor_missing']);
+  });
+
+  it('records an entry once per key and reports failed writes', async () => {
+    const target = { type: 'Transaction', id: new mongoose.Types.ObjectId() };
+    const record = () => auditService.record({
+      action: AUDIT_ACTIONS.PURCHASE_COMPLETE,
+      key: `purchase:${target.id}`,
+      actor: admin,
+      target
+    });
+
+    const entries = await Promise.all([record(), record(), record()]);
+    expect(new Set(entries.map(entry => entry.sequence)).size).toBe(1);
+    expect(await AuditEntry.countDocuments({ action: AUDIT_ACTIONS.PURCHASE_COMPLETE })).toBe(1);
+
+    jest.spyOn(AuditEntry, 'create').mockRejectedValueOnce(new Error('Connection lost'));
+    await expect(complianceService.updateRules(propertyId, { maxHolders: 10 }, admin))
+      .rejects.toThrow('Connection lost');
+    jest.restoreAllMocks();
+
+    expect((await auditService.verify()).valid).toBe(true);
+  });
+
+  it('refuses to update or delete entries through the model', async () => {
+    await recordChanges();
+
+    await expect(AuditEntry.updateOne({ sequence: 1 }, { action: 'nft.mint' })).rejects.toThrow('append-only');
+    await expect(AuditEntry.deleteMany({})).rejects.toThrow('append-only');
+
+    const entry = await AuditEntry.findOne({ sequence: 1 });
+    entry.action = 'nft.mint';
+    await expect(entry.save()).rejects.toThrow('append-only');
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Chain indexer against the local dev chain started by tests/globalSetup
+ * (or the node at BLOCKCHAIN_TEST_RPC_URL).
+ *
+ * Transfers are scripted through a minimal contract that emits whatever
+ * log it is called with: the calldata holds four topics followed by the
+ * log data.
+ */
+const RPC_URL = process.env.BLOCKCHAIN_TEST_RPC_URL;
+
+const { ethers } = require('ethers');
+const NFT = require('../../src/models/NFT');
+const Transaction = require('../../src/models/Transaction');
+const IndexerCursor = require('../../src/models/IndexerCursor');
+const { ChainIndexer, TRANSFER_EVENTS_ABI } = require('../../src/services/chainIndexer.service');
+const { MemoryLock } = require('../../src/utils/lock');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser, insertNFT } = require('../helpers/fixtures');
+
+// LOG4(topics from calldata[0:128], data from calldata[128:])
+const LOG_EMITTER_BYTECODE = '0x601a80600b6000396000f3' +
+  '606035604035602035600035608036038060806000376000a400';
+
+const CONFIRMATIONS = 2;
+
+describe('Chain indexer', () => {
+  let provider;
+  let signer;
+  let emitter;
+  let indexer;
+  const events = new ethers.Interface(TRANSFER_EVENTS_ABI);
+  const operator = ethers.Wallet.createRandom().address;
+  const alice = ethers.Wallet.createRandom().address;
+  const bob = ethers.Wallet.createRandom().address;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    // Dev nodes unlock their funded accounts. Block numbers are not cached,
+    // so confirmations count blocks mined a moment ago.
+    provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+    signer = await provider.getSigner(0);
+
+    const deployment = await signer.sendTransaction({ data: LOG_EMITTER_BYTECODE });
+    emitter = (await deployment.wait()).contractAddress;
+  });
+
+  afterAll(() => {
+    provider.destroy();
+  });
+
+  beforeEach(async () => {
+    indexer = new ChainIndexer({
+      provider,
+      lock: new MemoryLock(),
+      nftAddress: emitter,
+      startBlock: (await provider.getBlockNumber()) + 1,
+      confirmations: CONFIRMATIONS
+    });
+  });
+
+  const setup = async () => {
+    const users = {
+      alice: await insertUser({ username: 'alice', walletAddress: alice }),
+      bob: await insertUser({ username: 'bob', walletAddress: bob })
+    };
+
+    const nft = await insertNFT({
+      ownership: [{ owner: users.alice._id, shares: 10, purchaseDate: new Date(), purchasePrice: 10 }]
+    });
+
+    return { users, nft };
+  };
+
+  // Emit a share contract event from the emitter contract
+  const emit = async (name, args) => {
+    const fragment = events.getEvent(name);
+    const { topics, data } = events.encodeEventLog(fragment, args);
+    const tx = await signer.sendTransaction({ to: emitter, data: ethers.concat([...topics, data]) });
+    await tx.wait();
+    return tx.hash;
+  };
+
+  const confirm = async () => {
+    for (let i = 1; i < CONFIRMATIONS; i += 1) {
+      await provider.send('evm_mine', []);
+    }
+  };
+
+  const sharesOf = (nft, user) => {
+    const entry = nft.ownership.find(item => item.owner.toString() === user._id.toString());
+    return entry ? entry.shares : 0;
+  };
+
+  it('moves shares for confirmed TransferSingle and TransferBatch events', async () => {
+    const { users, nft } = await setup();
+
+    await emit('TransferSingle', [operator, alice, bob, 1, 4]);
+
+    // Not confirmed yet
+    expect(await indexer.tick()).toBeNull();
+
+    await emit('TransferBatch', [operator, bob, alice, [1, 1], [1, 2]]);
+    await confirm();
+    const result = await indexer.tick();
+    expect(result.transfers).toBe(2);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(9);
+    expect(sharesOf(updated, users.bob)).toBe(1);
+
+    const transactions = await Transaction.find({ nftId: nft._id, source: 'chain' }).sort({ blockNumber: 1 }).lean();
+    expect(transactions).toHaveLength(2);
+    expect(transactions[0].quantity).toBe(4);
+    expect(transactions[1].quantity).toBe(3);
+    expect(transactions[1].toAddress).toBe(alice);
+  });
+
+  it('applies each log once when blocks are indexed again', async () => {
+    const { users, nft } = await setup();
+
+    await emit('TransferSingle', [operator, alice, bob, 1, 4]);
+    await confirm();
+    await indexer.tick();
+
+    // Start over from the same block, as after a lost cursor
+    await IndexerCursor.deleteMany({});
+    const result = await indexer.tick();
+    expect(result.transfers).toBe(0);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(6);
+    expect(sharesOf(updated, users.bob)).toBe(4);
+    expect(await Transaction.countDocuments({ nftId: nft._id, source: 'chain' })).toBe(1);
+  });
+
+  it('records mints without allocating shares again', async () => {
+    const { users, nft } = await setup();
+
+    await emit('TransferSingle', [operator, ethers.ZeroAddress, alice, 1, 5]);
+    await confirm();
+    await indexer.tick();
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(10);
+    expect((await Transaction.findOne({ nftId: nft._id, source: 'chain' }).lean()).type).toBe('mint');
+  });
+
+  // Replace the blocks mined since a snapshot with more, empty ones
+  const reorganize = async (snapshot) => {
+    await provider.send('evm_revert', [snapshot]);
+    for (let i = 0; i < CONFIRMATIONS + 2; i += 1) {
+      await provider.send('evm_mine', []);
+    }
+  };
+
+  it('rolls back transfers from blocks a reorg replaced', async () => {
+    const { users, nft } = await setup();
+
+    // Index a block that stays on the chain
+    await confirm();
+    await provider.send('evm_mine', []);
+    await indexer.tick();
+    const snapshot = await provider.send('evm_snapshot', []);
+
+    await emit('TransferSingle', [operator, alice, bob, 1, 4]);
+    await confirm();
+    await indexer.tick();
+
+    await reorganize(snapshot);
+
+    const { reorganized } = await indexer.tick();
+    expect(reorganized.reverted).toBe(1);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(10);
+    expect(sharesOf(updated, users.bob)).toBe(0);
+    expect(updated.chainSync).toBeUndefined();
+    expect(await Transaction.countDocuments({ nftId: nft._id, source: 'chain' })).toBe(0);
+
+    // Indexing continues on the new chain
+    expect((await indexer.tick()).transfers).toBe(0);
+  });
+
+  it('moves only the shares the records hold when the chain moves more', async () => {
+    const { users, nft } = await setup();
+    await NFT.updateOne(
+      { _id: nft._id },
+      { $push: { ownership: { owner: users.bob._id, shares: 5 } } }
+    );
+
+    await confirm();
+    await provider.send('evm_mine', []);
+    await indexer.tick();
+    const snapshot = await provider.send('evm_snapshot', []);
+
+    // The records say alice holds 10 shares; the chain moves 15
+    await emit('TransferSingle', [operator, alice, bob, 1, 15]);
+    await confirm();
+    await indexer.tick();
+
+    let updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(0);
+    expect(sharesOf(updated, users.bob)).toBe(15);
+    const transaction = await Transaction.findOne({ nftId: nft._id, source: 'chain' }).lean();
+    expect(transaction.quantity).toBe(15);
+
+    // Undoing it takes back only the shares it moved
+    await reorganize(snapshot);
+    await indexer.tick();
+
+    updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(10);
+    expect(sharesOf(updated, users.bob)).toBe(5);
+  });
+
+  it('stops when a reorg replaces every remembered block until it is reset', async () => {
+    const { users, nft } = await setup();
+    const snapshot = await provider.send('evm_snapshot', []);
+    const before = await provider.getBlockNumber();
+
+    await emit('TransferSingle', [operator, alice, bob, 1, 4]);
+    await confirm();
+    await indexer.tick();
+
+    await reorganize(snapshot);
+
+    await expect(indexer.tick()).rejects.toThrow('Chain reorganized below the confirmation depth');
+
+    expect((await indexer.resetTo(before)).reverted).toBe(1);
+    const updated = await NFT.findById(nft._id).lean();
+    expect(sharesOf(updated, users.alice)).toBe(10);
+    expect(await indexer.tick()).not.toHaveProperty('reorganized');
+  });
+});
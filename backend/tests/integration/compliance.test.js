@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const NFT = require('../../src/models/NFT');
+const KycVerification = require('../../src/models/KycVerification');
+const PaymentIntent = require('../../src/models/PaymentIntent');
+const Transaction = require('../../src/models/Transaction');
+const complianceService = require('../../src/services/compliance.service');
+const nftService = require('../../src/services/nft.service');
+const paymentService = require('../../src/services/payment.service');
+const { FakePaymentProvider } = require('../../src/utils/paymentProviders');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertProperty, insertNFT } = require('../helpers/fixtures');
+
+describe('Property compliance rules', () => {
+  let propertyId;
+  let nftId;
+  let users;
+  const admin = { id: new mongoose.Types.ObjectId() };
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    const investor = async (name, nationality, accredited, index) => ({
+      user: await insertUser({ username: name, walletAddress: walletAddress(index) }),
+      nationality,
+      accredited
+    });
+
+    const investors = await Promise.all([
+      investor('seller', 'KY', true, 0),
+      investor('german', 'DE', true, 1),
+      investor('american', 'US', false, 2)
+    ]);
+
+    users = Object.fromEntries(investors.map(({ user }) => [user.username, user]));
+    await KycVerification.collection.insertMany(investors.map(({ user, nationality, accredited }) => ({
+      user: user._id,
+      status: 'approved',
+      provider: 'local',
+      personal: { nationality },
+      accreditation: { accredited, expiresAt: null },
+      documents: [],
+      history: []
+    })));
+
+    propertyId = (await insertProperty())._id;
+    nftId = (await insertNFT({
+      propertyId,
+      ownership: [{ owner: users.seller._id, shares: 10 }]
+    }))._id;
+  });
+
+  it('accepts every verified investor without a rule set', async () => {
+    const result = await complianceService.evaluate({ propertyId, userId: users.american._id, shares: 50 });
+
+    expect(result.eligible).toBe(true);
+    expect(result.rules.isDefault).toBe(true);
+  });
+
+  it('explains every rule an investor fails', async () => {
+    await complianceService.updateRules(propertyId, {
+      blockedCountries: ['US'],
+      accreditedOnly: true,
+      maxSharesPerInvestor: 5
+    }, admin);
+
+    const result = await complianceService.evaluate({ propertyId, userId: users.american._id, shares: 6 });
+
+    expect(result.eligible).toBe(false);
+    expect(result.violations.map(violation => violation.rule))
+      .toEqual(['jurisdiction', 'accreditation', 'maxSharesPerInvestor']);
+    expect(result.investor).toMatchObject({ country: 'US', accredited: false });
+
+    expect((await complianceService.evaluate({ propertyId, userId: users.german._id, shares: 5 })).eligible)
+      .toBe(true);
+  });
+
+  it('limits the number of holders, counting holders who sell out', async () => {
+    await complianceService.updateRules(propertyId, { maxHolders: 1 }, admin);
+
+    const partial = await complianceService.evaluate({
+      propertyId,
+      userId: users.german._id,
+      shares: 4,
+      fromUserId: users.seller._id
+    });
+    expect(partial.violations.map(violation => violation.rule)).toEqual(['maxHolders']);
+
+    const full = await complianceService.evaluate({
+      propertyId,
+      userId: users.german._id,
+      shares: 10,
+      fromUserId: users.seller._id
+    });
+    expect(full.eligible).toBe(true);
+  });
+
+  it('blocks transfers to ineligible recipients', async () => {
+    await complianceService.updateRules(propertyId, { allowedCountries: ['DE', 'KY'] }, admin);
+
+    await expect(nftService.transferNFT({
+      nftId,
+      fromUserId: users.seller._id.toString(),
+      recipientAddress: users.american.walletAddress,
+      quantity: 2
+    })).rejects.toThrow('Not eligible: Investors from US cannot hold shares of this property');
+
+    await nftService.transferNFT({
+      nftId,
+      fromUserId: users.seller._id.toString(),
+      recipientAddress: users.german.walletAddress,
+      quantity: 2
+    });
+
+    const nft = await NFT.findById(nftId).lean();
+    expect(nft.ownership.find(entry => entry.owner.equals(users.german._id)).shares).toBe(2);
+  });
+
+  it('counts purchases awaiting payment and checks the buyer again when it settles', async () => {
+    const provider = new FakePaymentProvider();
+    paymentService.setProvider(provider);
+    await complianceService.updateRules(propertyId, { maxSharesPerInvestor: 5, maxHolders: 2 }, admin);
+
+    const quote = await nftService.createQuote({
+      nftId: nftId.toString(),
+      buyerId: users.german._id.toString(),
+      quantity: 4
+    });
+    const { transaction, payment } = await nftService.purchaseNFT({
+      nftId: nftId.toString(),
+      buyerId: users.german._id.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'fiat'
+    });
+
+    const more = await complianceService.evaluate({ propertyId, userId: users.german._id, shares: 2 });
+    expect(more.holdings.reserved).toBe(4);
+    expect(more.violations.map(violation => violation.rule)).toEqual(['maxSharesPerInvestor']);
+
+    const other = await complianceService.evaluate({ propertyId, userId: users.american._id, shares: 1 });
+    expect(other.violations.map(violation => violation.rule)).toEqual(['maxHolders']);
+
+    await complianceService.updateRules(propertyId, { blockedCountries: ['DE'] }, admin);
+    const { body, headers } = provider.buildEvent(payment.intentId, 'succeeded');
+    await nftService.applyPaymentEvent(paymentService.constructEvent(Buffer.from(body), headers));
+
+    const intent = await PaymentIntent.findOne({ transactionId: transaction._id }).lean();
+    expect(intent.status).toBe('requires_refund');
+    expect(intent.failureReason).toMatch(/^Not eligible: Investors from DE/);
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('failed');
+
+    const nft = await NFT.findById(nftId).lean();
+    expect(nft.availableShares).toBe(90);
+    expect(nft.ownership).toHaveLength(1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Crypto purchases against the local dev chain started by tests/globalSetup
+ * (or the node at BLOCKCHAIN_TEST_RPC_URL)
+ */
+const RPC_URL = process.env.BLOCKCHAIN_TEST_RPC_URL;
+
+// Native payments are made in the wallet currency
+process.env.WALLET_CURRENCY = 'ETH';
+process.env.BLOCKCHAIN_RPC_URL = RPC_URL || '';
+process.env.CRYPTO_PAYMENT_CONFIRMATIONS = '2';
+
+const { ethers } = require('ethers');
+const NFT = require('../../src/models/NFT');
+const Transaction = require('../../src/models/Transaction');
+const nftService = require('../../src/services/nft.service');
+const cryptoPayments = require('../../src/services/cryptoPayment.service');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser, insertNFT } = require('../helpers/fixtures');
+
+describe('Crypto share purchases', () => {
+  let provider;
+  let payer;
+  let platform;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    // Dev nodes unlock their funded accounts. Block numbers are not cached,
+    // so confirmations count blocks mined a moment ago.
+    provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+    payer = await provider.getSigner(0);
+    platform = await provider.getSigner(1);
+    cryptoPayments.provider = provider;
+    cryptoPayments.recipient = await platform.getAddress();
+  });
+
+  afterAll(() => {
+    provider.destroy();
+  });
+
+  const setup = async () => {
+    const buyer = await insertUser({
+      username: 'crypto_buyer',
+      walletAddress: await payer.getAddress()
+    });
+
+    const nft = await insertNFT({
+      tokenId: `token_${Date.now()}`,
+      availableShares: 10,
+      pricePerShare: 0.01
+    });
+
+    const quote = await nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 2
+    });
+
+    return { buyer, nft, quote };
+  };
+
+  const pay = async (value) => {
+    const tx = await payer.sendTransaction({ to: await platform.getAddress(), value });
+    await tx.wait();
+    return tx.hash;
+  };
+
+  const purchase = ({ buyer, nft, quote }, txHash) => nftService.purchaseNFT({
+    nftId: nft._id.toString(),
+    buyerId: buyer._id.toString(),
+    quoteId: quote._id.toString(),
+    paymentMethod: 'crypto',
+    txHash
+  });
+
+  it('allocates shares once the payment has enough confirmations', async () => {
+    const purchaseSetup = await setup();
+    const txHash = await pay(ethers.parseEther(String(purchaseSetup.quote.total)));
+
+    const { transaction, payment } = await purchase(purchaseSetup, txHash);
+    expect(transaction.status).toBe('pending');
+    expect(payment.confirmations).toBe(1);
+    expect(await nftService.confirmCryptoPayments()).toBe(0);
+
+    await provider.send('evm_mine', []);
+    expect(await nftService.confirmCryptoPayments()).toBe(1);
+
+    const updated = await NFT.findById(purchaseSetup.nft._id).lean();
+    expect(updated.ownership).toHaveLength(1);
+    expect(updated.ownership[0].shares).toBe(2);
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('completed');
+  });
+
+  it('settles a payment that confirms after its purchase expired', async () => {
+    const purchaseSetup = await setup();
+    const txHash = await pay(ethers.parseEther(String(purchaseSetup.quote.total)));
+    const { transaction, payment } = await purchase(purchaseSetup, txHash);
+
+    const later = new Date(new Date(payment.expiresAt).getTime() + 1000);
+    expect(await nftService.expirePendingPayments({ now: later })).toBe(1);
+    expect((await NFT.findById(purchaseSetup.nft._id).lean()).availableShares).toBe(10);
+
+    await provider.send('evm_mine', []);
+    expect(await nftService.confirmCryptoPayments({ now: later })).toBe(1);
+
+    const updated = await NFT.findById(purchaseSetup.nft._id).lean();
+    expect(updated.availableShares).toBe(8);
+    expect(updated.ownership[0].shares).toBe(2);
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('completed');
+  });
+
+  it('rejects a payment of the wrong amount', async () => {
+    const purchaseSetup = await setup();
+    const txHash = await pay(ethers.parseEther('0.001'));
+
+    await expect(purchase(purchaseSetup, txHash)).rejects.toThrow('Invalid payment: Paid amount does not match');
+  });
+
+  it('does not accept the same transaction for two purchases', async () => {
+    const first = await setup();
+    const txHash = await pay(ethers.parseEther(String(first.quote.total)));
+    await purchase(first, txHash);
+
+    const second = await nftService.createQuote({
+      nftId: first.nft._id.toString(),
+      buyerId: first.buyer._id.toString(),
+      quantity: 2
+    });
+
+    await expect(purchase({ ...first, quote: second }, txHash))
+      .rejects.toThrow('Invalid payment: Transaction has already been used for a purchase');
+  });
+});
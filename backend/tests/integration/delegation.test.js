@@ -0,0 +1,69 @@
+const Delegation = require('../../src/models/Delegation');
+const governanceService = require('../../src/services/governance.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+describe('Vote delegation', () => {
+  let holders;
+  let propertyId;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    holders = await Promise.all(
+      [0, 1, 2].map((index) =>
+        insertUser({ username: `holder_${index}`, walletAddress: walletAddress(index) })
+      )
+    );
+
+    propertyId = (
+      await insertNFT({
+        availableShares: 40,
+        ownership: [
+          { owner: holders[0]._id, shares: 30 },
+          { owner: holders[1]._id, shares: 20 },
+          { owner: holders[2]._id, shares: 10 },
+        ],
+      })
+    ).propertyId;
+  });
+
+  const delegate = (from, to) =>
+    governanceService.delegateVotingPower({
+      delegatorId: from._id.toString(),
+      delegateAddress: to.walletAddress,
+      propertyId,
+    });
+
+  const votingPower = (holder) =>
+    governanceService.calculateVotingPower(holder._id.toString(), propertyId);
+
+  it('passes delegated voting power along a chain of delegates', async () => {
+    await delegate(holders[0], holders[1]);
+    await delegate(holders[1], holders[2]);
+
+    expect(await votingPower(holders[2])).toMatchObject({
+      directVotingPower: 10,
+      delegatedVotingPower: 50,
+      totalVotingPower: 60,
+    });
+    expect((await votingPower(holders[1])).totalVotingPower).toBe(0);
+  });
+
+  it('rejects a delegation that leads back to the delegator', async () => {
+    await delegate(holders[0], holders[1]);
+    await delegate(holders[1], holders[2]);
+
+    await expect(delegate(holders[2], holders[0])).rejects.toThrow(
+      'Delegation cycle detected: Delegate chain leads back to the delegator'
+    );
+    await expect(delegate(holders[1], holders[0])).rejects.toThrow('Delegation cycle detected');
+
+    // The existing delegations stay in place
+    const active = await Delegation.find({ status: 'active' }).lean();
+    expect(active.map((delegation) => delegation.delegator.toString()).sort()).toEqual(
+      [holders[0]._id.toString(), holders[1]._id.toString()].sort()
+    );
+    expect((await votingPower(holders[2])).totalVotingPower).toBe(60);
+  });
+});
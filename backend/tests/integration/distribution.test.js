@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AuditEntry = require('../../src/models/AuditEntry');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const OutboxEvent = require('../../src/models/OutboxEvent');
+const Payout = require('../../src/models/Payout');
+const auditService = require('../../src/services/audit.service');
+const distributionService = require('../../src/services/distribution.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { EVENT_TYPES } = require('../../src/utils/eventBus');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertProperty, insertNFT } = require('../helpers/fixtures');
+
+const { AUDIT_ACTIONS } = auditService;
+
+describe('Income distributions', () => {
+  let propertyId;
+  let holders;
+  let distribution;
+  const admin = { id: new mongoose.Types.ObjectId() };
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    holders = await Promise.all(
+      [0, 1].map((index) =>
+        insertUser({
+          username: `holder_${index}`,
+          walletAddress: walletAddress(index),
+        })
+      )
+    );
+
+    propertyId = (await insertProperty({ currency: 'USD' }))._id;
+    await insertNFT({
+      propertyId,
+      availableShares: 0,
+      mintedAt: new Date('2024-01-01'),
+      ownership: [
+        {
+          owner: holders[0]._id,
+          shares: 75,
+          purchaseDate: new Date('2024-01-01'),
+          purchasePrice: 10,
+        },
+        {
+          owner: holders[1]._id,
+          shares: 25,
+          purchaseDate: new Date('2024-01-01'),
+          purchasePrice: 10,
+        },
+      ],
+    });
+
+    distribution = await distributionService.recordIncome(
+      {
+        propertyId,
+        periodStart: '2024-01-01',
+        periodEnd: '2024-02-01',
+        netIncome: '1000',
+      },
+      admin
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const claim = (holder) => distributionService.claimPayouts({ userId: holder._id.toString() });
+
+  it('shows totals, not holders, on the public distribution', async () => {
+    await claim(holders[1]);
+
+    const details = await distributionService.getDistribution(propertyId, distribution._id);
+    expect(details.payouts).toBeUndefined();
+    expect(details.claims).toEqual({
+      claimed: { count: 1, amount: 250 },
+      unclaimed: { count: 1, amount: 750 },
+    });
+
+    const { payouts, total } = await distributionService.getDistributionPayouts({
+      propertyId,
+      distributionId: distribution._id,
+    });
+    expect(total).toBe(2);
+    expect(payouts.map((payout) => payout.amount)).toEqual([750, 250]);
+  });
+
+  it('credits a payout once when it is claimed concurrently', async () => {
+    const results = await Promise.allSettled([0, 1, 2].map(() => claim(holders[0])));
+
+    const claimed = results
+      .filter((result) => result.status === 'fulfilled')
+      .reduce((sum, result) => sum + result.value.totalClaimed, 0);
+    expect(claimed).toBe(1);
+    expect(await ledgerService.getWalletBalance(holders[0]._id)).toBe(750);
+    expect(await LedgerEntry.countDocuments({ type: 'payout_claim' })).toBe(1);
+  });
+
+  it('credits an interrupted claim once when it is claimed again', async () => {
+    jest.spyOn(Payout, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(claim(holders[0])).rejects.toThrow('Connection lost');
+    expect(await ledgerService.getWalletBalance(holders[0]._id)).toBe(750);
+
+    const { totalClaimed } = await claim(holders[0]);
+    expect(totalClaimed).toBe(1);
+    expect(await ledgerService.getWalletBalance(holders[0]._id)).toBe(750);
+    expect(await AuditEntry.countDocuments({ action: AUDIT_ACTIONS.PAYOUT_CLAIM })).toBe(1);
+    await expect(claim(holders[0])).rejects.toThrow('No unclaimed payouts');
+  });
+
+  it('announces the distribution as paid once its last payout is claimed', async () => {
+    const paid = () => OutboxEvent.countDocuments({ type: EVENT_TYPES.DISTRIBUTION_PAID });
+    expect(await paid()).toBe(0);
+
+    await claim(holders[0]);
+    expect(await paid()).toBe(0);
+
+    await claim(holders[1]);
+    expect(await paid()).toBe(1);
+  });
+});
@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const idempotency = require('../../src/middleware/idempotency');
+const { MemoryIdempotencyStore } = require('../../src/utils/idempotencyStore');
+
+const TTL_MS = 60 * 1000;
+const KEY = 'purchase-1';
+
+describe('Idempotency keys', () => {
+  let now;
+  let store;
+  let app;
+  let handled;
+  let respond;
+
+  beforeEach(() => {
+    now = 0;
+    store = new MemoryIdempotencyStore({ clock: () => now });
+    handled = 0;
+    respond = async (req, res) => res.status(201).json({ success: true, call: handled });
+
+    app = express();
+    app.use(express.json());
+    app.post(
+      '/purchase',
+      idempotency({ store, ttlMs: TTL_MS, lockTtlMs: TTL_MS }),
+      (req, res, next) => {
+        handled += 1;
+        respond(req, res).catch(next);
+      }
+    );
+  });
+
+  const purchase = (body = { quantity: 1 }, key = KEY) =>
+    request(app).post('/purchase').set('Idempotency-Key', key).send(body);
+
+  it('replays the first response for a retry of the same request', async () => {
+    const first = await purchase();
+    const retry = await purchase();
+
+    expect(handled).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('stores the response before sending it', async () => {
+    const set = store.set.bind(store);
+    jest.spyOn(store, 'set').mockImplementation(async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return set(...args);
+    });
+
+    await purchase();
+    expect(await store.get(`idempotency:anonymous:${KEY}`)).toMatchObject({
+      status: 'completed',
+      statusCode: 201,
+    });
+    expect((await purchase()).headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await purchase({ quantity: 1 });
+    const response = await purchase({ quantity: 2 });
+
+    expect(response.status).toBe(422);
+    expect(handled).toBe(1);
+  });
+
+  it('rejects a retry while the first request is still running', async () => {
+    let finish;
+    respond = (req, res) =>
+      new Promise((resolve) => {
+        finish = () => resolve(res.status(201).json({ success: true }));
+      });
+
+    const first = purchase();
+    first.then(() => {});
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect((await purchase()).status).toBe(409);
+    finish();
+    expect((await first).status).toBe(201);
+    expect(handled).toBe(1);
+  });
+
+  it('runs the request again once the key has expired', async () => {
+    await purchase();
+    now += TTL_MS;
+
+    const response = await purchase();
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(handled).toBe(2);
+  });
+
+  it('lets a request that failed with a server error be retried', async () => {
+    respond = async (req, res) =>
+      res.status(handled === 1 ? 500 : 201).json({ success: handled > 1 });
+
+    expect((await purchase()).status).toBe(500);
+    expect((await purchase()).status).toBe(201);
+    expect(handled).toBe(2);
+  });
+
+  it('ignores requests without a key and rejects malformed keys', async () => {
+    await request(app).post('/purchase').send({ quantity: 1 });
+    await request(app).post('/purchase').send({ quantity: 1 });
+    expect(handled).toBe(2);
+
+    expect((await purchase({ quantity: 1 }, 'has space')).status).toBe(400);
+    expect(handled).toBe(2);
+  });
+});
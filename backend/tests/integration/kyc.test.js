@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const KycVerification = require('../../src/models/KycVerification');
+const { KycService } = require('../../src/services/kyc.service');
+const { LocalKycProvider } = require('../../src/utils/kycProviders');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser } = require('../helpers/fixtures');
+
+describe('KYC verification', () => {
+  let userId;
+  const admin = { id: new mongoose.Types.ObjectId() };
+
+  const passport = {
+    fieldname: 'document',
+    originalname: 'passport.png',
+    mimetype: 'image/png',
+    size: 4,
+    buffer: Buffer.from('scan')
+  };
+
+  const personal = {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    dateOfBirth: '1990-12-10',
+    nationality: 'GB',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+  };
+
+  const createService = (decision = 'manual') => {
+    const kyc = new KycService();
+    kyc.setProvider(new LocalKycProvider({ decision }));
+    return kyc;
+  };
+
+  const kycStatus = async () => (await User.findById(userId).lean()).kycStatus;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    userId = (await insertUser({ username: 'applicant', kycStatus: 'not_started' }))._id;
+  });
+
+  it('moves from not_started through pending to approved', async () => {
+    const kyc = createService();
+
+    expect((await kyc.getStatus(userId)).status).toBe('not_started');
+    await expect(kyc.ensureApproved(userId, 'vote')).rejects.toThrow('KYC required');
+
+    await expect(kyc.submit(userId, personal))
+      .rejects.toThrow('Cannot submit verification: Upload a passport document first');
+
+    const document = await kyc.uploadDocument(userId, passport, { type: 'passport' });
+    expect(document.size).toBe(4);
+
+    const submitted = await kyc.submit(userId, personal);
+    expect(submitted.status).toBe('pending');
+    expect(await kycStatus()).toBe('pending');
+
+    // Documents are locked while the review is pending
+    await expect(kyc.uploadDocument(userId, passport, { type: 'passport' }))
+      .rejects.toThrow('Cannot upload document: Verification is pending');
+
+    const reviewed = await kyc.review(userId, { decision: 'approve' }, admin);
+    expect(reviewed.status).toBe('approved');
+    expect(reviewed.personal.documentNumberLast4).toBe('4567');
+    expect(reviewed.history.map(({ from, to }) => `${from}>${to}`))
+      .toEqual(['not_started>pending', 'pending>approved']);
+
+    expect(await kycStatus()).toBe('approved');
+    await expect(kyc.ensureApproved(userId, 'vote')).resolves.toBeUndefined();
+  });
+
+  it('lets a rejected applicant submit again', async () => {
+    const kyc = createService();
+
+    await kyc.uploadDocument(userId, passport, { type: 'passport' });
+    await kyc.submit(userId, personal);
+
+    await expect(kyc.review(userId, { decision: 'reject' }, admin))
+      .rejects.toThrow('A reason is required');
+
+    await kyc.review(userId, { decision: 'reject', reason: 'Document is unreadable' }, admin);
+    const rejected = await kyc.getStatus(userId);
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejectionReason).toBe('Document is unreadable');
+    expect(await kycStatus()).toBe('rejected');
+
+    await expect(kyc.review(userId, { decision: 'approve' }, admin))
+      .rejects.toThrow('Cannot review verification: Verification is rejected');
+
+    await kyc.uploadDocument(userId, passport, { type: 'passport' });
+    expect((await kyc.submit(userId, personal)).status).toBe('pending');
+  });
+
+  it('applies an immediate provider decision', async () => {
+    const kyc = createService('approve');
+
+    await kyc.uploadDocument(userId, passport, { type: 'passport' });
+    expect((await kyc.submit(userId, personal)).status).toBe('approved');
+    expect(await kycStatus()).toBe('approved');
+
+    const verification = await KycVerification.findOne({ user: userId }).lean();
+    expect(verification.history[1].by).toBe('provider');
+  });
+
+  it('rejects invalid documents and underage applicants', async () => {
+    const kyc = createService();
+
+    await expect(kyc.uploadDocument(userId, { ...passport, mimetype: 'text/plain' }, { type: 'passport' }))
+      .rejects.toThrow('Invalid document');
+
+    await kyc.uploadDocument(userId, passport, { type: 'passport' });
+    const minor = new Date();
+    minor.setUTCFullYear(minor.getUTCFullYear() - 17);
+
+    await expect(kyc.submit(userId, { ...personal, dateOfBirth: minor.toISOString() }))
+      .rejects.toThrow('Applicants must be at least 18 years old');
+    expect(await kycStatus()).toBe('not_started');
+  });
+});
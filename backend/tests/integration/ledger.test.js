@@ -0,0 +1,118 @@
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const User = require('../../src/models/User');
+const ledgerService = require('../../src/services/ledger.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser } = require('../helpers/fixtures');
+
+describe('Ledger', () => {
+  useTestDatabase();
+
+  beforeEach(async () => {
+    // The debit sequence index is what stops concurrent overdrafts
+    await LedgerEntry.createIndexes();
+  });
+
+  const hold = (userId, key, amount) =>
+    ledgerService.transfer({
+      postingKey: key,
+      type: 'hold',
+      from: ledgerService.accounts.wallet(userId),
+      to: ledgerService.accounts.escrow,
+      amount,
+    });
+
+  it('never debits a wallet below zero, even concurrently', async () => {
+    const user = await insertUser({ walletBalance: 100 });
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, (_, index) => hold(user._id, `hold:${index}`, 30))
+    );
+
+    const posted = results.filter((result) => result.status === 'fulfilled');
+    const refused = results.filter((result) => result.status === 'rejected');
+    expect(posted).toHaveLength(3);
+    refused.forEach((result) => expect(result.reason.message).toBe('Insufficient funds in wallet'));
+
+    expect(await ledgerService.getWalletBalance(user._id)).toBe(10);
+    const { walletBalance } = await User.findById(user._id).lean();
+    expect(walletBalance).toBeCloseTo(10);
+  });
+
+  it('posts a retried entry once', async () => {
+    const user = await insertUser({ walletBalance: 100 });
+
+    await hold(user._id, 'hold:retried', 40);
+    await hold(user._id, 'hold:retried', 40);
+
+    expect(await ledgerService.getWalletBalance(user._id)).toBe(60);
+    expect(await LedgerEntry.countDocuments({ postingKey: 'hold:retried' })).toBe(1);
+  });
+
+  it('moves balances from before the ledger onto it once', async () => {
+    const users = await Promise.all(
+      [250, 75.5].map((walletBalance, index) =>
+        User.collection.insertOne({
+          username: `legacy_${index}`,
+          walletAddress: walletAddress(index),
+          walletBalance,
+        })
+      )
+    );
+    const [first, second] = users.map((result) => result.insertedId);
+
+    const preview = await ledgerService.postOpeningBalances({ dryRun: true });
+    expect(preview.posted).toHaveLength(2);
+    expect(await LedgerEntry.countDocuments()).toBe(0);
+
+    const { posted, skipped } = await ledgerService.postOpeningBalances();
+    expect(posted).toHaveLength(2);
+    expect(skipped).toHaveLength(0);
+    expect(await ledgerService.getWalletBalance(first)).toBe(250);
+    expect(await ledgerService.getWalletBalance(second)).toBe(75.5);
+
+    const again = await ledgerService.postOpeningBalances();
+    expect(again.posted).toHaveLength(0);
+
+    // Opening balances are already in walletBalance
+    const { driftCount, ledgerBalanced } = await ledgerService.reconcile();
+    expect(driftCount).toBe(0);
+    expect(ledgerBalanced).toBe(true);
+  });
+
+  it('refuses entries whose debits and credits differ', async () => {
+    const user = await insertUser({ walletBalance: 100 });
+
+    await expect(
+      ledgerService.post({
+        postingKey: 'settlement:unbalanced',
+        type: 'settlement',
+        lines: [
+          { account: ledgerService.accounts.wallet(user._id), debit: 5000 },
+          { account: ledgerService.accounts.escrow, credit: 4999 },
+        ],
+      })
+    ).rejects.toThrow('Unbalanced ledger entry: Debits must equal credits');
+
+    expect(await LedgerEntry.countDocuments({ postingKey: 'settlement:unbalanced' })).toBe(0);
+    expect(await ledgerService.getWalletBalance(user._id)).toBe(100);
+    expect((await ledgerService.getTrialBalance()).balanced).toBe(true);
+  });
+
+  it('reports wallets whose stored balance drifted from the ledger', async () => {
+    const user = await insertUser({ walletBalance: 100 });
+    await hold(user._id, 'hold:drift', 25);
+
+    // A write that bypassed the ledger
+    await User.updateOne({ _id: user._id }, { walletBalance: 90 });
+
+    const { driftCount, totalDrift, drifts } = await ledgerService.reconcile();
+    expect(driftCount).toBe(1);
+    expect(totalDrift).toBe(15);
+    expect(drifts[0]).toMatchObject({
+      userId: user._id.toString(),
+      walletBalance: 90,
+      ledgerBalance: 75,
+      drift: 15,
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const NFT = require('../../src/models/NFT');
+const Order = require('../../src/models/Order');
+const Transaction = require('../../src/models/Transaction');
+const marketService = require('../../src/services/market.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Secondary market', () => {
+  let nftId;
+  let users;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    const user = (username, index, walletBalance = 0) => insertUser({
+      username,
+      walletAddress: walletAddress(index),
+      walletBalance
+    });
+
+    users = {
+      first: await user('first', 0),
+      second: await user('second', 1),
+      third: await user('third', 2),
+      buyer: await user('buyer', 3, 1000)
+    };
+
+    const holding = owner => ({
+      owner: owner._id,
+      shares: 10,
+      purchaseDate: new Date(Date.now() - 24 * HOUR_MS),
+      purchasePrice: 10
+    });
+
+    nftId = (await insertNFT({
+      ownership: [holding(users.first), holding(users.second), holding(users.third)]
+    }))._id;
+  });
+
+  const ask = (seller, quantity, limitPrice, fields = {}) => marketService.placeOrder({
+    nftId,
+    traderId: seller._id,
+    side: 'ask',
+    quantity,
+    limitPrice,
+    ...fields
+  });
+
+  const bid = (quantity, limitPrice) => marketService.placeOrder({
+    nftId,
+    traderId: users.buyer._id,
+    side: 'bid',
+    quantity,
+    limitPrice
+  });
+
+  const sharesOf = async (user) => {
+    const nft = await NFT.findById(nftId).lean();
+    const entry = nft.ownership.find(item => item.owner.equals(user._id));
+    return entry ? entry.shares : 0;
+  };
+
+  it('fills the best price first, then the oldest order at that price', async () => {
+    const { order: older } = await ask(users.first, 1, 11);
+    const { order: newer } = await ask(users.second, 1, 11);
+    const { order: cheapest } = await ask(users.third, 1, 10);
+
+    // Orders placed within the same millisecond would tie on time
+    await Order.collection.updateOne(
+      { _id: older._id },
+      { $set: { createdAt: new Date(newer.createdAt.getTime() - 1000) } }
+    );
+
+    const { fills } = await bid(2, 12);
+
+    expect(fills.map(fill => [fill.askOrderId.toString(), fill.price])).toEqual([
+      [cheapest._id.toString(), 10],
+      [older._id.toString(), 11]
+    ]);
+    expect((await Order.findById(newer._id).lean()).status).toBe('open');
+    expect(await ledgerService.getWalletBalance(users.buyer._id)).toBe(979);
+  });
+
+  it('fills a bid across two resting asks and leaves the rest of the second open', async () => {
+    const { order: first } = await ask(users.first, 3, 10);
+    const { order: second } = await ask(users.second, 3, 11);
+
+    const { order, fills } = await bid(5, 11);
+
+    expect(fills.map(fill => [fill.quantity, fill.price])).toEqual([[3, 10], [2, 11]]);
+    expect(order.status).toBe('filled');
+    expect((await Order.findById(first._id).lean()).status).toBe('filled');
+
+    const partial = await Order.findById(second._id).lean();
+    expect(partial.status).toBe('partially_filled');
+    expect(partial.remainingQuantity).toBe(1);
+    expect(partial.filledQuantity).toBe(2);
+
+    expect(await sharesOf(users.buyer)).toBe(5);
+    expect(await sharesOf(users.second)).toBe(8);
+    expect(await ledgerService.getWalletBalance(users.buyer._id)).toBe(948);
+    expect(await ledgerService.getWalletBalance(users.second._id)).toBe(22);
+  });
+
+  it('cancels a bid its wallet no longer covers and leaves the ask untouched', async () => {
+    const { order: resting } = await bid(5, 10);
+
+    // Bids are not reserved: the funds are spent before the bid fills
+    await ledgerService.transfer({
+      postingKey: `spent:${users.buyer._id}`,
+      type: 'hold',
+      from: ledgerService.accounts.wallet(users.buyer._id),
+      to: ledgerService.accounts.escrow,
+      amount: 980
+    });
+
+    const { order, fills } = await ask(users.first, 5, 10);
+
+    expect(fills).toHaveLength(0);
+    expect(order.status).toBe('open');
+    expect(order.remainingQuantity).toBe(5);
+
+    const cancelled = await Order.findById(resting._id).lean();
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancelReason).toBe('insufficient_funds');
+    expect(cancelled.remainingQuantity).toBe(5);
+
+    const sale = await Transaction.findOne({ bidOrderId: resting._id }).lean();
+    expect(sale.status).toBe('failed');
+    expect(sale.failureReason).toBe('insufficient_funds');
+
+    expect(await sharesOf(users.first)).toBe(10);
+    expect(await sharesOf(users.buyer)).toBe(0);
+    expect(await ledgerService.getWalletBalance(users.buyer._id)).toBe(20);
+  });
+
+  it('expires orders past their expiration instead of filling them', async () => {
+    const { order: expiring } = await ask(users.first, 2, 10, {
+      expiresAt: new Date(Date.now() + HOUR_MS)
+    });
+    const { order: lasting } = await ask(users.second, 2, 11);
+
+    await Order.updateOne({ _id: expiring._id }, { expiresAt: new Date(Date.now() - HOUR_MS) });
+
+    const { fills } = await bid(2, 11);
+
+    expect(fills.map(fill => fill.askOrderId.toString())).toEqual([lasting._id.toString()]);
+    expect((await Order.findById(expiring._id).lean()).status).toBe('expired');
+    expect(await sharesOf(users.first)).toBe(10);
+  });
+});
@@ -0,0 +1,186 @@
+const NFT = require('../../src/models/NFT');
+const Quote = require('../../src/models/Quote');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const nftService = require('../../src/services/nft.service');
+const paymentService = require('../../src/services/payment.service');
+const { FakePaymentProvider } = require('../../src/utils/paymentProviders');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+const PRICE_PER_SHARE = 10;
+const STARTING_BALANCE = 1000;
+
+describe('NFT share concurrency', () => {
+  useTestDatabase();
+
+  const createUsers = count => Promise.all(Array.from({ length: count }, (_, index) => insertUser({
+    username: `holder_${index}`,
+    walletAddress: walletAddress(index),
+    walletBalance: STARTING_BALANCE
+  })));
+
+  // Properties without a fee schedule charge the (unset) default fees
+  const createNFT = ({ availableShares, ownership = [] }) => insertNFT({
+    tokenId: `token_${Date.now()}`,
+    availableShares,
+    pricePerShare: PRICE_PER_SHARE,
+    ownership
+  });
+
+  it('does not oversell when buyers race for the last shares', async () => {
+    const buyers = await createUsers(10);
+    const nft = await createNFT({ availableShares: 3 });
+
+    const quotes = await Promise.allSettled(buyers.map(buyer => nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 1
+    })));
+
+    const reserved = quotes.filter(result => result.status === 'fulfilled').map(result => result.value);
+    expect(reserved).toHaveLength(3);
+
+    const afterQuotes = await NFT.findById(nft._id).lean();
+    expect(afterQuotes.availableShares).toBe(0);
+    expect(afterQuotes.status).toBe('sold_out');
+
+    const results = await Promise.allSettled(reserved.map(quote => nftService.purchaseNFT({
+      nftId: nft._id.toString(),
+      buyerId: quote.buyer.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'wallet'
+    })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+
+    const updated = await NFT.findById(nft._id).lean();
+    const ownedShares = updated.ownership.reduce((sum, entry) => sum + entry.shares, 0);
+    expect(updated.availableShares).toBe(0);
+    expect(ownedShares).toBe(3);
+
+    // Only the buyers holding a quote were charged
+    const balances = await User.find({}).select('walletBalance').lean();
+    const charged = balances.reduce((sum, user) => sum + (STARTING_BALANCE - user.walletBalance), 0);
+    expect(charged).toBe(3 * PRICE_PER_SHARE);
+
+    const completed = await Transaction.countDocuments({ nftId: nft._id, type: 'purchase', status: 'completed' });
+    expect(completed).toBe(3);
+  });
+
+  it('uses a quote for at most one purchase', async () => {
+    const [buyer] = await createUsers(1);
+    const nft = await createNFT({ availableShares: 5 });
+
+    const quote = await nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 2
+    });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => nftService.purchaseNFT({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'wallet'
+    })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(updated.availableShares).toBe(3);
+    expect(updated.ownership.reduce((sum, entry) => sum + entry.shares, 0)).toBe(2);
+
+    const user = await User.findById(buyer._id).lean();
+    expect(user.walletBalance).toBe(STARTING_BALANCE - 2 * PRICE_PER_SHARE);
+  });
+
+  it('releases the shares of expired quotes', async () => {
+    const [buyer] = await createUsers(1);
+    const nft = await createNFT({ availableShares: 2 });
+    const now = new Date();
+
+    const quote = await nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 2,
+      now
+    });
+
+    const later = new Date(quote.expiresAt.getTime() + 1000);
+
+    await expect(nftService.purchaseNFT({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'wallet',
+      now: later
+    })).rejects.toThrow('Invalid quote: Quote has expired');
+
+    expect(await nftService.releaseExpiredQuotes({ now: later })).toBe(1);
+    expect(await nftService.releaseExpiredQuotes({ now: later })).toBe(0);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(updated.availableShares).toBe(2);
+    expect(updated.status).toBe('available');
+    expect((await Quote.findById(quote._id).lean()).status).toBe('expired');
+  });
+
+  it('allocates fiat purchases once, only when the payment succeeds', async () => {
+    const provider = new FakePaymentProvider();
+    paymentService.setProvider(provider);
+
+    const [buyer] = await createUsers(1);
+    const nft = await createNFT({ availableShares: 2 });
+    const quote = await nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 2
+    });
+
+    const { transaction, payment } = await nftService.purchaseNFT({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'fiat'
+    });
+
+    expect(transaction.status).toBe('pending');
+    expect((await NFT.findById(nft._id).lean()).ownership).toHaveLength(0);
+
+    // Providers deliver webhooks at least once
+    const { body, headers } = provider.buildEvent(payment.intentId, 'succeeded');
+    await Promise.all([0, 1].map(() => nftService.applyPaymentEvent(
+      paymentService.constructEvent(Buffer.from(body), headers)
+    )));
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(updated.ownership).toHaveLength(1);
+    expect(updated.ownership[0].shares).toBe(2);
+    expect(updated.availableShares).toBe(0);
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('completed');
+  });
+
+  it('does not transfer more shares than the sender holds', async () => {
+    const [sender, ...recipients] = await createUsers(5);
+    const nft = await createNFT({
+      availableShares: 0,
+      ownership: [{ owner: sender._id, shares: 5, purchaseDate: new Date(), purchasePrice: PRICE_PER_SHARE }]
+    });
+
+    const results = await Promise.allSettled(recipients.map(recipient => nftService.transferNFT({
+      nftId: nft._id.toString(),
+      fromUserId: sender._id.toString(),
+      recipientAddress: recipient.walletAddress,
+      quantity: 2
+    })));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+
+    const updated = await NFT.findById(nft._id).lean();
+    const senderEntry = updated.ownership.find(entry => entry.owner.equals(sender._id));
+    const ownedShares = updated.ownership.reduce((sum, entry) => sum + entry.shares, 0);
+    expect(senderEntry.shares).toBe(1);
+    expect(ownedShares).toBe(5);
+  });
+});
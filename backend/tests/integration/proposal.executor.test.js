@@ -0,0 +1,201 @@
+/**
+ * Proposal execution against the local dev chain started by
+ * tests/globalSetup (or the node at BLOCKCHAIN_TEST_RPC_URL).
+ *
+ * The governance contract is a minimal stand-in for execute(target, value,
+ * data): it forwards the call and bubbles up a revert. Actions target a
+ * contract that logs its calldata, or one that always reverts.
+ */
+const RPC_URL = process.env.BLOCKCHAIN_TEST_RPC_URL;
+
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Proposal = require('../../src/models/Proposal');
+const governanceService = require('../../src/services/governance.service');
+const proposalExecutor = require('../../src/services/proposalExecutor.service');
+const { useTestDatabase } = require('../helpers/database');
+
+const { ProposalExecutor } = proposalExecutor;
+
+// Deploys the runtime code that follows the 11-byte constructor
+const deployCode = (runtime) =>
+  `0x60${(runtime.length / 2).toString(16).padStart(2, '0')}80600b6000396000f3${runtime}`;
+
+// CALL(target, value, data) with data copied from calldata; REVERT with the returned data on failure
+const GOVERNANCE_BYTECODE = deployCode(
+  '604435600401803590602001819060003760006000826000602435600435' +
+    '5af1602d573d600060003e3d6000fd5b00'
+);
+
+// LOG0(calldata)
+const RECORDER_BYTECODE = deployCode('366000600037366000a000');
+
+// REVERT(0, 0)
+const REVERTER_BYTECODE = deployCode('60006000fd');
+
+describe('Proposal execution', () => {
+  let provider;
+  let signer;
+  let governance;
+  let recorder;
+  let reverter;
+  let fromBlock;
+  const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    // Dev nodes unlock their funded accounts and mine a block per transaction
+    provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+    signer = await provider.getSigner(0);
+
+    const deploy = async (data) =>
+      (await (await signer.sendTransaction({ data })).wait()).contractAddress;
+    governance = await deploy(GOVERNANCE_BYTECODE);
+    recorder = await deploy(RECORDER_BYTECODE);
+    reverter = await deploy(REVERTER_BYTECODE);
+
+    // The service executes through the shared executor
+    proposalExecutor.signer = signer;
+    proposalExecutor.governanceAddress = governance;
+  });
+
+  afterAll(() => {
+    proposalExecutor.signer = null;
+    proposalExecutor.governanceAddress = process.env.DAO_CONTRACT_ADDRESS;
+    provider.destroy();
+  });
+
+  beforeEach(async () => {
+    fromBlock = (await provider.getBlockNumber()) + 1;
+  });
+
+  const setRent = { signature: 'setRent(uint256)', args: [1500], value: '0' };
+
+  // Calls the recorder received since the test started
+  const recordedCalls = async () =>
+    (await provider.getLogs({ address: recorder, fromBlock })).map((log) => log.data);
+
+  const insertQueuedProposal = async (actions) =>
+    Proposal.create({
+      title: 'Raise the rent',
+      description: 'Raise the rent to 1500',
+      type: 'financial',
+      proposedBy: admin.id,
+      status: 'queued',
+      startTime: new Date('2024-03-01'),
+      endTime: new Date('2024-03-08'),
+      quorumThreshold: 0.1,
+      approvalThreshold: 0.6,
+      queuedAt: new Date('2024-03-08'),
+      eta: new Date('2024-03-10'),
+      actions,
+    });
+
+  describe('executor', () => {
+    let executor;
+
+    beforeEach(() => {
+      executor = new ProposalExecutor({ signer, governanceAddress: governance, confirmations: 1 });
+    });
+
+    it('submits an action through the governance contract', async () => {
+      const value = ethers.parseEther('0.5').toString();
+      const result = await executor.executeAction({ ...setRent, target: recorder, value });
+
+      expect(result).toMatchObject({ status: 'success', transactionHash: expect.any(String) });
+      const receipt = await provider.getTransactionReceipt(result.transactionHash);
+      expect(receipt.to).toBe(governance);
+      expect(result.blockNumber).toBe(receipt.blockNumber);
+
+      expect(await recordedCalls()).toEqual([
+        new ethers.Interface(['function setRent(uint256)']).encodeFunctionData('setRent', [1500]),
+      ]);
+      expect(await provider.getBalance(recorder)).toBe(ethers.parseEther('0.5'));
+    });
+
+    it('sends action values in wei without rounding them', async () => {
+      const encode = (value) =>
+        executor.encodeAction({ ...setRent, target: recorder, value }).value;
+
+      expect(encode('100')).toBe(100n);
+      expect(encode('123456789012345678901234567890')).toBe(123456789012345678901234567890n);
+      expect(() => encode('0.5')).toThrow('Invalid action "setRent(uint256)"');
+    });
+
+    it('fails an action the target reverts', async () => {
+      const onSubmitted = jest.fn();
+      const result = await executor.executeAction({ ...setRent, target: reverter }, onSubmitted);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toEqual(expect.any(String));
+      expect(onSubmitted).not.toHaveBeenCalled();
+    });
+
+    it('waits for the configured confirmations before returning a receipt', async () => {
+      executor = new ProposalExecutor({ signer, governanceAddress: governance, confirmations: 2 });
+      const tx = await executor.submitAction({ ...setRent, target: recorder });
+      await tx.wait();
+
+      expect(await executor.getReceipt(tx.hash)).toBeNull();
+
+      await provider.send('evm_mine', []);
+      const receipt = await executor.getReceipt(tx.hash);
+      expect(receipt.status).toBe(1);
+      expect(receipt.hash).toBe(tx.hash);
+    });
+  });
+
+  it('executes a queued proposal once its timelock has expired', async () => {
+    const proposal = await insertQueuedProposal([
+      { ...setRent, target: recorder },
+      { ...setRent, target: recorder, args: [1600] },
+    ]);
+
+    await expect(
+      governanceService.executeProposal(proposal._id, admin, new Date('2024-03-09'))
+    ).rejects.toThrow('Timelock expires at');
+
+    const result = await governanceService.executeProposal(
+      proposal._id,
+      admin,
+      new Date('2024-03-10')
+    );
+    expect(result.status).toBe('executed');
+    expect(result.executionResults.map((action) => action.status)).toEqual(['success', 'success']);
+    expect(await recordedCalls()).toHaveLength(2);
+
+    const stored = await Proposal.findById(proposal._id).lean();
+    expect(stored.status).toBe('executed');
+    expect(stored.executionStartedAt).toBeNull();
+    const receipt = await provider.getTransactionReceipt(
+      stored.executionResults[1].transactionHash
+    );
+    expect(stored.executionResults[1].blockNumber).toBe(receipt.blockNumber);
+  });
+
+  it('stops at a failed action and resumes after the confirmed ones', async () => {
+    const proposal = await insertQueuedProposal([
+      { ...setRent, target: recorder },
+      { ...setRent, target: reverter },
+      { ...setRent, target: recorder, args: [1600] },
+    ]);
+    const now = new Date('2024-03-10');
+
+    const first = await governanceService.executeProposal(proposal._id, admin, now);
+    expect(first.status).toBe('queued');
+    expect(first.executionResults.map((action) => action.status)).toEqual(['success', 'failed']);
+
+    // The confirmed first action is not submitted again
+    const second = await governanceService.executeProposal(proposal._id, admin, now);
+    expect(second.executionResults[0].transactionHash).toBe(
+      first.executionResults[0].transactionHash
+    );
+    expect(second.executionResults[1].status).toBe('failed');
+    expect(await recordedCalls()).toHaveLength(1);
+
+    const stored = await Proposal.findById(proposal._id).lean();
+    expect(stored.status).toBe('queued');
+    expect(stored.executionResults).toHaveLength(2);
+  });
+});
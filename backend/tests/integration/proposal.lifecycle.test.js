@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Proposal = require('../../src/models/Proposal');
+const Vote = require('../../src/models/Vote');
+const governanceService = require('../../src/services/governance.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Proposal cancellation and vote changes', () => {
+  let holders;
+  let propertyId;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    holders = await Promise.all(
+      [0, 1].map((index) =>
+        insertUser({ username: `holder_${index}`, walletAddress: walletAddress(index) })
+      )
+    );
+
+    propertyId = (
+      await insertNFT({
+        availableShares: 0,
+        ownership: [
+          { owner: holders[0]._id, shares: 75 },
+          { owner: holders[1]._id, shares: 25 },
+        ],
+      })
+    ).propertyId;
+  });
+
+  const createProposal = async (fields = {}) => {
+    const proposal = await Proposal.create({
+      title: 'Replace the roof',
+      description: 'Replace the roof before winter',
+      type: 'property_management',
+      propertyId,
+      proposedBy: holders[0]._id,
+      startTime: new Date(Date.now() - HOUR_MS),
+      endTime: new Date(Date.now() + HOUR_MS),
+      quorumThreshold: 0.5,
+      approvalThreshold: 0.6,
+      ...fields,
+    });
+    await governanceService.activateProposal(proposal._id);
+    return proposal._id;
+  };
+
+  const asUser = (holder, role = 'user') => ({ id: holder._id.toString(), role });
+
+  const vote = (proposalId, holder, support) =>
+    governanceService.voteOnProposal({ proposalId, voterId: holder._id.toString(), support });
+
+  it('lets the proposer or an admin cancel an open proposal, and ends voting on it', async () => {
+    const proposalId = await createProposal();
+
+    await expect(
+      governanceService.cancelProposal(proposalId, asUser(holders[1]), 'Not needed')
+    ).rejects.toThrow('Unauthorized to cancel this proposal');
+
+    const cancelled = await governanceService.cancelProposal(
+      proposalId,
+      asUser(holders[0]),
+      'Roof was repaired under warranty'
+    );
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancelledBy.toString()).toBe(holders[0]._id.toString());
+    expect(cancelled.cancellationReason).toBe('Roof was repaired under warranty');
+
+    await expect(vote(proposalId, holders[1], 'for')).rejects.toThrow(
+      'Proposal is not active for voting'
+    );
+    await expect(
+      governanceService.cancelProposal(proposalId, asUser(holders[0]), 'Again')
+    ).rejects.toThrow('Cannot cancel proposal: Only pending or active proposals can be cancelled');
+
+    const admin = { id: new mongoose.Types.ObjectId().toString(), role: ['admin'] };
+    const pendingId = (
+      await Proposal.create({
+        title: 'Paint the facade',
+        description: 'Paint the facade in spring',
+        type: 'property_management',
+        propertyId,
+        proposedBy: holders[1]._id,
+        startTime: new Date(Date.now() + HOUR_MS),
+        endTime: new Date(Date.now() + 2 * HOUR_MS),
+        quorumThreshold: 0.5,
+        approvalThreshold: 0.6,
+      })
+    )._id;
+    expect((await governanceService.cancelProposal(pendingId, admin, 'Duplicate')).status).toBe(
+      'cancelled'
+    );
+  });
+
+  it('replaces a changed vote when the proposal allows it', async () => {
+    const proposalId = await createProposal({ allowVoteChange: true });
+
+    await vote(proposalId, holders[0], 'for');
+    const changed = await vote(proposalId, holders[0], 'against');
+
+    expect(changed.support).toBe('against');
+    expect(changed.previousSupport).toBe('for');
+    expect(changed.changeCount).toBe(1);
+    expect(await Vote.countDocuments({ proposalId })).toBe(1);
+
+    const proposal = await Proposal.findById(proposalId).lean();
+    expect(proposal.votesFor).toBe(0);
+    expect(proposal.votesAgainst).toBe(75);
+  });
+
+  it('keeps the first vote when the proposal does not allow changes', async () => {
+    const proposalId = await createProposal();
+
+    await vote(proposalId, holders[0], 'for');
+    await expect(vote(proposalId, holders[0], 'against')).rejects.toThrow(
+      'Already voted on this proposal'
+    );
+
+    const proposal = await Proposal.findById(proposalId).lean();
+    expect(proposal.votesFor).toBe(75);
+    expect(proposal.votesAgainst).toBe(0);
+  });
+});
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const NFT = require('../../src/models/NFT');
+const Proposal = require('../../src/models/Proposal');
+const Vote = require('../../src/models/Vote');
+const VotingSnapshot = require('../../src/models/VotingSnapshot');
+const governanceService = require('../../src/services/governance.service');
+const { ProposalScheduler } = require('../../src/services/proposalScheduler.service');
+const { MemoryLock } = require('../../src/utils/lock');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+const START = new Date('2024-03-01T00:00:00Z');
+const END = new Date('2024-03-08T00:00:00Z');
+
+describe('Proposal scheduler', () => {
+  let holders;
+  let nftId;
+  let proposalId;
+  let now;
+  let lock;
+  let scheduler;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    holders = await Promise.all(
+      [0, 1].map((index) =>
+        insertUser({ username: `holder_${index}`, walletAddress: walletAddress(index) })
+      )
+    );
+
+    const nft = await insertNFT({
+      availableShares: 0,
+      ownership: [
+        { owner: holders[0]._id, shares: 75 },
+        { owner: holders[1]._id, shares: 25 },
+      ],
+    });
+    nftId = nft._id;
+
+    proposalId = (
+      await Proposal.create({
+        title: 'Replace the roof',
+        description: 'Replace the roof before winter',
+        type: 'property_management',
+        propertyId: nft.propertyId,
+        proposedBy: holders[0]._id,
+        startTime: START,
+        endTime: END,
+        quorumThreshold: 0.5,
+        approvalThreshold: 0.6,
+      })
+    )._id;
+
+    // The scheduler only knows the time through its clock
+    now = new Date(START.getTime() - 60 * 1000);
+    lock = new MemoryLock({ clock: () => now.getTime() });
+    scheduler = new ProposalScheduler({ clock: () => now, lock });
+  });
+
+  const status = async () => (await Proposal.findById(proposalId).lean()).status;
+
+  it('opens a proposal at its start time and snapshots voting power', async () => {
+    expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 0 });
+    expect(await status()).toBe('pending');
+    expect(await VotingSnapshot.countDocuments({ proposalId })).toBe(0);
+
+    now = START;
+    const activated = jest.fn();
+    scheduler.on('proposal:activated', activated);
+
+    expect(await scheduler.tick()).toEqual({ activated: 1, finalized: 0 });
+    expect(await status()).toBe('active');
+    expect(activated).toHaveBeenCalledTimes(1);
+
+    const snapshot = await VotingSnapshot.find({ proposalId }).sort({ shares: -1 }).lean();
+    expect(snapshot.map((entry) => entry.shares)).toEqual([75, 25]);
+    expect(snapshot[0].takenAt).toEqual(START);
+
+    // Already active: a later tick has nothing to open
+    expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 0 });
+  });
+
+  it('closes a proposal after its end time on the snapshot tally', async () => {
+    now = START;
+    await scheduler.tick();
+
+    await Vote.create({
+      proposalId,
+      voter: holders[0]._id,
+      support: 'for',
+      votingPower: 75,
+      directVotingPower: 75,
+    });
+
+    // Shares moving after the snapshot change neither quorum nor the tally
+    await NFT.updateOne({ _id: nftId }, { ownership: [{ owner: holders[1]._id, shares: 100 }] });
+
+    now = END;
+    expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 0 });
+    expect(await status()).toBe('active');
+
+    now = new Date(END.getTime() + 1);
+    const succeeded = jest.fn();
+    scheduler.on('proposal:succeeded', succeeded);
+
+    expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 1 });
+    const proposal = await Proposal.findById(proposalId).lean();
+    expect(proposal.status).toBe('succeeded');
+    expect(proposal.endedAt).toEqual(now);
+    expect(proposal.result).toMatchObject({
+      eligibleShares: 100,
+      quorumVotes: 75,
+      quorumMet: true,
+    });
+    expect(succeeded).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts the shares holders hold as eligible, not the unsold supply', async () => {
+    // Minted with 200 shares, of which the holders bought 100
+    const minter = await insertUser({ username: 'minter', walletAddress: walletAddress(2) });
+    await NFT.updateOne(
+      { _id: nftId },
+      {
+        totalShares: 200,
+        availableShares: 100,
+        mintedBy: minter._id,
+        $push: { ownership: { owner: minter._id, shares: 200 } },
+      }
+    );
+
+    const pending = await Proposal.findById(proposalId).lean();
+    expect(await governanceService.getEligibleShares(pending)).toBe(100);
+
+    now = START;
+    await scheduler.tick();
+    const active = await Proposal.findById(proposalId).lean();
+    expect(await governanceService.getEligibleShares(active)).toBe(100);
+    expect(await VotingSnapshot.countDocuments({ proposalId, shares: { $gt: 0 } })).toBe(2);
+  });
+
+  it('defeats a proposal that misses quorum', async () => {
+    now = START;
+    await scheduler.tick();
+
+    await Vote.create({
+      proposalId,
+      voter: holders[1]._id,
+      support: 'for',
+      votingPower: 25,
+      directVotingPower: 25,
+    });
+
+    now = new Date(END.getTime() + 1);
+    await scheduler.tick();
+
+    const proposal = await Proposal.findById(proposalId).lean();
+    expect(proposal.status).toBe('defeated');
+    expect(proposal.result).toMatchObject({
+      quorumRequired: 50,
+      quorumMet: false,
+      approvalMet: true,
+    });
+  });
+
+  it('keeps a proposal active when its tally cannot be read and finalizes it on a later tick', async () => {
+    now = START;
+    await scheduler.tick();
+
+    await Vote.create({
+      proposalId,
+      voter: holders[0]._id,
+      support: 'for',
+      votingPower: 75,
+      directVotingPower: 75,
+    });
+
+    now = new Date(END.getTime() + 1);
+    const find = jest
+      .spyOn(Vote, 'find')
+      .mockImplementationOnce(() => Promise.reject(new Error('Connection reset')));
+
+    try {
+      expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 0 });
+      expect(await status()).toBe('active');
+    } finally {
+      find.mockRestore();
+    }
+
+    expect(await scheduler.tick()).toEqual({ activated: 0, finalized: 1 });
+    expect(await status()).toBe('succeeded');
+  });
+
+  it('leaves due proposals to the instance holding the lock until it expires', async () => {
+    const other = new ProposalScheduler({ clock: () => now, lock });
+    now = START;
+    await lock.acquire(other.lockKey, other.lockTtlMs);
+
+    expect(await scheduler.tick()).toBeNull();
+    expect(await status()).toBe('pending');
+
+    now = new Date(START.getTime() + other.lockTtlMs);
+    expect(await scheduler.tick()).toEqual({ activated: 1, finalized: 0 });
+    expect(await status()).toBe('active');
+  });
+
+  it('keeps going when one proposal fails to open', async () => {
+    const failing = new mongoose.Types.ObjectId();
+    await Proposal.collection.insertOne({
+      _id: failing,
+      status: 'pending',
+      startTime: new Date(START.getTime() - 1),
+    });
+
+    const governance = {
+      activateProposal: (id, at) =>
+        id.equals(failing)
+          ? Promise.reject(new Error('Snapshot failed'))
+          : governanceService.activateProposal(id, at),
+    };
+    scheduler = new ProposalScheduler({ clock: () => now, lock, governance });
+
+    now = START;
+    expect(await scheduler.tick()).toEqual({ activated: 1, finalized: 0 });
+    expect(await status()).toBe('active');
+  });
+});
@@ -0,0 +1,94 @@
+const NFT = require('../../src/models/NFT');
+const Quote = require('../../src/models/Quote');
+const Transaction = require('../../src/models/Transaction');
+const nftService = require('../../src/services/nft.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser, insertNFT } = require('../helpers/fixtures');
+
+// Well past PURCHASE_RECOVERY_AFTER_SECONDS
+const recoveryTime = () => new Date(Date.now() + 11 * 60 * 1000);
+
+describe('Interrupted purchases', () => {
+  let buyer;
+  let nft;
+  let quote;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    buyer = await insertUser({ walletBalance: 100 });
+    nft = await insertNFT({ availableShares: 10 });
+    quote = await nftService.createQuote({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quantity: 2,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const purchase = () =>
+    nftService.purchaseNFT({
+      nftId: nft._id.toString(),
+      buyerId: buyer._id.toString(),
+      quoteId: quote._id.toString(),
+      paymentMethod: 'wallet',
+    });
+
+  it('completes a purchase interrupted after its shares were allocated', async () => {
+    jest
+      .spyOn(nftService, 'postPurchaseSettlement')
+      .mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(purchase()).rejects.toThrow('Connection lost');
+    const transaction = await Transaction.findOne({ quoteId: quote._id }).lean();
+    expect(transaction.status).toBe('pending');
+
+    // Requests still in progress are left alone
+    expect(await nftService.resolveStalePurchases()).toEqual({ completed: 0, failed: 0 });
+    expect(await nftService.resolveStalePurchases({ now: recoveryTime() })).toEqual({
+      completed: 1,
+      failed: 0,
+    });
+
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('completed');
+    expect(await ledgerService.getEntry(`${transaction._id}:settlement`)).not.toBeNull();
+    expect(await ledgerService.getWalletBalance(buyer._id)).toBe(80);
+
+    const updated = await NFT.findById(nft._id).lean();
+    expect(updated.pendingAllocations).toHaveLength(0);
+    expect(updated.ownership[0].shares).toBe(2);
+    expect((await Quote.findById(quote._id).lean()).transactionId).toEqual(transaction._id);
+
+    expect(await nftService.resolveStalePurchases({ now: recoveryTime() })).toEqual({
+      completed: 0,
+      failed: 0,
+    });
+  });
+
+  it('refunds a purchase interrupted before its shares were allocated', async () => {
+    jest.spyOn(nftService, 'updateOwnership').mockRejectedValueOnce(new Error('Connection lost'));
+    jest.spyOn(nftService, 'failPurchase').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(purchase()).rejects.toThrow('Connection lost');
+    const transaction = await Transaction.findOne({ quoteId: quote._id }).lean();
+    expect(transaction.status).toBe('pending');
+    expect(await ledgerService.getWalletBalance(buyer._id)).toBe(80);
+
+    expect(await nftService.resolveStalePurchases({ now: recoveryTime() })).toEqual({
+      completed: 0,
+      failed: 1,
+    });
+
+    expect((await Transaction.findById(transaction._id).lean()).status).toBe('failed');
+    expect(await ledgerService.getWalletBalance(buyer._id)).toBe(100);
+    expect((await NFT.findById(nft._id).lean()).ownership).toHaveLength(0);
+
+    // The quote can be used again
+    expect((await Quote.findById(quote._id).lean()).status).toBe('active');
+    expect((await purchase()).status).toBe('completed');
+  });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const NFT = require('../../src/models/NFT');
+const ScreeningEvent = require('../../src/models/ScreeningEvent');
+const screeningService = require('../../src/services/screening.service');
+const nftService = require('../../src/services/nft.service');
+const { FileScreeningList } = require('../../src/utils/screeningLists');
+const { useTestDatabase } = require('../helpers/database');
+const { insertUser, insertNFT } = require('../helpers/fixtures');
+
+const fixture = name => path.join(__dirname, '../fixtures', name);
+
+describe('Wallet screening', () => {
+  let nftId;
+  let users;
+  const admin = { id: new mongoose.Types.ObjectId() };
+
+  useTestDatabase();
+
+  beforeAll(() => {
+    screeningService.setList(new FileScreeningList({ filePath: fixture('sanctions.csv') }));
+  });
+
+  afterAll(() => {
+    screeningService.setList(null);
+  });
+
+  beforeEach(async () => {
+    users = {
+      seller: await insertUser({
+        username: 'seller',
+        walletAddress: '0x0000000000000000000000000000000000000001'
+      }),
+      listed: await insertUser({
+        username: 'listed',
+        walletAddress: '0x00000000000000000000000000000000000000Aa'
+      })
+    };
+
+    nftId = (await insertNFT({ ownership: [{ owner: users.seller._id, shares: 10 }] }))._id;
+  });
+
+  const transferToListed = () => nftService.transferNFT({
+    nftId,
+    fromUserId: users.seller._id.toString(),
+    recipientAddress: users.listed.walletAddress,
+    quantity: 1
+  });
+
+  it('reads CSV and JSON lists case-insensitively', async () => {
+    for (const name of ['sanctions.csv', 'sanctions.json']) {
+      const list = new FileScreeningList({ filePath: fixture(name) });
+
+      expect(await list.lookup('0x00000000000000000000000000000000000000AA')).not.toBeNull();
+      expect(await list.lookup('0x00000000000000000000000000000000000000bb'))
+        .toMatchObject({ list: 'risk-feed', reason: 'Mixer exposure' });
+      expect(await list.lookup('0x0000000000000000000000000000000000000001')).toBeNull();
+    }
+  });
+
+  it('blocks transfers to listed wallets and records the attempt', async () => {
+    await expect(transferToListed()).rejects.toThrow('Address blocked');
+
+    const events = await ScreeningEvent.find().lean();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      address: users.listed.walletAddress.toLowerCase(),
+      action: 'transfer',
+      result: 'blocked',
+      match: { list: 'OFAC-SDN' }
+    });
+    expect(events[0].user.equals(users.seller._id)).toBe(true);
+
+    const nft = await NFT.findById(nftId).lean();
+    expect(nft.ownership).toHaveLength(1);
+  });
+
+  it('lets overridden wallets through until the override is revoked', async () => {
+    await expect(transferToListed()).rejects.toThrow('Address blocked');
+    const blocked = await ScreeningEvent.findOne({ result: 'blocked' }).lean();
+
+    const override = await screeningService.createOverride({
+      eventId: blocked._id,
+      reason: 'False positive confirmed with the list provider'
+    }, admin);
+    expect(override.address).toBe(blocked.address);
+
+    await transferToListed();
+    const overridden = await ScreeningEvent.findOne({ result: 'overridden' }).lean();
+    expect(overridden.overrideId.equals(override._id)).toBe(true);
+
+    await screeningService.revokeOverride(override._id, admin);
+    await expect(screeningService.revokeOverride(override._id, admin))
+      .rejects.toThrow('Screening override already revoked');
+    await expect(transferToListed()).rejects.toThrow('Address blocked');
+
+    const { total } = await screeningService.getEvents({ result: 'blocked' });
+    expect(total).toBe(2);
+  });
+
+  it('refuses wallet-bound actions when the list cannot be read', async () => {
+    screeningService.setList(new FileScreeningList({ filePath: fixture('missing.csv') }));
+
+    try {
+      await expect(screeningService.ensureAllowed({
+        address: users.seller.walletAddress,
+        action: 'payout'
+      })).rejects.toThrow('Screening unavailable');
+    } finally {
+      screeningService.setList(new FileScreeningList({ filePath: fixture('sanctions.csv') }));
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const { ethers } = require('ethers');
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+const authService = require('../../src/services/auth.service');
+const { buildSiweMessage } = require('../../src/utils/siwe');
+const { useTestDatabase } = require('../helpers/database');
+
+describe('Sign-In with Ethereum', () => {
+  let wallet;
+
+  useTestDatabase();
+
+  beforeEach(() => {
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  // A message for the default allowed domain and chain, with a fresh nonce
+  const signIn = async (signer = wallet, fields = {}) => {
+    const { nonce } = await authService.createNonce({ ipAddress: '127.0.0.1' });
+    const message = buildSiweMessage({
+      domain: 'localhost:3000',
+      address: wallet.address,
+      statement: 'Sign in to CoinEstate',
+      uri: 'http://localhost:3000',
+      chainId: 1,
+      nonce,
+      ...fields,
+    });
+    const signature = await signer.signMessage(message);
+    return { message, signature };
+  };
+
+  it('opens a session for the wallet that signed the message', async () => {
+    const session = await authService.verifySiwe(await signIn());
+
+    expect(session.user.walletAddress).toBe(wallet.address);
+    expect(session.chainId).toBe(1);
+    expect(session.accessToken).toEqual(expect.any(String));
+    expect(await User.countDocuments({ walletAddress: wallet.address })).toBe(1);
+  });
+
+  it('rejects a message signed by another wallet or for another domain', async () => {
+    await expect(
+      authService.verifySiwe(await signIn(ethers.Wallet.createRandom()))
+    ).rejects.toThrow('Signer does not match address');
+    await expect(
+      authService.verifySiwe(await signIn(wallet, { domain: 'evil.example' }))
+    ).rejects.toThrow('Domain evil.example is not allowed');
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it('accepts a signed message once', async () => {
+    const signed = await signIn();
+    await authService.verifySiwe(signed);
+
+    await expect(authService.verifySiwe(signed)).rejects.toThrow('Invalid nonce');
+    expect(await RefreshToken.countDocuments()).toBe(1);
+  });
+
+  it('rotates the refresh token and ends every session when a rotated one is reused', async () => {
+    const session = await authService.verifySiwe(await signIn());
+    const other = await authService.verifySiwe(await signIn());
+
+    const refreshed = await authService.refreshSession({ refreshToken: session.refreshToken });
+    expect(refreshed.refreshToken).not.toBe(session.refreshToken);
+    expect(refreshed.user.walletAddress).toBe(wallet.address);
+
+    await expect(
+      authService.refreshSession({ refreshToken: session.refreshToken })
+    ).rejects.toThrow('Invalid refresh token');
+    await expect(
+      authService.refreshSession({ refreshToken: refreshed.refreshToken })
+    ).rejects.toThrow('Invalid refresh token');
+    await expect(authService.refreshSession({ refreshToken: other.refreshToken })).rejects.toThrow(
+      'Invalid refresh token'
+    );
+  });
+
+  it('rotates a refresh token once when it is presented concurrently', async () => {
+    const session = await authService.verifySiwe(await signIn());
+
+    const results = await Promise.allSettled(
+      [0, 1, 2].map(() => authService.refreshSession({ refreshToken: session.refreshToken }))
+    );
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect(
+      results
+        .filter((result) => result.status === 'rejected')
+        .map((result) => result.reason.message)
+    ).toEqual(['Invalid refresh token', 'Invalid refresh token']);
+
+    const rotated = await RefreshToken.find({ replacedBy: { $ne: null } });
+    expect(rotated).toHaveLength(1);
+  });
+});
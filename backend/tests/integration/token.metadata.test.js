@@ -0,0 +1,59 @@
+const express = require('express');
+const request = require('supertest');
+const nftRoutes = require('../../src/routes/nft.routes');
+const { useTestDatabase } = require('../helpers/database');
+const { insertProperty, insertNFT } = require('../helpers/fixtures');
+
+// 64 decimal digits, the same length as the hex form of an ID
+const LONG_DECIMAL_ID = `1${'0'.repeat(62)}7`;
+
+const hexId = (id) => BigInt(id).toString(16).padStart(64, '0');
+
+describe('Token metadata route', () => {
+  let app;
+
+  useTestDatabase();
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/v1/nfts', nftRoutes);
+  });
+
+  beforeEach(async () => {
+    const property = await insertProperty({ title: 'Harbour Lofts', category: 'residential' });
+    await insertNFT({ propertyId: property._id, tokenId: '42' });
+    await insertNFT({
+      propertyId: property._id,
+      tokenId: LONG_DECIMAL_ID,
+      metadata: { name: 'Harbour Lofts Series B' },
+    });
+  });
+
+  const metadata = (tokenId) => request(app).get(`/api/v1/nfts/metadata/${tokenId}.json`);
+
+  it('serves a token by its decimal ID and by the padded hex form of the ID', async () => {
+    const decimal = await metadata('42');
+    expect(decimal.status).toBe(200);
+    expect(decimal.body).toMatchObject({ name: 'Harbour Lofts Shares', decimals: 0 });
+
+    const hex = await metadata(hexId(42));
+    expect(hex.status).toBe(200);
+    expect(hex.body).toEqual(decimal.body);
+    expect((await metadata(hexId(42).toUpperCase())).body).toEqual(decimal.body);
+  });
+
+  it('reads a 64 digit decimal ID as decimal', async () => {
+    const response = await metadata(LONG_DECIMAL_ID);
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe('Harbour Lofts Series B');
+    expect((await metadata(hexId(LONG_DECIMAL_ID))).body.name).toBe('Harbour Lofts Series B');
+  });
+
+  it('rejects malformed IDs and reports unknown ones', async () => {
+    expect((await metadata('0x2a')).status).toBe(400);
+    expect((await metadata('2a')).status).toBe(400);
+    expect((await metadata('43')).status).toBe(404);
+    expect((await metadata(hexId(43))).status).toBe(404);
+  });
+});
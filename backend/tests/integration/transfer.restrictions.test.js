@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const NFT = require('../../src/models/NFT');
+const Order = require('../../src/models/Order');
+const nftService = require('../../src/services/nft.service');
+const marketService = require('../../src/services/market.service');
+const transferRestrictionService = require('../../src/services/transferRestriction.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertProperty, insertNFT } = require('../helpers/fixtures');
+
+const { TransferRestrictedError } = transferRestrictionService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Transfer restrictions', () => {
+  let propertyId;
+  let nftId;
+  let users;
+  const admin = { id: new mongoose.Types.ObjectId() };
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    const user = (username, index, kycStatus = 'approved') => insertUser({
+      username,
+      walletAddress: walletAddress(index),
+      walletBalance: 1000,
+      kycStatus
+    });
+
+    users = {
+      seller: await user('seller', 0),
+      buyer: await user('buyer', 1),
+      unverified: await user('unverified', 2, 'pending')
+    };
+
+    propertyId = (await insertProperty())._id;
+    nftId = (await insertNFT({
+      propertyId,
+      ownership: [{
+        owner: users.seller._id,
+        shares: 10,
+        purchaseDate: new Date(Date.now() - 10 * DAY_MS),
+        purchasePrice: 10
+      }]
+    }))._id;
+  });
+
+  const transfer = (recipient, quantity = 1) => nftService.transferNFT({
+    nftId,
+    fromUserId: users.seller._id.toString(),
+    recipientAddress: recipient.walletAddress,
+    quantity
+  });
+
+  it('reports every violated restriction as a structured error', async () => {
+    await transferRestrictionService.updateRestrictions(propertyId, { lockupDays: 30 }, admin);
+
+    const error = await transfer(users.unverified).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TransferRestrictedError);
+    expect(error.violations.map(({ code, party }) => [code, party])).toEqual([
+      ['LOCKUP_ACTIVE', 'sender'],
+      ['RECIPIENT_NOT_WHITELISTED', 'recipient']
+    ]);
+    expect(error.violations[0].details.unlocksAt.getTime())
+      .toBeGreaterThan(Date.now() + 19 * DAY_MS);
+  });
+
+  it('locks up shares added to a holding from the day they arrive', async () => {
+    await NFT.updateOne({ _id: nftId }, {
+      $set: { 'ownership.0.purchaseDate': new Date(Date.now() - 40 * DAY_MS) },
+      $push: {
+        ownership: {
+          owner: users.buyer._id,
+          shares: 3,
+          purchaseDate: new Date(Date.now() - 40 * DAY_MS),
+          purchasePrice: 10
+        }
+      }
+    });
+    await transferRestrictionService.updateRestrictions(propertyId, { lockupDays: 30 }, admin);
+
+    // The buyer's holding is topped up with shares that start a new lockup
+    await transfer(users.buyer, 4);
+
+    const giveBack = quantity => nftService.transferNFT({
+      nftId,
+      fromUserId: users.buyer._id.toString(),
+      recipientAddress: users.seller.walletAddress,
+      quantity
+    });
+
+    const error = await giveBack(4).catch(caught => caught);
+    expect(error).toBeInstanceOf(TransferRestrictedError);
+    expect(error.violations[0].details.unlockedShares).toBe(3);
+    expect(error.violations[0].details.unlocksAt.getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+
+    await giveBack(3);
+    await expect(giveBack(1)).rejects.toThrow('Transfer restricted: Shares are locked up until');
+
+    const nft = await NFT.findById(nftId).lean();
+    const buyer = nft.ownership.find(entry => entry.owner.equals(users.buyer._id));
+    expect(buyer.shares).toBe(4);
+    expect(buyer.lots).toHaveLength(1);
+  });
+
+  it('only allows transfers inside a transfer window', async () => {
+    const now = Date.now();
+    await transferRestrictionService.updateRestrictions(propertyId, {
+      transferWindows: [{ startsAt: new Date(now + DAY_MS), endsAt: new Date(now + 2 * DAY_MS) }]
+    }, admin);
+
+    const error = await transfer(users.buyer).catch(caught => caught);
+    expect(error.violations.map(violation => violation.code)).toEqual(['TRANSFER_WINDOW_CLOSED']);
+
+    await transferRestrictionService.updateRestrictions(propertyId, {
+      transferWindows: [{ startsAt: new Date(now - DAY_MS), endsAt: new Date(now + DAY_MS) }]
+    }, admin);
+    await transfer(users.buyer);
+
+    const nft = await NFT.findById(nftId).lean();
+    expect(nft.ownership.find(entry => entry.owner.equals(users.buyer._id)).shares).toBe(1);
+  });
+
+  it('applies the same restrictions to secondary sales', async () => {
+    await transferRestrictionService.updateRestrictions(propertyId, { lockupDays: 30 }, admin);
+
+    await expect(marketService.placeOrder({
+      nftId,
+      traderId: users.seller._id,
+      side: 'ask',
+      quantity: 2,
+      limitPrice: 10
+    })).rejects.toThrow('Transfer restricted: Shares are locked up until');
+
+    // A resting bid whose buyer is no longer whitelisted is cancelled at settlement
+    const { order: bid } = await marketService.placeOrder({
+      nftId,
+      traderId: users.buyer._id,
+      side: 'bid',
+      quantity: 2,
+      limitPrice: 10
+    });
+
+    await transferRestrictionService.updateRestrictions(propertyId, { lockupDays: 0 }, admin);
+    await User.updateOne({ _id: users.buyer._id }, { kycStatus: 'rejected' });
+
+    const { fills } = await marketService.placeOrder({
+      nftId,
+      traderId: users.seller._id,
+      side: 'ask',
+      quantity: 2,
+      limitPrice: 10
+    });
+
+    expect(fills).toHaveLength(0);
+    const cancelled = await Order.findById(bid._id).lean();
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancelReason).toBe('transfer_restricted');
+  });
+});
@@ -0,0 +1,80 @@
+const Proposal = require('../../src/models/Proposal');
+const governanceService = require('../../src/services/governance.service');
+const nftService = require('../../src/services/nft.service');
+const { useTestDatabase } = require('../helpers/database');
+const { walletAddress, insertUser, insertNFT } = require('../helpers/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Voting snapshots', () => {
+  let holders;
+  let nftId;
+  let proposalId;
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    holders = await Promise.all(
+      [0, 1, 2].map((index) =>
+        insertUser({ username: `holder_${index}`, walletAddress: walletAddress(index) })
+      )
+    );
+
+    const nft = await insertNFT({
+      availableShares: 0,
+      ownership: [
+        { owner: holders[0]._id, shares: 60 },
+        { owner: holders[1]._id, shares: 40 },
+      ],
+    });
+    nftId = nft._id;
+
+    proposalId = (
+      await Proposal.create({
+        title: 'Refinance the mortgage',
+        description: 'Refinance at the lower rate',
+        type: 'financial',
+        propertyId: nft.propertyId,
+        proposedBy: holders[0]._id,
+        startTime: new Date(Date.now() - HOUR_MS),
+        endTime: new Date(Date.now() + HOUR_MS),
+        quorumThreshold: 0.5,
+        approvalThreshold: 0.6,
+      })
+    )._id;
+  });
+
+  const transfer = (from, to, quantity) =>
+    nftService.transferNFT({
+      nftId,
+      fromUserId: from._id.toString(),
+      recipientAddress: to.walletAddress,
+      quantity,
+    });
+
+  const vote = (holder, support) =>
+    governanceService.voteOnProposal({ proposalId, voterId: holder._id.toString(), support });
+
+  it('weights votes by the shares held when the proposal became active', async () => {
+    // Before the snapshot: counts for the recipient
+    await transfer(holders[0], holders[1], 20);
+
+    await governanceService.activateProposal(proposalId);
+
+    // After the snapshot: changes nothing for this proposal
+    await transfer(holders[0], holders[1], 40);
+    await transfer(holders[1], holders[2], 50);
+
+    expect((await vote(holders[0], 'against')).votingPower).toBe(40);
+    expect((await vote(holders[1], 'for')).votingPower).toBe(60);
+    await expect(vote(holders[2], 'for')).rejects.toThrow('No voting power for this proposal');
+
+    const proposal = await Proposal.findById(proposalId).lean();
+    expect(proposal.votesFor).toBe(60);
+    expect(proposal.votesAgainst).toBe(40);
+
+    const snapshot = await governanceService.getVoterSnapshot(proposalId, holders[2].walletAddress);
+    expect(snapshot.shares).toBe(0);
+    expect(snapshot.takenAt).toEqual(proposal.snapshotTakenAt);
+  });
+});
@@ -0,0 +1,176 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const OutboxEvent = require('../../src/models/OutboxEvent');
+const { WebhookService } = require('../../src/services/webhook.service');
+const { EventBus, EVENT_TYPES } = require('../../src/utils/eventBus');
+const { verifySignature } = require('../../src/utils/webhookSignature');
+const { useTestDatabase } = require('../helpers/database');
+
+const RETRY_BASE_MS = 1000;
+
+describe('Outbound webhooks', () => {
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+  const admin = { id: new mongoose.Types.ObjectId().toString() };
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    // Receiver recording every request
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responseStatus = 200;
+    // The unique indexes make publishing and queuing idempotent
+    await WebhookDelivery.createIndexes();
+    await OutboxEvent.createIndexes();
+  });
+
+  const setup = async (events = [EVENT_TYPES.NFT_MINTED]) => {
+    const webhooks = new WebhookService({ maxAttempts: 3, retryBaseMs: RETRY_BASE_MS });
+    const bus = new EventBus();
+
+    const subscription = await webhooks.createSubscription({ url, events }, admin);
+
+    // Publish and relay the outbox, as a dispatcher tick would
+    const publish = async (type, data, options) => {
+      const event = await bus.publish(type, data, options);
+      await webhooks.relayOutbox();
+      return event;
+    };
+
+    return { webhooks, bus, subscription, publish };
+  };
+
+  it('sends subscribed events with a verifiable signature', async () => {
+    const { webhooks, subscription, publish } = await setup();
+
+    const event = await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1', totalShares: 100 });
+    await publish(EVENT_TYPES.PROPOSAL_CREATED, { title: 'Not subscribed' });
+
+    const now = new Date();
+    expect(await webhooks.deliverDue({ now })).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+    expect(received).toHaveLength(1);
+
+    const [request] = received;
+    expect(request.headers['x-coinestate-event']).toBe(EVENT_TYPES.NFT_MINTED);
+    expect(request.headers['x-coinestate-event-id']).toBe(event.id);
+    expect(() => verifySignature(
+      Buffer.from(request.body),
+      request.headers['x-coinestate-signature'],
+      subscription.secret,
+      { now: now.getTime() }
+    )).not.toThrow();
+    expect(JSON.parse(request.body)).toEqual(event);
+  });
+
+  it('queues an event once per subscription', async () => {
+    const { webhooks, publish } = await setup();
+
+    const event = await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' });
+    expect(await webhooks.enqueue(event)).toBe(0);
+    expect(await WebhookDelivery.countDocuments({ eventId: event.id })).toBe(1);
+  });
+
+  it('relays each outbox event once', async () => {
+    const { webhooks, bus } = await setup();
+
+    const event = await bus.publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' });
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+
+    expect(await webhooks.relayOutbox()).toBe(1);
+    expect(await webhooks.relayOutbox()).toBe(0);
+    expect(await WebhookDelivery.countDocuments({ eventId: event.id })).toBe(1);
+
+    const stored = await OutboxEvent.findOne({ eventId: event.id }).lean();
+    expect(stored.dispatchedAt).toBeInstanceOf(Date);
+  });
+
+  it('publishes a keyed event once', async () => {
+    const { bus, publish } = await setup();
+    const listener = jest.fn();
+    bus.on(EVENT_TYPES.NFT_MINTED, listener);
+
+    const first = await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' }, { key: 'nft.minted:1' });
+    const again = await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' }, { key: 'nft.minted:1' });
+
+    expect(again).toEqual(first);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(await OutboxEvent.countDocuments()).toBe(1);
+    expect(await WebhookDelivery.countDocuments({ eventId: first.id })).toBe(1);
+  });
+
+  it('retries with exponential backoff and dead-letters after the last attempt', async () => {
+    const { webhooks, publish } = await setup();
+    responseStatus = 503;
+
+    await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' });
+
+    let now = new Date();
+    expect((await webhooks.deliverDue({ now })).retrying).toBe(1);
+    let delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery.nextAttemptAt.getTime() - now.getTime()).toBe(RETRY_BASE_MS);
+
+    // Not due yet
+    expect(await webhooks.deliverDue({ now })).toEqual({ succeeded: 0, retrying: 0, dead: 0 });
+
+    now = new Date(now.getTime() + RETRY_BASE_MS);
+    await webhooks.deliverDue({ now });
+    delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery.nextAttemptAt.getTime() - now.getTime()).toBe(2 * RETRY_BASE_MS);
+
+    now = new Date(now.getTime() + 2 * RETRY_BASE_MS);
+    expect((await webhooks.deliverDue({ now })).dead).toBe(1);
+
+    const { deliveries } = await webhooks.getDeliveries({ status: 'dead' });
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].attempts).toBe(3);
+    expect(deliveries[0].lastStatusCode).toBe(503);
+    expect(received).toHaveLength(3);
+  });
+
+  it('replays a dead delivery', async () => {
+    const { webhooks, publish } = await setup();
+    responseStatus = 500;
+
+    const event = await publish(EVENT_TYPES.NFT_MINTED, { tokenId: '1' });
+    let now = new Date();
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await webhooks.deliverDue({ now });
+      now = new Date(now.getTime() + 10 * RETRY_BASE_MS);
+    }
+
+    const dead = await WebhookDelivery.findOne({ status: 'dead' }).lean();
+    responseStatus = 200;
+
+    await webhooks.replayDelivery(dead._id, now);
+    await expect(webhooks.replayDelivery(dead._id, now))
+      .rejects.toThrow('Cannot replay delivery: Delivery is still pending');
+
+    expect((await webhooks.deliverDue({ now })).succeeded).toBe(1);
+
+    const replayed = await WebhookDelivery.findById(dead._id).lean();
+    expect(replayed.status).toBe('succeeded');
+    expect(replayed.replays).toBe(1);
+    expect(received[received.length - 1].headers['x-coinestate-event-id']).toBe(event.id);
+  });
+});
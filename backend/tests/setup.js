@@ -0,0 +1,6 @@
+// Shared test environment defaults
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// Starting an in-memory MongoDB can take a while on first run
+jest.setTimeout(60000);
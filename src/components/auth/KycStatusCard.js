@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from '../../context/AuthContext';
+import { kycApi } from '../../utils/kycApi';
+import { kycDataSchema, validateAndSanitize, validateFile } from '../../utils/validation';
+import { typography } from '../../utils/typography';
+
+const STATUS_DISPLAY = {
+  not_started: {
+    label: 'Not Verified',
+    dot: 'bg-gray-400',
+    text: 'text-gray-500',
+    description: 'Verify your identity to buy shares, bid on the market and vote on proposals.',
+  },
+  pending: {
+    label: 'Under Review',
+    dot: 'bg-yellow-500',
+    text: 'text-yellow-600',
+    description: 'Your documents have been submitted and are being reviewed.',
+  },
+  approved: {
+    label: 'Verified',
+    dot: 'bg-green-500',
+    text: 'text-green-600',
+    description: 'Your identity has been verified and you have full access to governance features.',
+  },
+  rejected: {
+    label: 'Rejected',
+    dot: 'bg-red-500',
+    text: 'text-red-600',
+    description: 'Your verification was rejected. Please update your information and submit again.',
+  },
+};
+
+const DOCUMENT_TYPES = [
+  { value: 'passport', label: 'Passport' },
+  { value: 'drivers_license', label: "Driver's License" },
+  { value: 'national_id', label: 'National ID' },
+];
+
+const EMPTY_FORM = {
+  firstName: '',
+  lastName: '',
+  dateOfBirth: '',
+  nationality: '',
+  documentType: 'passport',
+  documentNumber: '',
+};
+
+/**
+ * KycStatusCard Component
+ *
+ * Shows the signed-in user's identity verification status and lets them
+ * upload a document and submit their personal data while not yet verified.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.theme - Current theme ('light' or 'dark')
+ */
+const KycStatusCard = ({ theme }) => {
+  const { isAuthenticated, kycStatus, getAccessToken, refreshUser } = useAuth();
+
+  const [rejectionReason, setRejectionReason] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // The user only carries the status; the reason comes from the KYC endpoint
+  useEffect(() => {
+    if (!isAuthenticated || kycStatus !== 'rejected') {
+      setRejectionReason(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    kycApi.getStatus(getAccessToken())
+      .then((status) => {
+        if (!cancelled) setRejectionReason(status.rejectionReason);
+      })
+      .catch((err) => console.warn('Failed to load KYC status:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, kycStatus, getAccessToken]);
+
+  const display = STATUS_DISPLAY[kycStatus] || STATUS_DISPLAY.not_started;
+  const canSubmit = isAuthenticated && ['not_started', 'rejected'].includes(kycStatus);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    const validation = validateAndSanitize(form, kycDataSchema);
+    if (!validation.isValid) {
+      setError(validation.error);
+      return;
+    }
+
+    if (!file) {
+      setError('Please select a document to upload');
+      return;
+    }
+
+    const fileCheck = validateFile(file);
+    if (!fileCheck.isValid) {
+      setError(fileCheck.errors.join(', '));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const accessToken = getAccessToken();
+      await kycApi.uploadDocument({ file, type: validation.value.documentType }, accessToken);
+      await kycApi.submit(validation.value, accessToken);
+
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      setFile(null);
+      await refreshUser();
+    } catch (err) {
+      setError(err.message || 'Failed to submit verification');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${typography.bodySmall(theme)} ${
+    theme === 'dark' ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'
+  }`;
+
+  const buttonClass = `${typography.bodySmall(theme)} px-4 py-2 rounded-lg border transition-colors ${
+    theme === 'dark'
+      ? 'border-gray-600 text-gray-300 hover:bg-gray-700'
+      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+  }`;
+
+  return (
+    <div className={`p-4 border rounded-lg ${
+      theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+    }`}>
+      <h4 className={typography.h6(theme)}>
+        KYC Status
+      </h4>
+      <div className="flex items-center space-x-3 mb-3">
+        <div className={`w-3 h-3 ${display.dot} rounded-full`}></div>
+        <span className={`${typography.badge(theme)} ${display.text}`} data-testid="kyc-status">
+          {display.label}
+        </span>
+      </div>
+      <p className={`${typography.bodySmall(theme)} mb-4`}>
+        {display.description}
+      </p>
+      {rejectionReason && (
+        <p className={`${typography.bodySmall(theme)} mb-4 text-red-600`}>
+          Reason: {rejectionReason}
+        </p>
+      )}
+
+      {canSubmit && !showForm && (
+        <button type="button" className={buttonClass} onClick={() => setShowForm(true)}>
+          {kycStatus === 'rejected' ? 'Update KYC Information' : 'Start Verification'}
+        </button>
+      )}
+
+      {canSubmit && showForm && (
+        <form className="space-y-3" onSubmit={handleSubmit} noValidate>
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              name="firstName"
+              placeholder="First name"
+              aria-label="First name"
+              className={inputClass}
+              value={form.firstName}
+              onChange={handleChange}
+            />
+            <input
+              name="lastName"
+              placeholder="Last name"
+              aria-label="Last name"
+              className={inputClass}
+              value={form.lastName}
+              onChange={handleChange}
+            />
+            <input
+              name="dateOfBirth"
+              type="date"
+              aria-label="Date of birth"
+              className={inputClass}
+              value={form.dateOfBirth}
+              onChange={handleChange}
+            />
+            <input
+              name="nationality"
+              placeholder="Nationality (e.g. DE)"
+              aria-label="Nationality"
+              maxLength={2}
+              className={inputClass}
+              value={form.nationality}
+              onChange={(event) => handleChange({
+                target: { name: 'nationality', value: event.target.value.toUpperCase() },
+              })}
+            />
+            <select
+              name="documentType"
+              aria-label="Document type"
+              className={inputClass}
+              value={form.documentType}
+              onChange={handleChange}
+            >
+              {DOCUMENT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              name="documentNumber"
+              placeholder="Document number"
+              aria-label="Document number"
+              className={inputClass}
+              value={form.documentNumber}
+              onChange={handleChange}
+            />
+          </div>
+          <input
+            type="file"
+            aria-label="Identity document"
+            accept="image/jpeg,image/png,application/pdf"
+            className={typography.bodySmall(theme)}
+            onChange={(event) => setFile(event.target.files[0] || null)}
+          />
+
+          {error && (
+            <p role="alert" className={`${typography.bodySmall(theme)} text-red-600`}>
+              {error}
+            </p>
+          )}
+
+          <div className="flex space-x-3">
+            <button type="submit" className={buttonClass} disabled={isSubmitting}>
+              {isSubmitting ? 'Submitting...' : 'Submit for Verification'}
+            </button>
+            <button type="button" className={buttonClass} onClick={() => setShowForm(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+KycStatusCard.propTypes = {
+  theme: PropTypes.oneOf(['light', 'dark']).isRequired,
+};
+
+export default KycStatusCard;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
-import { useAuth } from '../../context/AuthContext';
+import { useAuth, getSessionUser } from '../../context/AuthContext';
 import LoadingSpinner from '../ui/LoadingSpinner';
 
 /**
@@ -35,19 +35,11 @@ const ProtectedRoute = ({
     isLoading = auth.isLoading;
     user = auth.user;
   } catch (error) {
-    // Auth context not available - fall back to mock authentication
-    console.warn('AuthContext not available, using mock authentication');
+    // Auth context not available - fall back to the stored session
+    console.warn('AuthContext not available, using stored session');
     
-    // Mock authentication logic for development
-    const mockWalletAddress = localStorage.getItem('mockWalletAddress');
-    const mockKYCStatus = localStorage.getItem('mockKYCStatus') === 'verified';
-    
-    isAuthenticated = !!mockWalletAddress;
-    user = mockWalletAddress ? {
-      walletAddress: mockWalletAddress,
-      kycVerified: mockKYCStatus,
-      roles: ['user']
-    } : null;
+    user = getSessionUser();
+    isAuthenticated = !!user;
   }
   
   // Show loading spinner while checking authentication
@@ -148,16 +140,9 @@ export const useProtectedRoute = () => {
     isAuthenticated = auth.isAuthenticated;
     user = auth.user;
   } catch (error) {
-    // Fallback to mock authentication
-    const mockWalletAddress = localStorage.getItem('mockWalletAddress');
-    const mockKYCStatus = localStorage.getItem('mockKYCStatus') === 'verified';
-    
-    isAuthenticated = !!mockWalletAddress;
-    user = mockWalletAddress ? {
-      walletAddress: mockWalletAddress,
-      kycVerified: mockKYCStatus,
-      roles: ['user']
-    } : null;
+    // Fallback to the stored session
+    user = getSessionUser();
+    isAuthenticated = !!user;
   }
   
   const checkPermission = (requiredRoles = [], requireKYC = false) => {
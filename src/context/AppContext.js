@@ -9,7 +9,6 @@ export const AppProvider = ({ children }) => {
     // User & Auth
     isConnected: false,
     walletAddress: '',
-    kycStatus: 'unverified',
     
     // UI State
     currentPage: 'home',
@@ -92,8 +91,7 @@ export const AppProvider = ({ children }) => {
         isConnected: true,
         walletAddress: mockAddress,
         nftAccess: mockNFTs,
-        loading: false,
-        kycStatus: 'verified' // Auto-verify for demo
+        loading: false
       });
 
       addNotification('Wallet connected successfully! NFT access credentials verified.', 'success');
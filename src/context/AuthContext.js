@@ -1,5 +1,15 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useMemo, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
+import { web3Provider, Web3Provider } from '../utils/web3';
+import {
+  authApi,
+  buildSiweMessage,
+  getStoredSession,
+  storeSession,
+  clearStoredSession,
+} from '../utils/authApi';
+
+const SIGN_IN_STATEMENT = 'Sign in to CoinEstate with your wallet.';
 
 // Initial authentication state
 const initialState = {
@@ -8,7 +18,7 @@ const initialState = {
   user: null,
   walletAddress: null,
   networkId: null,
-  kycStatus: 'pending', // 'pending', 'verified', 'rejected', 'required'
+  kycStatus: 'not_started', // 'not_started', 'pending', 'approved', 'rejected'
   error: null,
   isConnecting: false,
 };
@@ -76,7 +86,7 @@ const authReducer = (state, action) => {
         kycStatus: action.payload,
         user: state.user ? {
           ...state.user,
-          kycVerified: action.payload === 'verified',
+          kycVerified: action.payload === 'approved',
         } : null,
       };
     
@@ -97,96 +107,200 @@ const authReducer = (state, action) => {
   }
 };
 
+// Map the API user onto the shape consumed by the UI
+const toUserState = (apiUser) => {
+  const kycStatus = apiUser.kycStatus || 'not_started';
+  const roles = Array.isArray(apiUser.role) ? apiUser.role : [apiUser.role || 'user'];
+
+  return {
+    id: apiUser.id,
+    username: apiUser.username,
+    walletAddress: apiUser.walletAddress,
+    kycStatus,
+    kycVerified: kycStatus === 'approved',
+    roles,
+    joinedAt: apiUser.createdAt,
+  };
+};
+
 // Create context
 const AuthContext = createContext(undefined);
 
 // Auth Provider component
-export const AuthProvider = ({ children }) => {
+export const AuthProvider = ({ children, ethereum }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
   
-  // Check for existing authentication on mount
+  // Tests (and embedded wallets) can inject their own EIP-1193 provider
+  const web3 = useMemo(
+    () => (ethereum ? new Web3Provider(ethereum) : web3Provider),
+    [ethereum]
+  );
+  
+  // Latest wallet address for event handlers registered once
+  const walletAddressRef = useRef(null);
+  walletAddressRef.current = state.walletAddress;
+  
+  const applySession = useCallback((session) => {
+    const user = toUserState(session.user);
+    
+    dispatch({
+      type: ActionTypes.LOGIN_SUCCESS,
+      payload: {
+        user,
+        walletAddress: user.walletAddress,
+        networkId: session.chainId,
+      },
+    });
+    
+    dispatch({
+      type: ActionTypes.SET_KYC_STATUS,
+      payload: user.kycStatus,
+    });
+  }, []);
+  
+  const endSession = useCallback(async () => {
+    const session = getStoredSession();
+    clearStoredSession();
+    
+    if (session?.refreshToken) {
+      try {
+        await authApi.logout(session.refreshToken);
+      } catch (error) {
+        console.warn('Failed to revoke session:', error.message);
+      }
+    }
+  }, []);
+  
+  // Sign-In with Ethereum handshake for the connected account
+  const signIn = useCallback(async () => {
+    const { nonce } = await authApi.getNonce();
+    
+    const message = buildSiweMessage({
+      domain: window.location.host,
+      address: web3.account,
+      statement: SIGN_IN_STATEMENT,
+      uri: window.location.origin,
+      chainId: web3.chainId,
+      nonce,
+    });
+    
+    const signature = await web3.signMessage(message);
+    const session = await authApi.verify({ message, signature });
+    
+    storeSession(session);
+    applySession(session);
+    
+    return session;
+  }, [web3, applySession]);
+  
+  // Restore the server-issued session on mount
   useEffect(() => {
+    let cancelled = false;
+    
     const checkAuthStatus = async () => {
+      const session = getStoredSession();
+      
+      if (!session) {
+        dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+        return;
+      }
+      
       try {
-        // Check for stored wallet address (mock implementation)
-        const storedWalletAddress = localStorage.getItem('mockWalletAddress');
-        const storedKYCStatus = localStorage.getItem('mockKYCStatus') || 'pending';
+        let currentSession = session;
         
-        if (storedWalletAddress) {
-          const userData = {
-            walletAddress: storedWalletAddress,
-            kycVerified: storedKYCStatus === 'verified',
-            roles: ['user'],
-            joinedAt: new Date().toISOString(),
-          };
+        try {
+          const user = await authApi.me(session.accessToken);
+          currentSession = { ...session, user };
+        } catch (error) {
+          if (error.status !== 401) throw error;
           
+          // Access token expired - rotate the refresh token
+          currentSession = await authApi.refresh(session.refreshToken);
+        }
+        
+        // A session only stays valid for the account the wallet is using
+        const accounts = await web3.getConnectedAccounts();
+        if (accounts.length > 0 && !accounts.includes(currentSession.user.walletAddress)) {
+          await endSession();
+          if (!cancelled) dispatch({ type: ActionTypes.LOGOUT });
+          return;
+        }
+        
+        if (accounts.length > 0) {
+          await web3.connectWallet();
+        }
+        
+        storeSession(currentSession);
+        if (!cancelled) applySession(currentSession);
+      } catch (error) {
+        console.error('Error checking auth status:', error);
+        clearStoredSession();
+        if (!cancelled) {
           dispatch({
-            type: ActionTypes.LOGIN_SUCCESS,
-            payload: {
-              user: userData,
-              walletAddress: storedWalletAddress,
-              networkId: 1, // Mainnet by default
-            },
-          });
-          
-          dispatch({
-            type: ActionTypes.SET_KYC_STATUS,
-            payload: storedKYCStatus,
-          });
-        } else {
-          dispatch({
-            type: ActionTypes.SET_LOADING,
-            payload: false,
+            type: ActionTypes.LOGIN_ERROR,
+            payload: 'Your session has expired. Please connect your wallet again.',
           });
         }
+      }
+    };
+    
+    checkAuthStatus();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [web3, applySession, endSession]);
+  
+  // Re-authenticate when the wallet switches account or network
+  useEffect(() => {
+    const reauthenticate = async () => {
+      await endSession();
+      
+      if (!web3.account) {
+        dispatch({ type: ActionTypes.LOGOUT });
+        return;
+      }
+      
+      dispatch({ type: ActionTypes.SET_CONNECTING, payload: true });
+      try {
+        await signIn();
       } catch (error) {
-        console.error('Error checking auth status:', error);
         dispatch({
           type: ActionTypes.LOGIN_ERROR,
-          payload: 'Failed to check authentication status',
+          payload: error.message || 'Failed to re-authenticate wallet',
         });
       }
     };
     
-    checkAuthStatus();
-  }, []);
+    const unsubscribeAccounts = web3.on('accountsChanged', (accounts) => {
+      if (accounts[0] === walletAddressRef.current) return;
+      reauthenticate();
+    });
+    
+    const unsubscribeChain = web3.on('chainChanged', () => {
+      if (!walletAddressRef.current) return;
+      reauthenticate();
+    });
+    
+    const unsubscribeDisconnect = web3.on('disconnect', () => {
+      endSession();
+      dispatch({ type: ActionTypes.LOGOUT });
+    });
+    
+    return () => {
+      unsubscribeAccounts();
+      unsubscribeChain();
+      unsubscribeDisconnect();
+    };
+  }, [web3, signIn, endSession]);
   
-  // Mock wallet connection function
+  // Connect wallet and sign in with the backend
   const connectWallet = async () => {
     dispatch({ type: ActionTypes.SET_CONNECTING, payload: true });
     
     try {
-      // Simulate wallet connection delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Mock wallet connection
-      const mockWalletAddress = '0x' + Math.random().toString(16).substr(2, 40);
-      const mockKYCStatus = Math.random() > 0.5 ? 'verified' : 'pending';
-      
-      // Store in localStorage for persistence
-      localStorage.setItem('mockWalletAddress', mockWalletAddress);
-      localStorage.setItem('mockKYCStatus', mockKYCStatus);
-      
-      const userData = {
-        walletAddress: mockWalletAddress,
-        kycVerified: mockKYCStatus === 'verified',
-        roles: ['user'],
-        joinedAt: new Date().toISOString(),
-      };
-      
-      dispatch({
-        type: ActionTypes.LOGIN_SUCCESS,
-        payload: {
-          user: userData,
-          walletAddress: mockWalletAddress,
-          networkId: 1,
-        },
-      });
-      
-      dispatch({
-        type: ActionTypes.SET_KYC_STATUS,
-        payload: mockKYCStatus,
-      });
+      await web3.connectWallet();
+      await signIn();
       
       return { success: true };
     } catch (error) {
@@ -199,21 +313,29 @@ export const AuthProvider = ({ children }) => {
   };
   
   // Disconnect wallet function
-  const disconnectWallet = () => {
-    localStorage.removeItem('mockWalletAddress');
-    localStorage.removeItem('mockKYCStatus');
+  const disconnectWallet = async () => {
+    await endSession();
+    await web3.disconnectWallet();
     dispatch({ type: ActionTypes.LOGOUT });
   };
   
-  // Update KYC status
-  const updateKYCStatus = (status) => {
-    localStorage.setItem('mockKYCStatus', status);
-    dispatch({
-      type: ActionTypes.SET_KYC_STATUS,
-      payload: status,
-    });
+  // Reload the user (roles, KYC status) from the API
+  const refreshUser = async () => {
+    const session = getStoredSession();
+    if (!session) return null;
+    
+    const user = await authApi.me(session.accessToken);
+    const updatedSession = { ...session, user };
+    
+    storeSession(updatedSession);
+    applySession(updatedSession);
+    
+    return toUserState(user);
   };
   
+  // Access token for authenticated API requests; stable so effects can depend on it
+  const getAccessToken = useCallback(() => getStoredSession()?.accessToken || null, []);
+  
   // Clear error
   const clearError = () => {
     dispatch({ type: ActionTypes.CLEAR_ERROR });
@@ -242,7 +364,8 @@ export const AuthProvider = ({ children }) => {
     // Actions
     connectWallet,
     disconnectWallet,
-    updateKYCStatus,
+    refreshUser,
+    getAccessToken,
     clearError,
     
     // Utilities
@@ -260,6 +383,11 @@ export const AuthProvider = ({ children }) => {
 
 AuthProvider.propTypes = {
   children: PropTypes.node.isRequired,
+  ethereum: PropTypes.shape({
+    request: PropTypes.func.isRequired,
+    on: PropTypes.func.isRequired,
+    removeListener: PropTypes.func.isRequired,
+  }),
 };
 
 // Custom hook to use auth context
@@ -286,14 +414,15 @@ export const withAuth = (Component) => {
   return AuthenticatedComponent;
 };
 
-// Utility function to get mock wallet address
-export const getMockWalletAddress = () => {
-  return localStorage.getItem('mockWalletAddress');
+// Utility function to get the user of the stored session
+export const getSessionUser = () => {
+  const session = getStoredSession();
+  return session?.user ? toUserState(session.user) : null;
 };
 
 // Utility function to check if user is authenticated (for use outside components)
 export const isUserAuthenticated = () => {
-  return !!localStorage.getItem('mockWalletAddress');
+  return !!getStoredSession()?.accessToken;
 };
 
 export default AuthContext;
@@ -0,0 +1,221 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { ethers } from 'ethers';
+import { AuthProvider, useAuth } from '../AuthContext';
+import { SESSION_STORAGE_KEY } from '../../utils/authApi';
+
+// Minimal EIP-1193 provider backed by local ethers wallets
+const createFakeEthereum = (wallet, chainId = 1) => {
+  const handlers = {};
+  let activeWallet = wallet;
+  let activeChainId = chainId;
+
+  return {
+    request: jest.fn(async ({ method, params }) => {
+      switch (method) {
+        case 'eth_requestAccounts':
+        case 'eth_accounts':
+          return [activeWallet.address];
+        case 'eth_chainId':
+          return ethers.toQuantity(activeChainId);
+        case 'personal_sign':
+          return activeWallet.signMessage(ethers.getBytes(params[0]));
+        default:
+          throw new Error(`Unsupported method: ${method}`);
+      }
+    }),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    removeListener: jest.fn((event) => {
+      delete handlers[event];
+    }),
+    switchAccount: async (nextWallet) => {
+      activeWallet = nextWallet;
+      await handlers.accountsChanged?.([nextWallet.address]);
+    },
+    switchChain: async (nextChainId) => {
+      activeChainId = nextChainId;
+      await handlers.chainChanged?.(ethers.toQuantity(nextChainId));
+    },
+  };
+};
+
+// Well-known local development keys; under jsdom ethers rejects the random bytes
+// Node returns, so Wallet.createRandom() cannot be used here
+const TEST_PRIVATE_KEYS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+];
+
+const jsonResponse = (data, status = 200) => Promise.resolve({
+  ok: status < 400,
+  status,
+  json: () => Promise.resolve(status < 400 ? { success: true, data } : { success: false, message: data }),
+});
+
+const apiUser = (walletAddress, overrides = {}) => ({
+  id: 'user-1',
+  username: 'holder',
+  walletAddress,
+  role: 'user',
+  kycStatus: 'approved',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+// Fake backend that verifies the SIWE signature like the real one
+const createFakeBackend = () => {
+  const signedMessages = [];
+
+  global.fetch = jest.fn((url, options = {}) => {
+    const body = options.body ? JSON.parse(options.body) : {};
+
+    if (url.endsWith('/auth/siwe/nonce')) {
+      return jsonResponse({ nonce: `nonce${signedMessages.length}abcdef` });
+    }
+
+    if (url.endsWith('/auth/siwe/verify')) {
+      const signer = ethers.verifyMessage(body.message, body.signature);
+      const chainId = Number(body.message.match(/Chain ID: (\d+)/)[1]);
+      signedMessages.push(body.message);
+      return jsonResponse({
+        user: apiUser(signer),
+        chainId,
+        accessToken: `access-${signer}`,
+        refreshToken: `refresh-${signer}`,
+      });
+    }
+
+    if (url.endsWith('/auth/logout')) {
+      return jsonResponse({});
+    }
+
+    return jsonResponse('Not found', 404);
+  });
+
+  return { signedMessages };
+};
+
+const AuthConsumer = () => {
+  const auth = useAuth();
+
+  return (
+    <div>
+      <span data-testid="wallet">{auth.walletAddress || 'none'}</span>
+      <span data-testid="network">{String(auth.networkId)}</span>
+      <span data-testid="kyc">{auth.kycStatus}</span>
+      <span data-testid="roles">{auth.user?.roles?.join(',') || ''}</span>
+      <button onClick={auth.connectWallet}>Connect</button>
+      <button onClick={auth.disconnectWallet}>Disconnect</button>
+    </div>
+  );
+};
+
+describe('AuthContext', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    localStorage.getItem.mockImplementation(key => (key in storage ? storage[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => {
+      storage[key] = value;
+    });
+    localStorage.removeItem.mockImplementation((key) => {
+      delete storage[key];
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('signs in with the injected provider and stores only the server session', async () => {
+    const wallet = new ethers.Wallet(TEST_PRIVATE_KEYS[0]);
+    const ethereum = createFakeEthereum(wallet);
+    const { signedMessages } = createFakeBackend();
+
+    render(
+      <AuthProvider ethereum={ethereum}>
+        <AuthConsumer />
+      </AuthProvider>
+    );
+
+    fireEvent.click(screen.getByText('Connect'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('wallet')).toHaveTextContent(wallet.address);
+    });
+
+    expect(signedMessages[0]).toContain(`${window.location.host} wants you to sign in`);
+    expect(signedMessages[0]).toContain('Chain ID: 1');
+    expect(screen.getByTestId('kyc')).toHaveTextContent('approved');
+    expect(screen.getByTestId('roles')).toHaveTextContent('user');
+
+    const session = JSON.parse(storage[SESSION_STORAGE_KEY]);
+    expect(session.accessToken).toBe(`access-${wallet.address}`);
+    expect(Object.keys(storage)).toEqual([SESSION_STORAGE_KEY]);
+  });
+
+  it('restores a stored session from the API on mount', async () => {
+    const wallet = new ethers.Wallet(TEST_PRIVATE_KEYS[0]);
+    storage[SESSION_STORAGE_KEY] = JSON.stringify({
+      accessToken: 'stored-access',
+      refreshToken: 'stored-refresh',
+      chainId: 1,
+      user: apiUser(wallet.address, { kycStatus: 'pending' }),
+    });
+
+    global.fetch = jest.fn((url, options) => {
+      expect(url).toMatch(/\/auth\/me$/);
+      expect(options.headers.Authorization).toBe('Bearer stored-access');
+      return jsonResponse(apiUser(wallet.address, { kycStatus: 'approved', role: ['user', 'manager'] }));
+    });
+
+    render(
+      <AuthProvider ethereum={createFakeEthereum(wallet)}>
+        <AuthConsumer />
+      </AuthProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('kyc')).toHaveTextContent('approved');
+    });
+    expect(screen.getByTestId('roles')).toHaveTextContent('user,manager');
+  });
+
+  it('re-authenticates when the wallet switches account or chain', async () => {
+    const firstWallet = new ethers.Wallet(TEST_PRIVATE_KEYS[0]);
+    const secondWallet = new ethers.Wallet(TEST_PRIVATE_KEYS[1]);
+    const ethereum = createFakeEthereum(firstWallet);
+    const { signedMessages } = createFakeBackend();
+
+    render(
+      <AuthProvider ethereum={ethereum}>
+        <AuthConsumer />
+      </AuthProvider>
+    );
+
+    fireEvent.click(screen.getByText('Connect'));
+    await waitFor(() => {
+      expect(screen.getByTestId('wallet')).toHaveTextContent(firstWallet.address);
+    });
+
+    await act(() => ethereum.switchAccount(secondWallet));
+    await waitFor(() => {
+      expect(screen.getByTestId('wallet')).toHaveTextContent(secondWallet.address);
+    });
+
+    await act(() => ethereum.switchChain(11155111));
+    await waitFor(() => {
+      expect(screen.getByTestId('network')).toHaveTextContent('11155111');
+    });
+
+    expect(signedMessages).toHaveLength(3);
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/auth\/logout$/),
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+});
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import KycStatusCard from '../components/auth/KycStatusCard';
 import { typography, formatFinancialAmount, formatNFTId, formatWalletAddress, formatPerformance } from '../utils/typography';
 import { 
   Building, 
@@ -19,7 +21,6 @@ const DashboardPage = () => {
   const { 
     isConnected, 
     walletAddress, 
-    kycStatus, 
     nftAccess, 
     loading, 
     error,
@@ -27,6 +28,8 @@ const DashboardPage = () => {
     theme,
     dashboardProjects
   } = useApp();
+  // The KYC status of the signed-in user, as shown by KycStatusCard
+  const { kycStatus } = useAuth();
 
   const [activeTab, setActiveTab] = useState('overview');
   const [expandedSections, setExpandedSections] = useState({});
@@ -35,7 +38,7 @@ const DashboardPage = () => {
     return nftAccess.some(nft => nft.projectSlug === projectSlug && nft.verified);
   };
 
-  const canAccessPrivate = isConnected && kycStatus === 'verified';
+  const canAccessPrivate = isConnected && kycStatus === 'approved';
 
   const toggleSection = (sectionId) => {
     setExpandedSections(prev => ({
@@ -389,27 +392,7 @@ const DashboardPage = () => {
                     </h3>
                     
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                      <div className={`p-4 border rounded-lg ${
-                        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
-                      }`}>
-                        <h4 className={typography.h6(theme)}>
-                          KYC Status
-                        </h4>
-                        <div className="flex items-center space-x-3 mb-3">
-                          <div className="w-3 h-3 bg-green-500 rounded-full"></div>
-                          <span className={`${typography.badge(theme)} text-green-600`}>Verified</span>
-                        </div>
-                        <p className={`${typography.bodySmall(theme)} mb-4`}>
-                          Your identity has been verified and you have full access to governance features.
-                        </p>
-                        <button className={`${typography.bodySmall(theme)} px-4 py-2 rounded-lg border transition-colors ${
-                          theme === 'dark' 
-                            ? 'border-gray-600 text-gray-300 hover:bg-gray-700' 
-                            : 'border-gray-300 text-gray-700 hover:bg-gray-50'
-                        }`}>
-                          Update KYC Information
-                        </button>
-                      </div>
+                      <KycStatusCard theme={theme} />
 
                       <div className={`p-4 border rounded-lg ${
                         theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
@@ -0,0 +1,124 @@
+/**
+ * Authentication API client
+ * Sign-In with Ethereum (EIP-4361) handshake and session storage
+ */
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api/v1';
+
+export const SESSION_STORAGE_KEY = 'coinestate.session';
+
+/**
+ * Error returned by the backend API
+ */
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Call a backend endpoint and return its data
+ * FormData bodies are sent as multipart, anything else as JSON
+ */
+export const request = async (path, { method = 'GET', body, accessToken, baseUrl = API_BASE_URL } = {}) => {
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+  const headers = isForm ? {} : { 'Content-Type': 'application/json' };
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`;
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body && !isForm ? JSON.stringify(body) : body,
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || payload.success === false) {
+    throw new ApiError(payload.message || `Request failed with status ${response.status}`, response.status);
+  }
+
+  return payload.data;
+};
+
+/**
+ * Build an EIP-4361 message for the connected wallet
+ * @param {Object} fields - Message fields
+ * @returns {string} Message to sign
+ */
+export const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+}) => {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    ...(statement ? [statement, ''] : ['']),
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Auth endpoints
+ */
+export const authApi = {
+  getNonce: (options) => request('/auth/siwe/nonce', options),
+
+  verify: ({ message, signature }, options) =>
+    request('/auth/siwe/verify', { ...options, method: 'POST', body: { message, signature } }),
+
+  refresh: (refreshToken, options) =>
+    request('/auth/refresh', { ...options, method: 'POST', body: { refreshToken } }),
+
+  logout: (refreshToken, options) =>
+    request('/auth/logout', { ...options, method: 'POST', body: { refreshToken } }),
+
+  me: (accessToken, options) => request('/auth/me', { ...options, accessToken }),
+};
+
+/**
+ * Session persistence - only the server-issued session is stored
+ */
+export const getStoredSession = () => {
+  try {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const storeSession = (session) => {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    refreshTokenExpiresAt: session.refreshTokenExpiresAt,
+    chainId: session.chainId,
+    user: session.user,
+  }));
+};
+
+export const clearStoredSession = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+export default authApi;
@@ -0,0 +1,26 @@
+/**
+ * KYC API client
+ * Identity document upload, submission and status of the signed-in user
+ */
+
+import { request } from './authApi';
+
+export const kycApi = {
+  getStatus: (accessToken, options) => request('/kyc/status', { ...options, accessToken }),
+
+  uploadDocument: ({ file, type, side }, accessToken, options) => {
+    const form = new FormData();
+    form.append('document', file);
+    form.append('type', type);
+    if (side) {
+      form.append('side', side);
+    }
+
+    return request('/kyc/documents', { ...options, method: 'POST', body: form, accessToken });
+  },
+
+  submit: (data, accessToken, options) =>
+    request('/kyc/submit', { ...options, method: 'POST', body: data, accessToken }),
+};
+
+export default kycApi;
@@ -30,12 +30,27 @@ export const CONTRACT_ADDRESSES = {
 /**
  * Web3 Provider Management
  */
-class Web3Provider {
-  constructor() {
+export class Web3Provider {
+  /**
+   * @param {Object} [ethereum] - EIP-1193 provider; defaults to window.ethereum
+   */
+  constructor(ethereum = null) {
+    this.ethereum = ethereum;
     this.provider = null;
     this.signer = null;
     this.account = null;
     this.chainId = null;
+    this.listeners = { accountsChanged: [], chainChanged: [], disconnect: [] };
+    this.providerHandlers = null;
+  }
+
+  /**
+   * Get the underlying EIP-1193 provider
+   * @returns {Object|undefined} Injected or configured provider
+   */
+  getEthereum() {
+    if (this.ethereum) return this.ethereum;
+    return typeof window !== 'undefined' ? window.ethereum : undefined;
   }
 
   /**
@@ -44,13 +59,15 @@ class Web3Provider {
    */
   async connectWallet() {
     try {
+      const ethereum = this.getEthereum();
+
       // Check if MetaMask is installed
-      if (typeof window.ethereum === 'undefined') {
+      if (typeof ethereum === 'undefined') {
         throw new Error('MetaMask is not installed. Please install MetaMask to continue.');
       }
 
       // Request account access
-      const accounts = await window.ethereum.request({
+      const accounts = await ethereum.request({
         method: 'eth_requestAccounts'
       });
 
@@ -59,9 +76,9 @@ class Web3Provider {
       }
 
       // Initialize provider and signer
-      this.provider = new ethers.BrowserProvider(window.ethereum);
-      this.signer = await this.provider.getSigner();
-      this.account = accounts[0];
+      this.provider = new ethers.BrowserProvider(ethereum);
+      this.account = ethers.getAddress(accounts[0]);
+      this.signer = await this.provider.getSigner(this.account);
       
       // Get network info
       const network = await this.provider.getNetwork();
@@ -70,7 +87,6 @@ class Web3Provider {
       // Set up event listeners
       this.setupEventListeners();
 
-      console.log('Wallet connected:', this.account);
       return this.account;
     } catch (error) {
       console.error('Wallet connection failed:', error);
@@ -78,21 +94,41 @@ class Web3Provider {
     }
   }
 
+  /**
+   * Get accounts already authorised for this site without prompting the user
+   * @returns {Promise<Array<string>>} Checksummed addresses
+   */
+  async getConnectedAccounts() {
+    const ethereum = this.getEthereum();
+    if (typeof ethereum === 'undefined') return [];
+
+    const accounts = await ethereum.request({ method: 'eth_accounts' });
+    return accounts.map(account => ethers.getAddress(account));
+  }
+
+  /**
+   * Sign a message with the connected account (EIP-191 personal_sign)
+   * @param {string} message - Message to sign
+   * @returns {Promise<string>} Signature
+   */
+  async signMessage(message) {
+    if (!this.signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    return await this.signer.signMessage(message);
+  }
+
   /**
    * Disconnect wallet
    */
   async disconnectWallet() {
+    this.removeEventListeners();
+
     this.provider = null;
     this.signer = null;
     this.account = null;
     this.chainId = null;
-    
-    // Remove event listeners
-    if (window.ethereum) {
-      window.ethereum.removeAllListeners();
-    }
-    
-    console.log('Wallet disconnected');
   }
 
   /**
@@ -100,7 +136,8 @@ class Web3Provider {
    * @param {string} networkName - Network to switch to
    */
   async switchNetwork(networkName) {
-    if (!window.ethereum) {
+    const ethereum = this.getEthereum();
+    if (!ethereum) {
       throw new Error('MetaMask not available');
     }
 
@@ -111,14 +148,14 @@ class Web3Provider {
 
     try {
       // Try to switch to the network
-      await window.ethereum.request({
+      await ethereum.request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: network.chainId }],
       });
     } catch (switchError) {
       // If network doesn't exist, add it
       if (switchError.code === 4902) {
-        await window.ethereum.request({
+        await ethereum.request({
           method: 'wallet_addEthereumChain',
           params: [network],
         });
@@ -141,34 +178,81 @@ class Web3Provider {
     return ethers.formatEther(balance);
   }
 
+  /**
+   * Subscribe to wallet events (accountsChanged, chainChanged, disconnect)
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unsupported wallet event: ${event}`);
+    }
+
+    this.listeners[event].push(handler);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    };
+  }
+
   /**
    * Setup event listeners for wallet changes
    */
   setupEventListeners() {
-    if (!window.ethereum) return;
-
-    // Account change
-    window.ethereum.on('accountsChanged', (accounts) => {
-      if (accounts.length === 0) {
-        this.disconnectWallet();
-      } else {
-        this.account = accounts[0];
-        console.log('Account changed:', this.account);
+    const ethereum = this.getEthereum();
+    if (!ethereum || this.providerHandlers) return;
+
+    const emit = (event, payload) => {
+      this.listeners[event].forEach(handler => handler(payload));
+    };
+
+    this.providerHandlers = {
+      // Account change
+      accountsChanged: async (accounts) => {
+        if (accounts.length === 0) {
+          await this.disconnectWallet();
+          emit('accountsChanged', []);
+          return;
+        }
+
+        this.account = ethers.getAddress(accounts[0]);
+        this.signer = await this.provider.getSigner(this.account);
+        emit('accountsChanged', [this.account]);
+      },
+
+      // Chain change: ethers providers are bound to a network, so rebuild it
+      chainChanged: async (chainId) => {
+        this.chainId = BigInt(chainId).toString();
+        this.provider = new ethers.BrowserProvider(ethereum);
+        if (this.account) {
+          this.signer = await this.provider.getSigner(this.account);
+        }
+        emit('chainChanged', this.chainId);
+      },
+
+      // Disconnect
+      disconnect: async (error) => {
+        await this.disconnectWallet();
+        emit('disconnect', error);
       }
-    });
+    };
 
-    // Chain change
-    window.ethereum.on('chainChanged', (chainId) => {
-      this.chainId = chainId;
-      console.log('Chain changed:', chainId);
-      // Reload to avoid any issues
-      window.location.reload();
+    Object.entries(this.providerHandlers).forEach(([event, handler]) => {
+      ethereum.on(event, handler);
     });
+  }
+
+  /**
+   * Remove the listeners registered on the EIP-1193 provider
+   */
+  removeEventListeners() {
+    const ethereum = this.getEthereum();
+    if (!ethereum || !this.providerHandlers) return;
 
-    // Disconnect
-    window.ethereum.on('disconnect', () => {
-      this.disconnectWallet();
+    Object.entries(this.providerHandlers).forEach(([event, handler]) => {
+      ethereum.removeListener(event, handler);
     });
+    this.providerHandlers = null;
   }
 
   /**
@@ -249,7 +333,11 @@ export class NFTContract {
       throw new Error('Contract not initialized');
     }
 
-    const tokenURI = await this.contract.tokenURI(tokenId);
+    // ERC-1155 contracts expose uri(id) with an {id} placeholder for the hex token ID
+    const uri = this.contract.tokenURI ?
+      await this.contract.tokenURI(tokenId) :
+      await this.contract.uri(tokenId);
+    const tokenURI = uri.replace('{id}', BigInt(tokenId).toString(16).padStart(64, '0'));
     
     // Fetch metadata from IPFS or HTTP
     const response = await fetch(tokenURI);